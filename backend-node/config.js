@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   // Database
@@ -17,7 +18,25 @@ module.exports = {
     name: process.env.APP_NAME || 'Career Profiling Platform',
     debug: process.env.DEBUG === 'true',
     port: parseInt(process.env.PORT || '8001', 10),
-    frontendUrl: process.env.FRONTEND_URL || '*'
+    frontendUrl: process.env.FRONTEND_URL || '*',
+    // How often expired section timers are auto-submitted server-side (0 disables the sweeper)
+    sectionTimerSweepSeconds: parseInt(process.env.SECTION_TIMER_SWEEP_SECONDS || '60', 10),
+    // In-progress attempts with no answer or section activity for this long are marked ABANDONED
+    attemptInactivityHours: parseInt(process.env.ATTEMPT_INACTIVITY_HOURS || '48', 10),
+    // How often the abandoned-attempt job runs (0 disables it)
+    attemptLifecycleSweepMinutes: parseInt(process.env.ATTEMPT_LIFECYCLE_SWEEP_MINUTES || '30', 10),
+    // Pauses allowed per section before accommodations (unset = unlimited, and accommodations' extra pauses don't apply)
+    sectionPauseLimit: process.env.SECTION_PAUSE_LIMIT ? parseInt(process.env.SECTION_PAUSE_LIMIT, 10) : null,
+    // Where uploaded question figures are stored, and the largest upload accepted
+    mediaUploadDir: process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, 'uploads', 'question-media'),
+    mediaMaxUploadMb: parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '5', 10),
+    // Largest CSV/XLSX question bank file accepted by the bulk import
+    questionImportMaxUploadMb: parseInt(process.env.QUESTION_IMPORT_MAX_UPLOAD_MB || '5', 10),
+    // Token similarity (0-1) at which a question is flagged as a possible duplicate of another
+    duplicateSimilarityThreshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || '0.8'),
+    // Practice mode: sample questions drawn per section, and time allowed per question when timed
+    practiceQuestionsPerSection: parseInt(process.env.PRACTICE_QUESTIONS_PER_SECTION || '2', 10),
+    practiceSecondsPerQuestion: parseInt(process.env.PRACTICE_SECONDS_PER_QUESTION || '60', 10)
   },
   
   // JWT
@@ -1,6 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../database');
 
+// One row per question per attempt. The unique (test_attempt_id, question_id) index is added at
+// start-up (server.js) after removing duplicates left by older retried saves, so it isn't declared here.
 const Answer = sequelize.define('Answer', {
   id: {
     type: DataTypes.INTEGER,
@@ -25,10 +27,25 @@ const Answer = sequelize.define('Answer', {
     },
     onDelete: 'CASCADE'
   },
+  question_revision_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Question revision the student answered; NULL for answers saved before revisions existed'
+  },
   answer_text: {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  client_seq: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Client sequence number of the write that produced this answer (batched sync)'
+  },
+  client_updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Client-side time the answer was chosen; the latest one wins when writes arrive out of order'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
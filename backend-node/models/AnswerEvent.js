@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const AnswerEventSource = {
+  SAVE: 'save',
+  SYNC: 'sync',
+  SECTION_SUBMIT: 'section_submit'
+};
+
+// Append-only log of every change to an answer, so an attempt's answering can be replayed
+const AnswerEvent = sequelize.define('AnswerEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  test_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'test_attempts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sections',
+      key: 'id'
+    }
+  },
+  previous_answer: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'NULL for the first answer to the question'
+  },
+  new_answer: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('save', 'sync', 'section_submit'),
+    allowNull: false
+  },
+  section_elapsed_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Time spent in the section when the change was recorded'
+  },
+  client_seq: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  client_timestamp: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'answer_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['test_attempt_id', 'created_at'],
+      name: 'idx_answer_events_attempt'
+    }
+  ]
+});
+
+module.exports = { AnswerEvent, AnswerEventSource };
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const Assessment = sequelize.define('Assessment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    unique: true,
+    comment: 'Test form name shown to students and admins (e.g. Class 10 Stream Selector)'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  blueprint_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'test_blueprints',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Blueprint for this assessment; null falls back to the center/default blueprint'
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Taken by students who have no assessment assigned'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin user who created this assessment'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'assessments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+module.exports = { Assessment };
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const AssessmentSection = sequelize.define('AssessmentSection', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  assessment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assessments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '1-based order in which the section is taken within the assessment'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'assessment_sections',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['assessment_id', 'section_id'],
+      name: 'unique_assessment_section'
+    }
+  ]
+});
+
+module.exports = { AssessmentSection };
@@ -90,6 +90,11 @@ const InterpretedResult = sequelize.define('InterpretedResult', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  readiness_policy_version: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Readiness policy version whose thresholds produced this result'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
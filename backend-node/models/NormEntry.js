@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const NormEntry = sequelize.define('NormEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  norm_set_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'norm_sets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  dimension: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Score dimension this table ranks (section_N or overall)'
+  },
+  education_group: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Student.education value for this group, NULL for all students'
+  },
+  sample_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  mean: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  std_dev: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  percentile_table: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'JSON array of 99 score cut points for percentiles 1-99'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'norm_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['norm_set_id', 'dimension'],
+      name: 'idx_norm_entries_set_dimension'
+    }
+  ]
+});
+
+module.exports = { NormEntry };
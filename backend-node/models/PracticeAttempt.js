@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A practice run on sample questions. Kept apart from test_attempts so it never
+// produces scores or interpretations and never counts towards the attempt limit.
+const PracticeAttempt = sequelize.define('PracticeAttempt', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('IN_PROGRESS', 'COMPLETED'),
+    allowNull: false,
+    defaultValue: 'IN_PROGRESS'
+  },
+  is_timed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  time_limit_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Time for the whole practice run when timed; NULL when untimed'
+  },
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: 'en'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'practice_attempts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['student_id', 'status'],
+      name: 'idx_practice_attempts_student'
+    }
+  ]
+});
+
+module.exports = { PracticeAttempt };
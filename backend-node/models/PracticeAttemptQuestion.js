@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A sample question drawn into a practice attempt, with the student's answer once given
+const PracticeAttemptQuestion = sequelize.define('PracticeAttemptQuestion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  practice_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'practice_attempts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sections',
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  option_order: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Canonical option keys in the order shown to the student (MULTIPLE_CHOICE only)'
+  },
+  selected_option: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Canonical key of the chosen option; NULL until answered'
+  },
+  is_correct: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'NULL for questions without an answer key (Likert items)'
+  },
+  answered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'practice_attempt_questions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['practice_attempt_id', 'question_id'],
+      name: 'unique_practice_attempt_question'
+    }
+  ]
+});
+
+module.exports = { PracticeAttemptQuestion };
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const ProctoringEventType = {
+  TAB_SWITCH: 'tab_switch',
+  WINDOW_BLUR: 'window_blur',
+  COPY: 'copy',
+  PASTE: 'paste',
+  FULLSCREEN_EXIT: 'fullscreen_exit'
+};
+
+// Integrity signals reported by the browser while a section is being taken
+const ProctoringEvent = sequelize.define('ProctoringEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  test_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'test_attempts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_progress_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'section_progresses',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'sections',
+      key: 'id'
+    }
+  },
+  event_type: {
+    type: DataTypes.ENUM('tab_switch', 'window_blur', 'copy', 'paste', 'fullscreen_exit'),
+    allowNull: false
+  },
+  duration_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'How long the student was away (tab switch, blur, fullscreen exit), when the client knows it'
+  },
+  section_elapsed_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Time spent in the section when the event was recorded'
+  },
+  client_timestamp: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'proctoring_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['test_attempt_id', 'created_at'],
+      name: 'idx_proctoring_events_attempt'
+    }
+  ]
+});
+
+module.exports = { ProctoringEvent, ProctoringEventType };
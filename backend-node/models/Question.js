@@ -6,6 +6,24 @@ const QuestionType = {
   LIKERT_SCALE: 'LIKERT_SCALE'
 };
 
+// Holland RIASEC interest types (Section 5: Career Interest)
+const RiasecType = {
+  REALISTIC: 'R',
+  INVESTIGATIVE: 'I',
+  ARTISTIC: 'A',
+  SOCIAL: 'S',
+  ENTERPRISING: 'E',
+  CONVENTIONAL: 'C'
+};
+
+// VARK learning modalities (Section 4: Learning Style)
+const LearningModality = {
+  VISUAL: 'V',
+  AUDITORY: 'A',
+  READ_WRITE: 'R',
+  KINESTHETIC: 'K'
+};
+
 const Question = sequelize.define('Question', {
   id: {
     type: DataTypes.INTEGER,
@@ -37,6 +55,28 @@ const Question = sequelize.define('Question', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  riasec_type: {
+    type: DataTypes.ENUM('R', 'I', 'A', 'S', 'E', 'C'),
+    allowNull: true,
+    comment: 'RIASEC interest type measured by this question (Career Interest section)'
+  },
+  learning_modality: {
+    type: DataTypes.ENUM('V', 'A', 'R', 'K'),
+    allowNull: true,
+    comment: 'VARK learning modality measured by this question (Learning Style section)'
+  },
+  is_reverse_scored: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Negatively worded Likert item - scored E=1 ... A=5'
+  },
+  is_sample: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Practice-mode sample question - never drawn into a real test'
+  },
   difficulty_level: {
     type: DataTypes.ENUM('Easy', 'Medium', 'Hard'),
     allowNull: true,
@@ -77,6 +117,29 @@ const Question = sequelize.define('Question', {
     allowNull: false,
     defaultValue: true
   },
+  external_key: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: 'Stable key matching the question across databases (question bank bundles)'
+  },
+  is_possible_duplicate: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Wording is nearly identical to another approved or pending question'
+  },
+  duplicate_matches: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '[{ question_id, similarity }] found by the last duplicate check'
+  },
+  current_revision_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Revision whose content this row holds; NULL until the question is first revisioned'
+  },
   order_index: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -106,6 +169,10 @@ const Question = sequelize.define('Question', {
       fields: ['section_id'],
       name: 'idx_questions_section_id'
     },
+    {
+      fields: ['status', 'is_possible_duplicate'],
+      name: 'idx_questions_status_duplicate'
+    },
     {
       fields: ['created_at', 'id'],
       name: 'idx_questions_created_id'
@@ -113,5 +180,5 @@ const Question = sequelize.define('Question', {
   ]
 });
 
-module.exports = { Question, QuestionType };
+module.exports = { Question, QuestionType, RiasecType, LearningModality };
 
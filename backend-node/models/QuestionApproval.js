@@ -22,6 +22,21 @@ const QuestionApproval = sequelize.define('QuestionApproval', {
     onDelete: 'CASCADE',
     comment: 'Foreign key to questions table'
   },
+  translation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'question_translations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Set when the decision is about a translation rather than the question itself'
+  },
+  revision_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Question revision the decision was about'
+  },
   approved_by: {
     type: DataTypes.INTEGER,
     allowNull: false,
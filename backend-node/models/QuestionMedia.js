@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A figure attached to a question stem, or to one of its options when option_key is set.
+// The file itself lives on local disk under config.app.mediaUploadDir.
+const QuestionMedia = sequelize.define('QuestionMedia', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  option_key: {
+    type: DataTypes.STRING(1),
+    allowNull: true,
+    comment: 'Canonical option key (A-E) the figure belongs to; NULL for the question stem'
+  },
+  file_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Random name the file is stored under'
+  },
+  original_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  content_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  size_bytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  alt_text: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: 'Description read out by screen readers'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  uploaded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'question_media',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['question_id', 'option_key', 'position'],
+      name: 'idx_question_media_question'
+    }
+  ]
+});
+
+module.exports = { QuestionMedia };
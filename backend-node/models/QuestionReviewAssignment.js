@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A reviewer assigned to a question. Once a question has assigned reviewers only they may
+// approve or reject it; the assignment stays for later revisions until it is removed.
+const QuestionReviewAssignment = sequelize.define('QuestionReviewAssignment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  reviewer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Admin user asked to review the question'
+  },
+  assigned_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'question_review_assignments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['question_id', 'reviewer_id'],
+      name: 'unique_question_reviewer'
+    },
+    {
+      fields: ['reviewer_id'],
+      name: 'idx_question_review_assignments_reviewer'
+    }
+  ]
+});
+
+module.exports = { QuestionReviewAssignment };
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// One version of a question's content. Revisions are never edited once written: an edit adds a
+// new revision, and attempts and answers keep pointing at the revision the student was shown.
+// The questions row always holds the content of its current (approved) revision.
+const QuestionRevision = sequelize.define('QuestionRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  revision_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '1, 2, 3... per question'
+  },
+  question_text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  question_type: {
+    type: DataTypes.ENUM('MULTIPLE_CHOICE', 'LIKERT_SCALE'),
+    allowNull: false
+  },
+  options: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  correct_answer: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  scale_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  riasec_type: {
+    type: DataTypes.ENUM('R', 'I', 'A', 'S', 'E', 'C'),
+    allowNull: true
+  },
+  learning_modality: {
+    type: DataTypes.ENUM('V', 'A', 'R', 'K'),
+    allowNull: true
+  },
+  is_reverse_scored: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'A pending revision of an approved question is not shown to students until it is approved'
+  },
+  change_note: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  metadata_changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Section, difficulty, sample flag or category changes published together with this revision'
+  },
+  based_on_revision_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Revision this one was edited from, or rolled back to'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'question_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['question_id', 'revision_number'],
+      name: 'unique_question_revision'
+    },
+    {
+      fields: ['question_id', 'status'],
+      name: 'idx_question_revisions_question_status'
+    }
+  ]
+});
+
+module.exports = { QuestionRevision };
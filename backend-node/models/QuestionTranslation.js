@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Languages a test can be taken in. Questions are written in English; the others are translations.
+const QuestionLanguage = {
+  ENGLISH: 'en',
+  GUJARATI: 'gu',
+  HINDI: 'hi'
+};
+
+// A question's text and option texts in another language.
+// Options are keyed by the English question's option keys, so answers and scoring don't depend on the language.
+const QuestionTranslation = sequelize.define('QuestionTranslation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'questions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  language: {
+    type: DataTypes.ENUM('gu', 'hi'),
+    allowNull: false
+  },
+  question_text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  options: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON array of { key, text } using the question\'s option keys'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Only approved translations are shown to students'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'question_translations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['question_id', 'language'],
+      name: 'unique_question_translation'
+    },
+    {
+      fields: ['language', 'status'],
+      name: 'idx_question_translations_language_status'
+    }
+  ]
+});
+
+module.exports = { QuestionTranslation, QuestionLanguage };
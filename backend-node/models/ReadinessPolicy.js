@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Readiness cut-offs on the overall percentage. Each edit creates a new version so
+// stored results can record which thresholds produced them.
+const ReadinessPolicy = sequelize.define('ReadinessPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  ready_threshold: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Minimum overall percentage for READY'
+  },
+  partially_ready_threshold: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Minimum overall percentage for PARTIALLY READY (below is NOT READY)'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin user who saved this version (NULL for the seeded default)'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'readiness_policies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+module.exports = { ReadinessPolicy };
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Previous and new values for one attempt touched by a rescoring job
+const RescoreAuditEntry = sequelize.define('RescoreAuditEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  rescore_job_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'rescore_jobs',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  test_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'test_attempts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  previous_scores: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON array of the Score rows before rescoring'
+  },
+  new_scores: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON array of the Score rows after rescoring'
+  },
+  previous_interpretation: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON snapshot of the InterpretedResult before re-interpretation'
+  },
+  previous_readiness: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  new_readiness: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  has_changes: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'rescore_audit_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['rescore_job_id'],
+      name: 'idx_rescore_audit_job_id'
+    },
+    {
+      fields: ['test_attempt_id'],
+      name: 'idx_rescore_audit_attempt_id'
+    }
+  ]
+});
+
+module.exports = { RescoreAuditEntry };
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const RescoreJobStatus = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const RescoreJob = sequelize.define('RescoreJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  status: {
+    type: DataTypes.ENUM('RUNNING', 'COMPLETED', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'RUNNING'
+  },
+  filters: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON of the attempt filters (from, to, center, section_id)'
+  },
+  reinterpret: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether interpretations were regenerated after rescoring'
+  },
+  total_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  processed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  changed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin user who triggered the job'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'rescore_jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+module.exports = { RescoreJob, RescoreJobStatus };
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// An extra attempt granted to a student by an admin. It is consumed by the next attempt
+// the student starts and lets them start it regardless of the attempt limit and cooldown.
+const RetakeGrant = sequelize.define('RetakeGrant', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  granted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  archived_attempt_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Attempts archived when the retake was granted'
+  },
+  used_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'test_attempts',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Attempt started with this grant; NULL while the grant is unused'
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'retake_grants',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = { RetakeGrant };
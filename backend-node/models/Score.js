@@ -28,6 +28,21 @@ const Score = sequelize.define('Score', {
     type: DataTypes.FLOAT,
     allowNull: true
   },
+  norm_set_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'norm_sets',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Norm set the percentile was ranked against'
+  },
+  label: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Categorical result for this dimension (e.g. Holland code)'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -49,6 +49,11 @@ const SectionProgress = sequelize.define('SectionProgress', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  pause_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
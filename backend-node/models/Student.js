@@ -34,6 +34,16 @@ const Student = sequelize.define('Student', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  assessment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'assessments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Assessment assigned to the student; null means the default assessment'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
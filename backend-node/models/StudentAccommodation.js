@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Testing accommodations for a student (e.g. extended time for a learning disability).
+// Copied onto each attempt when it starts so the attempt's timing and reports record what applied.
+const StudentAccommodation = sequelize.define('StudentAccommodation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  time_multiplier: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 1.0,
+    comment: 'Applied to every section time limit without an override (1.5 = time and a half)'
+  },
+  extra_pauses: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Pauses per section on top of the standard allowance'
+  },
+  section_overrides: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON { section_id: time_limit_seconds } replacing the multiplied limit for those sections'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin or counsellor who last changed the accommodations'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'student_accommodations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+module.exports = { StudentAccommodation };
@@ -52,7 +52,51 @@ const TestAttempt = sequelize.define('TestAttempt', {
   remaining_time_seconds: {
     type: DataTypes.INTEGER,
     allowNull: true,
-    defaultValue: 420 // 7 minutes = 420 seconds per section
+    defaultValue: 420 // Default blueprint: 7 minutes per section; set from the attempt's blueprint on start
+  },
+  blueprint_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'test_blueprints',
+      key: 'id'
+    },
+    comment: 'Test blueprint (section sizes, time limits, question mix) this attempt was started with'
+  },
+  assessment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'assessments',
+      key: 'id'
+    },
+    comment: 'Assessment (test form) taken in this attempt; null for attempts before assessments existed'
+  },
+  abandoned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the attempt was marked ABANDONED after a period without activity'
+  },
+  is_archived: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Superseded by a retake; kept for history but no longer the student\'s current attempt'
+  },
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  accommodations: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Accommodations in effect for this attempt (time_multiplier, extra_pauses, section_overrides); NULL when none'
+  },
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: 'en',
+    comment: 'Language the student chose at /test/start (en, gu, hi)'
   },
   selected_question_ids: {
     type: DataTypes.JSON,
@@ -27,6 +27,16 @@ const TestAttemptQuestion = sequelize.define('TestAttemptQuestion', {
     onDelete: 'CASCADE',
     comment: 'Foreign key to questions table'
   },
+  question_revision_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Question revision shown in this attempt; NULL for attempts assigned before revisions existed'
+  },
+  option_order: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Canonical option keys in the order shown to the student (MULTIPLE_CHOICE only); NULL means A-E order'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const TestBlueprintSection = sequelize.define('TestBlueprintSection', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  blueprint_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'test_blueprints',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  section_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  question_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7
+  },
+  time_limit_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 420
+  },
+  difficulty_mix: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON object of question counts per difficulty, e.g. {"Easy":2,"Medium":3,"Hard":2}'
+  },
+  type_mix: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'JSON object of question counts per question type, e.g. {"MULTIPLE_CHOICE":5,"LIKERT_SCALE":2}'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'test_blueprint_sections',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['blueprint_id', 'section_id'],
+      name: 'unique_blueprint_section'
+    }
+  ]
+});
+
+module.exports = { TestBlueprintSection };
@@ -2,7 +2,7 @@
 const { User, UserRole } = require('./User');
 const { Student } = require('./Student');
 const { Counsellor } = require('./Counsellor');
-const { Question, QuestionType } = require('./Question');
+const { Question, QuestionType, RiasecType, LearningModality } = require('./Question');
 const { TestAttempt, TestStatus } = require('./TestAttempt');
 const { Answer } = require('./Answer');
 const { Score } = require('./Score');
@@ -13,6 +13,27 @@ const { Section } = require('./Section');
 const { SectionProgress, SectionStatus } = require('./SectionProgress');
 const { QuestionApproval, ApprovalStatus } = require('./QuestionApproval');
 const TestAttemptQuestion = require('./TestAttemptQuestion');
+const { NormSet } = require('./NormSet');
+const { NormEntry } = require('./NormEntry');
+const { ReadinessPolicy } = require('./ReadinessPolicy');
+const { RescoreJob, RescoreJobStatus } = require('./RescoreJob');
+const { RescoreAuditEntry } = require('./RescoreAuditEntry');
+const { TestBlueprint } = require('./TestBlueprint');
+const { TestBlueprintSection } = require('./TestBlueprintSection');
+const { Assessment } = require('./Assessment');
+const { AssessmentSection } = require('./AssessmentSection');
+const { RetakePolicy } = require('./RetakePolicy');
+const { RetakeGrant } = require('./RetakeGrant');
+const { AnswerEvent, AnswerEventSource } = require('./AnswerEvent');
+const { StudentAccommodation } = require('./StudentAccommodation');
+const { ProctoringEvent, ProctoringEventType } = require('./ProctoringEvent');
+const { QuestionTranslation, QuestionLanguage } = require('./QuestionTranslation');
+const { QuestionMedia } = require('./QuestionMedia');
+const { QuestionRevision } = require('./QuestionRevision');
+const { PracticeAttempt } = require('./PracticeAttempt');
+const { PracticeAttemptQuestion } = require('./PracticeAttemptQuestion');
+const { ReviewPolicy } = require('./ReviewPolicy');
+const { QuestionReviewAssignment } = require('./QuestionReviewAssignment');
 
 // Define associations
 User.hasOne(Student, { foreignKey: 'user_id', as: 'studentProfile' });
@@ -62,6 +83,89 @@ Question.hasMany(QuestionApproval, { foreignKey: 'question_id', as: 'approvals'
 QuestionApproval.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
 QuestionApproval.belongsTo(User, { foreignKey: 'approved_by', as: 'approver' });
 User.hasMany(QuestionApproval, { foreignKey: 'approved_by', as: 'questionApprovals' });
+Question.hasMany(QuestionTranslation, { foreignKey: 'question_id', as: 'translations' });
+QuestionTranslation.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+QuestionTranslation.hasMany(QuestionApproval, { foreignKey: 'translation_id', as: 'approvals' });
+QuestionApproval.belongsTo(QuestionTranslation, { foreignKey: 'translation_id', as: 'translation' });
+Question.hasMany(QuestionMedia, { foreignKey: 'question_id', as: 'media' });
+QuestionMedia.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+QuestionMedia.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
+// Question revision associations
+Question.hasMany(QuestionRevision, { foreignKey: 'question_id', as: 'revisions' });
+QuestionRevision.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+QuestionRevision.belongsTo(User, { foreignKey: 'created_by', as: 'author' });
+QuestionApproval.belongsTo(QuestionRevision, { foreignKey: 'revision_id', as: 'revision' });
+TestAttemptQuestion.belongsTo(QuestionRevision, { foreignKey: 'question_revision_id', as: 'revision' });
+Answer.belongsTo(QuestionRevision, { foreignKey: 'question_revision_id', as: 'revision' });
+
+// Question review associations
+Question.hasMany(QuestionReviewAssignment, { foreignKey: 'question_id', as: 'reviewAssignments' });
+QuestionReviewAssignment.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+QuestionReviewAssignment.belongsTo(User, { foreignKey: 'reviewer_id', as: 'reviewer' });
+QuestionReviewAssignment.belongsTo(User, { foreignKey: 'assigned_by', as: 'assigner' });
+ReviewPolicy.belongsTo(User, { foreignKey: 'updated_by', as: 'updater' });
+
+// Norm set associations
+NormSet.hasMany(NormEntry, { foreignKey: 'norm_set_id', as: 'entries' });
+NormEntry.belongsTo(NormSet, { foreignKey: 'norm_set_id', as: 'normSet' });
+NormSet.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+Score.belongsTo(NormSet, { foreignKey: 'norm_set_id', as: 'normSet' });
+
+// Rescoring job associations
+RescoreJob.hasMany(RescoreAuditEntry, { foreignKey: 'rescore_job_id', as: 'entries' });
+RescoreAuditEntry.belongsTo(RescoreJob, { foreignKey: 'rescore_job_id', as: 'job' });
+RescoreAuditEntry.belongsTo(TestAttempt, { foreignKey: 'test_attempt_id', as: 'testAttempt' });
+RescoreJob.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+// Test blueprint associations
+TestBlueprint.hasMany(TestBlueprintSection, { foreignKey: 'blueprint_id', as: 'sections' });
+TestBlueprintSection.belongsTo(TestBlueprint, { foreignKey: 'blueprint_id', as: 'blueprint' });
+TestBlueprintSection.belongsTo(Section, { foreignKey: 'section_id', as: 'section' });
+TestBlueprint.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+TestAttempt.belongsTo(TestBlueprint, { foreignKey: 'blueprint_id', as: 'blueprint' });
+
+// Assessment (test form) associations
+Assessment.hasMany(AssessmentSection, { foreignKey: 'assessment_id', as: 'sections' });
+AssessmentSection.belongsTo(Assessment, { foreignKey: 'assessment_id', as: 'assessment' });
+AssessmentSection.belongsTo(Section, { foreignKey: 'section_id', as: 'section' });
+Assessment.belongsTo(TestBlueprint, { foreignKey: 'blueprint_id', as: 'blueprint' });
+Assessment.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+Student.belongsTo(Assessment, { foreignKey: 'assessment_id', as: 'assessment' });
+TestAttempt.belongsTo(Assessment, { foreignKey: 'assessment_id', as: 'assessment' });
+
+// Retake associations
+User.hasMany(RetakeGrant, { foreignKey: 'student_id', as: 'retakeGrants' });
+RetakeGrant.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+RetakeGrant.belongsTo(User, { foreignKey: 'granted_by', as: 'grantedBy' });
+RetakeGrant.belongsTo(TestAttempt, { foreignKey: 'used_attempt_id', as: 'usedAttempt' });
+RetakePolicy.belongsTo(User, { foreignKey: 'updated_by', as: 'updater' });
+
+// Answer change history associations
+TestAttempt.hasMany(AnswerEvent, { foreignKey: 'test_attempt_id', as: 'answerEvents' });
+AnswerEvent.belongsTo(TestAttempt, { foreignKey: 'test_attempt_id', as: 'testAttempt' });
+AnswerEvent.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+AnswerEvent.belongsTo(Section, { foreignKey: 'section_id', as: 'section' });
+
+// Accommodation associations
+User.hasOne(StudentAccommodation, { foreignKey: 'student_id', as: 'accommodation' });
+StudentAccommodation.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+StudentAccommodation.belongsTo(User, { foreignKey: 'updated_by', as: 'updater' });
+
+// Proctoring associations
+TestAttempt.hasMany(ProctoringEvent, { foreignKey: 'test_attempt_id', as: 'proctoringEvents' });
+SectionProgress.hasMany(ProctoringEvent, { foreignKey: 'section_progress_id', as: 'proctoringEvents' });
+ProctoringEvent.belongsTo(TestAttempt, { foreignKey: 'test_attempt_id', as: 'testAttempt' });
+ProctoringEvent.belongsTo(SectionProgress, { foreignKey: 'section_progress_id', as: 'sectionProgress' });
+ProctoringEvent.belongsTo(Section, { foreignKey: 'section_id', as: 'section' });
+
+// Practice mode associations
+User.hasMany(PracticeAttempt, { foreignKey: 'student_id', as: 'practiceAttempts' });
+PracticeAttempt.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+PracticeAttempt.hasMany(PracticeAttemptQuestion, { foreignKey: 'practice_attempt_id', as: 'questions' });
+PracticeAttemptQuestion.belongsTo(PracticeAttempt, { foreignKey: 'practice_attempt_id', as: 'practiceAttempt' });
+PracticeAttemptQuestion.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+PracticeAttemptQuestion.belongsTo(Section, { foreignKey: 'section_id', as: 'section' });
 
 module.exports = {
   User,
@@ -70,6 +174,8 @@ module.exports = {
   Counsellor,
   Question,
   QuestionType,
+  RiasecType,
+  LearningModality,
   TestAttempt,
   TestStatus,
   Answer,
@@ -82,6 +188,31 @@ module.exports = {
   SectionStatus,
   QuestionApproval,
   ApprovalStatus,
-  TestAttemptQuestion
+  TestAttemptQuestion,
+  NormSet,
+  NormEntry,
+  ReadinessPolicy,
+  RescoreJob,
+  RescoreJobStatus,
+  RescoreAuditEntry,
+  TestBlueprint,
+  TestBlueprintSection,
+  Assessment,
+  AssessmentSection,
+  RetakePolicy,
+  RetakeGrant,
+  AnswerEvent,
+  AnswerEventSource,
+  StudentAccommodation,
+  ProctoringEvent,
+  ProctoringEventType,
+  QuestionTranslation,
+  QuestionLanguage,
+  QuestionMedia,
+  QuestionRevision,
+  PracticeAttempt,
+  PracticeAttemptQuestion,
+  ReviewPolicy,
+  QuestionReviewAssignment
 };
 
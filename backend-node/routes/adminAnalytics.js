@@ -1,36 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const { Op, Sequelize } = require('sequelize');
-const { User, UserRole, TestAttempt, TestStatus, Score, Career } = require('../models');
+const { User, UserRole, TestAttempt, TestStatus, Score, Career, InterpretedResult, Assessment } = require('../models');
 const { getCurrentUser, requireAdmin } = require('../middleware/auth');
-
-function calculateReadinessStatus(percentage) {
-  if (percentage >= 80) {
-    return 'READY';
-  } else if (percentage >= 60) {
-    return 'PARTIALLY READY';
-  } else {
-    return 'NOT READY';
-  }
-}
+const { getActivePolicy, getAttemptPolicy, classifyReadiness } = require('../services/readinessPolicy');
 
 // GET /admin/analytics
+// Optional ?assessment_id= limits attempt, score and career figures to one assessment
 router.get('', getCurrentUser, requireAdmin, async (req, res) => {
   try {
+    let assessment = null;
+    if (req.query.assessment_id && req.query.assessment_id !== 'all') {
+      assessment = await Assessment.findByPk(parseInt(req.query.assessment_id, 10));
+      if (!assessment) {
+        return res.status(404).json({
+          detail: 'Assessment not found'
+        });
+      }
+    }
+    const attemptWhere = assessment ? { assessment_id: assessment.id } : {};
+
     // Count users by role
     const totalStudents = await User.count({ where: { role: UserRole.STUDENT } });
     const totalCounsellors = await User.count({ where: { role: UserRole.COUNSELLOR } });
 
     // Count test attempts
-    const totalAttempts = await TestAttempt.count();
+    const totalAttempts = await TestAttempt.count({ where: attemptWhere });
     const completedAttempts = await TestAttempt.count({
-      where: { status: TestStatus.COMPLETED }
+      where: { ...attemptWhere, status: TestStatus.COMPLETED }
+    });
+    const inProgressAttempts = await TestAttempt.count({
+      where: { ...attemptWhere, status: TestStatus.IN_PROGRESS }
+    });
+    // Abandoned by the student (the inactivity job sets abandoned_at). In-progress attempts closed
+    // because an admin granted a retake are ABANDONED too, but without abandoned_at, and don't count.
+    const studentAbandonedWhere = { ...attemptWhere, status: TestStatus.ABANDONED, abandoned_at: { [Op.ne]: null } };
+    const abandonedAttempts = await TestAttempt.count({
+      where: studentAbandonedWhere
     });
 
     // Calculate average score
     const avgScoreResult = await Score.findOne({
       where: { dimension: 'overall' },
       attributes: [[Sequelize.fn('AVG', Sequelize.col('score_value')), 'avg']],
+      include: assessment
+        ? [{ model: TestAttempt, as: 'testAttempt', attributes: [], where: attemptWhere, required: true }]
+        : [],
       raw: true
     });
 
@@ -43,11 +58,18 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
       'NOT READY': 0
     };
 
+    // Each attempt is classified under its own policy version, as in the student report and staff lists;
+    // the active version is reported for reference
+    const readinessPolicy = await getActivePolicy();
+
     // Get all completed test attempts with scores
     const completedAttemptsList = await TestAttempt.findAll({
-      where: { status: TestStatus.COMPLETED }
+      where: { ...attemptWhere, status: TestStatus.COMPLETED }
     });
 
+    // Completed attempts and overall score totals per assessment
+    const assessmentTotals = {};
+
     for (const attempt of completedAttemptsList) {
       const score = await Score.findOne({
         where: {
@@ -57,14 +79,60 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
       });
 
       if (score) {
-        const readinessStatus = calculateReadinessStatus(score.score_value);
+        const readinessStatus = classifyReadiness(score.score_value, await getAttemptPolicy(attempt.id));
         readinessDistribution[readinessStatus] = (readinessDistribution[readinessStatus] || 0) + 1;
+
+        const key = attempt.assessment_id || 'none';
+        if (!assessmentTotals[key]) {
+          assessmentTotals[key] = { completed: 0, scoreSum: 0 };
+        }
+        assessmentTotals[key].completed += 1;
+        assessmentTotals[key].scoreSum += parseFloat(score.score_value);
+      }
+    }
+
+    // Abandoned attempts per assessment
+    const abandonedByAssessment = await TestAttempt.findAll({
+      where: studentAbandonedWhere,
+      attributes: ['assessment_id', [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']],
+      group: ['assessment_id'],
+      raw: true
+    });
+    for (const row of abandonedByAssessment) {
+      const key = row.assessment_id || 'none';
+      if (!assessmentTotals[key]) {
+        assessmentTotals[key] = { completed: 0, scoreSum: 0 };
       }
+      assessmentTotals[key].abandoned = parseInt(row.count, 10);
+    }
+
+    const assessmentNames = {};
+    const assessments = await Assessment.findAll({ attributes: ['id', 'name'] });
+    for (const a of assessments) {
+      assessmentNames[a.id] = a.name;
     }
 
+    const assessmentBreakdown = Object.entries(assessmentTotals).map(([key, totals]) => ({
+      assessment_id: key === 'none' ? null : parseInt(key, 10),
+      assessment_name: key === 'none' ? null : (assessmentNames[key] || null),
+      completed_attempts: totals.completed,
+      abandoned_attempts: totals.abandoned || 0,
+      average_score: totals.completed > 0 ? Math.round((totals.scoreSum / totals.completed) * 100) / 100 : null
+    }));
+
     // Get career cluster distribution from Career model
     const careerClusterDistribution = {};
-    const careers = await Career.findAll();
+    const careers = await Career.findAll({
+      include: assessment
+        ? [{
+          model: InterpretedResult,
+          as: 'interpretedResult',
+          attributes: [],
+          required: true,
+          include: [{ model: TestAttempt, as: 'testAttempt', attributes: [], where: attemptWhere, required: true }]
+        }]
+        : []
+    });
 
     for (const career of careers) {
       // Use category if available, otherwise use career_name
@@ -77,9 +145,15 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
       total_counsellors: totalCounsellors,
       total_attempts: totalAttempts,
       completed_attempts: completedAttempts,
+      in_progress_attempts: inProgressAttempts,
+      abandoned_attempts: abandonedAttempts,
+      abandonment_rate: totalAttempts > 0 ? Math.round((abandonedAttempts / totalAttempts) * 10000) / 100 : 0.0,
       average_score: Math.round(averageScore * 100) / 100,
       readiness_distribution: readinessDistribution,
-      career_cluster_distribution: careerClusterDistribution
+      readiness_policy_version: readinessPolicy.version,
+      career_cluster_distribution: careerClusterDistribution,
+      assessment: assessment ? { id: assessment.id, name: assessment.name } : null,
+      assessment_breakdown: assessmentBreakdown
     });
   } catch (error) {
     console.error(`❌ Error in get_analytics: ${error.message}`);
@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const {
+  User, UserRole, Student, Section, TestAttempt, TestStatus,
+  TestBlueprint, Assessment, AssessmentSection
+} = require('../models');
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+
+function formatAssessment(assessment, studentCount = null) {
+  const sections = (assessment.sections || [])
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map(row => ({
+      section_id: row.section_id,
+      position: row.position,
+      name: row.section ? row.section.name : null,
+      order_index: row.section ? row.section.order_index : null
+    }));
+
+  const formatted = {
+    id: assessment.id,
+    name: assessment.name,
+    description: assessment.description || null,
+    blueprint_id: assessment.blueprint_id || null,
+    blueprint_name: assessment.blueprint ? assessment.blueprint.name : null,
+    is_default: !!assessment.is_default,
+    is_active: !!assessment.is_active,
+    sections: sections,
+    created_by: assessment.created_by || null,
+    created_at: assessment.created_at ? new Date(assessment.created_at).toISOString() : null
+  };
+
+  if (studentCount !== null) {
+    formatted.assigned_students = studentCount;
+  }
+
+  return formatted;
+}
+
+const assessmentIncludes = [
+  {
+    model: AssessmentSection,
+    as: 'sections',
+    include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }]
+  },
+  { model: TestBlueprint, as: 'blueprint', attributes: ['id', 'name'] }
+];
+
+// Parse the ordered section_ids array of a create/update body
+// Returns { sectionIds, error }
+async function parseSectionIds(sectionIds) {
+  if (!Array.isArray(sectionIds) || sectionIds.length === 0) {
+    return { sectionIds: null, error: 'section_ids must be a non-empty array in the order sections are taken' };
+  }
+
+  const ids = sectionIds.map(id => parseInt(id, 10));
+  if (ids.some(id => isNaN(id))) {
+    return { sectionIds: null, error: 'section_ids must contain section IDs' };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { sectionIds: null, error: 'section_ids must not contain duplicates' };
+  }
+
+  const sections = await Section.findAll({ where: { id: { [Op.in]: ids } } });
+  if (sections.length !== ids.length) {
+    const found = new Set(sections.map(s => s.id));
+    const missing = ids.filter(id => !found.has(id));
+    return { sectionIds: null, error: `Section(s) not found: ${missing.join(', ')}` };
+  }
+
+  return { sectionIds: ids, error: null };
+}
+
+// Returns an error message when blueprint_id doesn't point at an existing blueprint
+async function validateBlueprintId(blueprintId) {
+  if (!blueprintId) return null;
+  const blueprint = await TestBlueprint.findByPk(blueprintId);
+  return blueprint ? null : 'Test blueprint not found';
+}
+
+// GET /admin/assessments - List assessments (test forms) with their sections
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const assessments = await Assessment.findAll({
+      include: assessmentIncludes,
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+
+    const results = [];
+    for (const assessment of assessments) {
+      const studentCount = await Student.count({ where: { assessment_id: assessment.id } });
+      results.push(formatAssessment(assessment, studentCount));
+    }
+
+    return res.json(results);
+  } catch (error) {
+    console.error(`❌ Error in list_assessments: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get assessments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/assessments/:id - Single assessment
+router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const assessment = await Assessment.findByPk(parseInt(req.params.id, 10), {
+      include: assessmentIncludes
+    });
+    if (!assessment) {
+      return res.status(404).json({ detail: 'Assessment not found' });
+    }
+
+    const studentCount = await Student.count({ where: { assessment_id: assessment.id } });
+    return res.json(formatAssessment(assessment, studentCount));
+  } catch (error) {
+    console.error(`❌ Error in get_assessment: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get assessment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/assessments - Create an assessment from an ordered set of sections
+router.post('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { name, description, blueprint_id, is_default, section_ids } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ detail: 'name is required' });
+    }
+    const assessmentName = String(name).trim();
+    if (assessmentName.length > 150) {
+      return res.status(400).json({ detail: 'name must be at most 150 characters' });
+    }
+
+    const { sectionIds, error } = await parseSectionIds(section_ids);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const blueprintError = await validateBlueprintId(blueprint_id);
+    if (blueprintError) {
+      return res.status(400).json({ detail: blueprintError });
+    }
+
+    const existing = await Assessment.findOne({ where: { name: assessmentName } });
+    if (existing) {
+      return res.status(409).json({ detail: `Assessment '${assessmentName}' already exists` });
+    }
+
+    const isDefault = is_default === true || is_default === 'true';
+
+    const transaction = await sequelize.transaction();
+    let assessment;
+    try {
+      if (isDefault) {
+        await Assessment.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      assessment = await Assessment.create({
+        name: assessmentName,
+        description: description || null,
+        blueprint_id: blueprint_id || null,
+        is_default: isDefault,
+        is_active: true,
+        created_by: adminUser.id
+      }, { transaction });
+
+      await AssessmentSection.bulkCreate(sectionIds.map((sectionId, index) => ({
+        assessment_id: assessment.id,
+        section_id: sectionId,
+        position: index + 1
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (txError) {
+      await transaction.rollback();
+      throw txError;
+    }
+
+    console.log(`✅ Assessment '${assessmentName}' created with ${sectionIds.length} sections`);
+    const created = await Assessment.findByPk(assessment.id, { include: assessmentIncludes });
+    return res.status(201).json(formatAssessment(created, 0));
+  } catch (error) {
+    console.error(`❌ Error in create_assessment: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to create assessment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/assessments/:id - Update an assessment
+// Sections can't change while attempts of this assessment are still in progress
+router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const assessment = await Assessment.findByPk(parseInt(req.params.id, 10));
+    if (!assessment) {
+      return res.status(404).json({ detail: 'Assessment not found' });
+    }
+
+    const { name, description, blueprint_id, is_default, is_active, section_ids } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      const assessmentName = String(name || '').trim();
+      if (!assessmentName || assessmentName.length > 150) {
+        return res.status(400).json({ detail: 'name must be 1-150 characters' });
+      }
+      const existing = await Assessment.findOne({
+        where: { name: assessmentName, id: { [Op.ne]: assessment.id } }
+      });
+      if (existing) {
+        return res.status(409).json({ detail: `Assessment '${assessmentName}' already exists` });
+      }
+      updates.name = assessmentName;
+    }
+
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+
+    if (blueprint_id !== undefined) {
+      const blueprintError = await validateBlueprintId(blueprint_id);
+      if (blueprintError) {
+        return res.status(400).json({ detail: blueprintError });
+      }
+      updates.blueprint_id = blueprint_id || null;
+    }
+
+    if (is_default !== undefined) {
+      updates.is_default = is_default === true || is_default === 'true';
+    }
+    if (is_active !== undefined) {
+      updates.is_active = is_active === true || is_active === 'true';
+    }
+
+    const willBeDefault = updates.is_default !== undefined ? updates.is_default : !!assessment.is_default;
+    const willBeActive = updates.is_active !== undefined ? updates.is_active : !!assessment.is_active;
+    if (assessment.is_default && (!willBeDefault || !willBeActive)) {
+      return res.status(400).json({ detail: 'Mark another assessment as default before changing or deactivating this one' });
+    }
+
+    let sectionIds = null;
+    if (section_ids !== undefined) {
+      const parsed = await parseSectionIds(section_ids);
+      if (parsed.error) {
+        return res.status(400).json({ detail: parsed.error });
+      }
+      sectionIds = parsed.sectionIds;
+
+      const inProgressCount = await TestAttempt.count({
+        where: { assessment_id: assessment.id, status: TestStatus.IN_PROGRESS }
+      });
+      if (inProgressCount > 0) {
+        return res.status(409).json({
+          detail: `${inProgressCount} in-progress attempt(s) are taking this assessment. Wait for them to finish or create a new assessment.`
+        });
+      }
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      if (updates.is_default && !assessment.is_default) {
+        await Assessment.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      await assessment.update(updates, { transaction });
+
+      if (sectionIds) {
+        await AssessmentSection.destroy({ where: { assessment_id: assessment.id }, transaction });
+        await AssessmentSection.bulkCreate(sectionIds.map((sectionId, index) => ({
+          assessment_id: assessment.id,
+          section_id: sectionId,
+          position: index + 1
+        })), { transaction });
+      }
+
+      await transaction.commit();
+    } catch (txError) {
+      await transaction.rollback();
+      throw txError;
+    }
+
+    console.log(`✅ Assessment ${assessment.id} ('${assessment.name}') updated`);
+    const updated = await Assessment.findByPk(assessment.id, { include: assessmentIncludes });
+    const studentCount = await Student.count({ where: { assessment_id: assessment.id } });
+    return res.json(formatAssessment(updated, studentCount));
+  } catch (error) {
+    console.error(`❌ Error in update_assessment: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update assessment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/assessments/:id/assign - Assign the assessment to students (by user ID)
+// Takes effect on the student's next attempt; attempts already started keep their assessment
+router.post('/:id/assign', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const assessment = await Assessment.findByPk(parseInt(req.params.id, 10));
+    if (!assessment) {
+      return res.status(404).json({ detail: 'Assessment not found' });
+    }
+    if (!assessment.is_active) {
+      return res.status(400).json({ detail: 'Cannot assign an inactive assessment' });
+    }
+
+    const { student_ids } = req.body;
+    if (!Array.isArray(student_ids) || student_ids.length === 0) {
+      return res.status(400).json({ detail: 'student_ids must be a non-empty array' });
+    }
+
+    const userIds = student_ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    const students = await User.findAll({
+      where: { id: { [Op.in]: userIds }, role: UserRole.STUDENT },
+      attributes: ['id']
+    });
+    const studentUserIds = students.map(u => u.id);
+
+    const [assignedCount] = await Student.update(
+      { assessment_id: assessment.id },
+      { where: { user_id: { [Op.in]: studentUserIds } } }
+    );
+
+    const notFound = userIds.filter(id => !studentUserIds.includes(id));
+    console.log(`✅ Assessment '${assessment.name}' assigned to ${assignedCount} students`);
+
+    return res.json({
+      message: `Assessment '${assessment.name}' assigned to ${assignedCount} students`,
+      assessment_id: assessment.id,
+      assigned_count: assignedCount,
+      not_found: notFound
+    });
+  } catch (error) {
+    console.error(`❌ Error in assign_assessment: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to assign assessment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
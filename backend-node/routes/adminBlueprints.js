@@ -0,0 +1,344 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { User, Section, TestAttempt, TestStatus, TestBlueprint, TestBlueprintSection } = require('../models');
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { DEFAULT_SECTION_RULE, parseMix, validateSectionRule } = require('../services/testBlueprint');
+
+function formatBlueprint(blueprint) {
+  const sections = (blueprint.sections || [])
+    .map(rule => ({
+      section_id: rule.section_id,
+      section_name: rule.section ? rule.section.name : null,
+      order_index: rule.section ? rule.section.order_index : null,
+      question_count: rule.question_count,
+      time_limit_seconds: rule.time_limit_seconds,
+      difficulty_mix: parseMix(rule.difficulty_mix),
+      type_mix: parseMix(rule.type_mix)
+    }))
+    .sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
+
+  return {
+    id: blueprint.id,
+    name: blueprint.name,
+    description: blueprint.description || null,
+    center: blueprint.center || null,
+    is_default: !!blueprint.is_default,
+    is_active: !!blueprint.is_active,
+    sections: sections,
+    total_questions: sections.reduce((sum, s) => sum + s.question_count, 0),
+    total_time_seconds: sections.reduce((sum, s) => sum + s.time_limit_seconds, 0),
+    created_by: blueprint.created_by || null,
+    created_at: blueprint.created_at ? new Date(blueprint.created_at).toISOString() : null,
+    updated_at: blueprint.updated_at ? new Date(blueprint.updated_at).toISOString() : null
+  };
+}
+
+async function loadBlueprint(blueprintId) {
+  return TestBlueprint.findByPk(blueprintId, {
+    include: [{
+      model: TestBlueprintSection,
+      as: 'sections',
+      include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }]
+    }]
+  });
+}
+
+// Parse and validate the sections array of a create/update body
+// Returns { rules, error }
+async function parseSectionRules(sections) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { rules: null, error: 'sections must be a non-empty array' };
+  }
+
+  const rules = [];
+  const seenSectionIds = new Set();
+  for (const entry of sections) {
+    const section = entry && entry.section_id ? await Section.findByPk(entry.section_id) : null;
+    if (!section) {
+      return { rules: null, error: `Section not found (ID: ${entry ? entry.section_id : undefined})` };
+    }
+    if (seenSectionIds.has(section.id)) {
+      return { rules: null, error: `Section ${section.id} is listed more than once` };
+    }
+    seenSectionIds.add(section.id);
+
+    const rule = {
+      question_count: entry.question_count != null ? parseInt(entry.question_count, 10) : DEFAULT_SECTION_RULE.question_count,
+      time_limit_seconds: entry.time_limit_seconds != null ? parseInt(entry.time_limit_seconds, 10) : DEFAULT_SECTION_RULE.time_limit_seconds,
+      difficulty_mix: entry.difficulty_mix || null,
+      type_mix: entry.type_mix || null
+    };
+
+    const ruleError = validateSectionRule(rule);
+    if (ruleError) {
+      return { rules: null, error: `${section.name}: ${ruleError}` };
+    }
+
+    rules.push({
+      section_id: section.id,
+      question_count: rule.question_count,
+      time_limit_seconds: rule.time_limit_seconds,
+      difficulty_mix: rule.difficulty_mix ? JSON.stringify(rule.difficulty_mix) : null,
+      type_mix: rule.type_mix ? JSON.stringify(rule.type_mix) : null
+    });
+  }
+
+  return { rules, error: null };
+}
+
+// Returns an error message when the center value is not a known center
+function validateCenter(center) {
+  const centers = User.rawAttributes.center.values;
+  if (center && !centers.includes(center)) {
+    return `Invalid center. Must be one of: ${centers.join(', ')}`;
+  }
+  return null;
+}
+
+// Only one active blueprint per center, so the blueprint a student gets is unambiguous
+async function findCenterConflict(center, excludeId = null) {
+  if (!center) return null;
+  const where = { center, is_active: true };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+  return TestBlueprint.findOne({ where });
+}
+
+// GET /admin/blueprints - List test blueprints with their section rules
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const blueprints = await TestBlueprint.findAll({
+      include: [{
+        model: TestBlueprintSection,
+        as: 'sections',
+        include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }]
+      }],
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+
+    return res.json(blueprints.map(formatBlueprint));
+  } catch (error) {
+    console.error(`❌ Error in list_blueprints: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get test blueprints',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/blueprints/:id - Single blueprint
+router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const blueprint = await loadBlueprint(parseInt(req.params.id, 10));
+    if (!blueprint) {
+      return res.status(404).json({ detail: 'Test blueprint not found' });
+    }
+    return res.json(formatBlueprint(blueprint));
+  } catch (error) {
+    console.error(`❌ Error in get_blueprint: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get test blueprint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/blueprints - Create a blueprint for a center (or a new default)
+router.post('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { name, description, center, is_default, sections } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ detail: 'name is required' });
+    }
+    const blueprintName = String(name).trim();
+    if (blueprintName.length > 100) {
+      return res.status(400).json({ detail: 'name must be at most 100 characters' });
+    }
+
+    const centerError = validateCenter(center);
+    if (centerError) {
+      return res.status(400).json({ detail: centerError });
+    }
+
+    const isDefault = is_default === true || is_default === 'true';
+    if (isDefault && center) {
+      return res.status(400).json({ detail: 'The default blueprint cannot be tied to a center' });
+    }
+
+    const { rules, error } = await parseSectionRules(sections);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const existing = await TestBlueprint.findOne({ where: { name: blueprintName } });
+    if (existing) {
+      return res.status(409).json({ detail: `Test blueprint '${blueprintName}' already exists` });
+    }
+
+    const conflict = await findCenterConflict(center);
+    if (conflict) {
+      return res.status(409).json({
+        detail: `Center ${center} already has an active blueprint '${conflict.name}'. Deactivate it first.`
+      });
+    }
+
+    const transaction = await sequelize.transaction();
+    let blueprint;
+    try {
+      if (isDefault) {
+        await TestBlueprint.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      blueprint = await TestBlueprint.create({
+        name: blueprintName,
+        description: description || null,
+        center: center || null,
+        is_default: isDefault,
+        is_active: true,
+        created_by: adminUser.id
+      }, { transaction });
+
+      await TestBlueprintSection.bulkCreate(
+        rules.map(rule => ({ ...rule, blueprint_id: blueprint.id })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (txError) {
+      await transaction.rollback();
+      throw txError;
+    }
+
+    console.log(`✅ Test blueprint '${blueprintName}' created (center=${center || 'none'}, default=${isDefault})`);
+    return res.status(201).json(formatBlueprint(await loadBlueprint(blueprint.id)));
+  } catch (error) {
+    console.error(`❌ Error in create_blueprint: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to create test blueprint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/blueprints/:id - Update a blueprint
+// Section rules can't change while attempts started with this blueprint are still in progress
+router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const blueprint = await TestBlueprint.findByPk(parseInt(req.params.id, 10));
+    if (!blueprint) {
+      return res.status(404).json({ detail: 'Test blueprint not found' });
+    }
+
+    const { name, description, center, is_default, is_active, sections } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      const blueprintName = String(name || '').trim();
+      if (!blueprintName || blueprintName.length > 100) {
+        return res.status(400).json({ detail: 'name must be 1-100 characters' });
+      }
+      const existing = await TestBlueprint.findOne({
+        where: { name: blueprintName, id: { [Op.ne]: blueprint.id } }
+      });
+      if (existing) {
+        return res.status(409).json({ detail: `Test blueprint '${blueprintName}' already exists` });
+      }
+      updates.name = blueprintName;
+    }
+
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+
+    if (center !== undefined) {
+      const centerError = validateCenter(center);
+      if (centerError) {
+        return res.status(400).json({ detail: centerError });
+      }
+      updates.center = center || null;
+    }
+
+    if (is_default !== undefined) {
+      updates.is_default = is_default === true || is_default === 'true';
+    }
+    if (is_active !== undefined) {
+      updates.is_active = is_active === true || is_active === 'true';
+    }
+
+    const willBeDefault = updates.is_default !== undefined ? updates.is_default : !!blueprint.is_default;
+    const willBeActive = updates.is_active !== undefined ? updates.is_active : !!blueprint.is_active;
+    const finalCenter = updates.center !== undefined ? updates.center : blueprint.center;
+
+    if (willBeDefault && finalCenter) {
+      return res.status(400).json({ detail: 'The default blueprint cannot be tied to a center' });
+    }
+    if (blueprint.is_default && (!willBeDefault || !willBeActive)) {
+      return res.status(400).json({ detail: 'Mark another blueprint as default before changing or deactivating this one' });
+    }
+
+    if (willBeActive) {
+      const conflict = await findCenterConflict(finalCenter, blueprint.id);
+      if (conflict) {
+        return res.status(409).json({
+          detail: `Center ${finalCenter} already has an active blueprint '${conflict.name}'. Deactivate it first.`
+        });
+      }
+    }
+
+    let rules = null;
+    if (sections !== undefined) {
+      const parsed = await parseSectionRules(sections);
+      if (parsed.error) {
+        return res.status(400).json({ detail: parsed.error });
+      }
+      rules = parsed.rules;
+
+      const inProgressCount = await TestAttempt.count({
+        where: { blueprint_id: blueprint.id, status: TestStatus.IN_PROGRESS }
+      });
+      if (inProgressCount > 0) {
+        return res.status(409).json({
+          detail: `${inProgressCount} in-progress attempt(s) use this blueprint. Create a new blueprint instead of changing its sections.`
+        });
+      }
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      if (updates.is_default && !blueprint.is_default) {
+        await TestBlueprint.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      await blueprint.update(updates, { transaction });
+
+      if (rules) {
+        await TestBlueprintSection.destroy({ where: { blueprint_id: blueprint.id }, transaction });
+        await TestBlueprintSection.bulkCreate(
+          rules.map(rule => ({ ...rule, blueprint_id: blueprint.id })),
+          { transaction }
+        );
+      }
+
+      await transaction.commit();
+    } catch (txError) {
+      await transaction.rollback();
+      throw txError;
+    }
+
+    console.log(`✅ Test blueprint ${blueprint.id} ('${blueprint.name}') updated`);
+    return res.json(formatBlueprint(await loadBlueprint(blueprint.id)));
+  } catch (error) {
+    console.error(`❌ Error in update_blueprint: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update test blueprint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { NormSet, NormEntry } = require('../models');
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { buildNormTables, freezeNormSet, activateNormSet } = require('../services/norms');
+
+// Percentile table summary (quartiles) - the full 99-point table is only returned for a single set
+function formatNormEntry(entry, includeTable = false) {
+  const table = Array.isArray(entry.percentile_table)
+    ? entry.percentile_table
+    : JSON.parse(entry.percentile_table || '[]');
+
+  const formatted = {
+    dimension: entry.dimension,
+    education_group: entry.education_group || null,
+    sample_size: entry.sample_size,
+    mean: entry.mean != null ? Math.round(entry.mean * 100) / 100 : null,
+    std_dev: entry.std_dev != null ? Math.round(entry.std_dev * 100) / 100 : null,
+    p25: table.length === 99 ? Math.round(table[24] * 100) / 100 : null,
+    p50: table.length === 99 ? Math.round(table[49] * 100) / 100 : null,
+    p75: table.length === 99 ? Math.round(table[74] * 100) / 100 : null
+  };
+
+  if (includeTable) {
+    formatted.percentile_table = table;
+  }
+
+  return formatted;
+}
+
+function formatNormSet(normSet) {
+  return {
+    id: normSet.id,
+    version_label: normSet.version_label,
+    split_by_education: !!normSet.split_by_education,
+    sample_size: normSet.sample_size,
+    is_active: !!normSet.is_active,
+    created_by: normSet.created_by || null,
+    created_at: normSet.created_at ? new Date(normSet.created_at).toISOString() : null
+  };
+}
+
+// GET /admin/norms - List frozen norm sets
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const normSets = await NormSet.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    return res.json(normSets.map(formatNormSet));
+  } catch (error) {
+    console.error(`❌ Error in list_norm_sets: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get norm sets',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/norms/preview - Build percentile tables from current data without saving
+// IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+router.get('/preview', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const splitByEducation = req.query.split_by_education === 'true';
+    const { sampleSize, entries } = await buildNormTables({ splitByEducation });
+
+    return res.json({
+      split_by_education: splitByEducation,
+      sample_size: sampleSize,
+      entries: entries.map(entry => formatNormEntry(entry))
+    });
+  } catch (error) {
+    console.error(`❌ Error in preview_norms: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to build norm preview',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/norms - Freeze the current population into a versioned norm set
+router.post('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { version_label, split_by_education, activate } = req.body;
+
+    if (!version_label || !String(version_label).trim()) {
+      return res.status(400).json({
+        detail: 'version_label is required'
+      });
+    }
+
+    const versionLabel = String(version_label).trim();
+    if (versionLabel.length > 50) {
+      return res.status(400).json({
+        detail: 'version_label must be at most 50 characters'
+      });
+    }
+
+    const existing = await NormSet.findOne({ where: { version_label: versionLabel } });
+    if (existing) {
+      return res.status(409).json({
+        detail: `Norm set '${versionLabel}' already exists`
+      });
+    }
+
+    console.log(`🔵 Freezing norm set '${versionLabel}' (split_by_education=${!!split_by_education})`);
+    const { normSet, error } = await freezeNormSet({
+      versionLabel,
+      splitByEducation: split_by_education === true || split_by_education === 'true',
+      activate: activate === true || activate === 'true',
+      createdBy: adminUser.id
+    });
+
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+
+    const entries = await NormEntry.findAll({ where: { norm_set_id: normSet.id } });
+    console.log(`✅ Norm set '${versionLabel}' frozen from ${normSet.sample_size} attempts (${entries.length} tables)`);
+
+    return res.status(201).json({
+      ...formatNormSet(normSet),
+      entries: entries.map(entry => formatNormEntry(entry))
+    });
+  } catch (error) {
+    console.error(`❌ Error in freeze_norm_set: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to create norm set',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/norms/:id - Norm set with its percentile tables
+router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const normSetId = parseInt(req.params.id, 10);
+    const normSet = await NormSet.findByPk(normSetId, {
+      include: [{ model: NormEntry, as: 'entries' }]
+    });
+
+    if (!normSet) {
+      return res.status(404).json({
+        detail: 'Norm set not found'
+      });
+    }
+
+    return res.json({
+      ...formatNormSet(normSet),
+      entries: (normSet.entries || []).map(entry => formatNormEntry(entry, true))
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_norm_set: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get norm set',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/norms/:id/activate - Rank new attempts against this norm set
+router.post('/:id/activate', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const normSetId = parseInt(req.params.id, 10);
+    const normSet = await NormSet.findByPk(normSetId);
+
+    if (!normSet) {
+      return res.status(404).json({
+        detail: 'Norm set not found'
+      });
+    }
+
+    await activateNormSet(normSet.id);
+    await normSet.reload();
+    console.log(`✅ Norm set '${normSet.version_label}' activated`);
+
+    return res.json({
+      message: `Norm set '${normSet.version_label}' is now active`,
+      norm_set: formatNormSet(normSet)
+    });
+  } catch (error) {
+    console.error(`❌ Error in activate_norm_set: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to activate norm set',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
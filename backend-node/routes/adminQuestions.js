@@ -1,9 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const { Op, Sequelize } = require('sequelize');
-const { Question, QuestionType, Section, QuestionApproval, ApprovalStatus } = require('../models');
+const config = require('../config');
+const {
+  Question,
+  QuestionType,
+  Section,
+  QuestionApproval,
+  ApprovalStatus,
+  QuestionTranslation,
+  QuestionMedia,
+  QuestionRevision
+} = require('../models');
 const { getCurrentUser, requireAdmin } = require('../middleware/auth');
 const { generateQuestions } = require('../services/geminiQuestionGenerator');
+const { normalizeRiasecType } = require('../services/riasec');
+const { normalizeLearningModality } = require('../services/learningStyle');
+const {
+  TRANSLATION_LANGUAGES,
+  normalizeLanguage,
+  parseTranslation,
+  formatTranslation,
+  saveTranslation,
+  reviewTranslation
+} = require('../services/questionTranslations');
+const {
+  normalizeAltText,
+  validateAltText,
+  parseMediaUpload,
+  storeMedia,
+  deleteMedia,
+  formatMedia
+} = require('../services/questionMedia');
+const {
+  CONTENT_FIELDS,
+  diffContent,
+  ensureCurrentRevision,
+  proposeRevision,
+  rejectRevision,
+  syncCurrentRevisionStatus,
+  rollbackToRevision
+} = require('../services/questionRevisions');
+const {
+  DEFAULT_LIKERT_OPTIONS,
+  readImportFile,
+  validateImportRows,
+  rejectExistingExternalKeys,
+  parseQuestionOptions
+} = require('../services/questionImport');
+const { calculateAutoScaleValue, validateQuestionFields } = require('../services/questionValidation');
+const {
+  QUESTION_STATUSES,
+  findQuestionsForExport,
+  ensureExternalKeys,
+  buildQuestionCsv,
+  buildBundle,
+  parseBundle,
+  reconcileBundle
+} = require('../services/questionBank');
+const {
+  findSimilarQuestions,
+  flagPossibleDuplicates,
+  formatDuplicateMatches,
+  describeDuplicateMatches
+} = require('../services/questionSimilarity');
+const {
+  getReviewPolicy,
+  requiresReview,
+  getRevisionsUnderReview,
+  checkCanReview,
+  approveRevisions,
+  approveQuestions,
+  assignReviewers,
+  unassignReviewer,
+  getReviewStatus,
+  getReviewerQueue
+} = require('../services/questionReview');
 
 // ============================================
 // PERFORMANCE OPTIMIZATION HELPERS
@@ -45,38 +117,6 @@ const generateCursor = (question) => {
   return `${dateValue.toISOString()},${question.id}`;
 };
 
-// Auto-calculate scale_value based on question text keywords
-function calculateAutoScaleValue(questionText) {
-  if (!questionText || typeof questionText !== 'string') {
-    return 2; // Default
-  }
-  
-  const text = questionText.toLowerCase();
-  
-  // Check for scale_value = 5 keywords
-  if (text.includes('always') || text.includes('strongly')) {
-    return 5;
-  }
-  
-  // Check for scale_value = 4 keywords
-  if (text.includes('enjoy') || text.includes('love') || text.includes('interested')) {
-    return 4;
-  }
-  
-  // Check for scale_value = 3 keywords
-  if (text.includes('like') || text.includes('comfortable') || text.includes('prefer')) {
-    return 3;
-  }
-  
-  // Check for scale_value = 2 keywords
-  if (text.includes('sometimes')) {
-    return 2;
-  }
-  
-  // Default scale_value = 2
-  return 2;
-}
-
 // Helper function to parse options string to array
 function parseOptionsToArray(optionsString) {
   if (!optionsString) return [];
@@ -123,6 +163,14 @@ function formatOptionsToString(options) {
   }).join(', ');
 }
 
+// Helper to parse a boolean flag (is_reverse_scored, is_sample) from a request body
+// Returns true/false, or undefined when the value is not a recognisable boolean
+function parseBooleanFlag(value) {
+  if (value === true || value === 1 || value === 'true' || value === '1') return true;
+  if (value === false || value === 0 || value === 'false' || value === '0' || value === null) return false;
+  return undefined;
+}
+
 // GET /admin/questions/sections/list - Get all sections for dropdown
 // IMPORTANT: This route must be defined BEFORE /:id and '' to avoid route conflicts
 router.get('/sections/list', getCurrentUser, requireAdmin, async (req, res) => {
@@ -148,6 +196,97 @@ router.get('/sections/list', getCurrentUser, requireAdmin, async (req, res) => {
   }
 });
 
+// GET /admin/questions/review-queue?reviewer_id= - Questions assigned to a reviewer that still need their approval
+// Defaults to the signed-in admin. Pending edits of live questions are included (is_edit: true).
+router.get('/review-queue', getCurrentUser, requireAdmin, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const reviewerId = req.query.reviewer_id !== undefined ? parseInt(req.query.reviewer_id, 10) : req.user.id;
+    if (isNaN(reviewerId) || reviewerId <= 0) {
+      return res.status(400).json({
+        detail: 'reviewer_id must be a positive integer'
+      });
+    }
+    
+    const queue = await getReviewerQueue(reviewerId);
+    logSlowQuery('review_queue', startTime);
+    
+    return res.json({
+      reviewer_id: reviewerId,
+      total: queue.length,
+      questions: queue
+    });
+  } catch (error) {
+    logSlowQuery('review_queue_error', startTime);
+    console.error(`❌ Error in review_queue: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Comma-separated query list ("1,2" or ["1", "2"]) -> trimmed non-empty strings, or null when absent
+function parseQueryList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item);
+  return items.length > 0 ? items : null;
+}
+
+// GET /admin/questions/export?format=csv|json&section_ids=1,2&status=approved,pending - Export the question bank
+// CSV uses the bulk import's columns; JSON is a portable bundle for POST /admin/questions/import-bundle.
+// IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+router.get('/export', getCurrentUser, requireAdmin, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        detail: 'format must be csv or json'
+      });
+    }
+    
+    const sectionList = parseQueryList(req.query.section_ids);
+    const sectionIds = sectionList ? sectionList.map(id => parseInt(id, 10)) : null;
+    if (sectionIds && sectionIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({
+        detail: 'section_ids must be a comma-separated list of section IDs'
+      });
+    }
+    
+    const statuses = parseQueryList(req.query.status);
+    if (statuses && statuses.some(status => !QUESTION_STATUSES.includes(status))) {
+      return res.status(400).json({
+        detail: `status must be a comma-separated list of: ${QUESTION_STATUSES.join(', ')}`
+      });
+    }
+    
+    const questions = await findQuestionsForExport({ sectionIds, statuses });
+    await ensureExternalKeys(questions);
+    
+    logSlowQuery('export_questions', startTime);
+    
+    const fileName = `question-bank-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8');
+      return res.send(buildQuestionCsv(questions));
+    }
+    
+    return res.json(await buildBundle(questions, { sectionIds, statuses }));
+  } catch (error) {
+    logSlowQuery('export_questions_error', startTime);
+    console.error(`❌ Error in export_questions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to export questions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /admin/questions/generate-ai - Generate AI questions
 // IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
 router.post('/generate-ai', getCurrentUser, requireAdmin, async (req, res) => {
@@ -244,6 +383,7 @@ router.post('/generate-ai', getCurrentUser, requireAdmin, async (req, res) => {
           questionData.options = 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree';
           questionData.correct_answer = null;
           questionData.scale_value = calculateAutoScaleValue(aiQuestion.question_text);
+          questionData.is_reverse_scored = aiQuestion.is_reverse_scored === true;
         } else {
           // MULTIPLE_CHOICE: format options, include correct_answer, no scale_value
           // DO NOT call options.map for LIKERT - this is MULTIPLE_CHOICE only
@@ -292,6 +432,8 @@ router.post('/generate-ai', getCurrentUser, requireAdmin, async (req, res) => {
             order_index: savedQuestion.section.order_index
           } : null,
           difficulty_level: savedQuestion.difficulty_level || 'Medium',
+          is_reverse_scored: !!savedQuestion.is_reverse_scored,
+          is_sample: !!savedQuestion.is_sample,
           status: savedQuestion.status || 'pending',
           source: savedQuestion.source || 'ai',
           is_active: savedQuestion.is_active,
@@ -318,10 +460,19 @@ router.post('/generate-ai', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
+    // AI output often repeats statements already in the bank (or in the same batch); flag them for approvers
+    const duplicates = await flagPossibleDuplicates(savedQuestions);
+    for (const savedQuestion of savedQuestions) {
+      savedQuestion.is_possible_duplicate = duplicates[savedQuestion.id].length > 0;
+      savedQuestion.possible_duplicates = await describeDuplicateMatches(duplicates[savedQuestion.id]);
+    }
+    const duplicateCount = savedQuestions.filter(q => q.is_possible_duplicate).length;
+    
     return res.status(201).json({
-      message: `Successfully generated and saved ${savedQuestions.length} question(s)`,
+      message: `Successfully generated and saved ${savedQuestions.length} question(s)${duplicateCount > 0 ? `, ${duplicateCount} flagged as possible duplicates` : ''}`,
       questions: savedQuestions,
-      count: savedQuestions.length
+      count: savedQuestions.length,
+      possible_duplicate_count: duplicateCount
     });
   } catch (error) {
     console.error(`❌ Error in generate_ai_questions: ${error.message}`);
@@ -346,7 +497,9 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
       status, 
       question_type,
       search,
-      only_pending 
+      only_pending,
+      is_sample,
+      possible_duplicate
     } = req.query;
     
     const pageNum = Math.max(1, parseInt(page) || 1);
@@ -389,6 +542,12 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
     if (question_type) {
       where.question_type = question_type;
     }
+    if (is_sample === 'true' || is_sample === 'false') {
+      where.is_sample = is_sample === 'true';
+    }
+    if (possible_duplicate === 'true' || possible_duplicate === 'false') {
+      where.is_possible_duplicate = possible_duplicate === 'true';
+    }
     // Note: difficulty_level column doesn't exist in DB, so we skip this filter
     
     // Full-text search
@@ -404,7 +563,8 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
       attributes: [
         'id', 'question_text', 'question_type', 'options', 'correct_answer',
         'section_id', 'status', 'source', 'is_active',
-        'order_index', 'created_by', 'difficulty_level', 'created_at', 'updated_at'
+        'order_index', 'created_by', 'difficulty_level', 'riasec_type', 'learning_modality', 'is_reverse_scored', 'is_sample',
+        'is_possible_duplicate', 'duplicate_matches', 'created_at', 'updated_at'
       ],
       include: [
         {
@@ -471,6 +631,12 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
         })(),
         order_index: q.order_index || 0,
         difficulty_level: difficultyLevel || 'Medium',
+        riasec_type: q.riasec_type || null,
+        learning_modality: q.learning_modality || null,
+        is_reverse_scored: !!q.is_reverse_scored,
+        is_sample: !!q.is_sample,
+        is_possible_duplicate: !!q.is_possible_duplicate,
+        possible_duplicates: formatDuplicateMatches(q.duplicate_matches),
         created_by: q.created_by || null,
         created_at: (() => {
           const val = q.getDataValue ? q.getDataValue('created_at') : (q.dataValues?.created_at || q.created_at);
@@ -539,6 +705,24 @@ router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
     }
     
     const options = parseOptionsToArray(question.options);
+    const translations = await QuestionTranslation.findAll({
+      where: { question_id: question.id },
+      attributes: ['language', 'status']
+    });
+    const media = await QuestionMedia.findAll({
+      where: { question_id: question.id },
+      order: [['option_key', 'ASC'], ['position', 'ASC'], ['id', 'ASC']]
+    });
+    const pendingRevision = await QuestionRevision.findOne({
+      where: {
+        question_id: question.id,
+        status: 'pending',
+        ...(question.current_revision_id ? { id: { [Op.ne]: question.current_revision_id } } : {})
+      },
+      attributes: ['id', 'revision_number'],
+      order: [['revision_number', 'DESC']]
+    });
+    const possibleDuplicates = await describeDuplicateMatches(question.duplicate_matches);
     
     return res.json({
       id: question.id,
@@ -555,10 +739,23 @@ router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
         order_index: question.section.order_index
       } : null,
         difficulty_level: question.difficulty_level || 'Medium',
+        riasec_type: question.riasec_type || null,
+        learning_modality: question.learning_modality || null,
+        is_reverse_scored: !!question.is_reverse_scored,
+        is_sample: !!question.is_sample,
         status: question.status || 'pending',
         source: question.source || 'manual',
         is_active: question.is_active,
         order_index: question.order_index,
+        translations: translations.map(t => ({ language: t.language, status: t.status })),
+        media: media.map(formatMedia),
+        is_possible_duplicate: !!question.is_possible_duplicate,
+        possible_duplicates: possibleDuplicates,
+        current_revision_id: question.current_revision_id || null,
+        pending_revision: pendingRevision ? {
+          id: pendingRevision.id,
+          revision_number: pendingRevision.revision_number
+        } : null,
         created_by: question.created_by || null,
         created_at: (() => {
           const val = question.getDataValue ? question.getDataValue('created_at') : (question.dataValues?.created_at || question.created_at);
@@ -594,32 +791,63 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
       scale_value, // Ignored - will be auto-calculated
       section_id,
       difficulty_level,
+      riasec_type,
+      learning_modality,
+      is_reverse_scored,
+      is_sample,
       status
       // order_index is auto-generated, ignore if provided
     } = req.body;
     
-    // Validation
-    if (!question_text || !question_text.trim()) {
-      return res.status(400).json({
-        detail: 'question_text is required'
-      });
+    // Format options
+    let optionsString = '';
+    if (Array.isArray(options)) {
+      // For LIKERT_SCALE, ensure we have valid options
+      if (question_type === 'LIKERT_SCALE' && options.length > 0) {
+        optionsString = formatOptionsToString(options);
+      } else if (question_type === 'LIKERT_SCALE') {
+        // Default Likert options if not provided
+        optionsString = DEFAULT_LIKERT_OPTIONS;
+      } else {
+        optionsString = formatOptionsToString(options);
+      }
+    } else if (typeof options === 'string') {
+      optionsString = options;
+    } else if (question_type === 'LIKERT_SCALE' && !options) {
+      // Default Likert options if options is missing
+      optionsString = DEFAULT_LIKERT_OPTIONS;
     }
     
-    if (!question_type || !['MULTIPLE_CHOICE', 'LIKERT_SCALE'].includes(question_type)) {
+    const reverseScored = is_reverse_scored === undefined ? false : parseBooleanFlag(is_reverse_scored);
+    if (reverseScored === undefined) {
       return res.status(400).json({
-        detail: 'question_type must be MULTIPLE_CHOICE or LIKERT_SCALE'
+        detail: 'is_reverse_scored must be a boolean'
       });
     }
     
-    if (question_type === 'MULTIPLE_CHOICE' && !options) {
+    // Same rules as the sheet and bundle imports. scale_value is NOT taken from the body:
+    // it is auto-calculated (2-5) for LIKERT_SCALE and null for other types
+    const { question: fields, errors: fieldErrors } = validateQuestionFields({
+      question_text,
+      question_type,
+      options: parseQuestionOptions(optionsString),
+      correct_answer,
+      difficulty_level,
+      riasec_type,
+      learning_modality,
+      is_reverse_scored: reverseScored
+    });
+    if (!fields) {
       return res.status(400).json({
-        detail: 'options are required for MULTIPLE_CHOICE questions'
+        detail: fieldErrors[0],
+        errors: fieldErrors
       });
     }
     
-    if (question_type === 'MULTIPLE_CHOICE' && !correct_answer) {
+    const sampleQuestion = is_sample === undefined ? false : parseBooleanFlag(is_sample);
+    if (sampleQuestion === undefined) {
       return res.status(400).json({
-        detail: 'correct_answer is required for MULTIPLE_CHOICE questions'
+        detail: 'is_sample must be a boolean'
       });
     }
     
@@ -639,47 +867,17 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
-    // NOTE: scale_value is NOT required - it will be auto-calculated for LIKERT_SCALE
-    // Frontend should NOT send scale_value, but if it does, we ignore it
     console.log('✅ All validations passed. Proceeding with question creation...');
-    
-    // Format options
-    let optionsString = '';
-    if (Array.isArray(options)) {
-      // For LIKERT_SCALE, ensure we have valid options
-      if (question_type === 'LIKERT_SCALE' && options.length > 0) {
-        optionsString = formatOptionsToString(options);
-      } else if (question_type === 'LIKERT_SCALE') {
-        // Default Likert options if not provided
-        optionsString = 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree';
-      } else {
-        optionsString = formatOptionsToString(options);
-      }
-    } else if (typeof options === 'string') {
-      optionsString = options;
-    } else if (question_type === 'LIKERT_SCALE' && !options) {
-      // Default Likert options if options is missing
-      optionsString = 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree';
-    }
-    
-    // AUTO-CALCULATE scale_value from question_text (backend safety: ignore frontend input)
-    // For LIKERT_SCALE questions, scale_value is ALWAYS auto-calculated
-    // For other types, scale_value is null
-    let autoScaleValue = null;
-    if (question_type === 'LIKERT_SCALE') {
-      autoScaleValue = calculateAutoScaleValue(question_text);
-      // Ensure we have a valid scale_value (should always be 2-5)
-      if (!autoScaleValue || autoScaleValue < 2 || autoScaleValue > 5) {
-        console.warn(`⚠️ Auto-calculated scale_value is invalid: ${autoScaleValue}, defaulting to 2`);
-        autoScaleValue = 2;
-      }
-      console.log(`✅ Auto-calculated scale_value for LIKERT question: ${autoScaleValue} (from: "${question_text.substring(0, 50)}...")`);
+    if (fields.scale_value !== null) {
+      console.log(`✅ Auto-calculated scale_value for LIKERT question: ${fields.scale_value} (from: "${fields.question_text.substring(0, 50)}...")`);
     }
     
     // Admin-created questions: source='ADMIN', status='approved', is_active=true
-    const finalStatus = status || 'approved';
+    // unless the review policy wants other reviewers to approve them first
+    const needsReview = requiresReview(await getReviewPolicy());
+    const finalStatus = needsReview ? 'pending' : (status || 'approved');
     const finalSource = 'ADMIN'; // Always ADMIN for manual creation
-    const isActive = true;
+    const isActive = !needsReview;
     
     // Auto-increment order_index for this section
     const maxOrder = await Question.max('order_index', {
@@ -689,27 +887,24 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
     
     // Prepare create data - ensure scale_value is set correctly for LIKERT_SCALE
     const createData = {
-      question_text: question_text.trim(),
-      question_type: question_type,
+      question_text: fields.question_text,
+      question_type: fields.question_type,
       options: optionsString,
-      correct_answer: correct_answer || null,
+      correct_answer: fields.correct_answer,
       section_id: section_id,
-      difficulty_level: difficulty_level || 'Medium',
+      difficulty_level: fields.difficulty_level,
+      riasec_type: fields.riasec_type,
+      learning_modality: fields.learning_modality,
+      is_reverse_scored: fields.is_reverse_scored,
+      is_sample: sampleQuestion,
+      scale_value: fields.scale_value, // Auto-calculated for LIKERT_SCALE (2-5), null for other types
       status: finalStatus, // 'approved' for admin-created questions
       source: finalSource, // 'ADMIN'
-      is_active: 1, // Explicitly set to 1 (MySQL TINYINT true)
+      is_active: isActive ? 1 : 0, // Explicitly 1/0 (MySQL TINYINT)
       order_index: finalOrderIndex,
       created_by: adminUser.id
     };
     
-    // Set scale_value ONLY for LIKERT_SCALE questions (auto-calculated, always 2-5)
-    // For other types, explicitly set to null (database allows null)
-    if (question_type === 'LIKERT_SCALE') {
-      createData.scale_value = autoScaleValue; // Auto-calculated value (2-5, guaranteed by validation above)
-    } else {
-      createData.scale_value = null; // Explicitly null for non-LIKERT questions
-    }
-    
     console.log(`📝 Creating ${question_type} question with scale_value:`, createData.scale_value);
     
     // Create question - explicitly set is_active to true (use 1 for MySQL TINYINT compatibility)
@@ -725,11 +920,16 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
     console.log('✅ Created question - is_active from getDataValue:', savedIsActive, 'type:', typeof savedIsActive);
     
     // If somehow it's 0, update it immediately
-    if (savedIsActive === 0 || savedIsActive === false) {
+    if (isActive && (savedIsActive === 0 || savedIsActive === false)) {
       console.warn('⚠️ WARNING: is_active was saved as 0/false, updating to 1');
       await question.update({ is_active: 1 });
     }
     
+    const duplicates = await flagPossibleDuplicates([question]);
+    if (duplicates[question.id].length > 0) {
+      console.warn(`⚠️ Question ${question.id} looks like a duplicate of question(s) ${duplicates[question.id].map(m => m.question_id).join(', ')}`);
+    }
+    
     // Fetch with section info
     const createdQuestion = await Question.findOne({
       where: { id: question.id },
@@ -769,10 +969,16 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
         order_index: createdQuestion.section.order_index
       } : null,
       difficulty_level: createdQuestion.difficulty_level || 'Medium',
+      riasec_type: createdQuestion.riasec_type || null,
+      learning_modality: createdQuestion.learning_modality || null,
+      is_reverse_scored: !!createdQuestion.is_reverse_scored,
+      is_sample: !!createdQuestion.is_sample,
       status: createdQuestion.status || 'approved',
       source: createdQuestion.source || 'manual',
       is_active: isActiveBoolean, // Explicitly convert to boolean
       order_index: createdQuestion.order_index,
+      is_possible_duplicate: duplicates[question.id].length > 0,
+      possible_duplicates: await describeDuplicateMatches(duplicates[question.id]),
       created_by: createdQuestion.created_by,
       created_at: (() => {
         const val = createdQuestion.getDataValue ? createdQuestion.getDataValue('created_at') : (createdQuestion.dataValues?.created_at || createdQuestion.created_at);
@@ -830,8 +1036,13 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       scale_value,
       section_id,
       difficulty_level,
+      riasec_type,
+      learning_modality,
+      is_reverse_scored,
+      is_sample,
       status,
-      order_index
+      order_index,
+      change_note
     } = req.body;
     
     // Validation
@@ -847,6 +1058,42 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
+    const normalizedRiasecType = normalizeRiasecType(riasec_type);
+    if (riasec_type !== undefined && normalizedRiasecType === undefined) {
+      return res.status(400).json({
+        detail: 'riasec_type must be one of R, I, A, S, E, C'
+      });
+    }
+    
+    const normalizedLearningModality = normalizeLearningModality(learning_modality);
+    if (learning_modality !== undefined && normalizedLearningModality === undefined) {
+      return res.status(400).json({
+        detail: 'learning_modality must be one of V, A, R, K'
+      });
+    }
+    
+    const reverseScored = parseBooleanFlag(is_reverse_scored);
+    if (is_reverse_scored !== undefined && reverseScored === undefined) {
+      return res.status(400).json({
+        detail: 'is_reverse_scored must be a boolean'
+      });
+    }
+    
+    const sampleQuestion = parseBooleanFlag(is_sample);
+    if (is_sample !== undefined && sampleQuestion === undefined) {
+      return res.status(400).json({
+        detail: 'is_sample must be a boolean'
+      });
+    }
+    
+    const effectiveQuestionType = question_type !== undefined ? question_type : question.question_type;
+    const effectiveReverseScored = is_reverse_scored !== undefined ? reverseScored : !!question.is_reverse_scored;
+    if (effectiveReverseScored && effectiveQuestionType !== 'LIKERT_SCALE') {
+      return res.status(400).json({
+        detail: 'is_reverse_scored is only supported for LIKERT_SCALE questions'
+      });
+    }
+    
     if (section_id) {
       const section = await Section.findByPk(section_id);
       if (!section) {
@@ -856,6 +1103,13 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       }
     }
     
+    if (status === 'approved' && question.status !== 'approved' && requiresReview(await getReviewPolicy())) {
+      return res.status(409).json({
+        error_code: 'REVIEW_REQUIRED',
+        detail: 'This question needs reviewer approval; use POST /admin/questions/:id/approve'
+      });
+    }
+    
     // Build update object
     const updateData = {};
     
@@ -898,6 +1152,22 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       updateData.difficulty_level = difficulty_level;
     }
     
+    if (riasec_type !== undefined) {
+      updateData.riasec_type = normalizedRiasecType;
+    }
+    
+    if (learning_modality !== undefined) {
+      updateData.learning_modality = normalizedLearningModality;
+    }
+    
+    if (is_reverse_scored !== undefined) {
+      updateData.is_reverse_scored = reverseScored;
+    }
+    
+    if (is_sample !== undefined) {
+      updateData.is_sample = sampleQuestion;
+    }
+    
     if (status !== undefined) {
       updateData.status = status;
       // Update is_active based on status (only approved questions are active)
@@ -908,9 +1178,46 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       updateData.order_index = order_index;
     }
     
+    // Content changes become a new revision. On an approved question the revision waits for approval
+    // and students keep seeing the current one; metadata (section, difficulty, status...) is updated in place.
+    const contentChanges = {};
+    for (const field of CONTENT_FIELDS) {
+      if (updateData[field] !== undefined) {
+        contentChanges[field] = updateData[field];
+        delete updateData[field];
+      }
+    }
+    
+    const { revision, applied, error: revisionError, errorCode } = await proposeRevision(question, contentChanges, {
+      userId: req.user.id,
+      changeNote: change_note ? String(change_note).trim().slice(0, 500) : null,
+      approved: (updateData.status !== undefined ? updateData.status : question.status) === 'approved'
+    });
+    if (revisionError) {
+      return res.status(409).json({
+        error_code: errorCode,
+        detail: revisionError
+      });
+    }
+    if (revision && !applied) {
+      console.log(`🔵 Question ${questionId} edited: revision ${revision.revision_number} is waiting for approval`);
+    }
+    
     // Update question
     await question.update(updateData);
     
+    // New wording is checked for duplicates. The flag is stored when the wording is now the question's;
+    // a pending revision of a live question is only checked, so the editor sees the matches.
+    let duplicateMatches = null;
+    if (contentChanges.question_text !== undefined) {
+      if (applied) {
+        const duplicates = await flagPossibleDuplicates([question]);
+        duplicateMatches = duplicates[question.id];
+      } else if (revision) {
+        duplicateMatches = await findSimilarQuestions(contentChanges.question_text, { excludeIds: [question.id] });
+      }
+    }
+    
     // Fetch updated question with section info
     const updatedQuestion = await Question.findOne({
       where: { id: questionId },
@@ -941,10 +1248,23 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
         order_index: updatedQuestion.section.order_index
       } : null,
       difficulty_level: updatedQuestion.difficulty_level || 'Medium',
+      riasec_type: updatedQuestion.riasec_type || null,
+      learning_modality: updatedQuestion.learning_modality || null,
+      is_reverse_scored: !!updatedQuestion.is_reverse_scored,
+      is_sample: !!updatedQuestion.is_sample,
       status: updatedQuestion.status || 'pending',
       source: updatedQuestion.source || 'manual',
       is_active: updatedQuestion.is_active,
       order_index: updatedQuestion.order_index,
+      is_possible_duplicate: !!updatedQuestion.is_possible_duplicate,
+      possible_duplicates: await describeDuplicateMatches(duplicateMatches || updatedQuestion.duplicate_matches),
+      current_revision_id: updatedQuestion.current_revision_id || null,
+      revision: revision ? {
+        id: revision.id,
+        revision_number: revision.revision_number,
+        status: revision.status,
+        applied: applied
+      } : null,
       created_by: updatedQuestion.created_by || null,
       created_at: (() => {
         const val = updatedQuestion.getDataValue ? updatedQuestion.getDataValue('created_at') : (updatedQuestion.dataValues?.created_at || updatedQuestion.created_at);
@@ -1074,7 +1394,14 @@ router.patch('/:id/deactivate', getCurrentUser, requireAdmin, async (req, res) =
   }
 });
 
-// POST /admin/questions/:id/approve - Approve a question
+// HTTP status for a review the policy refuses
+function reviewErrorStatus(errorCode) {
+  return errorCode === 'NOT_ASSIGNED_REVIEWER' || errorCode === 'SELF_APPROVAL_NOT_ALLOWED' ? 403 : 409;
+}
+
+// POST /admin/questions/:id/approve - Approve a question (or its pending edit)
+// The approval is recorded as one review; the question goes live once it has the approvals
+// the review policy asks for, from different reviewers.
 router.post('/:id/approve', getCurrentUser, requireAdmin, async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
@@ -1087,11 +1414,7 @@ router.post('/:id/approve', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
-    // Check if question exists and is active
-    const question = await Question.findOne({
-      where: { id: questionId },
-      attributes: ['id', 'is_active', 'status']
-    });
+    const question = await Question.findByPk(questionId);
     
     if (!question) {
       return res.status(404).json({
@@ -1099,35 +1422,25 @@ router.post('/:id/approve', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
-    // Update question: set status='approved' and is_active=true (for AI questions)
-    const [updatedCount] = await Question.update(
-      {
-        status: 'approved', // Approve the question
-        is_active: 1 // Activate the question
-      },
-      {
-        where: { id: questionId },
-        fields: ['status', 'is_active']
-      }
-    );
-    
-    if (updatedCount === 0) {
-      return res.status(400).json({
-        detail: 'Question is not active and cannot be approved'
+    const [result] = await approveQuestions([question], adminUser.id, {
+      comment: admin_comment || null
+    });
+    if (result.error) {
+      return res.status(reviewErrorStatus(result.errorCode)).json({
+        error_code: result.errorCode,
+        detail: result.error
       });
     }
     
-    // Create approval record
-    await QuestionApproval.create({
-      question_id: questionId,
-      approved_by: adminUser.id,
-      approval_status: ApprovalStatus.APPROVED,
-      admin_comment: admin_comment || null
-    });
-    
     return res.json({
-      message: 'Question approved successfully',
-      id: questionId
+      message: result.published
+        ? 'Question approved successfully'
+        : `Approval recorded (${result.approvals} of ${result.approvals_required}); the question stays pending until it has enough approvals`,
+      id: questionId,
+      published: result.published,
+      revision_id: result.revision_id,
+      approvals: result.approvals,
+      approvals_required: result.approvals_required
     });
   } catch (error) {
     console.error('❌ Error in approve_question:', error);
@@ -1160,7 +1473,7 @@ router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
     // Check if question exists
     const questionExists = await Question.findOne({
       where: { id: questionId },
-      attributes: ['id']
+      attributes: ['id', 'current_revision_id']
     });
     
     if (!questionExists) {
@@ -1169,6 +1482,14 @@ router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
+    const { error: reviewError, errorCode } = await checkCanReview(questionExists, adminUser.id);
+    if (reviewError) {
+      return res.status(reviewErrorStatus(errorCode)).json({
+        error_code: errorCode,
+        detail: reviewError
+      });
+    }
+    
     // Update question status using direct update (avoids scale_value column issue)
     const [updatedCount] = await Question.update(
       {
@@ -1190,10 +1511,12 @@ router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
     // Create approval record
     await QuestionApproval.create({
       question_id: questionId,
+      revision_id: questionExists.current_revision_id || null,
       approved_by: adminUser.id,
       approval_status: ApprovalStatus.REJECTED,
       admin_comment: admin_comment.trim()
     });
+    await syncCurrentRevisionStatus([questionId], 'rejected');
     
     return res.json({
       message: 'Question rejected successfully',
@@ -1208,6 +1531,43 @@ router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
   }
 });
 
+// PATCH /admin/questions/:id/dismiss-duplicate - Clear the possible duplicate flag after review
+router.patch('/:id/dismiss-duplicate', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({ detail: 'Invalid question ID' });
+    }
+    
+    const [updatedCount] = await Question.update(
+      {
+        is_possible_duplicate: false,
+        duplicate_matches: null
+      },
+      {
+        where: { id: questionId },
+        fields: ['is_possible_duplicate', 'duplicate_matches']
+      }
+    );
+    
+    if (updatedCount === 0) {
+      return res.status(404).json({ detail: 'Question not found' });
+    }
+    
+    return res.json({
+      message: 'Duplicate flag dismissed',
+      id: questionId
+    });
+  } catch (error) {
+    console.error('❌ Error in dismiss_duplicate:', error);
+    return res.status(500).json({
+      detail: 'Failed to dismiss duplicate flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // POST /admin/questions/bulk-approve - Bulk approve questions (optimized with batch operations)
 // IMPORTANT: This route must be defined BEFORE /:id routes to avoid route conflicts
 router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
@@ -1253,7 +1613,6 @@ router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
         id: validIds,
         status: 'pending' // Filter at database level for better performance
       },
-      attributes: ['id', 'status'], // Only select needed fields
       transaction,
       logging: (sql) => {
         const queryTime = Date.now() - startTime;
@@ -1274,43 +1633,32 @@ router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
     
-    const pendingIds = pendingQuestions.map(q => q.id);
-    
-    // Optimized: Batch update using bulkUpdate (single query instead of N queries)
-    // Note: Sequelize bulkUpdate is more efficient than individual updates
-    const [updatedCount] = await Question.update(
-      {
-        status: 'approved',
-        is_active: true
-      },
-      {
-        where: {
-          id: pendingIds
-        },
-        transaction
-      }
-    );
-    
-    // Optimized: Batch insert approval records (single query instead of N queries)
-    const approvalRecords = pendingIds.map(questionId => ({
-      question_id: questionId,
-      approved_by: adminUser.id,
-      approval_status: ApprovalStatus.APPROVED,
-      admin_comment: admin_comment || 'Bulk approved by admin',
-      approved_at: new Date()
-    }));
-    
-    await QuestionApproval.bulkCreate(approvalRecords, { transaction });
+    // Each question gets one review from this admin; those that reach the policy's approval count go live.
+    // Questions the admin may not approve (own question, assigned to others, already approved) are skipped.
+    const results = await approveQuestions(pendingQuestions, adminUser.id, {
+      comment: admin_comment || 'Bulk approved by admin',
+      transaction
+    });
     
     // Commit transaction
     await transaction.commit();
     
     logSlowQuery('bulk_approve', startTime);
     
+    const approved = results.filter(result => !result.error);
+    const publishedCount = approved.filter(result => result.published).length;
+    const refused = results.filter(result => result.error);
+    
     return res.json({
-      approved_count: updatedCount,
-      skipped_ids: skippedIds,
-      message: `Bulk approval completed: ${updatedCount} question(s) approved`
+      approved_count: publishedCount,
+      awaiting_approvals_count: approved.length - publishedCount,
+      skipped_ids: skippedIds.concat(refused.map(result => result.question_id)),
+      refused: refused.map(result => ({
+        id: result.question_id,
+        error_code: result.errorCode,
+        detail: result.error
+      })),
+      message: `Bulk approval completed: ${publishedCount} question(s) approved${approved.length > publishedCount ? `, ${approved.length - publishedCount} waiting for more approvals` : ''}${refused.length > 0 ? `, ${refused.length} skipped` : ''}`
     });
   } catch (error) {
     await transaction.rollback();
@@ -1324,33 +1672,309 @@ router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
   }
 });
 
-// GET /admin/questions/:id/approvals - Get approval history for a question (optimized)
-router.get('/:id/approvals', getCurrentUser, requireAdmin, async (req, res) => {
+// Spreadsheet bodies for the bulk import; errors are answered as JSON like the rest of the API
+const importBodyParser = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ],
+  limit: `${config.app.questionImportMaxUploadMb}mb`
+});
+function parseImportBody(req, res, next) {
+  importBodyParser(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        detail: err.type === 'entity.too.large'
+          ? `File must be at most ${config.app.questionImportMaxUploadMb} MB`
+          : 'Could not read the uploaded file'
+      });
+    }
+    next();
+  });
+}
+
+// POST /admin/questions/import?dry_run=true - Bulk import questions from a CSV or XLSX file
+// The file is the request body. Every row is checked with the same rules as a manual create;
+// a dry run only reports the row errors, otherwise the valid rows are saved as pending in one transaction.
+router.post('/import', getCurrentUser, requireAdmin, parseImportBody, async (req, res) => {
   const startTime = Date.now();
   try {
-    const questionId = parseInt(req.params.id, 10);
+    const adminUser = req.user;
+    const dryRun = parseBooleanFlag(req.query.dry_run) === true;
     
-    if (isNaN(questionId) || questionId <= 0) {
+    const { rows, error: fileError } = await readImportFile(req.body);
+    if (fileError) {
       return res.status(400).json({
-        detail: 'Invalid question ID'
+        detail: fileError
       });
     }
     
-    // Optimized query with explicit attributes and proper indexing
-    // Note: Ensure composite index exists: CREATE INDEX idx_approvals_question_approved ON question_approvals(question_id, approved_at DESC);
-    const approvals = await QuestionApproval.findAll({
-      where: { question_id: questionId },
-      attributes: ['id', 'approval_status', 'admin_comment', 'approved_at', 'approved_by'],
-      include: [
-        {
-          model: require('../models').User,
-          as: 'approver',
-          attributes: ['id', 'full_name', 'email'],
-          required: false // LEFT JOIN to avoid filtering out approvals without approver
-        }
-      ],
-      order: [['approved_at', 'DESC']], // Uses index on approved_at
-      logging: (sql) => {
+    const sectionRows = await Section.findAll({ attributes: ['id', 'name'] });
+    const sections = { byId: {}, byName: {} };
+    sectionRows.forEach(section => {
+      sections.byId[section.id] = section;
+      sections.byName[section.name.trim().toLowerCase()] = section;
+    });
+    
+    const { valid, invalid } = await rejectExistingExternalKeys(validateImportRows(rows, sections));
+    const summary = {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      valid_rows: valid.length,
+      invalid_rows: invalid.length,
+      errors: invalid
+    };
+    
+    if (dryRun) {
+      return res.json(summary);
+    }
+    
+    if (valid.length === 0) {
+      return res.status(400).json({
+        ...summary,
+        detail: 'No valid rows to import'
+      });
+    }
+    
+    // Imported questions are appended to their section's order, like AI questions awaiting approval
+    const transaction = await Question.sequelize.transaction();
+    let created;
+    try {
+      const nextOrderIndex = {};
+      for (const sectionId of new Set(valid.map(row => row.question.section_id))) {
+        const maxOrder = await Question.max('order_index', {
+          where: { section_id: sectionId },
+          transaction
+        });
+        nextOrderIndex[sectionId] = maxOrder ? maxOrder + 1 : 1;
+      }
+      
+      created = await Question.bulkCreate(valid.map(({ question }) => ({
+        ...question,
+        external_key: question.external_key || undefined, // undefined lets the model generate one
+        status: 'pending',
+        source: 'ADMIN',
+        is_active: 0,
+        order_index: nextOrderIndex[question.section_id]++,
+        created_by: adminUser.id
+      })), { transaction });
+      
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    
+    const duplicates = await flagPossibleDuplicates(created);
+    
+    logSlowQuery('import_questions', startTime);
+    console.log(`✅ Imported ${created.length} question(s) as pending, ${invalid.length} row(s) skipped`);
+    
+    return res.status(201).json({
+      ...summary,
+      imported_count: created.length,
+      imported: created.map((question, index) => ({
+        row_number: valid[index].row_number,
+        id: question.id,
+        possible_duplicates: formatDuplicateMatches(duplicates[question.id])
+      })),
+      possible_duplicate_count: created.filter(question => duplicates[question.id].length > 0).length,
+      message: `Imported ${created.length} question(s) as pending approval${invalid.length > 0 ? `, skipped ${invalid.length} invalid row(s)` : ''}`
+    });
+  } catch (error) {
+    logSlowQuery('import_questions_error', startTime);
+    console.error(`❌ Error in import_questions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to import questions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/import-bundle?dry_run=true - Import a JSON bundle from GET /admin/questions/export
+// Sections are matched by name (missing ones are created) and questions by external_key: new ones are
+// added as pending, existing ones are updated through a question revision (pending approval when the
+// question is live). All or nothing: any invalid question stops the import.
+router.post('/import-bundle', getCurrentUser, requireAdmin, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const dryRun = parseBooleanFlag(req.query.dry_run) === true;
+    
+    const { questions, sections, error: bundleError } = parseBundle(req.body);
+    if (bundleError) {
+      return res.status(400).json({
+        detail: bundleError
+      });
+    }
+    
+    const { summary, error, status } = await reconcileBundle(questions, req.user, { dryRun, bundleSections: sections });
+    logSlowQuery('import_bundle', startTime);
+    
+    if (error) {
+      return res.status(status).json({
+        ...summary,
+        detail: error
+      });
+    }
+    
+    if (dryRun) {
+      return res.json(summary);
+    }
+    
+    console.log(`✅ Bundle import: ${summary.to_create} created, ${summary.to_update} updated, ${summary.unchanged} unchanged`);
+    return res.json({
+      ...summary,
+      message: `Bundle imported: ${summary.to_create} question(s) added as pending, ${summary.to_update} updated`
+    });
+  } catch (error) {
+    logSlowQuery('import_bundle_error', startTime);
+    console.error(`❌ Error in import_bundle: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to import question bundle',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/questions/:id/reviewers - Review status: approvals so far and assigned reviewers
+router.get('/:id/reviewers', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({ detail: 'Invalid question ID' });
+    }
+    
+    const question = await Question.findByPk(questionId);
+    if (!question) {
+      return res.status(404).json({ detail: 'Question not found' });
+    }
+    
+    return res.json({
+      question_id: questionId,
+      status: question.status,
+      ...await getReviewStatus(question)
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_question_reviewers: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get question reviewers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/reviewers - Assign reviewers ({ reviewer_ids: [..] }, admin users)
+// Once a question has assigned reviewers, only they may approve or reject it
+router.post('/:id/reviewers', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({ detail: 'Invalid question ID' });
+    }
+    
+    const { reviewer_ids } = req.body || {};
+    if (!Array.isArray(reviewer_ids) || reviewer_ids.length === 0) {
+      return res.status(400).json({ detail: 'reviewer_ids must be a non-empty array' });
+    }
+    const reviewerIds = Array.from(new Set(reviewer_ids.map(id => parseInt(id, 10))));
+    if (reviewerIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ detail: 'All reviewer_ids must be valid positive integers' });
+    }
+    
+    const question = await Question.findByPk(questionId);
+    if (!question) {
+      return res.status(404).json({ detail: 'Question not found' });
+    }
+    
+    const { assignments, error } = await assignReviewers(question, reviewerIds, req.user.id);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+    
+    return res.json({
+      message: 'Reviewers assigned',
+      question_id: questionId,
+      reviewers: assignments
+    });
+  } catch (error) {
+    console.error(`❌ Error in assign_question_reviewers: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to assign reviewers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/questions/:id/reviewers/:reviewerId - Remove a reviewer assignment
+router.delete('/:id/reviewers/:reviewerId', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    const reviewerId = parseInt(req.params.reviewerId, 10);
+    if (isNaN(questionId) || questionId <= 0 || isNaN(reviewerId) || reviewerId <= 0) {
+      return res.status(400).json({ detail: 'Invalid question or reviewer ID' });
+    }
+    
+    const removed = await unassignReviewer(questionId, reviewerId);
+    if (removed === 0) {
+      return res.status(404).json({ detail: 'Reviewer is not assigned to this question' });
+    }
+    
+    return res.json({
+      message: 'Reviewer unassigned',
+      question_id: questionId,
+      reviewer_id: reviewerId
+    });
+  } catch (error) {
+    console.error(`❌ Error in unassign_question_reviewer: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to unassign reviewer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/questions/:id/approvals - Get approval history for a question (optimized)
+router.get('/:id/approvals', getCurrentUser, requireAdmin, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    // Optimized query with explicit attributes and proper indexing
+    // Note: Ensure composite index exists: CREATE INDEX idx_approvals_question_approved ON question_approvals(question_id, approved_at DESC);
+    const approvals = await QuestionApproval.findAll({
+      where: { question_id: questionId },
+      attributes: ['id', 'approval_status', 'admin_comment', 'approved_at', 'approved_by', 'translation_id', 'revision_id'],
+      include: [
+        {
+          model: require('../models').User,
+          as: 'approver',
+          attributes: ['id', 'full_name', 'email'],
+          required: false // LEFT JOIN to avoid filtering out approvals without approver
+        },
+        {
+          model: QuestionTranslation,
+          as: 'translation',
+          attributes: ['id', 'language'],
+          required: false
+        },
+        {
+          model: QuestionRevision,
+          as: 'revision',
+          attributes: ['id', 'revision_number'],
+          required: false
+        }
+      ],
+      order: [['approved_at', 'DESC']], // Uses index on approved_at
+      logging: (sql) => {
         const queryTime = Date.now() - startTime;
         if (queryTime > 200) {
           console.warn(`⚠️  Slow approvals query: ${queryTime}ms - ${sql.substring(0, 200)}`);
@@ -1364,6 +1988,10 @@ router.get('/:id/approvals', getCurrentUser, requireAdmin, async (req, res) => {
       id: approval.id,
       approval_status: approval.approval_status,
       admin_comment: approval.admin_comment,
+      translation_id: approval.translation_id || null,
+      language: approval.translation ? approval.translation.language : null,
+      revision_id: approval.revision_id || null,
+      revision_number: approval.revision ? approval.revision.revision_number : null,
       approver: approval.approver ? {
         id: approval.approver.id,
         full_name: approval.approver.full_name,
@@ -1384,6 +2012,634 @@ router.get('/:id/approvals', getCurrentUser, requireAdmin, async (req, res) => {
   }
 });
 
+function formatRevision(revision, question) {
+  return {
+    id: revision.id,
+    question_id: revision.question_id,
+    revision_number: revision.revision_number,
+    status: revision.status,
+    is_current: revision.id === question.current_revision_id,
+    question_text: revision.question_text,
+    question_type: revision.question_type,
+    options: parseOptionsToArray(revision.options),
+    options_string: revision.options,
+    correct_answer: revision.correct_answer,
+    scale_value: revision.scale_value || null,
+    riasec_type: revision.riasec_type || null,
+    learning_modality: revision.learning_modality || null,
+    is_reverse_scored: !!revision.is_reverse_scored,
+    change_note: revision.change_note || null,
+    metadata_changes: revision.metadata_changes || null,
+    based_on_revision_id: revision.based_on_revision_id || null,
+    created_by: revision.created_by || null,
+    author: revision.author ? {
+      id: revision.author.id,
+      full_name: revision.author.full_name
+    } : null,
+    created_at: revision.created_at ? new Date(revision.created_at).toISOString() : null
+  };
+}
+
+// Question and one of its revisions (by revision number) for the /:id/revisions/:revision routes
+// Returns { question, revision, error, status }
+async function findQuestionRevision(params) {
+  const questionId = parseInt(params.id, 10);
+  if (isNaN(questionId) || questionId <= 0) {
+    return { error: 'Invalid question ID', status: 400 };
+  }
+
+  const revisionNumber = parseInt(params.revision, 10);
+  if (isNaN(revisionNumber) || revisionNumber <= 0) {
+    return { error: 'Invalid revision number', status: 400 };
+  }
+
+  const question = await Question.findByPk(questionId);
+  if (!question) {
+    return { error: 'Question not found', status: 404 };
+  }
+
+  const revision = await QuestionRevision.findOne({
+    where: { question_id: questionId, revision_number: revisionNumber }
+  });
+  if (!revision) {
+    return { error: `Revision ${revisionNumber} not found`, status: 404 };
+  }
+
+  return { question, revision, error: null };
+}
+
+// GET /admin/questions/:id/revisions - Revision history of a question, newest first
+router.get('/:id/revisions', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    const question = await Question.findByPk(questionId);
+    if (!question) {
+      return res.status(404).json({
+        detail: 'Question not found'
+      });
+    }
+    
+    // Questions from before revisions existed start their history here
+    await ensureCurrentRevision(question);
+    
+    const revisions = await QuestionRevision.findAll({
+      where: { question_id: questionId },
+      include: [{
+        model: require('../models').User,
+        as: 'author',
+        attributes: ['id', 'full_name'],
+        required: false
+      }],
+      order: [['revision_number', 'DESC']]
+    });
+    
+    return res.json({
+      question_id: questionId,
+      current_revision_id: question.current_revision_id,
+      revisions: revisions.map(revision => formatRevision(revision, question))
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_question_revisions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get question revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/questions/:id/revisions/diff?from=1&to=2 - Content changes between two revisions
+// (defaults: to = latest revision, from = the revision it was based on)
+router.get('/:id/revisions/diff', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    const revisions = await QuestionRevision.findAll({
+      where: { question_id: questionId },
+      order: [['revision_number', 'ASC']]
+    });
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        detail: 'Question has no revisions'
+      });
+    }
+    
+    const byNumber = {};
+    const byId = {};
+    revisions.forEach(revision => {
+      byNumber[revision.revision_number] = revision;
+      byId[revision.id] = revision;
+    });
+    
+    const to = req.query.to !== undefined
+      ? byNumber[parseInt(req.query.to, 10)]
+      : revisions[revisions.length - 1];
+    if (!to) {
+      return res.status(404).json({
+        detail: `Revision ${req.query.to} not found`
+      });
+    }
+    
+    const from = req.query.from !== undefined
+      ? byNumber[parseInt(req.query.from, 10)]
+      : byId[to.based_on_revision_id] || byNumber[to.revision_number - 1];
+    if (!from) {
+      return res.status(req.query.from !== undefined ? 404 : 400).json({
+        detail: req.query.from !== undefined
+          ? `Revision ${req.query.from} not found`
+          : `Revision ${to.revision_number} has no earlier revision to compare with`
+      });
+    }
+    
+    return res.json({
+      question_id: questionId,
+      from: from.revision_number,
+      to: to.revision_number,
+      changes: diffContent(from, to).map(change => (
+        change.field === 'options'
+          ? { field: 'options', from: parseOptionsToArray(change.from), to: parseOptionsToArray(change.to) }
+          : change
+      ))
+    });
+  } catch (error) {
+    console.error(`❌ Error in diff_question_revisions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to compare question revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/revisions/:revision/approve - Approve a pending revision; it becomes the live content
+router.post('/:id/revisions/:revision/approve', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { question, revision, error, status } = await findQuestionRevision(req.params);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+    
+    if (revision.status !== 'pending') {
+      return res.status(409).json({
+        detail: `Revision ${revision.revision_number} is ${revision.status}, only pending revisions can be approved`
+      });
+    }
+    
+    const revisions = await getRevisionsUnderReview([question]);
+    if (!revisions[question.id] || revisions[question.id].id !== revision.id) {
+      return res.status(409).json({
+        detail: `Revision ${revision.revision_number} is not the version waiting for approval`
+      });
+    }
+    
+    const { admin_comment } = req.body || {};
+    const [result] = await approveRevisions([{ question, revision }], req.user.id, {
+      comment: admin_comment ? String(admin_comment).trim() : null
+    });
+    if (result.error) {
+      return res.status(reviewErrorStatus(result.errorCode)).json({
+        error_code: result.errorCode,
+        detail: result.error
+      });
+    }
+    
+    return res.json({
+      message: result.published
+        ? `Revision ${revision.revision_number} approved`
+        : `Approval recorded (${result.approvals} of ${result.approvals_required}); revision ${revision.revision_number} stays pending until it has enough approvals`,
+      published: result.published,
+      approvals: result.approvals,
+      approvals_required: result.approvals_required,
+      revision: formatRevision(revision, question)
+    });
+  } catch (error) {
+    console.error(`❌ Error in approve_question_revision: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to approve revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/revisions/:revision/reject - Reject a pending revision
+router.post('/:id/revisions/:revision/reject', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { admin_comment } = req.body || {};
+    if (!admin_comment || !String(admin_comment).trim()) {
+      return res.status(400).json({
+        detail: 'admin_comment is required when rejecting a revision'
+      });
+    }
+    
+    const { question, revision, error, status } = await findQuestionRevision(req.params);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+    
+    if (revision.status !== 'pending') {
+      return res.status(409).json({
+        detail: `Revision ${revision.revision_number} is ${revision.status}, only pending revisions can be rejected`
+      });
+    }
+    
+    const { error: reviewError, errorCode } = await checkCanReview(question, req.user.id);
+    if (reviewError) {
+      return res.status(reviewErrorStatus(errorCode)).json({
+        error_code: errorCode,
+        detail: reviewError
+      });
+    }
+    
+    await rejectRevision(question, revision, req.user.id, String(admin_comment).trim());
+    
+    return res.json({
+      message: `Revision ${revision.revision_number} rejected`,
+      revision: formatRevision(revision, question)
+    });
+  } catch (error) {
+    console.error(`❌ Error in reject_question_revision: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to reject revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/revisions/:revision/rollback - Make an earlier approved revision live again
+router.post('/:id/revisions/:revision/rollback', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { question, revision: target, error, status } = await findQuestionRevision(req.params);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+    
+    const { admin_comment } = req.body || {};
+    const { revision, error: rollbackError, errorCode } = await rollbackToRevision(
+      question,
+      target,
+      req.user.id,
+      admin_comment ? String(admin_comment).trim() : null
+    );
+    if (rollbackError) {
+      return res.status(409).json({ detail: rollbackError, error_code: errorCode });
+    }
+    
+    console.log(`✅ Question ${question.id} rolled back to revision ${target.revision_number} as revision ${revision.revision_number}`);
+    return res.status(201).json({
+      message: `Rolled back to revision ${target.revision_number}`,
+      revision: formatRevision(revision, question)
+    });
+  } catch (error) {
+    console.error(`❌ Error in rollback_question_revision: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to roll back question',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Question and translation for the /:id/translations/:language routes
+// Returns { question, language, error, status }
+async function findQuestionForTranslation(params) {
+  const questionId = parseInt(params.id, 10);
+  if (isNaN(questionId) || questionId <= 0) {
+    return { error: 'Invalid question ID', status: 400 };
+  }
+
+  const language = normalizeLanguage(params.language);
+  if (!language || !TRANSLATION_LANGUAGES.includes(language)) {
+    return { error: `language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`, status: 400 };
+  }
+
+  const question = await Question.findByPk(questionId);
+  if (!question) {
+    return { error: 'Question not found', status: 404 };
+  }
+
+  return { question, language, error: null };
+}
+
+// GET /admin/questions/:id/translations - Translations of a question with their approval status
+router.get('/:id/translations', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    const question = await Question.findByPk(questionId, { attributes: ['id'] });
+    if (!question) {
+      return res.status(404).json({
+        detail: 'Question not found'
+      });
+    }
+    
+    const translations = await QuestionTranslation.findAll({
+      where: { question_id: questionId },
+      order: [['language', 'ASC']]
+    });
+    
+    return res.json({
+      question_id: questionId,
+      translations: translations.map(formatTranslation),
+      missing_languages: TRANSLATION_LANGUAGES.filter(language => !translations.some(t => t.language === language))
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_question_translations: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get question translations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/questions/:id/translations/:language - Create or replace a translation (goes to pending)
+// Options are keyed by the question's own option keys, e.g. { "A": "...", "B": "..." }
+router.put('/:id/translations/:language', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { question, language, error, status } = await findQuestionForTranslation(req.params);
+    if (error) {
+      return res.status(status).json({
+        detail: error
+      });
+    }
+    
+    const { values, error: parseError } = parseTranslation(question, req.body);
+    if (parseError) {
+      return res.status(400).json({
+        detail: parseError
+      });
+    }
+    
+    const translation = await saveTranslation(question, language, values, req.user.id);
+    console.log(`✅ ${language} translation of question ${question.id} saved by admin ${req.user.id} (pending approval)`);
+    
+    return res.json(formatTranslation(translation));
+  } catch (error) {
+    console.error(`❌ Error in save_question_translation: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to save question translation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/translations/:language/approve - Approve a translation
+router.post('/:id/translations/:language/approve', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { question, language, error, status } = await findQuestionForTranslation(req.params);
+    if (error) {
+      return res.status(status).json({
+        detail: error
+      });
+    }
+    
+    const translation = await QuestionTranslation.findOne({
+      where: { question_id: question.id, language }
+    });
+    if (!translation) {
+      return res.status(404).json({
+        detail: 'Translation not found'
+      });
+    }
+    
+    const { admin_comment } = req.body;
+    await reviewTranslation(translation, ApprovalStatus.APPROVED, req.user.id, admin_comment || null);
+    
+    return res.json({
+      message: 'Translation approved successfully',
+      ...formatTranslation(translation)
+    });
+  } catch (error) {
+    console.error('❌ Error in approve_question_translation:', error);
+    return res.status(500).json({
+      detail: 'Failed to approve translation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/translations/:language/reject - Reject a translation
+router.post('/:id/translations/:language/reject', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { question, language, error, status } = await findQuestionForTranslation(req.params);
+    if (error) {
+      return res.status(status).json({
+        detail: error
+      });
+    }
+    
+    const { admin_comment } = req.body;
+    if (!admin_comment || !admin_comment.trim()) {
+      return res.status(400).json({
+        detail: 'admin_comment is required when rejecting a translation'
+      });
+    }
+    
+    const translation = await QuestionTranslation.findOne({
+      where: { question_id: question.id, language }
+    });
+    if (!translation) {
+      return res.status(404).json({
+        detail: 'Translation not found'
+      });
+    }
+    
+    await reviewTranslation(translation, ApprovalStatus.REJECTED, req.user.id, admin_comment.trim());
+    
+    return res.json({
+      message: 'Translation rejected successfully',
+      ...formatTranslation(translation)
+    });
+  } catch (error) {
+    console.error('❌ Error in reject_question_translation:', error);
+    return res.status(500).json({
+      detail: 'Failed to reject translation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Image bodies for media uploads; errors are answered as JSON like the rest of the API
+const mediaBodyParser = express.raw({ type: 'image/*', limit: `${config.app.mediaMaxUploadMb}mb` });
+function parseMediaBody(req, res, next) {
+  mediaBodyParser(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        detail: err.type === 'entity.too.large'
+          ? `File must be at most ${config.app.mediaMaxUploadMb} MB`
+          : 'Could not read the uploaded file'
+      });
+    }
+    next();
+  });
+}
+
+// Media record of a question for the /:id/media/:mediaId routes, or null
+async function findQuestionMedia(params) {
+  const questionId = parseInt(params.id, 10);
+  const mediaId = parseInt(params.mediaId, 10);
+  if (isNaN(questionId) || isNaN(mediaId)) return null;
+  return QuestionMedia.findOne({ where: { id: mediaId, question_id: questionId } });
+}
+
+// GET /admin/questions/:id/media - Figures attached to a question and its options
+router.get('/:id/media', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    const media = await QuestionMedia.findAll({
+      where: { question_id: questionId },
+      order: [['option_key', 'ASC'], ['position', 'ASC'], ['id', 'ASC']]
+    });
+    
+    return res.json(media.map(formatMedia));
+  } catch (error) {
+    console.error(`❌ Error in get_question_media: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get question media',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/questions/:id/media?alt_text=...&option_key=B&file_name=figure.png - Upload a figure
+// The body is the image itself (Content-Type image/png, image/jpeg, image/gif or image/webp).
+// Without option_key the figure belongs to the question stem.
+router.post('/:id/media', getCurrentUser, requireAdmin, parseMediaBody, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(questionId) || questionId <= 0) {
+      return res.status(400).json({
+        detail: 'Invalid question ID'
+      });
+    }
+    
+    const question = await Question.findByPk(questionId);
+    if (!question) {
+      return res.status(404).json({
+        detail: 'Question not found'
+      });
+    }
+    
+    const { upload, error } = await parseMediaUpload(question, {
+      buffer: req.body,
+      contentType: req.headers['content-type'],
+      optionKey: req.query.option_key,
+      altText: req.query.alt_text,
+      originalName: req.query.file_name
+    });
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+    
+    const media = await storeMedia(question, upload, req.user.id);
+    console.log(`✅ Media ${media.id} (${media.content_type}, ${media.size_bytes} bytes) attached to question ${questionId}${media.option_key ? ` option ${media.option_key}` : ''}`);
+    
+    return res.status(201).json(formatMedia(media));
+  } catch (error) {
+    console.error(`❌ Error in upload_question_media: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to upload question media',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /admin/questions/:id/media/:mediaId - Update a figure's alt text or position
+router.patch('/:id/media/:mediaId', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const media = await findQuestionMedia(req.params);
+    if (!media) {
+      return res.status(404).json({
+        detail: 'Media not found'
+      });
+    }
+    
+    const { alt_text, position } = req.body;
+    const updates = {};
+    
+    if (alt_text !== undefined) {
+      const altText = normalizeAltText(alt_text);
+      const altError = validateAltText(altText);
+      if (altError) {
+        return res.status(400).json({
+          detail: altError
+        });
+      }
+      updates.alt_text = altText;
+    }
+    
+    if (position !== undefined) {
+      const parsedPosition = parseInt(position, 10);
+      if (isNaN(parsedPosition) || parsedPosition < 0) {
+        return res.status(400).json({
+          detail: 'position must be a non-negative integer'
+        });
+      }
+      updates.position = parsedPosition;
+    }
+    
+    await media.update(updates);
+    return res.json(formatMedia(media));
+  } catch (error) {
+    console.error(`❌ Error in update_question_media: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update question media',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/questions/:id/media/:mediaId - Remove a figure and its file
+router.delete('/:id/media/:mediaId', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const media = await findQuestionMedia(req.params);
+    if (!media) {
+      return res.status(404).json({
+        detail: 'Media not found'
+      });
+    }
+    
+    await deleteMedia(media);
+    console.log(`✅ Media ${media.id} removed from question ${media.question_id}`);
+    
+    return res.json({
+      message: 'Media deleted successfully',
+      id: media.id
+    });
+  } catch (error) {
+    console.error(`❌ Error in delete_question_media: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to delete question media',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /*
  * ============================================
  * PERFORMANCE OPTIMIZATION NOTES
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { ReadinessPolicy } = require('../models');
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { getActivePolicy, validateThresholds, createPolicyVersion } = require('../services/readinessPolicy');
+
+function formatPolicy(policy) {
+  return {
+    id: policy.id,
+    version: policy.version,
+    ready_threshold: policy.ready_threshold,
+    partially_ready_threshold: policy.partially_ready_threshold,
+    is_active: !!policy.is_active,
+    notes: policy.notes || null,
+    created_by: policy.created_by || null,
+    created_at: policy.created_at ? new Date(policy.created_at).toISOString() : null
+  };
+}
+
+// GET /admin/readiness-policy - Active readiness thresholds
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const policy = await getActivePolicy({ refresh: true });
+    return res.json(policy);
+  } catch (error) {
+    console.error(`❌ Error in get_readiness_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get readiness policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/readiness-policy/history - All policy versions, newest first
+router.get('/history', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const policies = await ReadinessPolicy.findAll({
+      order: [['version', 'DESC']]
+    });
+    return res.json(policies.map(formatPolicy));
+  } catch (error) {
+    console.error(`❌ Error in get_readiness_policy_history: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get readiness policy history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/readiness-policy - Save new thresholds as the next active version
+router.put('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { ready_threshold, partially_ready_threshold, notes } = req.body;
+
+    const readyThreshold = parseFloat(ready_threshold);
+    const partiallyReadyThreshold = parseFloat(partially_ready_threshold);
+    const validationError = validateThresholds(readyThreshold, partiallyReadyThreshold);
+    if (validationError) {
+      return res.status(400).json({
+        detail: validationError
+      });
+    }
+
+    const policy = await createPolicyVersion({
+      readyThreshold,
+      partiallyReadyThreshold,
+      notes: notes || null,
+      createdBy: adminUser.id
+    });
+
+    console.log(`✅ Readiness policy v${policy.version} saved by admin ${adminUser.id} (READY >= ${readyThreshold}%, PARTIALLY READY >= ${partiallyReadyThreshold}%)`);
+
+    return res.json({
+      message: `Readiness policy version ${policy.version} is now active`,
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error(`❌ Error in update_readiness_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update readiness policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { User, Section, RescoreJob, RescoreAuditEntry } = require('../models');
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { previewRescoring, startRescoringJob, diffScores } = require('../services/rescoring');
+
+// Parse and validate { from, to, center, section_id } from a request body
+// Returns { filters, error }
+async function parseRescoreFilters(body) {
+  const { from, to, center, section_id } = body || {};
+  const filters = { from: null, to: null, center: null, sectionId: null };
+
+  if (from) {
+    filters.from = new Date(from);
+    if (isNaN(filters.from.getTime())) {
+      return { filters: null, error: 'from must be a valid date' };
+    }
+  }
+
+  if (to) {
+    filters.to = new Date(to);
+    if (isNaN(filters.to.getTime())) {
+      return { filters: null, error: 'to must be a valid date' };
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { filters: null, error: 'from must be before to' };
+  }
+
+  if (center && center !== 'all') {
+    const centers = User.rawAttributes.center.values;
+    if (!centers.includes(center)) {
+      return { filters: null, error: `Invalid center. Must be one of: ${centers.join(', ')}` };
+    }
+    filters.center = center;
+  }
+
+  if (section_id) {
+    const section = await Section.findByPk(section_id);
+    if (!section) {
+      return { filters: null, error: 'Section not found' };
+    }
+    filters.sectionId = section.id;
+  }
+
+  return { filters, error: null };
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    filters: parseJson(job.filters),
+    reinterpret: !!job.reinterpret,
+    total_attempts: job.total_attempts,
+    processed_attempts: job.processed_attempts,
+    changed_attempts: job.changed_attempts,
+    failed_attempts: job.failed_attempts,
+    error_message: job.error_message || null,
+    created_by: job.created_by || null,
+    created_at: job.created_at ? new Date(job.created_at).toISOString() : null,
+    completed_at: job.completed_at ? new Date(job.completed_at).toISOString() : null
+  };
+}
+
+// POST /admin/rescoring/preview - Dry run: show score and readiness changes without saving
+router.post('/preview', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { filters, error } = await parseRescoreFilters(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    console.log(`🔵 Rescoring preview requested by admin ${req.user.id}: ${JSON.stringify(filters)}`);
+    const preview = await previewRescoring(filters);
+    return res.json(preview);
+  } catch (error) {
+    console.error(`❌ Error in preview_rescoring: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to preview rescoring',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/rescoring/jobs - Rescore (and re-interpret) the filtered attempts in the background
+router.post('/jobs', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const { filters, error } = await parseRescoreFilters(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const reinterpret = req.body.reinterpret !== false && req.body.reinterpret !== 'false';
+    const { job, error: startError } = await startRescoringJob(filters, {
+      reinterpret,
+      createdBy: req.user.id
+    });
+
+    if (startError) {
+      return res.status(409).json({ detail: startError });
+    }
+
+    return res.status(202).json(formatJob(job));
+  } catch (error) {
+    console.error(`❌ Error in start_rescoring: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to start rescoring job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/rescoring/jobs - Rescoring job history
+router.get('/jobs', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await RescoreJob.findAll({
+      order: [['created_at', 'DESC']],
+      limit: 50
+    });
+    return res.json(jobs.map(formatJob));
+  } catch (error) {
+    console.error(`❌ Error in list_rescoring_jobs: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get rescoring jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/rescoring/jobs/:id - Job progress with the audit trail of previous/new values
+router.get('/jobs/:id', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    const job = await RescoreJob.findByPk(jobId);
+    if (!job) {
+      return res.status(404).json({ detail: 'Rescore job not found' });
+    }
+
+    const changedOnly = req.query.changed_only === 'true';
+    const entries = await RescoreAuditEntry.findAll({
+      where: changedOnly ? { rescore_job_id: job.id, has_changes: true } : { rescore_job_id: job.id },
+      order: [['test_attempt_id', 'ASC']]
+    });
+
+    return res.json({
+      ...formatJob(job),
+      entries: entries.map(entry => {
+        const previousScores = parseJson(entry.previous_scores) || [];
+        const newScores = parseJson(entry.new_scores) || [];
+        return {
+          test_attempt_id: entry.test_attempt_id,
+          has_changes: !!entry.has_changes,
+          previous_readiness: entry.previous_readiness || null,
+          new_readiness: entry.new_readiness || null,
+          score_changes: diffScores(previousScores, newScores),
+          previous_scores: previousScores,
+          previous_interpretation: parseJson(entry.previous_interpretation),
+          error_message: entry.error_message || null
+        };
+      })
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_rescoring_job: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get rescoring job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { getRetakePolicy, validateRetakePolicy, updateRetakePolicy } = require('../services/retakes');
+
+// GET /admin/retake-policy - Attempt limit and cooldown between attempts
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const policy = await getRetakePolicy();
+    return res.json(policy);
+  } catch (error) {
+    console.error(`❌ Error in get_retake_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get retake policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/retake-policy - Change the attempt limit and cooldown
+// Applies to the next attempt a student starts; admin-granted retakes bypass both
+router.put('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { max_attempts, cooldown_days } = req.body;
+
+    const maxAttempts = parseInt(max_attempts, 10);
+    const cooldownDays = cooldown_days != null ? parseInt(cooldown_days, 10) : 0;
+    const validationError = validateRetakePolicy(maxAttempts, cooldownDays);
+    if (validationError) {
+      return res.status(400).json({
+        detail: validationError
+      });
+    }
+
+    const policy = await updateRetakePolicy({
+      maxAttempts,
+      cooldownDays,
+      updatedBy: adminUser.id
+    });
+
+    console.log(`✅ Retake policy saved by admin ${adminUser.id} (max ${maxAttempts} attempt(s), ${cooldownDays} day cooldown)`);
+
+    return res.json({
+      message: 'Retake policy updated',
+      policy: policy
+    });
+  } catch (error) {
+    console.error(`❌ Error in update_retake_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update retake policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { getReviewPolicy, validateReviewPolicy, updateReviewPolicy } = require('../services/questionReview');
+
+// GET /admin/review-policy - Approvals a question needs and whether authors may approve their own
+router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const policy = await getReviewPolicy();
+    return res.json(policy);
+  } catch (error) {
+    console.error(`❌ Error in get_review_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get review policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/review-policy - Change the number of approvals and/or the self-approval rule
+// Applies to approvals given from now on; questions already live are not affected
+router.put('', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const { approvals_required, allow_self_approval } = req.body;
+
+    // Fields left out keep their current value
+    const current = await getReviewPolicy();
+    const approvalsRequired = approvals_required !== undefined ? parseInt(approvals_required, 10) : current.approvals_required;
+    const allowSelfApproval = allow_self_approval !== undefined ? allow_self_approval : current.allow_self_approval;
+    const validationError = validateReviewPolicy(approvalsRequired, allowSelfApproval);
+    if (validationError) {
+      return res.status(400).json({
+        detail: validationError
+      });
+    }
+
+    const policy = await updateReviewPolicy({
+      approvalsRequired,
+      allowSelfApproval,
+      updatedBy: adminUser.id
+    });
+
+    console.log(`✅ Review policy saved by admin ${adminUser.id} (${approvalsRequired} approval(s), self-approval ${allowSelfApproval ? 'allowed' : 'not allowed'})`);
+
+    return res.json({
+      message: 'Review policy updated',
+      policy: policy
+    });
+  } catch (error) {
+    console.error(`❌ Error in update_review_policy: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update review policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { User, UserRole, Student, TestAttempt, TestStatus, InterpretedResult, CounsellorNote, Score } = require('../models');
+const { User, UserRole, Student, TestAttempt, TestStatus, InterpretedResult, CounsellorNote, Score, RetakeGrant } = require('../models');
 const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { buildRiasecProfile } = require('../services/riasec');
+const { buildLearningStyleProfile } = require('../services/learningStyle');
+const { buildPercentileReport } = require('../services/norms');
+const { getAttemptPolicy, classifyReadiness, riskLevelForReadiness } = require('../services/readinessPolicy');
+const { getAssessmentSummary } = require('../services/assessments');
+const { checkRetakeEligibility, grantRetake } = require('../services/retakes');
+const { getLastActivityAt, reopenAttempt } = require('../services/attemptLifecycle');
+const { buildAnswerTimeline } = require('../services/answerHistory');
+const {
+  parseAccommodation, formatAccommodation, getStudentAccommodation, saveAccommodation, describeAttemptAccommodations
+} = require('../services/accommodations');
+const { buildIntegrityReport } = require('../services/proctoring');
+
+// Whether the student could start a new attempt now, for admin views
+async function formatEligibility(studentId) {
+  const eligibility = await checkRetakeEligibility(studentId);
+  return {
+    can_start_attempt: eligibility.allowed,
+    reason: eligibility.reason,
+    attempts_used: eligibility.attempts_used,
+    max_attempts: eligibility.max_attempts,
+    cooldown_days: eligibility.cooldown_days,
+    next_eligible_at: eligibility.next_eligible_at,
+    has_retake_grant: !!eligibility.grant
+  };
+}
 
 // GET /admin/students - Get all students with their information (with pagination)
 router.get('', getCurrentUser, requireAdmin, async (req, res) => {
@@ -65,9 +91,10 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
       offset: shouldFetchAll ? null : offset
     });
 
-    // Helper function to compute readiness based on test status and score
+    // Helper function to compute readiness based on test status and score, under the attempt's
+    // readiness policy (same as the student report and analytics, see getAttemptPolicy)
     // Returns values that match frontend expectations: 'READY', 'PARTIALLY READY', 'NOT READY', or null for Pending
-    const computeReadiness = (testStatus, score) => {
+    const computeReadiness = (testStatus, score, readinessPolicy) => {
       if (!testStatus || testStatus === 'ABANDONED') {
         return null; // Pending - frontend will handle this
       }
@@ -78,13 +105,7 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
         if (score === null || score === undefined) {
           return null; // Pending - frontend will handle this
         }
-        if (score >= 75) {
-          return 'READY';
-        }
-        if (score >= 50) {
-          return 'PARTIALLY READY';
-        }
-        return 'NOT READY';
+        return classifyReadiness(score, readinessPolicy);
       }
       return null; // NOT_STARTED (no test attempt) - Pending
     };
@@ -99,16 +120,10 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
         return 'MEDIUM';
       }
       if (testStatus === 'COMPLETED') {
-        if (readiness === 'NOT READY') {
-          return 'HIGH';
+        if (!readiness) {
+          return 'MEDIUM'; // Default for completed but unknown readiness
         }
-        if (readiness === 'PARTIALLY READY') {
-          return 'MEDIUM';
-        }
-        if (readiness === 'READY') {
-          return 'LOW';
-        }
-        return 'MEDIUM'; // Default for completed but unknown readiness
+        return riskLevelForReadiness(readiness);
       }
       return 'LOW'; // NOT_STARTED
     };
@@ -193,9 +208,11 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
 
         const testStatus = latestAttempt ? latestAttempt.status : null;
         let score = null;
+        let readinessPolicy = null;
 
         // Get score for completed tests
         if (latestAttempt && latestAttempt.status === TestStatus.COMPLETED) {
+          readinessPolicy = await getAttemptPolicy(latestAttempt.id);
           const overallScore = await Score.findOne({
             where: {
               test_attempt_id: latestAttempt.id,
@@ -210,7 +227,7 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
         }
 
         // Compute readiness, risk, actions, and AI insight
-        const readiness = computeReadiness(testStatus, score);
+        const readiness = computeReadiness(testStatus, score, readinessPolicy);
         const risk = computeRisk(testStatus, readiness);
         const actions = computeActions(testStatus);
         const aiInsight = computeAIInsight(testStatus, readiness);
@@ -226,6 +243,9 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
           test_attempt_id: latestAttempt ? latestAttempt.id : null,
           test_status: testStatus,
           test_completed_at: latestAttempt && latestAttempt.completed_at ? new Date(latestAttempt.completed_at).toISOString() : null,
+          assigned_assessment_id: studentProfile?.assessment_id || null,
+          assessment: latestAttempt ? await getAssessmentSummary(latestAttempt.assessment_id) : null,
+          has_accommodations: describeAttemptAccommodations(latestAttempt).has_accommodations,
           score: score,
           readiness_status: readiness, // Frontend expects this field name
           risk_level: risk, // Frontend expects this field name
@@ -248,6 +268,9 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
           test_attempt_id: null,
           test_status: null,
           test_completed_at: null,
+          assigned_assessment_id: null,
+          assessment: null,
+          has_accommodations: false,
           score: null,
           readiness_status: null, // Pending - frontend will handle null
           risk_level: 'LOW',
@@ -389,7 +412,7 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
     // Specify only the attributes that exist in the database to avoid column errors
     const interpretedResult = await InterpretedResult.findOne({
       where: { test_attempt_id: testAttemptId },
-      attributes: ['id', 'test_attempt_id', 'interpretation_text', 'strengths', 'areas_for_improvement', 'created_at']
+      attributes: ['id', 'test_attempt_id', 'interpretation_text', 'strengths', 'areas_for_improvement', 'readiness_policy_version', 'created_at']
     });
 
     if (!interpretedResult) {
@@ -414,18 +437,30 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
 
     const DISCLAIMER_TEXT = 'This assessment is designed to provide general career guidance and insights. Results are based on your responses and are intended for informational purposes only. They should not be considered as definitive career decisions or professional diagnoses. We recommend consulting with a qualified career counsellor to discuss your results in detail and explore your options further. Individual results may vary, and career success depends on many factors beyond assessment scores.';
 
+    // Interest profile (RIASEC + Holland code), VARK learning style and norm percentiles for counsellors
+    const scores = await Score.findAll({
+      where: { test_attempt_id: testAttemptId }
+    });
+
     // Return response in the exact format frontend expects
     return res.json({
       test_attempt_id: testAttemptId,
       interpretation_text: interpretedResult.interpretation_text || '',
       strengths: interpretedResult.strengths || '',
       areas_for_improvement: interpretedResult.areas_for_improvement || '',
+      readiness_policy_version: interpretedResult.readiness_policy_version || null,
+      assessment: await getAssessmentSummary(testAttempt.assessment_id),
+      ...describeAttemptAccommodations(testAttempt),
       disclaimer: DISCLAIMER_TEXT,
       student: {
         full_name: student.full_name || '',
         email: student.email || ''
       },
-      careers: careersResponse
+      careers: careersResponse,
+      riasec_profile: buildRiasecProfile(scores),
+      learning_style: buildLearningStyleProfile(scores),
+      percentiles: buildPercentileReport(scores),
+      integrity: await buildIntegrityReport(testAttemptId)
     });
   } catch (error) {
     console.error(`❌ Error in admin get_student_result: ${error.message}`);
@@ -513,10 +548,242 @@ router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, re
   }
 });
 
+// GET /admin/students/:id/attempts - Attempt history (including archived attempts) and retake grants
+router.get('/:id/attempts', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({
+      where: {
+        id: studentId,
+        role: UserRole.STUDENT
+      }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        detail: 'Student not found'
+      });
+    }
+
+    const attempts = await TestAttempt.findAll({
+      where: { student_id: studentId },
+      order: [['started_at', 'DESC']]
+    });
+
+    const attemptsResponse = [];
+    for (const attempt of attempts) {
+      const overallScore = attempt.status === TestStatus.COMPLETED
+        ? await Score.findOne({ where: { test_attempt_id: attempt.id, dimension: 'overall' } })
+        : null;
+
+      attemptsResponse.push({
+        test_attempt_id: attempt.id,
+        status: attempt.status,
+        started_at: attempt.started_at ? new Date(attempt.started_at).toISOString() : null,
+        completed_at: attempt.completed_at ? new Date(attempt.completed_at).toISOString() : null,
+        score: overallScore ? Math.round(overallScore.score_value * 100) / 100 : null,
+        assessment: await getAssessmentSummary(attempt.assessment_id),
+        abandoned_at: attempt.abandoned_at ? new Date(attempt.abandoned_at).toISOString() : null,
+        last_activity_at: attempt.status !== TestStatus.COMPLETED
+          ? (await getLastActivityAt(attempt)).toISOString()
+          : null,
+        is_archived: !!attempt.is_archived,
+        archived_at: attempt.archived_at ? new Date(attempt.archived_at).toISOString() : null,
+        ...describeAttemptAccommodations(attempt)
+      });
+    }
+
+    const grants = await RetakeGrant.findAll({
+      where: { student_id: studentId },
+      order: [['created_at', 'DESC']]
+    });
+
+    return res.json({
+      student_id: studentId,
+      attempts: attemptsResponse,
+      retake_grants: grants.map(grant => ({
+        id: grant.id,
+        granted_by: grant.granted_by || null,
+        reason: grant.reason || null,
+        archived_attempt_count: grant.archived_attempt_count,
+        used_attempt_id: grant.used_attempt_id || null,
+        used_at: grant.used_at ? new Date(grant.used_at).toISOString() : null,
+        created_at: grant.created_at ? new Date(grant.created_at).toISOString() : null
+      })),
+      eligibility: await formatEligibility(studentId)
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_student_attempts: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get student attempts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/students/:id/accommodations - Student's testing accommodations (null when none are set)
+router.get('/:id/accommodations', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({
+      where: {
+        id: studentId,
+        role: UserRole.STUDENT
+      }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        detail: 'Student not found'
+      });
+    }
+
+    return res.json({
+      student_id: studentId,
+      accommodation: formatAccommodation(await getStudentAccommodation(studentId))
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_accommodations: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get accommodations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/students/:id/accommodations - Set extended time, extra pauses and per-section time overrides
+// New attempts and any attempt in progress use them (the running section's remaining time is recomputed);
+// finished attempts keep what they were taken under. Extra pauses only count when SECTION_PAUSE_LIMIT is set.
+router.put('/:id/accommodations', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({
+      where: {
+        id: studentId,
+        role: UserRole.STUDENT
+      }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        detail: 'Student not found'
+      });
+    }
+
+    const { values, error } = await parseAccommodation(req.body);
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+
+    const accommodation = await saveAccommodation(studentId, values, adminUser.id);
+    console.log(`✅ Accommodations for student ${studentId} updated by admin ${adminUser.id}`);
+
+    return res.json({
+      student_id: studentId,
+      accommodation: formatAccommodation(accommodation)
+    });
+  } catch (error) {
+    console.error(`❌ Error in update_accommodations: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to update accommodations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/students/:id/attempts/:attempt_id/answer-history - Timeline of answer changes
+// Shows when each answer was given or changed and how far into the section, for guessing and disputes
+router.get('/:id/attempts/:attempt_id/answer-history', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id, 10);
+    const attemptId = parseInt(req.params.attempt_id, 10);
+
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: attemptId,
+        student_id: studentId
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        detail: 'Test attempt not found for this student'
+      });
+    }
+
+    const timeline = await buildAnswerTimeline(testAttempt.id);
+    return res.json({
+      student_id: studentId,
+      status: testAttempt.status,
+      ...timeline
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_answer_history: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get answer history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/students/:id/attempts/:attempt_id/reopen - Reopen an abandoned attempt
+// The student continues where they left off; paused sections resume with their remaining time
+router.post('/:id/attempts/:attempt_id/reopen', getCurrentUser, requireAdmin, async (req, res) => {
+  try {
+    const adminUser = req.user;
+    const studentId = parseInt(req.params.id, 10);
+    const attemptId = parseInt(req.params.attempt_id, 10);
+
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: attemptId,
+        student_id: studentId
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        detail: 'Test attempt not found for this student'
+      });
+    }
+
+    const { error, conflict } = await reopenAttempt(testAttempt);
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({
+        detail: error
+      });
+    }
+
+    console.log(`✅ Test attempt ${attemptId} of student ${studentId} reopened by admin ${adminUser.id}`);
+
+    return res.json({
+      message: 'Test attempt reopened',
+      test_attempt_id: testAttempt.id,
+      student_id: studentId,
+      status: testAttempt.status
+    });
+  } catch (error) {
+    console.error(`❌ Error in reopen_attempt: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to reopen test attempt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // POST /admin/students/:id/allow-retake - Allow student to retake the test
+// Earlier attempts are archived (not deleted) and the student is granted one more attempt
 router.post('/:id/allow-retake', getCurrentUser, requireAdmin, async (req, res) => {
   try {
+    const adminUser = req.user;
     const studentId = parseInt(req.params.id, 10);
+    const { reason } = req.body || {};
 
     // Verify student exists
     const student = await User.findOne({
@@ -532,41 +799,38 @@ router.post('/:id/allow-retake', getCurrentUser, requireAdmin, async (req, res)
       });
     }
 
-    // Find all completed test attempts for this student
-    const completedAttempts = await TestAttempt.findAll({
+    const completedCount = await TestAttempt.count({
       where: {
         student_id: studentId,
         status: TestStatus.COMPLETED
       }
     });
 
-    if (completedAttempts.length === 0) {
+    if (completedCount === 0) {
       return res.json({
         message: 'Student has no completed tests to reset',
         reset_count: 0
       });
     }
 
-    // Delete completed attempts to allow retake
-    // Note: This will cascade delete related answers, scores, interpreted results, etc.
-    const deletedCount = await TestAttempt.destroy({
-      where: {
-        student_id: studentId,
-        status: TestStatus.COMPLETED
-      }
+    const { grant, archivedCount, error } = await grantRetake(studentId, {
+      grantedBy: adminUser.id,
+      reason: reason || null
     });
 
-    // Also delete any in-progress attempts to start fresh
-    await TestAttempt.destroy({
-      where: {
-        student_id: studentId,
-        status: TestStatus.IN_PROGRESS
-      }
-    });
+    if (error) {
+      return res.status(409).json({
+        detail: error
+      });
+    }
+
+    console.log(`✅ Retake granted to student ${studentId} by admin ${adminUser.id} (${archivedCount} attempt(s) archived)`);
 
     return res.json({
       message: 'Test retake enabled successfully',
-      reset_count: deletedCount,
+      reset_count: archivedCount,
+      archived_count: archivedCount,
+      retake_grant_id: grant.id,
       student_id: studentId
     });
   } catch (error) {
@@ -3,6 +3,11 @@ const router = express.Router();
 const { Op } = require('sequelize');
 const { User, UserRole, Student, TestAttempt, TestStatus, InterpretedResult, Score } = require('../models');
 const { getCurrentUser } = require('../middleware/auth');
+const { getAttemptPolicy, classifyReadiness, riskLevelForReadiness } = require('../services/readinessPolicy');
+const { buildAnswerTimeline } = require('../services/answerHistory');
+const {
+  parseAccommodation, formatAccommodation, getStudentAccommodation, saveAccommodation, describeAttemptAccommodations
+} = require('../services/accommodations');
 
 // Helper function to compute AI insight (reuse from adminStudents)
 const computeAIInsight = (readinessStatus, riskLevel, score) => {
@@ -110,20 +115,9 @@ router.get('/', getCurrentUser, async (req, res) => {
             if (scoreData) {
               score = scoreData.score_value;
               
-              // Calculate readiness and risk
-              if (score >= 81) {
-                readinessStatus = 'READY';
-                riskLevel = 'LOW';
-              } else if (score >= 61) {
-                readinessStatus = 'PARTIALLY READY';
-                riskLevel = score >= 70 ? 'LOW' : 'MEDIUM';
-              } else if (score >= 31) {
-                readinessStatus = 'NOT READY';
-                riskLevel = 'MEDIUM';
-              } else {
-                readinessStatus = 'NOT READY';
-                riskLevel = 'HIGH';
-              }
+              // Calculate readiness and risk under the attempt's policy (same as the student report and admin views)
+              readinessStatus = classifyReadiness(score, await getAttemptPolicy(latestAttempt.id));
+              riskLevel = riskLevelForReadiness(readinessStatus);
             }
           }
         }
@@ -141,6 +135,7 @@ router.get('/', getCurrentUser, async (req, res) => {
           test_attempt_id: testAttemptId,
           test_status: testStatus,
           test_completed_at: testCompletedAt,
+          has_accommodations: describeAttemptAccommodations(latestAttempt).has_accommodations,
           score: score,
           readiness_status: readinessStatus,
           risk_level: riskLevel,
@@ -161,6 +156,7 @@ router.get('/', getCurrentUser, async (req, res) => {
           test_attempt_id: null,
           test_status: null,
           test_completed_at: null,
+          has_accommodations: false,
           score: null,
           readiness_status: null,
           risk_level: 'LOW',
@@ -237,5 +233,81 @@ router.get('/', getCurrentUser, async (req, res) => {
   }
 });
 
+// GET /counsellor/students/:id/attempts/:attempt_id/answer-history - Timeline of answer changes
+router.get('/:id/attempts/:attempt_id/answer-history', getCurrentUser, async (req, res) => {
+  if (req.user.role !== UserRole.COUNSELLOR) {
+    return res.status(403).json({ detail: 'Access denied. Counsellor role required.' });
+  }
+
+  try {
+    const studentId = parseInt(req.params.id, 10);
+    const attemptId = parseInt(req.params.attempt_id, 10);
+
+    const testAttempt = await TestAttempt.findOne({
+      where: { id: attemptId, student_id: studentId }
+    });
+    if (!testAttempt) {
+      return res.status(404).json({ detail: 'Test attempt not found for this student' });
+    }
+
+    const timeline = await buildAnswerTimeline(testAttempt.id);
+    return res.json({ student_id: studentId, status: testAttempt.status, ...timeline });
+  } catch (error) {
+    console.error('❌ Error fetching answer history for counselor:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch answer history' });
+  }
+});
+
+// GET /counsellor/students/:id/accommodations - Student's testing accommodations (null when none are set)
+router.get('/:id/accommodations', getCurrentUser, async (req, res) => {
+  if (req.user.role !== UserRole.COUNSELLOR) {
+    return res.status(403).json({ detail: 'Access denied. Counsellor role required.' });
+  }
+
+  try {
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({ where: { id: studentId, role: UserRole.STUDENT } });
+    if (!student) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const accommodation = await getStudentAccommodation(studentId);
+    return res.json({ student_id: studentId, accommodation: formatAccommodation(accommodation) });
+  } catch (error) {
+    console.error('❌ Error fetching accommodations for counselor:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch accommodations' });
+  }
+});
+
+// PUT /counsellor/students/:id/accommodations - Set extended time, extra pauses and per-section time overrides
+router.put('/:id/accommodations', getCurrentUser, async (req, res) => {
+  if (req.user.role !== UserRole.COUNSELLOR) {
+    return res.status(403).json({ detail: 'Access denied. Counsellor role required.' });
+  }
+
+  try {
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({ where: { id: studentId, role: UserRole.STUDENT } });
+    if (!student) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const { values, error } = await parseAccommodation(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const accommodation = await saveAccommodation(studentId, values, req.user.id);
+    console.log(`✅ Accommodations for student ${studentId} updated by counsellor ${req.user.id}`);
+
+    return res.json({ student_id: studentId, accommodation: formatAccommodation(accommodation) });
+  } catch (error) {
+    console.error('❌ Error updating accommodations for counselor:', error.message);
+    return res.status(500).json({ detail: 'Failed to update accommodations' });
+  }
+});
+
 module.exports = router;
 
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { User, UserRole, InterpretedResult, Career, TestAttempt, TestStatus } = require('../models');
 const { getCurrentUser, requireRole } = require('../middleware/auth');
+const { getAssessmentSummary } = require('../services/assessments');
+const { describeAttemptAccommodations } = require('../services/accommodations');
 
 const requireStudent = requireRole(['STUDENT']);
 
@@ -57,6 +59,8 @@ router.get('/:test_attempt_id', getCurrentUser, requireStudent, async (req, res)
       strengths: interpretedResult.strengths,
       areas_for_improvement: interpretedResult.areas_for_improvement,
       careers: careersResponse,
+      assessment: await getAssessmentSummary(testAttempt.assessment_id),
+      ...describeAttemptAccommodations(testAttempt),
       created_at: interpretedResult.created_at,
       disclaimer: DISCLAIMER_TEXT
     });
@@ -114,6 +118,9 @@ router.get('/', getCurrentUser, requireStudent, async (req, res) => {
         strengths: interpretedResult.strengths,
         areas_for_improvement: interpretedResult.areas_for_improvement,
         careers: careersResponse,
+        assessment: await getAssessmentSummary(testAttempt.assessment_id),
+        is_archived: !!testAttempt.is_archived,
+        ...describeAttemptAccommodations(testAttempt),
         created_at: interpretedResult.created_at,
         disclaimer: DISCLAIMER_TEXT
       });
@@ -1,20 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { sequelize } = require('../database');
 const {
   User, UserRole, Question, TestAttempt, TestStatus,
   Answer, Score, InterpretedResult, Section, SectionProgress, SectionStatus,
-  Student, TestAttemptQuestion
+  Student, TestAttemptQuestion, AnswerEventSource, PracticeAttempt, PracticeAttemptQuestion
 } = require('../models');
 const { getCurrentUser, requireRole } = require('../middleware/auth');
-const { storeScores } = require('../services/scoring');
+const { storeScores, countCorrectAnswers } = require('../services/scoring');
+const { buildRiasecProfile } = require('../services/riasec');
+const { buildLearningStyleProfile } = require('../services/learningStyle');
+const { getScorePercentile } = require('../services/norms');
+const { getActivePolicy, getPolicyVersion } = require('../services/readinessPolicy');
+const {
+  DEFAULT_SECTION_RULE,
+  getBlueprintForStudent,
+  getSectionRules,
+  selectSectionQuestions
+} = require('../services/testBlueprint');
+const {
+  getAssessmentForStudent,
+  getAssessmentSections,
+  getAttemptSections,
+  getNextSection,
+  getPreviousSections,
+  getAssessmentSummary
+} = require('../services/assessments');
+const { checkRetakeEligibility, recordAttemptStarted } = require('../services/retakes');
+const { applyAnswer, boundClientTime, parseAnswerBatch, syncAnswerBatch } = require('../services/answerSync');
+const { recordAnswerChange } = require('../services/answerHistory');
+const {
+  applyAccommodation,
+  getAttemptSectionRule,
+  getAccommodatedSectionRules,
+  getAccommodationSnapshot,
+  getPauseAllowance,
+  describeAttemptAccommodations
+} = require('../services/accommodations');
+const { parseProctoringEvents, recordProctoringEvents } = require('../services/proctoring');
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  normalizeLanguage,
+  getApprovedTranslations,
+  localizeQuestion
+} = require('../services/questionTranslations');
+const { getQuestionMedia, withOptionMedia } = require('../services/questionMedia');
+const {
+  ensureCurrentRevisions,
+  getAttemptRevisions,
+  getAttemptRevisionIds,
+  withRevision
+} = require('../services/questionRevisions');
+const {
+  getPracticeRemainingSeconds,
+  startPracticeAttempt,
+  answerPracticeQuestion,
+  finishPracticeAttempt,
+  summarizePracticeAttempt
+} = require('../services/practice');
+const {
+  buildOptionOrder,
+  presentOptions,
+  toCanonicalKey,
+  toDisplayKey,
+  getOptionOrders
+} = require('../services/optionShuffle');
+const {
+  getTimeSpentSeconds,
+  completeSectionProgress,
+  advanceAttempt,
+  expireSection
+} = require('../services/sectionSubmission');
 const {
   generateAndSaveInterpretation,
   calculateReadinessStatus,
   calculateRiskLevel,
   determineCareerDirection,
   generateActionRoadmap,
+  getLearningStyleFromScores,
   generateCounsellorStyleSummary,
   generateCounsellorSummary,
   generateReadinessActionGuidance,
@@ -24,8 +88,7 @@ const {
 } = require('../services/geminiInterpreter');
 
 // Test configuration constants
-const TOTAL_QUESTIONS = 35; // Total questions across all sections (7 questions × 5 sections)
-const QUESTIONS_PER_SECTION = 7; // Questions per section
+// Question counts and time limits per section come from the attempt's test blueprint
 const TOTAL_SECTIONS = 5; // Total number of sections
 
 const requireStudent = requireRole(['STUDENT']);
@@ -165,12 +228,26 @@ router.get('/questions', getCurrentUser, requireStudent, async (req, res) => {
       .map(id => questionMap[id])
       .filter(q => q !== undefined);
 
+    // Multiple choice options are shown in this attempt's shuffled order, in the language chosen at start
+    const optionOrders = await getOptionOrders(testAttempt.id);
+    const translations = await getApprovedTranslations(selectedQuestionIds, testAttempt.language);
+    const media = await getQuestionMedia(selectedQuestionIds);
+    const revisions = await getAttemptRevisions(testAttempt.id, selectedQuestionIds);
+
     return res.json(
-      orderedQuestions.map(q => ({
-        question_id: q.id,
-        question_text: q.question_text,
-        options: parseOptionsToArray(q.options)
-      }))
+      orderedQuestions.map(q => {
+        // The wording pinned to this attempt; translations only match the question's current revision
+        const shown = withRevision(q, revisions[q.id]);
+        const translation = !revisions[q.id] || revisions[q.id].id === q.current_revision_id ? translations[q.id] : null;
+        const localized = localizeQuestion(shown.question_text, parseOptionsToArray(shown.options), translation);
+        return {
+          question_id: q.id,
+          question_text: localized.questionText,
+          media: media[q.id] ? media[q.id].question : [],
+          options: presentOptions(withOptionMedia(localized.options, media[q.id]), optionOrders[q.id]),
+          language: localized.language
+        };
+      })
     );
   } catch (error) {
     console.error(`❌ Error in get_questions: ${error.name}: ${error.message}`);
@@ -186,25 +263,19 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
   try {
     const currentUser = req.user;
 
-    // Ensure student profile exists
-    const studentProfile = await Student.findOne({ where: { user_id: currentUser.id } });
-    if (!studentProfile) {
+    // Language the questions are shown in; answers and scoring don't depend on it
+    const language = normalizeLanguage(req.body ? req.body.language : null);
+    if (language === undefined) {
       return res.status(400).json({
-        detail: 'Student profile not found. Please complete your registration.'
+        detail: `language must be one of: ${LANGUAGES.join(', ')}`
       });
     }
 
-    // Check if user has already completed a test (ONE ATTEMPT ONLY)
-    const completedAttempt = await TestAttempt.findOne({
-      where: {
-        student_id: currentUser.id,
-        status: TestStatus.COMPLETED
-      }
-    });
-
-    if (completedAttempt) {
+    // Ensure student profile exists
+    const studentProfile = await Student.findOne({ where: { user_id: currentUser.id } });
+    if (!studentProfile) {
       return res.status(400).json({
-        detail: 'You have already completed the test. Each student can attempt the test only once.'
+        detail: 'Student profile not found. Please complete your registration.'
       });
     }
 
@@ -217,7 +288,13 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
     });
 
     // If exists → return it (questions are selected per section, not at test start)
+    // Picking a language when resuming switches the remaining questions to it
     if (existingAttempt) {
+      if (language && existingAttempt.language !== language) {
+        existingAttempt.language = language;
+        await existingAttempt.save();
+      }
+
       // Count total questions assigned across all sections from junction table
       const totalAssignedQuestions = await TestAttemptQuestion.count({
         where: {
@@ -229,28 +306,55 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
         test_attempt_id: existingAttempt.id,
         status: existingAttempt.status,
         started_at: existingAttempt.started_at,
-        total_questions: totalAssignedQuestions || 0 // Questions are assigned per section
+        total_questions: totalAssignedQuestions || 0, // Questions are assigned per section
+        assessment: await getAssessmentSummary(existingAttempt.assessment_id),
+        language: existingAttempt.language || DEFAULT_LANGUAGE
       });
     }
 
-    // Validate that at least one section has minimum 7 questions
-    // SQL Query: Check if any section has >= 7 questions
-    const sections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
+    // A new attempt must be allowed by the retake policy (attempt limit and cooldown) or an admin-granted retake
+    const eligibility = await checkRetakeEligibility(currentUser.id);
+    if (!eligibility.allowed) {
+      return res.status(400).json({
+        error_code: eligibility.error_code,
+        message: eligibility.reason,
+        detail: eligibility.reason,
+        attempts_used: eligibility.attempts_used,
+        max_attempts: eligibility.max_attempts,
+        next_eligible_at: eligibility.next_eligible_at
+      });
+    }
+
+    // Resolve the student's assessment and its blueprint (section sizes and time limits)
+    const assessment = await getAssessmentForStudent(currentUser);
+    const blueprint = await getBlueprintForStudent(currentUser, assessment);
+    const sectionRules = await getSectionRules(blueprint ? blueprint.id : null);
+
+    const sections = await getAssessmentSections(assessment ? assessment.id : null);
+    if (sections.length === 0) {
+      return res.status(400).json({
+        error_code: 'ASSESSMENT_HAS_NO_SECTIONS',
+        message: 'Cannot start test. Your assessment has no active sections.',
+        detail: `Assessment ${assessment ? `'${assessment.name}'` : '(none)'} has no active sections`
+      });
+    }
+
+    // Validate that at least one section has enough questions for its blueprint question count
+    // SQL Query: Check if any section has >= question_count questions
 
     let hasEnoughQuestions = false;
     for (const section of sections) {
+      const sectionRule = sectionRules[section.id] || DEFAULT_SECTION_RULE;
       const questionCount = await Question.count({
         where: {
           section_id: section.id,
           status: 'approved',
-          is_active: true
+          is_active: true,
+          is_sample: false
         }
       });
 
-      if (questionCount >= 7) {
+      if (questionCount >= sectionRule.question_count) {
         hasEnoughQuestions = true;
         break;
       }
@@ -259,27 +363,42 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
     if (!hasEnoughQuestions) {
       return res.status(400).json({
         error_code: 'INSUFFICIENT_QUESTIONS',
-        message: 'Cannot start test. At least one section must have minimum 7 questions.',
-        detail: 'No section has at least 7 active and approved questions. Please add more questions to at least one section.'
+        message: 'Cannot start test. At least one section must have enough questions for the test blueprint.',
+        detail: 'No section has as many active and approved questions as its blueprint requires. Please add more questions to at least one section.'
       });
     }
 
+    // Accommodations (extended time, extra pauses) are copied onto the attempt
+    const accommodations = await getAccommodationSnapshot(currentUser.id);
+    const firstSectionRule = applyAccommodation(sectionRules[sections[0].id] || DEFAULT_SECTION_RULE, accommodations, sections[0].id);
+
     // Create new test attempt (questions will be selected per section when accessing sections)
     const testAttempt = await TestAttempt.create({
       student_id: currentUser.id,
       status: TestStatus.IN_PROGRESS,
       current_section_id: null,
       current_question_index: 0,
-      remaining_time_seconds: 420
+      remaining_time_seconds: firstSectionRule.time_limit_seconds,
+      blueprint_id: blueprint ? blueprint.id : null,
+      assessment_id: assessment ? assessment.id : null,
+      accommodations: accommodations,
+      language: language || DEFAULT_LANGUAGE
     });
 
-    console.log(`✅ Test attempt ${testAttempt.id} created (questions will be selected per section)`);
+    await recordAttemptStarted(currentUser.id, testAttempt, eligibility.grant);
+    if (eligibility.grant) {
+      console.log(`🔵 Retake grant ${eligibility.grant.id} used by test attempt ${testAttempt.id}`);
+    }
+
+    console.log(`✅ Test attempt ${testAttempt.id} created for assessment ${assessment ? `'${assessment.name}'` : '(none)'} with blueprint ${blueprint ? `'${blueprint.name}'` : '(none)'} (questions will be selected per section)`);
 
     return res.json({
       test_attempt_id: testAttempt.id,
       status: testAttempt.status,
       started_at: testAttempt.started_at,
-      total_questions: 0 // Questions are assigned per section, not at test start
+      total_questions: 0, // Questions are assigned per section, not at test start
+      assessment: assessment ? { id: assessment.id, name: assessment.name } : null,
+      language: testAttempt.language
     });
   } catch (error) {
     console.error(`❌ Error in start_test: ${error.message}`);
@@ -376,20 +495,43 @@ router.post('/submit', getCurrentUser, requireStudent, async (req, res) => {
       });
     }
 
-    // Save answers
+    // Questions being answered, for scoring (loaded before anything is written)
+    const questions = await Question.findAll({
+      where: { id: { [Op.in]: questionIds } }
+    });
+    const questionMap = {};
+    for (const q of questions) {
+      questionMap[q.id] = q;
+    }
+    const missingQuestionId = questionIds.find(qid => !questionMap[qid]);
+    if (missingQuestionId !== undefined) {
+      return res.status(400).json({
+        detail: `Question ${missingQuestionId} not found`
+      });
+    }
+
+    // Save answers against the question revisions shown in this attempt. Keys are as the student saw
+    // them (options may be shuffled) and are stored and scored as the question's own keys.
+    const revisions = await getAttemptRevisions(attempt_id, questionIds);
+    const optionOrders = await getOptionOrders(testAttempt.id, questionIds);
+    const canonicalOptions = {};
     for (const answerData of answers) {
+      const revision = revisions[answerData.question_id];
+      canonicalOptions[answerData.question_id] = toCanonicalKey(answerData.selected_option, optionOrders[answerData.question_id]);
       await Answer.create({
         test_attempt_id: attempt_id,
         question_id: answerData.question_id,
-        answer_text: answerData.selected_option
+        question_revision_id: revision ? revision.id : null,
+        answer_text: canonicalOptions[answerData.question_id]
       });
     }
 
     // Calculate score
     let correctCount = 0;
     for (const answerData of answers) {
-      const question = questionMap[answerData.question_id];
-      if (question.correct_answer && answerData.selected_option.toUpperCase() === question.correct_answer.toUpperCase()) {
+      const question = withRevision(questionMap[answerData.question_id], revisions[answerData.question_id]);
+      const canonicalOption = canonicalOptions[answerData.question_id];
+      if (question.correct_answer && canonicalOption && canonicalOption.toUpperCase() === question.correct_answer.toUpperCase()) {
         correctCount++;
       }
     }
@@ -463,11 +605,8 @@ router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async
       });
     }
 
-    // Check if all sections are completed (section-wise flow)
-    const activeSections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
+    // Check if all sections of the attempt's assessment are completed (section-wise flow)
+    const activeSections = await getAttemptSections(testAttempt);
 
     const activeSectionCount = activeSections.length;
 
@@ -595,7 +734,7 @@ router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async
         if (score) {
           const totalQuestions = expectedTotalQuestions;
           const percentage = score.score_value;
-          const correctAnswers = percentage <= 100 ? Math.floor((percentage / 100) * totalQuestions) : totalQuestions;
+          const { correct: correctAnswers } = await countCorrectAnswers(testAttemptId);
 
           // Generate interpretation in background (non-blocking)
           try {
@@ -676,18 +815,16 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
       });
 
       const completedSectionIds = completedProgresses.map(p => p.section_id);
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
+      const allSections = await getAttemptSections(testAttempt);
 
       for (const section of allSections) {
         if (!completedSectionIds.includes(section.id)) {
           currentSection = section;
           // Update test attempt with current section
+          const sectionRule = await getAttemptSectionRule(testAttempt, section.id);
           testAttempt.current_section_id = section.id;
           testAttempt.current_question_index = 0;
-          testAttempt.remaining_time_seconds = 420;
+          testAttempt.remaining_time_seconds = sectionRule.time_limit_seconds;
           await testAttempt.save();
           break;
         }
@@ -695,7 +832,10 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
     }
 
     // Get section progress for timer calculation
-    let remainingTimeSeconds = testAttempt.remaining_time_seconds || 420;
+    const sectionTimeLimit = currentSection
+      ? (await getAttemptSectionRule(testAttempt, currentSection.id)).time_limit_seconds
+      : DEFAULT_SECTION_RULE.time_limit_seconds;
+    let remainingTimeSeconds = testAttempt.remaining_time_seconds || sectionTimeLimit;
     let isPaused = false;
 
     if (currentSection) {
@@ -714,7 +854,6 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
           const now = new Date();
           const startTime = new Date(sectionProgress.section_start_time);
           const elapsedSeconds = Math.floor((now - startTime) / 1000) + sectionProgress.total_time_spent;
-          const sectionTimeLimit = 420;
           remainingTimeSeconds = Math.max(0, sectionTimeLimit - elapsedSeconds);
 
           // Update test attempt with calculated remaining time
@@ -722,7 +861,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
           await testAttempt.save();
         } else if (isPaused) {
           // Use stored remaining time if paused
-          remainingTimeSeconds = testAttempt.remaining_time_seconds || 420;
+          remainingTimeSeconds = testAttempt.remaining_time_seconds || sectionTimeLimit;
         }
       }
     }
@@ -796,7 +935,9 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
 
       // Use remaining_time_seconds from test_attempt if available (persisted on pause)
       // Otherwise calculate from section progress
-      const sectionTimeLimit = 420; // 7 minutes = 420 seconds
+      const sectionTimeLimit = currentSection
+        ? (await getAttemptSectionRule(testAttempt, currentSection.id)).time_limit_seconds
+        : DEFAULT_SECTION_RULE.time_limit_seconds;
 
       // ALWAYS use remaining_time_seconds from test_attempt if available (persisted on pause/resume)
       // Otherwise calculate from section progress
@@ -833,10 +974,7 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
       });
 
       const completedSectionIds = completedProgresses.map(p => p.section_id);
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
+      const allSections = await getAttemptSections(testAttempt);
 
       for (const section of allSections) {
         if (!completedSectionIds.includes(section.id)) {
@@ -868,10 +1006,11 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
         }
       });
 
-      // Build answers map and find current question index
+      // Build answers map (in the keys the student saw) and find current question index
+      const optionOrders = await getOptionOrders(testAttemptId, sectionAnswers.map(a => a.question_id));
       const answeredQuestionIds = new Set();
       sectionAnswers.forEach(answer => {
-        answersMap[answer.question_id] = answer.answer_text; // answer_text contains selected_option
+        answersMap[answer.question_id] = toDisplayKey(answer.answer_text, optionOrders[answer.question_id]);
         answeredQuestionIds.add(answer.question_id);
       });
 
@@ -959,11 +1098,8 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
     // Sort completed sections
     completedSections.sort((a, b) => a - b);
 
-    // Find current section (next incomplete section)
-    const allSections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
+    // Find current section (next incomplete section of the attempt's assessment)
+    const allSections = await getAttemptSections(testAttempt);
 
     let currentSection = null;
     for (const section of allSections) {
@@ -973,8 +1109,8 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
       }
     }
 
-    // Get total sections from database (should be 5)
-    let totalSections = await Section.count({ where: { is_active: true } });
+    // Total sections in the attempt's assessment
+    let totalSections = allSections.length;
     if (totalSections === 0) {
       totalSections = TOTAL_SECTIONS; // Fallback to constant if no sections found
     }
@@ -988,7 +1124,8 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
       answered_questions: answeredQuestions,
       completed_sections: completedSections,
       current_section: currentSection,
-      total_sections: totalSections
+      total_sections: totalSections,
+      assessment: await getAssessmentSummary(testAttempt.assessment_id)
     });
   } catch (error) {
     console.error(`❌ Error in get_test_status: ${error.message}`);
@@ -1036,6 +1173,7 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
         'strengths',
         'areas_for_improvement',
         'is_ai_generated',
+        'readiness_policy_version',
         'created_at',
         'updated_at'
         // Note: readiness_status, risk_level, etc. are NOT included if they don't exist in DB
@@ -1161,8 +1299,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       percentage = Math.max(0.0, Math.min(100.0, percentage));
     }
 
-    // Calculate correct_answers for display purposes only (not stored, just for API response)
-    const correctAnswers = percentage <= 100 ? Math.floor((percentage / 100) * totalQuestions) : totalQuestions;
+    // Count correctly answered keyed MCQs (Likert items have no right answer)
+    const { correct: correctAnswers } = await countCorrectAnswers(testAttemptId);
 
     // Generate interpretation if not exists
     if (!interpretedResult) {
@@ -1187,8 +1325,10 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
           });
         }
 
-        // Return a processing message instead of 404
-        const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+        // Return a processing message instead of 404. Nothing is stored for this attempt yet,
+        // so it is judged by the active policy, as the interpretation will be.
+        const readinessPolicy = await getActivePolicy();
+        const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage, readinessPolicy);
         const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
 
         const sections = {};
@@ -1207,8 +1347,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
           }
         }
 
-        const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage);
-        const roadmap = generateActionRoadmap(readinessStatus, percentage);
+        const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage, readinessPolicy);
+        const roadmap = generateActionRoadmap(readinessStatus, percentage, getLearningStyleFromScores(scoresQuery));
 
         // Generate new fields for error response
         const counsellorSummary = generateCounsellorSummary(percentage, readinessStatus, careerDirection, sectionScoresDict);
@@ -1226,7 +1366,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
             sectionScoresArray.push({
               section_number: sectionNum,
               section_name: sectionName,
-              score: Math.round(score * 100) / 100
+              score: Math.round(score * 100) / 100,
+              percentile: getScorePercentile(scoresQuery, dim)
             });
           }
         }
@@ -1239,8 +1380,12 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
           career_clusters: [careerDirection],
           risk_level: riskLevel,
           readiness_status: readinessStatus,
+          readiness_policy_version: readinessPolicy.version,
+          assessment: await getAssessmentSummary(testAttempt.assessment_id),
+          ...describeAttemptAccommodations(testAttempt),
           action_plan: ['Interpretation is being generated. Please refresh in a moment.'],
           overall_percentage: Math.round(percentage * 100) / 100,
+          overall_percentile: getScorePercentile(scoresQuery, 'overall'),
           total_questions: totalQuestions,
           correct_answers: correctAnswers,
           is_ai_generated: false,
@@ -1250,6 +1395,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
           career_direction_reason: careerDirectionReason,
           roadmap: roadmap,
           section_scores: sectionScoresArray,
+          riasec_profile: buildRiasecProfile(scoresQuery),
+          learning_style: buildLearningStyleProfile(scoresQuery),
           counsellor_summary: counsellorSummary,
           readiness_action_guidance: readinessActionGuidance,
           career_confidence_level: careerConfidenceLevel,
@@ -1261,8 +1408,13 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       }
     }
 
+    // Readiness is judged by the policy version the interpretation was written under (as in the
+    // admin and counsellor lists and analytics, see getAttemptPolicy), so an old attempt doesn't
+    // change with today's thresholds
+    const readinessPolicy = await getPolicyVersion(interpretedResult.readiness_policy_version);
+
     // Parse existing interpretation - regenerate missing fields if needed
-    const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+    const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage, readinessPolicy);
     const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
 
     const sections = {};
@@ -1305,7 +1457,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
             sectionScoresArray.push({
               section_number: sectionNum,
               section_name: sectionName,
-              score: Math.round(scoreValue * 100) / 100
+              score: Math.round(scoreValue * 100) / 100,
+              percentile: getScorePercentile(scoresQuery, scoreItem.dimension)
             });
           }
         }
@@ -1314,8 +1467,16 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
     // Sort by section number
     sectionScoresArray.sort((a, b) => a.section_number - b.section_number);
 
-    const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage);
-    const roadmap = generateActionRoadmap(readinessStatus, percentage);
+    // Attach percent-correct for sections with keyed MCQs (stored as accuracy_section_N)
+    for (const sectionScore of sectionScoresArray) {
+      const accuracyScore = scoresQuery.find(s => s.dimension === `accuracy_section_${sectionScore.section_number}`);
+      sectionScore.percent_correct = accuracyScore
+        ? Math.round(accuracyScore.score_value * 100) / 100
+        : null;
+    }
+
+    const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage, readinessPolicy);
+    const roadmap = generateActionRoadmap(readinessStatus, percentage, getLearningStyleFromScores(scoresQuery));
 
     // Safely parse JSON fields with defensive checks
     // Handle case where interpretedResult might be null or missing fields
@@ -1504,8 +1665,12 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       career_clusters: interpretationData.career_clusters || [],
       risk_level: interpretationData.risk_level || 'MEDIUM',
       readiness_status: interpretationData.readiness_status || 'PARTIALLY READY',
+      readiness_policy_version: readinessPolicy.version,
+      assessment: await getAssessmentSummary(testAttempt.assessment_id),
+      ...describeAttemptAccommodations(testAttempt),
       action_plan: interpretationData.action_plan || [],
       overall_percentage: Math.round(percentage * 100) / 100,
+      overall_percentile: getScorePercentile(scoresQuery, 'overall'),
       total_questions: totalQuestions,
       correct_answers: correctAnswers,
       is_ai_generated: isAiGenerated,
@@ -1515,6 +1680,8 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       career_direction_reason: interpretationData.career_direction_reason || '',
       roadmap: interpretationData.roadmap || {},
       section_scores: sectionScoresArray,
+      riasec_profile: buildRiasecProfile(scoresQuery),
+      learning_style: buildLearningStyleProfile(scoresQuery),
       counsellor_summary: interpretationData.counsellor_summary || '',
       readiness_action_guidance: interpretationData.readiness_action_guidance || [],
       career_confidence_level: interpretationData.career_confidence_level || 'MODERATE',
@@ -1552,9 +1719,10 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
 // ========== SECTION-WISE TEST FLOW ENDPOINTS ==========
 
 // POST /test/save-answer - Save individual answer (for real-time persistence)
+// Optional client_timestamp / client_seq order it against /answers/sync writes (server time if left out)
 router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) => {
   try {
-    const { attempt_id, question_id, selected_option } = req.body;
+    const { attempt_id, question_id, selected_option, client_timestamp, client_seq } = req.body;
     const currentUser = req.user;
 
     if (!attempt_id || !question_id || !selected_option) {
@@ -1563,6 +1731,21 @@ router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) =>
       });
     }
 
+    // When the student answered, as the client saw it. A save that was delayed (retries, slow network)
+    // must not overwrite an answer given after it through /answers/sync. Older clients send neither.
+    let clientTime = client_timestamp ? new Date(client_timestamp) : new Date();
+    if (isNaN(clientTime.getTime())) {
+      return res.status(400).json({
+        detail: 'client_timestamp must be a valid date'
+      });
+    }
+    clientTime = boundClientTime(clientTime);
+    if (client_seq != null && (!Number.isInteger(client_seq) || client_seq < 0)) {
+      return res.status(400).json({
+        detail: 'client_seq must be a non-negative integer'
+      });
+    }
+
     // Verify test attempt belongs to user
     const testAttempt = await TestAttempt.findOne({
       where: {
@@ -1586,29 +1769,30 @@ router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) =>
       });
     }
 
-    // Upsert answer (update if exists, create if not)
-    const [answer, created] = await Answer.findOrCreate({
+    // Upsert answer (update if exists, create if not); safe against retried requests racing each other
+    // The student picks a displayed key; store the canonical one so scoring lines up with correct_answer
+    const optionOrders = await getOptionOrders(testAttempt.id, [question.id]);
+    const canonicalOption = toCanonicalKey(selected_option, optionOrders[question.id]);
+
+    const result = await applyAnswer(testAttempt.id, question.id, canonicalOption, {
+      clientTime,
+      clientSeq: client_seq != null ? client_seq : null,
+      source: AnswerEventSource.SAVE
+    });
+    const answer = await Answer.findOne({
       where: {
-        test_attempt_id: attempt_id,
-        question_id: question_id
+        test_attempt_id: testAttempt.id,
+        question_id: question.id
       },
-      defaults: {
-        test_attempt_id: attempt_id,
-        question_id: question_id,
-        answer_text: String(selected_option)
-      }
+      attributes: ['id']
     });
 
-    if (!created) {
-      answer.answer_text = String(selected_option);
-      await answer.save();
-    }
-
     return res.json({
       success: true,
       answer_id: answer.id,
       question_id: question_id,
-      selected_option: selected_option
+      selected_option: selected_option,
+      stale: result === 'stale' // A later answer to this question was already saved and was kept
     });
   } catch (error) {
     console.error(`❌ Error in save_answer: ${error.message}`);
@@ -1618,13 +1802,70 @@ router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) =>
   }
 });
 
+// POST /test/answers/sync - Batched, idempotent answer sync for flaky connections
+// Each answer carries client_seq and client_timestamp; the latest client write per question wins,
+// so retried or out-of-order batches are harmless. Responds with the attempt's authoritative answers.
+router.post('/answers/sync', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const { attempt_id, answers } = req.body;
+    const currentUser = req.user;
+
+    if (!attempt_id) {
+      return res.status(400).json({
+        detail: 'attempt_id is required'
+      });
+    }
+
+    const { entries, error } = parseAnswerBatch(answers);
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+
+    // Verify test attempt belongs to user
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: attempt_id,
+        student_id: currentUser.id,
+        status: TestStatus.IN_PROGRESS
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        error_code: 'ATTEMPT_NOT_IN_PROGRESS',
+        message: 'This test attempt is no longer in progress. Your answers could not be saved.',
+        detail: 'Test attempt not found or not in progress'
+      });
+    }
+
+    const result = await syncAnswerBatch(testAttempt, entries);
+    console.log(`🔵 Answer sync for attempt ${testAttempt.id}: ${result.applied.length} applied, ${result.stale.length} stale, ${result.rejected.length} rejected`);
+
+    return res.json({
+      attempt_id: testAttempt.id,
+      applied: result.applied,
+      stale: result.stale,
+      rejected: result.rejected,
+      answers: result.answers,
+      server_time: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Error in sync_answers: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to sync answers'
+    });
+  }
+});
+
 // GET /test/sections
 router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
   try {
     const attemptId = req.query.attempt_id ? parseInt(req.query.attempt_id, 10) : null;
     const currentUser = req.user;
 
-    // Check if student has already completed a test (ONE ATTEMPT ONLY)
+    // Latest completed attempt (its result stays viewable while a retake is pending)
     const completedAttempt = await TestAttempt.findOne({
       where: {
         student_id: currentUser.id,
@@ -1632,12 +1873,8 @@ router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
       },
       order: [['completed_at', 'DESC']]
     });
-
-    const canAttemptTest = !completedAttempt;
     const completedTestAttemptId = completedAttempt ? completedAttempt.id : null;
 
-    console.log(`🔵 get_sections for user ${currentUser.id}: can_attempt_test=${canAttemptTest}, completed_test_attempt_id=${completedTestAttemptId}`);
-
     // Find current test attempt for this student (in progress)
     let testAttempt;
     if (attemptId) {
@@ -1657,265 +1894,96 @@ router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
       });
     }
 
-    // Define all 5 sections - ALWAYS return all 5 sections
-    const sectionsConfig = [
-      { order_index: 1, name: 'Section 1: Intelligence Test (Cognitive Reasoning)', description: 'Logical Reasoning, Numerical Reasoning, Verbal Reasoning, Abstract Reasoning' },
-      { order_index: 2, name: 'Section 2: Aptitude Test', description: 'Numerical Aptitude, Logical Aptitude, Verbal Aptitude, Spatial/Mechanical Aptitude' },
-      { order_index: 3, name: 'Section 3: Study Habits', description: 'Concentration, Consistency, Time Management, Exam Preparedness, Self-discipline' },
-      { order_index: 4, name: 'Section 4: Learning Style', description: 'Visual, Auditory, Reading/Writing, Kinesthetic' },
-      { order_index: 5, name: 'Section 5: Career Interest (RIASEC)', description: 'Realistic, Investigative, Artistic, Social, Enterprising, Conventional' }
-    ];
-
-    // Get sections from database
-    const dbSections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
+    // An in-progress attempt can always be continued; a new one needs the retake policy's go-ahead
+    const eligibility = await checkRetakeEligibility(currentUser.id);
+    const canAttemptTest = !!testAttempt || eligibility.allowed;
 
-    // Create a map of order_index -> Section for quick lookup
-    const dbSectionsMap = {};
-    for (const s of dbSections) {
-      dbSectionsMap[s.order_index] = s;
-    }
+    console.log(`🔵 get_sections for user ${currentUser.id}: can_attempt_test=${canAttemptTest}, completed_test_attempt_id=${completedTestAttemptId}`);
 
-    // Build all_sections list - always 5 sections
-    const allSections = [];
-    for (const config of sectionsConfig) {
-      const orderIdx = config.order_index;
-      if (dbSectionsMap[orderIdx]) {
-        allSections.push(dbSectionsMap[orderIdx]);
-      } else {
-        // Create a temporary section object from config if not in DB
-        allSections.push({
-          id: orderIdx, // Use order_index as temporary ID
-          name: config.name,
-          description: config.description,
-          order_index: orderIdx,
-          is_active: true
-        });
-      }
+    // Sections and their rules come from the attempt's assessment and blueprint,
+    // or from the ones a new attempt would get
+    let allSections;
+    let listBlueprintId;
+    let listAssessment;
+    let listAccommodations;
+    if (testAttempt) {
+      allSections = await getAttemptSections(testAttempt);
+      listBlueprintId = testAttempt.blueprint_id;
+      listAssessment = await getAssessmentSummary(testAttempt.assessment_id);
+      listAccommodations = testAttempt.accommodations;
+    } else {
+      const assessment = await getAssessmentForStudent(currentUser);
+      const blueprint = await getBlueprintForStudent(currentUser, assessment);
+      allSections = await getAssessmentSections(assessment ? assessment.id : null);
+      listBlueprintId = blueprint ? blueprint.id : null;
+      listAssessment = assessment ? { id: assessment.id, name: assessment.name } : null;
+      listAccommodations = await getAccommodationSnapshot(currentUser.id);
     }
+    const sectionRules = await getAccommodatedSectionRules(listBlueprintId, listAccommodations, allSections.map(s => s.id));
 
-    // Determine current section based on progress
-    let currentSectionIndex = 0;
-
+    // Section progress for this attempt, keyed by section id
+    const progressBySection = {};
     if (testAttempt) {
-      // Find the current section based on progress
-      // Look for in-progress sections first
-      const inProgressProgress = await SectionProgress.findAll({
-        where: {
-          test_attempt_id: testAttempt.id,
-          status: SectionStatus.IN_PROGRESS
-        }
+      const progresses = await SectionProgress.findAll({
+        where: { test_attempt_id: testAttempt.id }
       });
-
-      if (inProgressProgress.length > 0) {
-        for (const progress of inProgressProgress) {
-          const section = await Section.findByPk(progress.section_id);
-          if (section) {
-            currentSectionIndex = section.order_index;
-            break;
-          }
-        }
-      } else {
-        // Find the highest completed section
-        const completedProgress = await SectionProgress.findAll({
-          where: {
-            test_attempt_id: testAttempt.id,
-            status: SectionStatus.COMPLETED
-          }
-        });
-
-        if (completedProgress.length > 0) {
-          const completedOrderIndices = [];
-          for (const progress of completedProgress) {
-            const section = await Section.findByPk(progress.section_id);
-            if (section) {
-              completedOrderIndices.push(section.order_index);
-            }
-          }
-
-          if (completedOrderIndices.length > 0) {
-            const highestCompleted = Math.max(...completedOrderIndices);
-            if (highestCompleted < 5) {
-              currentSectionIndex = highestCompleted + 1;
-            } else {
-              currentSectionIndex = 5;
-            }
-          } else {
-            currentSectionIndex = 1;
-          }
-        } else {
-          currentSectionIndex = 1;
-        }
+      for (const progress of progresses) {
+        progressBySection[progress.section_id] = progress;
       }
     }
 
-    // If no attempt or current_section is 0, default to Section 1
-    if (!testAttempt || currentSectionIndex === 0) {
-      currentSectionIndex = 1;
-    }
+    const isCompleted = (section) => progressBySection[section.id] && progressBySection[section.id].status === SectionStatus.COMPLETED;
+    const isInProgress = (section) => progressBySection[section.id] && progressBySection[section.id].status === SectionStatus.IN_PROGRESS;
+
+    // Current section: the one in progress, otherwise the first incomplete one (the last one once all are done)
+    const currentSection = allSections.find(isInProgress) ||
+      allSections.find(section => !isCompleted(section)) ||
+      allSections[allSections.length - 1];
+    const currentSectionIndex = currentSection ? currentSection.order_index : 1;
 
     const sectionsResult = [];
+    let previousSectionsCompleted = true;
 
     for (const section of allSections) {
-      try {
-        let sectionStatus;
-        // CRITICAL: Section 1 is NEVER locked
-        if (section.order_index === 1) {
-          if (!testAttempt) {
-            sectionStatus = 'available';
-          } else {
-            let section1Id = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : null;
-            let section1Progress = null;
-
-            if (section1Id) {
-              section1Progress = await SectionProgress.findOne({
-                where: {
-                  test_attempt_id: testAttempt.id,
-                  section_id: section1Id
-                }
-              });
-            } else {
-              const dbSection1 = await Section.findOne({ where: { order_index: 1 } });
-              if (dbSection1) {
-                section1Progress = await SectionProgress.findOne({
-                  where: {
-                    test_attempt_id: testAttempt.id,
-                    section_id: dbSection1.id
-                  }
-                });
-              }
-            }
-
-            if (section1Progress && section1Progress.status === SectionStatus.COMPLETED) {
-              sectionStatus = 'completed';
-            } else if (section1Progress && section1Progress.status === SectionStatus.IN_PROGRESS) {
-              sectionStatus = 'IN_PROGRESS';
-            } else {
-              sectionStatus = 'available';
-            }
-          }
-        } else {
-          // Sections 2-5: Apply locking rules
-          if (!testAttempt || currentSectionIndex === 0 || currentSectionIndex === 1) {
-            sectionStatus = 'locked';
-          } else {
-            let sectionId = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : null;
-            let progress = null;
-
-            if (sectionId) {
-              progress = await SectionProgress.findOne({
-                where: {
-                  test_attempt_id: testAttempt.id,
-                  section_id: sectionId
-                }
-              });
-            } else {
-              const dbSection = await Section.findOne({ where: { order_index: section.order_index } });
-              if (dbSection) {
-                progress = await SectionProgress.findOne({
-                  where: {
-                    test_attempt_id: testAttempt.id,
-                    section_id: dbSection.id
-                  }
-                });
-              }
-            }
-
-            if (section.order_index < currentSectionIndex) {
-              sectionStatus = 'completed';
-            } else if (section.order_index === currentSectionIndex) {
-              if (progress && progress.status === SectionStatus.COMPLETED) {
-                sectionStatus = 'completed';
-              } else if (progress && progress.status === SectionStatus.IN_PROGRESS) {
-                sectionStatus = 'IN_PROGRESS';
-              } else {
-                sectionStatus = 'available';
-              }
-            } else {
-              // Check if previous sections are completed
-              let prevSectionsCompleted = true;
-              for (const prevSection of allSections) {
-                if (prevSection.order_index < section.order_index) {
-                  let prevSectionId = (prevSection.id && typeof prevSection.id === 'number' && prevSection.id > 0) ? prevSection.id : null;
-                  let prevProgress = null;
-
-                  if (prevSectionId) {
-                    prevProgress = await SectionProgress.findOne({
-                      where: {
-                        test_attempt_id: testAttempt.id,
-                        section_id: prevSectionId,
-                        status: SectionStatus.COMPLETED
-                      }
-                    });
-                  } else {
-                    const dbPrevSection = await Section.findOne({ where: { order_index: prevSection.order_index } });
-                    if (dbPrevSection) {
-                      prevProgress = await SectionProgress.findOne({
-                        where: {
-                          test_attempt_id: testAttempt.id,
-                          section_id: dbPrevSection.id,
-                          status: SectionStatus.COMPLETED
-                        }
-                      });
-                    }
-                  }
-
-                  if (!prevProgress) {
-                    prevSectionsCompleted = false;
-                    break;
-                  }
-                }
-              }
-
-              sectionStatus = prevSectionsCompleted ? 'available' : 'locked';
-            }
-          }
-        }
-
-        let questionCount = QUESTIONS_PER_SECTION;
-
-        // Only query question count if section exists in database
-        if (section.id && typeof section.id === 'number' && section.id > 0) {
-          try {
-            const dbSectionCheck = await Section.findByPk(section.id);
-            if (dbSectionCheck) {
-              const actualCount = await Question.count({
-                where: {
-                  section_id: section.id,
-                  is_active: true
-                }
-              });
-              if (actualCount > 0) {
-                questionCount = actualCount;
-              }
-            }
-          } catch (e) {
-            // If query fails, use default
-          }
-        }
+      // The first section of the assessment is never locked; later ones unlock once every earlier one is completed
+      let sectionStatus;
+      if (isCompleted(section)) {
+        sectionStatus = 'completed';
+      } else if (isInProgress(section)) {
+        sectionStatus = 'IN_PROGRESS';
+      } else if (previousSectionsCompleted) {
+        sectionStatus = 'available';
+      } else {
+        sectionStatus = 'locked';
+      }
+      previousSectionsCompleted = previousSectionsCompleted && sectionStatus === 'completed';
 
-        const sectionId = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : section.order_index;
+      const sectionRule = sectionRules[section.id] || DEFAULT_SECTION_RULE;
 
-        sectionsResult.push({
-          id: sectionId,
-          name: section.name,
-          status: sectionStatus,
-          question_count: questionCount,
-          time_limit: 420, // Fixed: 7 minutes per section
-          order_index: section.order_index
-        });
-      } catch (error) {
-        console.error(`❌ ERROR processing section ${section.order_index}: ${error.message}`);
-      }
+      sectionsResult.push({
+        id: section.id,
+        name: section.name,
+        status: sectionStatus,
+        question_count: sectionRule.question_count,
+        time_limit: sectionRule.time_limit_seconds,
+        order_index: section.order_index
+      });
     }
 
     return res.json({
       current_section: currentSectionIndex,
       sections: sectionsResult,
+      assessment: listAssessment,
+      has_accommodations: !!listAccommodations,
       can_attempt_test: canAttemptTest,
       completed_test_attempt_id: completedTestAttemptId,
+      retake: {
+        attempts_used: eligibility.attempts_used,
+        max_attempts: eligibility.max_attempts,
+        has_retake_grant: !!eligibility.grant,
+        next_eligible_at: eligibility.next_eligible_at,
+        reason: eligibility.allowed ? null : eligibility.reason
+      },
       test_attempt_id: testAttempt ? testAttempt.id : null // Include in-progress attempt ID
     });
   } catch (error) {
@@ -2004,18 +2072,20 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
 
     console.log(`✅ Section found - id: ${section.id}, order_index: ${section.order_index}, name: ${section.name}`);
 
-    // Check if section is unlocked (previous sections must be completed)
-    if (section.order_index > 1) {
-      // SQL Query 3: Get previous sections
-      // SELECT * FROM sections WHERE order_index < ? AND is_active = true ORDER BY order_index ASC
-      const previousSections = await Section.findAll({
-        where: {
-          order_index: { [Op.lt]: section.order_index },
-          is_active: true
-        },
-        order: [['order_index', 'ASC']]
+    // SQL Query 3: Get the attempt's assessment sections, in the order they are taken
+    const assessmentSections = await getAttemptSections(testAttempt);
+    if (!assessmentSections.some(s => s.id === section.id)) {
+      console.log(`❌ Section ${section.id} is not part of attempt ${attemptId}'s assessment`);
+      return res.status(400).json({
+        error_code: 'SECTION_NOT_IN_ASSESSMENT',
+        message: `${section.name} is not part of your assessment.`,
+        detail: `Section ${section.id} (${section.name}) is not part of the assessment for test attempt ${attemptId}`
       });
+    }
 
+    // Check if section is unlocked (previous sections must be completed)
+    const previousSections = getPreviousSections(assessmentSections, section);
+    if (previousSections.length > 0) {
       // SQL Query 4: Check if previous sections are completed
       // SELECT * FROM section_progress WHERE test_attempt_id = ? AND section_id = ? AND status = 'COMPLETED'
       for (const prevSection of previousSections) {
@@ -2070,20 +2140,21 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
         where: {
           section_id: section.id,
           status: 'approved',
-          is_active: true
+          is_active: true,
+          is_sample: false
         }
       });
 
       console.log(`🔵 Found ${eligibleQuestionCount} eligible questions in section ${section.id} (${section.name})`);
 
-      // Validate minimum 7 questions required for this section
-      // NEVER throw error if questions > 7, ONLY if < 7
-      if (eligibleQuestionCount < 7) {
-        console.log(`❌ Insufficient questions in section ${section.id}: ${eligibleQuestionCount} < 7`);
+      // Validate the section has at least as many questions as its blueprint asks for
+      const sectionRule = await getAttemptSectionRule(testAttempt, section.id);
+      if (eligibleQuestionCount < sectionRule.question_count) {
+        console.log(`❌ Insufficient questions in section ${section.id}: ${eligibleQuestionCount} < ${sectionRule.question_count}`);
         return res.status(400).json({
           error_code: 'INSUFFICIENT_QUESTIONS',
-          message: `Cannot start section. Minimum 7 questions required in ${section.name}.`,
-          detail: `Section ${section.id} (${section.name}) has only ${eligibleQuestionCount} active and approved questions. At least 7 are required.`
+          message: `Cannot start section. Minimum ${sectionRule.question_count} questions required in ${section.name}.`,
+          detail: `Section ${section.id} (${section.name}) has only ${eligibleQuestionCount} active and approved questions. At least ${sectionRule.question_count} are required.`
         });
       }
 
@@ -2122,57 +2193,32 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
         console.log(`🔵 Previous attempt had ${previousQuestionIds.length} questions in section ${section.id}`);
       }
 
-      // Build WHERE clause for candidate questions
-      let candidateWhereClause = {
-        section_id: section.id,
-        status: 'approved',
-        is_active: true
-      };
-
-      // If we have previous questions and enough total questions, exclude them
-      if (previousQuestionIds.length > 0 && eligibleQuestionCount > 7) {
-        candidateWhereClause.id = {
-          [Op.notIn]: previousQuestionIds
-        };
-      }
-
-      // SQL Query 9: Randomly select exactly 7 questions using SQL ORDER BY RAND()
-      // SELECT id FROM questions WHERE section_id = ? AND status = 'approved' AND is_active = true 
-      // [AND id NOT IN (...)] ORDER BY RAND() LIMIT 7
-      const candidateQuestions = await Question.findAll({
-        where: candidateWhereClause,
-        attributes: ['id'],
-        order: [[sequelize.literal('RANDOM()'), 'ASC']], // SQL RANDOM selection
-        limit: 7,
-        raw: true
-      });
-
-      // If we filtered out previous questions but don't have enough, fall back to all questions
-      if (candidateQuestions.length < 7 && previousQuestionIds.length > 0) {
-        console.log(`⚠️ Not enough unique questions (${candidateQuestions.length}), falling back to all available questions`);
-        const allQuestions = await Question.findAll({
-          where: {
-            section_id: section.id,
-            status: 'approved',
-            is_active: true
-          },
-          attributes: ['id'],
-          order: [[sequelize.literal('RANDOM()'), 'ASC']], // SQL RANDOM selection
-          limit: 7,
-          raw: true
-        });
-        selectedQuestionIds = allQuestions.map(q => q.id);
-      } else {
-        selectedQuestionIds = candidateQuestions.map(q => q.id);
-      }
+      // SQL Query 9: Randomly select question_count questions using SQL ORDER BY RANDOM(),
+      // honouring the blueprint's difficulty/type mix and avoiding the previous attempt's questions
+      selectedQuestionIds = await selectSectionQuestions(section.id, sectionRule, previousQuestionIds);
 
       console.log(`✅ Randomly selected ${selectedQuestionIds.length} questions using SQL RANDOM() for section ${section.id}: [${selectedQuestionIds.join(', ')}]`);
 
       // SQL Query 9: Insert selected questions into junction table
       // INSERT INTO test_attempt_questions (test_attempt_id, question_id, created_at) VALUES (?, ?, NOW())
+      // Each multiple choice question gets its own option order for this attempt
+      // and is pinned to the question's current revision, so later edits don't change what was shown
+      const selectedQuestions = await Question.findAll({
+        where: { id: { [Op.in]: selectedQuestionIds } }
+      });
+      const selectedQuestionMap = {};
+      selectedQuestions.forEach(q => {
+        selectedQuestionMap[q.id] = q;
+      });
+      const revisionIds = await ensureCurrentRevisions(selectedQuestions);
+
       const questionRecords = selectedQuestionIds.map(qid => ({
         test_attempt_id: attemptId,
-        question_id: qid
+        question_id: qid,
+        question_revision_id: revisionIds[qid] || null,
+        option_order: selectedQuestionMap[qid]
+          ? buildOptionOrder(selectedQuestionMap[qid], parseOptionsToArray(selectedQuestionMap[qid].options))
+          : null
       }));
 
       await TestAttemptQuestion.bulkCreate(questionRecords, {
@@ -2201,13 +2247,26 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
 
     console.log(`✅ Found ${questions.length} questions for section ${section.id} (${section.name}) from junction table`);
 
-    // Return questions (idempotent - same questions returned on refresh)
+    // Return questions (idempotent - same questions and option order returned on refresh)
+    // in the attempt's language; questions without an approved translation are shown in English
+    const optionOrders = await getOptionOrders(attemptId, questions.map(q => q.id));
+    const translations = await getApprovedTranslations(questions.map(q => q.id), testAttempt.language);
+    const media = await getQuestionMedia(questions.map(q => q.id));
+    const revisions = await getAttemptRevisions(attemptId, questions.map(q => q.id));
     return res.json(
-      questions.map(q => ({
-        question_id: q.id,
-        question_text: q.question_text,
-        options: parseOptionsToArray(q.options)
-      }))
+      questions.map(q => {
+        // Pinned revision as above, so a question edited mid-attempt reads the same on refresh
+        const shown = withRevision(q, revisions[q.id]);
+        const translation = !revisions[q.id] || revisions[q.id].id === q.current_revision_id ? translations[q.id] : null;
+        const localized = localizeQuestion(shown.question_text, parseOptionsToArray(shown.options), translation);
+        return {
+          question_id: q.id,
+          question_text: localized.questionText,
+          media: media[q.id] ? media[q.id].question : [],
+          options: presentOptions(withOptionMedia(localized.options, media[q.id]), optionOrders[q.id]),
+          language: localized.language
+        };
+      })
     );
   } catch (error) {
     console.error(`❌ Error in get_section_questions: ${error.name}: ${error.message}`);
@@ -2266,13 +2325,23 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
 
     console.log(`✅ Found section: id=${section.id}, order_index=${section.order_index}, name=${section.name}`);
 
+    // Sections are taken in the order of the attempt's assessment
+    const assessmentSections = await getAttemptSections(testAttempt);
+    const sectionPosition = assessmentSections.findIndex(s => s.id === section.id);
+    if (sectionPosition < 0) {
+      return res.status(400).json({
+        detail: `${section.name} is not part of your assessment`
+      });
+    }
+
     // Section start validation based on current_section_id
     if (testAttempt.current_section_id) {
       const currentSectionFromAttempt = await Section.findByPk(testAttempt.current_section_id);
-      if (currentSectionFromAttempt) {
-        // Allow: section_id == current_section OR section_id < current_section (already done)
-        // Block: section_id > current_section (not unlocked yet)
-        if (section.order_index > currentSectionFromAttempt.order_index) {
+      const currentPosition = assessmentSections.findIndex(s => s.id === testAttempt.current_section_id);
+      if (currentSectionFromAttempt && currentPosition >= 0) {
+        // Allow: section_id == current_section OR section_id before current_section (already done)
+        // Block: section_id after current_section (not unlocked yet)
+        if (sectionPosition > currentPosition) {
           return res.status(403).json({
             detail: `Please complete Section ${currentSectionFromAttempt.order_index}: ${currentSectionFromAttempt.name} first`
           });
@@ -2281,16 +2350,9 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
         // If section_id == current_section, allow (current section)
       }
     } else {
-      // No current section set - check if section 1 or all previous sections completed
-      if (section.order_index > 1) {
-        const previousSections = await Section.findAll({
-          where: {
-            order_index: { [Op.lt]: section.order_index },
-            is_active: true
-          },
-          order: [['order_index', 'ASC']]
-        });
-
+      // No current section set - check if first section or all previous sections completed
+      const previousSections = getPreviousSections(assessmentSections, section);
+      if (previousSections.length > 0) {
         for (const prevSection of previousSections) {
           const prevProgress = await SectionProgress.findOne({
             where: {
@@ -2332,9 +2394,10 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
         });
 
         // Update test attempt with current section state
+        const sectionRule = await getAttemptSectionRule(testAttempt, section.id);
         testAttempt.current_section_id = section.id;
         testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
+        testAttempt.remaining_time_seconds = sectionRule.time_limit_seconds;
         await testAttempt.save();
         console.log(`✅ Created section progress: id=${progress.id}`);
       } catch (createError) {
@@ -2436,8 +2499,18 @@ router.post('/sections/:section_id/pause', getCurrentUser, requireStudent, async
       });
     }
 
+    // Pauses per section are limited when a pause limit is configured; accommodations add extra ones
+    const pauseAllowance = getPauseAllowance(testAttempt);
+    if (pauseAllowance !== null && progress.pause_count >= pauseAllowance) {
+      return res.status(400).json({
+        error_code: 'PAUSE_LIMIT_REACHED',
+        message: `You have used all ${pauseAllowance} pauses for this section.`,
+        detail: `Section ${section.id} of attempt ${attemptId} has already been paused ${progress.pause_count} times`
+      });
+    }
+
     // Calculate remaining time and store it
-    const SECTION_TIME_LIMIT = 420;
+    const SECTION_TIME_LIMIT = (await getAttemptSectionRule(testAttempt, section.id)).time_limit_seconds;
     let remainingTime = SECTION_TIME_LIMIT;
 
     if (progress.section_start_time && !progress.paused_at) {
@@ -2454,12 +2527,14 @@ router.post('/sections/:section_id/pause', getCurrentUser, requireStudent, async
 
     progress.paused_at = new Date();
     progress.section_start_time = null; // Clear start time when paused
+    progress.pause_count += 1;
     await progress.save();
 
     return res.json({
       message: 'Section paused',
       remaining_time_seconds: remainingTime,
-      total_time_spent: progress.total_time_spent
+      total_time_spent: progress.total_time_spent,
+      pauses_remaining: pauseAllowance !== null ? Math.max(0, pauseAllowance - progress.pause_count) : null
     });
   } catch (error) {
     console.error(`❌ Error in pause_section: ${error.message}`);
@@ -2518,7 +2593,7 @@ router.post('/sections/:section_id/resume', getCurrentUser, requireStudent, asyn
     }
 
     // Resume timer - continue from remaining_time_seconds stored in test_attempt
-    const SECTION_TIME_LIMIT = 420;
+    const SECTION_TIME_LIMIT = (await getAttemptSectionRule(testAttempt, section.id)).time_limit_seconds;
     const remainingTime = testAttempt.remaining_time_seconds || (SECTION_TIME_LIMIT - progress.total_time_spent);
 
     // Calculate new total_time_spent based on remaining time
@@ -2580,21 +2655,23 @@ router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async
       });
     }
 
-    // Calculate current time if running
-    const SECTION_TIME_LIMIT = 420; // 7 minutes in seconds
+    // Calculate current time if running, against the section's blueprint time limit
+    const testAttempt = await TestAttempt.findByPk(attemptId);
+    const SECTION_TIME_LIMIT = (await getAttemptSectionRule(testAttempt, section.id)).time_limit_seconds;
     let currentTime = progress.total_time_spent;
 
     if (progress.section_start_time && !progress.paused_at) {
-      const elapsed = (new Date() - progress.section_start_time) / 1000;
-      currentTime = progress.total_time_spent + Math.floor(elapsed);
+      currentTime = getTimeSpentSeconds(progress);
 
-      // Enforce time limit - auto-complete if exceeded
+      // Enforce time limit - auto-submit if exceeded (same as the background sweeper)
       if (currentTime >= SECTION_TIME_LIMIT) {
-        progress.total_time_spent = SECTION_TIME_LIMIT;
-        progress.section_start_time = null;
-        progress.status = SectionStatus.COMPLETED;
-        progress.paused_at = null;
-        await progress.save();
+        if (testAttempt && testAttempt.status === TestStatus.IN_PROGRESS) {
+          const { expired } = await expireSection(testAttempt, section, progress, SECTION_TIME_LIMIT);
+          // Already submitted or expired by another request: report the section as it is now
+          if (!expired) await progress.reload();
+        } else {
+          await completeSectionProgress(progress, SECTION_TIME_LIMIT);
+        }
         currentTime = SECTION_TIME_LIMIT;
       }
     }
@@ -2618,6 +2695,87 @@ router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async
   }
 });
 
+// POST /test/sections/:section_id/proctoring-events
+// Integrity signals from the browser (tab switches, window blur, copy/paste, fullscreen exits) while the section runs
+router.post('/sections/:section_id/proctoring-events', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const sectionId = parseInt(req.params.section_id, 10);
+    const attemptId = parseInt(req.body.attempt_id || req.query.attempt_id, 10);
+    const currentUser = req.user;
+
+    if (!attemptId || isNaN(attemptId)) {
+      return res.status(400).json({
+        detail: 'attempt_id is required'
+      });
+    }
+
+    const { events, error } = parseProctoringEvents(req.body);
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+
+    // Find section
+    let section = await Section.findByPk(sectionId);
+    if (!section && sectionId >= 1 && sectionId <= 5) {
+      section = await Section.findOne({ where: { order_index: sectionId } });
+    }
+
+    if (!section) {
+      return res.status(404).json({
+        detail: `Section not found (ID: ${sectionId})`
+      });
+    }
+
+    // Verify test attempt belongs to user
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: attemptId,
+        student_id: currentUser.id,
+        status: TestStatus.IN_PROGRESS
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        error_code: 'ATTEMPT_NOT_IN_PROGRESS',
+        message: 'This test attempt is no longer in progress.',
+        detail: 'Test attempt not found or not in progress'
+      });
+    }
+
+    const progress = await SectionProgress.findOne({
+      where: {
+        test_attempt_id: testAttempt.id,
+        section_id: section.id
+      }
+    });
+
+    // Leaving the page during a pause is allowed, so only running sections collect events
+    if (!progress || progress.status !== SectionStatus.IN_PROGRESS || progress.paused_at) {
+      return res.status(409).json({
+        error_code: 'SECTION_NOT_RUNNING',
+        message: 'This section is not running.',
+        detail: `Section ${section.id} of attempt ${testAttempt.id} is not running`
+      });
+    }
+
+    const recorded = await recordProctoringEvents(testAttempt, progress, events);
+
+    return res.status(201).json({
+      attempt_id: testAttempt.id,
+      section_id: section.id,
+      recorded: recorded.length
+    });
+  } catch (error) {
+    console.error(`❌ Error in record_proctoring_events: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to record proctoring events'
+    });
+  }
+});
+
 // POST /test/sections/:section_id/submit
 router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, async (req, res) => {
   try {
@@ -2716,17 +2874,15 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
     if (progress && (progress.status === SectionStatus.COMPLETED || progress.status === 'COMPLETED')) {
       console.log(`ℹ️ Section ${section.order_index} (${section.name}) already completed, updating current_section_id`);
 
-      // Find next section
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
-      const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
+      // Find next section in the attempt's assessment
+      const allSections = await getAttemptSections(testAttempt);
+      const nextSection = getNextSection(allSections, section);
 
       if (nextSection) {
+        const nextSectionRule = await getAttemptSectionRule(testAttempt, nextSection.id);
         testAttempt.current_section_id = nextSection.id;
         testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
+        testAttempt.remaining_time_seconds = nextSectionRule.time_limit_seconds;
         await testAttempt.save();
       }
 
@@ -2772,23 +2928,7 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       }
 
       // Update test attempt with next section
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
-      const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
-
-      if (nextSection) {
-        testAttempt.current_section_id = nextSection.id;
-        testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
-        await testAttempt.save();
-      } else {
-        testAttempt.status = TestStatus.COMPLETED;
-        testAttempt.completed_at = new Date();
-        testAttempt.current_section_id = null;
-        await testAttempt.save();
-      }
+      const nextSection = await advanceAttempt(testAttempt, section);
 
       return res.json({
         status: 'COMPLETED',
@@ -2803,25 +2943,38 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       questionMap[q.id] = q;
     }
 
+    // Submitted options are displayed keys; answers are stored with canonical keys
+    const optionOrders = await getOptionOrders(testAttempt.id, sectionQuestions.map(q => q.id));
+    const revisionIds = await getAttemptRevisionIds(testAttempt.id, sectionQuestions.map(q => q.id));
+
     for (const answerData of answers) {
       if (!questionMap[answerData.question_id]) {
         return res.status(400).json({
           detail: `Question ${answerData.question_id} does not belong to this section`
         });
       }
+      const canonicalOption = toCanonicalKey(answerData.selected_option, optionOrders[answerData.question_id]);
 
       // Only create if answer doesn't exist
       if (!existingQuestionIds.has(answerData.question_id)) {
         await Answer.create({
           test_attempt_id: attempt_id,
           question_id: answerData.question_id,
-          answer_text: answerData.selected_option
+          question_revision_id: revisionIds[answerData.question_id] || null,
+          answer_text: canonicalOption
+        });
+        await recordAnswerChange({
+          testAttemptId: testAttempt.id,
+          questionId: answerData.question_id,
+          previousAnswer: null,
+          newAnswer: canonicalOption,
+          source: AnswerEventSource.SECTION_SUBMIT
         });
       }
     }
 
-    // CRITICAL: Enforce 7-minute (420 seconds) limit per section
-    const SECTION_TIME_LIMIT = 420;
+    // CRITICAL: Enforce the section's blueprint time limit
+    const SECTION_TIME_LIMIT = (await getAttemptSectionRule(testAttempt, section.id)).time_limit_seconds;
 
     // Update section progress
     if (!progress) {
@@ -2833,18 +2986,8 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       });
       console.log(`✅ Created new section progress for section ${section.order_index} (${section.name}) with COMPLETED status`);
     } else {
-      // Finalize timer
-      if (progress.section_start_time && !progress.paused_at) {
-        const elapsed = (new Date() - progress.section_start_time) / 1000;
-        progress.total_time_spent += Math.floor(elapsed);
-        progress.section_start_time = null;
-      }
-
-      // Cap time spent at limit
-      progress.total_time_spent = Math.min(progress.total_time_spent, SECTION_TIME_LIMIT);
-      progress.status = SectionStatus.COMPLETED; // Use enum constant
-      progress.paused_at = null;
-      await progress.save();
+      // Finalize timer, capping time spent at the limit
+      await completeSectionProgress(progress, SECTION_TIME_LIMIT);
 
       // Reload to ensure we have the latest data
       await progress.reload();
@@ -2861,24 +3004,10 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
     }
 
     // Update test attempt with next section
-    const allSections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
-    const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
-
+    const nextSection = await advanceAttempt(testAttempt, section);
     if (nextSection) {
-      testAttempt.current_section_id = nextSection.id;
-      testAttempt.current_question_index = 0;
-      testAttempt.remaining_time_seconds = 420;
-      await testAttempt.save();
       console.log(`✅ Updated test attempt current_section_id to ${nextSection.id} (${nextSection.name})`);
     } else {
-      // All sections completed
-      testAttempt.status = TestStatus.COMPLETED;
-      testAttempt.completed_at = new Date();
-      testAttempt.current_section_id = null;
-      await testAttempt.save();
       console.log(`✅ All sections completed, test attempt marked as COMPLETED`);
     }
 
@@ -2943,5 +3072,199 @@ router.post('/:test_attempt_id/update-state', getCurrentUser, requireStudent, as
   }
 });
 
-module.exports = router;
+// POST /test/practice/start - Start (or resume) a practice attempt on sample questions
+// Practice is never scored or interpreted and doesn't count towards the attempt limit of /test/start
+router.post('/practice/start', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const currentUser = req.user;
+    const { timed } = req.body || {};
+
+    const language = normalizeLanguage(req.body ? req.body.language : null);
+    if (language === undefined) {
+      return res.status(400).json({
+        detail: `language must be one of: ${LANGUAGES.join(', ')}`
+      });
+    }
+
+    const { practiceAttempt, resumed, error } = await startPracticeAttempt(currentUser, {
+      timed: timed === true || timed === 'true',
+      language: language || DEFAULT_LANGUAGE
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error_code: 'NO_SAMPLE_QUESTIONS',
+        message: error,
+        detail: error
+      });
+    }
+
+    if (!resumed) {
+      console.log(`✅ Practice attempt ${practiceAttempt.id} started for student ${currentUser.id} (${practiceAttempt.is_timed ? `timed, ${practiceAttempt.time_limit_seconds}s` : 'untimed'})`);
+    }
+
+    return res.json({
+      practice_attempt_id: practiceAttempt.id,
+      status: practiceAttempt.status,
+      is_timed: !!practiceAttempt.is_timed,
+      time_limit_seconds: practiceAttempt.time_limit_seconds,
+      remaining_time_seconds: getPracticeRemainingSeconds(practiceAttempt),
+      language: practiceAttempt.language,
+      resumed: resumed
+    });
+  } catch (error) {
+    console.error(`❌ Error in start_practice: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to start practice'
+    });
+  }
+});
+
+// GET /test/practice/:practice_attempt_id - Practice questions (grouped by section) with feedback on answers given so far
+router.get('/practice/:practice_attempt_id', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const practiceAttempt = await PracticeAttempt.findOne({
+      where: {
+        id: parseInt(req.params.practice_attempt_id, 10),
+        student_id: req.user.id
+      }
+    });
+
+    if (!practiceAttempt) {
+      return res.status(404).json({
+        detail: 'Practice attempt not found'
+      });
+    }
+
+    const rows = await PracticeAttemptQuestion.findAll({
+      where: { practice_attempt_id: practiceAttempt.id },
+      include: [
+        { model: Question, as: 'question' },
+        { model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    const questionIds = rows.map(row => row.question_id);
+    const translations = await getApprovedTranslations(questionIds, practiceAttempt.language);
+    const media = await getQuestionMedia(questionIds);
+    const summary = await summarizePracticeAttempt(practiceAttempt);
+    const feedbackByQuestion = {};
+    for (const feedback of summary.feedback) {
+      feedbackByQuestion[feedback.question_id] = feedback;
+    }
+
+    const sections = [];
+    for (const row of rows) {
+      if (!row.question) continue;
+      let section = sections.find(s => s.section_id === row.section_id);
+      if (!section) {
+        section = {
+          section_id: row.section_id,
+          section_name: row.section ? row.section.name : null,
+          questions: []
+        };
+        sections.push(section);
+      }
+
+      const q = row.question;
+      const localized = localizeQuestion(q.question_text, parseOptionsToArray(q.options), translations[q.id]);
+      section.questions.push({
+        question_id: q.id,
+        question_text: localized.questionText,
+        media: media[q.id] ? media[q.id].question : [],
+        options: presentOptions(withOptionMedia(localized.options, media[q.id]), row.option_order),
+        language: localized.language,
+        feedback: feedbackByQuestion[q.id] || null
+      });
+    }
 
+    return res.json({
+      practice_attempt_id: practiceAttempt.id,
+      status: practiceAttempt.status,
+      is_timed: !!practiceAttempt.is_timed,
+      time_limit_seconds: practiceAttempt.time_limit_seconds,
+      remaining_time_seconds: getPracticeRemainingSeconds(practiceAttempt),
+      sections: sections,
+      answered_questions: summary.answered_questions,
+      total_questions: summary.total_questions
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_practice: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get practice questions'
+    });
+  }
+});
+
+// POST /test/practice/:practice_attempt_id/answer - Answer a practice question and get feedback right away
+router.post('/practice/:practice_attempt_id/answer', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const { question_id, selected_option } = req.body;
+
+    if (!question_id || !selected_option) {
+      return res.status(400).json({
+        detail: 'question_id and selected_option are required'
+      });
+    }
+
+    const practiceAttempt = await PracticeAttempt.findOne({
+      where: {
+        id: parseInt(req.params.practice_attempt_id, 10),
+        student_id: req.user.id
+      }
+    });
+
+    if (!practiceAttempt) {
+      return res.status(404).json({
+        detail: 'Practice attempt not found'
+      });
+    }
+
+    const { feedback, error, errorCode } = await answerPracticeQuestion(practiceAttempt, parseInt(question_id, 10), selected_option);
+    if (error) {
+      return res.status(errorCode === 'QUESTION_NOT_IN_PRACTICE' ? 400 : 409).json({
+        error_code: errorCode,
+        message: error,
+        detail: error
+      });
+    }
+
+    return res.json({
+      ...feedback,
+      remaining_time_seconds: getPracticeRemainingSeconds(practiceAttempt)
+    });
+  } catch (error) {
+    console.error(`❌ Error in answer_practice: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to save practice answer'
+    });
+  }
+});
+
+// POST /test/practice/:practice_attempt_id/finish - End practice and get a summary (nothing is scored)
+router.post('/practice/:practice_attempt_id/finish', getCurrentUser, requireStudent, async (req, res) => {
+  try {
+    const practiceAttempt = await PracticeAttempt.findOne({
+      where: {
+        id: parseInt(req.params.practice_attempt_id, 10),
+        student_id: req.user.id
+      }
+    });
+
+    if (!practiceAttempt) {
+      return res.status(404).json({
+        detail: 'Practice attempt not found'
+      });
+    }
+
+    return res.json(await finishPracticeAttempt(practiceAttempt));
+  } catch (error) {
+    console.error(`❌ Error in finish_practice: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to finish practice'
+    });
+  }
+});
+
+module.exports = router;
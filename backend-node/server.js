@@ -2,8 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const config = require('./config');
 const { sequelize, testConnection } = require('./database');
-const { User, UserRole, Section, Question, QuestionType, Student } = require('./models');
+const { User, UserRole, Section, Question, QuestionType, Student, RescoreJob, RescoreJobStatus } = require('./models');
 const { getPasswordHash } = require('./middleware/password');
+const { ensureDefaultPolicy } = require('./services/readinessPolicy');
+const { ensureDefaultBlueprint } = require('./services/testBlueprint');
+const { ensureDefaultAssessment } = require('./services/assessments');
+const { startSectionTimerSweeper, stopSectionTimerSweeper } = require('./services/sectionTimerSweeper');
+const { startAttemptLifecycleJob, stopAttemptLifecycleJob } = require('./services/attemptLifecycle');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -18,9 +23,38 @@ const adminUsersRoutes = require('./routes/adminUsers');
 const counsellorStudentsRoutes = require('./routes/counsellorStudents');
 const changePasswordRoutes = require('./routes/changePassword');
 const testAccessRoutes = require('./routes/testAccess');
+const adminNormsRoutes = require('./routes/adminNorms');
+const adminReadinessPolicyRoutes = require('./routes/adminReadinessPolicy');
+const adminRescoringRoutes = require('./routes/adminRescoring');
+const adminBlueprintsRoutes = require('./routes/adminBlueprints');
+const adminAssessmentsRoutes = require('./routes/adminAssessments');
+const adminRetakePolicyRoutes = require('./routes/adminRetakePolicy');
+const adminReviewPolicyRoutes = require('./routes/adminReviewPolicy');
 
 const app = express();
 
+// RIASEC type for each seeded Section 5 (Career Interest) statement
+const SEEDED_RIASEC_TYPES = {
+  'I enjoy working with tools and machinery': 'R',
+  'I like to investigate and research': 'I',
+  'I enjoy creative and artistic activities': 'A',
+  'I like helping and teaching others': 'S',
+  'I enjoy leading and managing projects': 'E',
+  'I prefer structured and organized work': 'C',
+  'I like working outdoors': 'R'
+};
+
+// VARK modality for each seeded Section 4 (Learning Style) statement
+const SEEDED_LEARNING_MODALITIES = {
+  'I learn best by seeing visual aids': 'V',
+  'I prefer listening to lectures': 'A',
+  'I learn by reading and writing': 'R',
+  'I learn best through hands-on activities': 'K',
+  'I remember things I see better than things I hear': 'V',
+  'I prefer audio recordings over written notes': 'A',
+  'I like to take detailed written notes': 'R'
+};
+
 // CORS configuration - MUST be before other middleware
 const allowedOrigins = process.env.FRONTEND_URL 
   ? process.env.FRONTEND_URL.split(',').map(url => url.trim())
@@ -35,9 +69,14 @@ app.use(cors({
 }));
 
 // Middleware
+// Question bank bundles are much larger than regular API bodies
+app.use('/admin/questions/import-bundle', express.json({ limit: `${config.app.questionImportMaxUploadMb}mb` }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded question figures (stored under random names)
+app.use('/media/questions', express.static(config.app.mediaUploadDir, { maxAge: '7d', index: false }));
+
 // Logging middleware for debugging
 app.use((req, res, next) => {
   if (config.app.debug) {
@@ -58,6 +97,13 @@ app.use('/admin/students', adminStudentsRoutes);
 app.use('/admin/questions', adminQuestionsRoutes);
 app.use('/admin/counsellors', adminCounsellorsRoutes);
 app.use('/admin/users', adminUsersRoutes);
+app.use('/admin/norms', adminNormsRoutes);
+app.use('/admin/readiness-policy', adminReadinessPolicyRoutes);
+app.use('/admin/rescoring', adminRescoringRoutes);
+app.use('/admin/blueprints', adminBlueprintsRoutes);
+app.use('/admin/assessments', adminAssessmentsRoutes);
+app.use('/admin/retake-policy', adminRetakePolicyRoutes);
+app.use('/admin/review-policy', adminReviewPolicyRoutes);
 app.use('/test', testAccessRoutes);
 
 // Root endpoint
@@ -130,6 +176,135 @@ async function initializeDatabase() {
         console.log('✅ Added remaining_time_seconds column');
       }
 
+      // Add blueprint_id if it doesn't exist
+      if (!tableDescription.blueprint_id) {
+        console.log('🔵 Adding blueprint_id column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'blueprint_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'test_blueprints',
+            key: 'id'
+          },
+          comment: 'Test blueprint (section sizes, time limits, question mix) this attempt was started with'
+        });
+        console.log('✅ Added blueprint_id column');
+      }
+
+      // Add assessment_id if it doesn't exist
+      if (!tableDescription.assessment_id) {
+        console.log('🔵 Adding assessment_id column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'assessment_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'assessments',
+            key: 'id'
+          },
+          comment: 'Assessment (test form) taken in this attempt; null for attempts before assessments existed'
+        });
+        console.log('✅ Added assessment_id column');
+      }
+
+      // Add abandoned_at if it doesn't exist
+      if (!tableDescription.abandoned_at) {
+        console.log('🔵 Adding abandoned_at column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'abandoned_at', {
+          type: require('sequelize').DataTypes.DATE,
+          allowNull: true
+        });
+        console.log('✅ Added abandoned_at column');
+      }
+
+      // Add accommodations if it doesn't exist
+      if (!tableDescription.accommodations) {
+        console.log('🔵 Adding accommodations column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'accommodations', {
+          type: require('sequelize').DataTypes.JSON,
+          allowNull: true
+        });
+        console.log('✅ Added accommodations column');
+      }
+
+      // Add language if it doesn't exist
+      if (!tableDescription.language) {
+        console.log('🔵 Adding language column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'language', {
+          type: require('sequelize').DataTypes.STRING(5),
+          allowNull: false,
+          defaultValue: 'en'
+        });
+        console.log('✅ Added language column');
+      }
+
+      // Add translation_id column to question_approvals table if it doesn't exist
+      const approvalsTableDescription = await queryInterface.describeTable('question_approvals');
+      if (!approvalsTableDescription.translation_id) {
+        console.log('🔵 Adding translation_id column to question_approvals...');
+        await queryInterface.addColumn('question_approvals', 'translation_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true
+        });
+        console.log('✅ Added translation_id column');
+      }
+      if (!approvalsTableDescription.revision_id) {
+        console.log('🔵 Adding revision_id column to question_approvals...');
+        await queryInterface.addColumn('question_approvals', 'revision_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true
+        });
+        console.log('✅ Added revision_id column');
+      }
+
+      // Add pause_count column to section_progresses table if it doesn't exist
+      const sectionProgressTableDescription = await queryInterface.describeTable('section_progresses');
+      if (!sectionProgressTableDescription.pause_count) {
+        console.log('🔵 Adding pause_count column to section_progresses...');
+        await queryInterface.addColumn('section_progresses', 'pause_count', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        });
+        console.log('✅ Added pause_count column');
+      }
+
+      // Add is_archived / archived_at if they don't exist (attempts superseded by a retake)
+      if (!tableDescription.is_archived) {
+        console.log('🔵 Adding is_archived column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'is_archived', {
+          type: require('sequelize').DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        });
+        console.log('✅ Added is_archived column');
+      }
+
+      if (!tableDescription.archived_at) {
+        console.log('🔵 Adding archived_at column to test_attempts...');
+        await queryInterface.addColumn('test_attempts', 'archived_at', {
+          type: require('sequelize').DataTypes.DATE,
+          allowNull: true
+        });
+        console.log('✅ Added archived_at column');
+      }
+
+      // Add assessment_id column to students table if it doesn't exist
+      const studentsTableDescription = await queryInterface.describeTable('students');
+      if (!studentsTableDescription.assessment_id) {
+        console.log('🔵 Adding assessment_id column to students...');
+        await queryInterface.addColumn('students', 'assessment_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'assessments',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          comment: 'Assessment assigned to the student; null means the default assessment'
+        });
+        console.log('✅ Added assessment_id column to students');
+      }
+
       // Add is_first_login column to users table if it doesn't exist
       const usersTableDescription = await queryInterface.describeTable('users');
       if (!usersTableDescription.is_first_login) {
@@ -153,11 +328,233 @@ async function initializeDatabase() {
         console.log('✅ Added center column');
       }
 
+      // Add riasec_type column to questions table if it doesn't exist
+      const questionsTableDescription = await queryInterface.describeTable('questions');
+      if (!questionsTableDescription.riasec_type) {
+        console.log('🔵 Adding riasec_type column to questions...');
+        await queryInterface.addColumn('questions', 'riasec_type', {
+          type: require('sequelize').DataTypes.ENUM('R', 'I', 'A', 'S', 'E', 'C'),
+          allowNull: true,
+          comment: 'RIASEC interest type measured by this question (Career Interest section)'
+        });
+        console.log('✅ Added riasec_type column');
+      }
+
+      // Add learning_modality column to questions table if it doesn't exist
+      if (!questionsTableDescription.learning_modality) {
+        console.log('🔵 Adding learning_modality column to questions...');
+        await queryInterface.addColumn('questions', 'learning_modality', {
+          type: require('sequelize').DataTypes.ENUM('V', 'A', 'R', 'K'),
+          allowNull: true,
+          comment: 'VARK learning modality measured by this question (Learning Style section)'
+        });
+        console.log('✅ Added learning_modality column');
+      }
+
+      // Add is_reverse_scored column to questions table if it doesn't exist
+      if (!questionsTableDescription.is_reverse_scored) {
+        console.log('🔵 Adding is_reverse_scored column to questions...');
+        await queryInterface.addColumn('questions', 'is_reverse_scored', {
+          type: require('sequelize').DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+          comment: 'Negatively worded Likert item - scored E=1 ... A=5'
+        });
+        console.log('✅ Added is_reverse_scored column');
+      }
+
+      // Add is_sample column to questions table if it doesn't exist
+      if (!questionsTableDescription.is_sample) {
+        console.log('🔵 Adding is_sample column to questions...');
+        await queryInterface.addColumn('questions', 'is_sample', {
+          type: require('sequelize').DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+          comment: 'Practice-mode sample question - never drawn into a real test'
+        });
+        console.log('✅ Added is_sample column');
+      }
+
+      // Add current_revision_id column to questions table if it doesn't exist
+      if (!questionsTableDescription.current_revision_id) {
+        console.log('🔵 Adding current_revision_id column to questions...');
+        await queryInterface.addColumn('questions', 'current_revision_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          comment: 'Revision whose content this row holds; NULL until the question is first revisioned'
+        });
+        console.log('✅ Added current_revision_id column');
+      }
+
+      // Add external_key column to questions table if it doesn't exist. Existing questions get a key
+      // the first time they are exported; the unique index allows the NULLs until then.
+      if (!questionsTableDescription.external_key) {
+        console.log('🔵 Adding external_key column to questions...');
+        await queryInterface.addColumn('questions', 'external_key', {
+          type: require('sequelize').DataTypes.STRING(64),
+          allowNull: true
+        });
+        await queryInterface.addIndex('questions', ['external_key'], {
+          unique: true,
+          name: 'unique_question_external_key'
+        });
+        console.log('✅ Added external_key column');
+      }
+
+      // Add duplicate check columns to questions table if they don't exist
+      if (!questionsTableDescription.is_possible_duplicate) {
+        console.log('🔵 Adding is_possible_duplicate column to questions...');
+        await queryInterface.addColumn('questions', 'is_possible_duplicate', {
+          type: require('sequelize').DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        });
+        await queryInterface.addIndex('questions', ['status', 'is_possible_duplicate'], {
+          name: 'idx_questions_status_duplicate'
+        });
+        console.log('✅ Added is_possible_duplicate column');
+      }
+
+      if (!questionsTableDescription.duplicate_matches) {
+        console.log('🔵 Adding duplicate_matches column to questions...');
+        await queryInterface.addColumn('questions', 'duplicate_matches', {
+          type: require('sequelize').DataTypes.JSON,
+          allowNull: true
+        });
+        console.log('✅ Added duplicate_matches column');
+      }
+
+      const revisionsTableDescription = await queryInterface.describeTable('question_revisions');
+      if (!revisionsTableDescription.metadata_changes) {
+        console.log('🔵 Adding metadata_changes column to question_revisions...');
+        await queryInterface.addColumn('question_revisions', 'metadata_changes', {
+          type: require('sequelize').DataTypes.JSON,
+          allowNull: true
+        });
+        console.log('✅ Added metadata_changes column');
+      }
+
+      // Add label column to scores table if it doesn't exist
+      const scoresTableDescription = await queryInterface.describeTable('scores');
+      if (!scoresTableDescription.label) {
+        console.log('🔵 Adding label column to scores...');
+        await queryInterface.addColumn('scores', 'label', {
+          type: require('sequelize').DataTypes.STRING(50),
+          allowNull: true,
+          comment: 'Categorical result for this dimension (e.g. Holland code)'
+        });
+        console.log('✅ Added label column');
+      }
+
+      // Add norm_set_id column to scores table if it doesn't exist
+      if (!scoresTableDescription.norm_set_id) {
+        console.log('🔵 Adding norm_set_id column to scores...');
+        await queryInterface.addColumn('scores', 'norm_set_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'norm_sets',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          comment: 'Norm set the percentile was ranked against'
+        });
+        console.log('✅ Added norm_set_id column');
+      }
+
+      // Add readiness_policy_version column to interpreted_results table if it doesn't exist
+      const interpretedResultsTableDescription = await queryInterface.describeTable('interpreted_results');
+      if (!interpretedResultsTableDescription.readiness_policy_version) {
+        console.log('🔵 Adding readiness_policy_version column to interpreted_results...');
+        await queryInterface.addColumn('interpreted_results', 'readiness_policy_version', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true,
+          comment: 'Readiness policy version whose thresholds produced this result'
+        });
+        console.log('✅ Added readiness_policy_version column');
+      }
+
+      // Add client sync columns to answers table if they don't exist
+      const answersTableDescription = await queryInterface.describeTable('answers');
+      if (!answersTableDescription.client_seq) {
+        console.log('🔵 Adding client_seq column to answers...');
+        await queryInterface.addColumn('answers', 'client_seq', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true
+        });
+        console.log('✅ Added client_seq column');
+      }
+      if (!answersTableDescription.client_updated_at) {
+        console.log('🔵 Adding client_updated_at column to answers...');
+        await queryInterface.addColumn('answers', 'client_updated_at', {
+          type: require('sequelize').DataTypes.DATE,
+          allowNull: true
+        });
+        console.log('✅ Added client_updated_at column');
+      }
+      if (!answersTableDescription.question_revision_id) {
+        console.log('🔵 Adding question_revision_id column to answers...');
+        await queryInterface.addColumn('answers', 'question_revision_id', {
+          type: require('sequelize').DataTypes.INTEGER,
+          allowNull: true
+        });
+        console.log('✅ Added question_revision_id column');
+      }
+
+      // One answer per question per attempt. Retried saves could create duplicates before this
+      // index existed, so keep only the most recently updated row of each pair first.
+      const answerIndexes = await queryInterface.showIndex('answers');
+      if (!answerIndexes.some(index => index.name === 'unique_attempt_answer')) {
+        const { Answer } = require('./models');
+        const { Sequelize } = require('sequelize');
+        const duplicates = await Answer.findAll({
+          attributes: ['test_attempt_id', 'question_id'],
+          group: ['test_attempt_id', 'question_id'],
+          having: Sequelize.literal('COUNT(*) > 1'),
+          raw: true
+        });
+        for (const duplicate of duplicates) {
+          const rows = await Answer.findAll({
+            where: { test_attempt_id: duplicate.test_attempt_id, question_id: duplicate.question_id },
+            order: [['updated_at', 'DESC'], ['id', 'DESC']]
+          });
+          await Answer.destroy({ where: { id: rows.slice(1).map(row => row.id) } });
+        }
+        if (duplicates.length > 0) {
+          console.log(`⚠️ Removed duplicate answers for ${duplicates.length} attempt/question pair(s)`);
+        }
+
+        console.log('🔵 Adding unique_attempt_answer index to answers...');
+        await queryInterface.addIndex('answers', ['test_attempt_id', 'question_id'], {
+          unique: true,
+          name: 'unique_attempt_answer'
+        });
+        console.log('✅ Added unique_attempt_answer index');
+      }
+
       // Create test_attempt_questions junction table if it doesn't exist
       try {
         const { TestAttemptQuestion } = require('./models');
         await TestAttemptQuestion.sync({ alter: false });
         console.log('✅ test_attempt_questions table verified/created');
+
+        const attemptQuestionsTableDescription = await queryInterface.describeTable('test_attempt_questions');
+        if (!attemptQuestionsTableDescription.option_order) {
+          console.log('🔵 Adding option_order column to test_attempt_questions...');
+          await queryInterface.addColumn('test_attempt_questions', 'option_order', {
+            type: require('sequelize').DataTypes.JSON,
+            allowNull: true
+          });
+          console.log('✅ Added option_order column');
+        }
+        if (!attemptQuestionsTableDescription.question_revision_id) {
+          console.log('🔵 Adding question_revision_id column to test_attempt_questions...');
+          await queryInterface.addColumn('test_attempt_questions', 'question_revision_id', {
+            type: require('sequelize').DataTypes.INTEGER,
+            allowNull: true
+          });
+          console.log('✅ Added question_revision_id column');
+        }
       } catch (tableError) {
         console.warn('⚠️ test_attempt_questions table creation warning:', tableError.message);
       }
@@ -188,6 +585,19 @@ async function initializeDatabase() {
       console.log('ℹ️ Admin already exists');
     }
 
+    // Seed the default readiness policy (version 1) and load the active one
+    const readinessPolicy = await ensureDefaultPolicy();
+    console.log(`✅ Readiness policy v${readinessPolicy.version} active (READY >= ${readinessPolicy.ready_threshold}%, PARTIALLY READY >= ${readinessPolicy.partially_ready_threshold}%)`);
+
+    // Rescore jobs run in-process; any still RUNNING were interrupted by a restart
+    const [interruptedJobs] = await RescoreJob.update(
+      { status: RescoreJobStatus.FAILED, error_message: 'Interrupted by server restart', completed_at: new Date() },
+      { where: { status: RescoreJobStatus.RUNNING } }
+    );
+    if (interruptedJobs > 0) {
+      console.log(`⚠️ Marked ${interruptedJobs} interrupted rescore job(s) as FAILED`);
+    }
+
     // Seed sections if table is empty - EXACTLY 5 sections in mandatory order
     const sectionCount = await Section.count();
     if (sectionCount === 0) {
@@ -358,13 +768,17 @@ async function initializeDatabase() {
           }
 
           const questionText = questionNum <= questionTexts.length ? questionTexts[questionNum - 1] : `Question ${questionNum} for ${section.name}`;
+          const riasecType = section.order_index === 5 ? (SEEDED_RIASEC_TYPES[questionText] || null) : null;
+          const learningModality = section.order_index === 4 ? (SEEDED_LEARNING_MODALITIES[questionText] || null) : null;
 
           newQuestions.push({
             question_text: questionText,
-            question_type: QuestionType.MULTIPLE_CHOICE,
+            question_type: QuestionType.LIKERT_SCALE,
             options: 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree',
-            correct_answer: 'C', // Default neutral answer
+            correct_answer: null, // Agreement statements have no right answer
             category: `section_${section.order_index}`,
+            riasec_type: riasecType,
+            learning_modality: learningModality,
             section_id: section.id,
             status: 'approved',
             source: 'manual',
@@ -427,6 +841,78 @@ async function initializeDatabase() {
       );
       console.log(`✅ Migrated ${activeQuestions.length} existing active questions to approved status`);
     }
+
+    // Migration: Older seeds stored agreement statements as MULTIPLE_CHOICE on the agreement scale,
+    // with correct_answer 'C' as a placeholder "neutral" answer rather than a real key.
+    // MCQs are now scored against correct_answer, so convert them to LIKERT_SCALE. Agreement-scale
+    // questions keyed to anything other than the seed placeholder are left alone.
+    const [convertedCount] = await Question.update(
+      {
+        question_type: QuestionType.LIKERT_SCALE,
+        correct_answer: null
+      },
+      {
+        where: {
+          question_type: QuestionType.MULTIPLE_CHOICE,
+          options: 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree',
+          [Op.or]: [{ correct_answer: null }, { correct_answer: 'C' }]
+        }
+      }
+    );
+
+    if (convertedCount > 0) {
+      console.log(`✅ Converted ${convertedCount} agreement-scale questions from MULTIPLE_CHOICE to LIKERT_SCALE`);
+    }
+
+    // Migration: Tag seeded Career Interest questions with their RIASEC type
+    if (section5) {
+      let taggedCount = 0;
+      for (const [questionText, riasecType] of Object.entries(SEEDED_RIASEC_TYPES)) {
+        const [updated] = await Question.update(
+          { riasec_type: riasecType },
+          {
+            where: {
+              section_id: section5.id,
+              question_text: questionText,
+              riasec_type: null
+            }
+          }
+        );
+        taggedCount += updated;
+      }
+      if (taggedCount > 0) {
+        console.log(`✅ Tagged ${taggedCount} seeded Career Interest questions with RIASEC types`);
+      }
+    }
+
+    // Migration: Tag seeded Learning Style questions with their VARK modality
+    if (section4) {
+      let taggedCount = 0;
+      for (const [questionText, learningModality] of Object.entries(SEEDED_LEARNING_MODALITIES)) {
+        const [updated] = await Question.update(
+          { learning_modality: learningModality },
+          {
+            where: {
+              section_id: section4.id,
+              question_text: questionText,
+              learning_modality: null
+            }
+          }
+        );
+        taggedCount += updated;
+      }
+      if (taggedCount > 0) {
+        console.log(`✅ Tagged ${taggedCount} seeded Learning Style questions with VARK modalities`);
+      }
+    }
+
+    // Seed the default test blueprint (7 questions, 7 minutes per section) once sections exist
+    const defaultBlueprint = await ensureDefaultBlueprint();
+    console.log(`✅ Default test blueprint '${defaultBlueprint.name}' ready`);
+
+    // Seed the default assessment (all sections, in order) taken by students with no assignment
+    const defaultAssessment = await ensureDefaultAssessment();
+    console.log(`✅ Default assessment '${defaultAssessment.name}' ready`);
     
   } catch (error) {
     console.error(`❌ Seed error: ${error.message}`);
@@ -447,6 +933,12 @@ async function startServer() {
     // Initialize database (sync tables and seed data)
     await initializeDatabase();
 
+    // Auto-submit sections whose timer ran out while no client was polling it
+    startSectionTimerSweeper(config.app.sectionTimerSweepSeconds);
+
+    // Mark attempts nobody has touched for a while as ABANDONED
+    startAttemptLifecycleJob(config.app.attemptInactivityHours, config.app.attemptLifecycleSweepMinutes);
+
     // Start listening
     const port = config.app.port;
     app.listen(port, () => {
@@ -464,12 +956,16 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing database connections...');
+  stopSectionTimerSweeper();
+  stopAttemptLifecycleJob();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, closing database connections...');
+  stopSectionTimerSweeper();
+  stopAttemptLifecycleJob();
   await sequelize.close();
   process.exit(0);
 });
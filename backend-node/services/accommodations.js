@@ -0,0 +1,202 @@
+const config = require('../config');
+const { Section, StudentAccommodation, TestAttempt, TestStatus, SectionProgress, SectionStatus } = require('../models');
+const { getSectionRule, getSectionRules, DEFAULT_SECTION_RULE, parseMix } = require('./testBlueprint');
+
+const MIN_TIME_MULTIPLIER = 1.0;
+const MAX_TIME_MULTIPLIER = 3.0;
+const MAX_EXTRA_PAUSES = 20;
+const MIN_OVERRIDE_SECONDS = 60;
+const MAX_OVERRIDE_SECONDS = 6 * 60 * 60;
+
+// Parse and validate an accommodations body.
+// Returns { values, error } with values ready for StudentAccommodation
+async function parseAccommodation(body) {
+  const { time_multiplier, extra_pauses, section_overrides, notes, is_active } = body || {};
+
+  const timeMultiplier = time_multiplier != null ? parseFloat(time_multiplier) : 1.0;
+  if (isNaN(timeMultiplier) || timeMultiplier < MIN_TIME_MULTIPLIER || timeMultiplier > MAX_TIME_MULTIPLIER) {
+    return { values: null, error: `time_multiplier must be between ${MIN_TIME_MULTIPLIER} and ${MAX_TIME_MULTIPLIER}` };
+  }
+
+  const extraPauses = extra_pauses != null ? parseInt(extra_pauses, 10) : 0;
+  if (isNaN(extraPauses) || extraPauses < 0 || extraPauses > MAX_EXTRA_PAUSES) {
+    return { values: null, error: `extra_pauses must be an integer between 0 and ${MAX_EXTRA_PAUSES}` };
+  }
+
+  let overrides = null;
+  if (section_overrides != null) {
+    if (typeof section_overrides !== 'object' || Array.isArray(section_overrides)) {
+      return { values: null, error: 'section_overrides must be an object of { section_id: time_limit_seconds }' };
+    }
+
+    overrides = {};
+    for (const [key, seconds] of Object.entries(section_overrides)) {
+      const sectionId = parseInt(key, 10);
+      const section = isNaN(sectionId) ? null : await Section.findByPk(sectionId);
+      if (!section) {
+        return { values: null, error: `Section not found (ID: ${key})` };
+      }
+      if (!Number.isInteger(seconds) || seconds < MIN_OVERRIDE_SECONDS || seconds > MAX_OVERRIDE_SECONDS) {
+        return { values: null, error: `section_overrides.${key} must be an integer between ${MIN_OVERRIDE_SECONDS} and ${MAX_OVERRIDE_SECONDS} seconds` };
+      }
+      overrides[section.id] = seconds;
+    }
+    if (Object.keys(overrides).length === 0) {
+      overrides = null;
+    }
+  }
+
+  return {
+    values: {
+      time_multiplier: Math.round(timeMultiplier * 100) / 100,
+      extra_pauses: extraPauses,
+      section_overrides: overrides ? JSON.stringify(overrides) : null,
+      notes: notes || null,
+      is_active: is_active === undefined ? true : (is_active === true || is_active === 'true')
+    },
+    error: null
+  };
+}
+
+// What gets copied onto an attempt, or null when the record changes nothing
+function toSnapshot(accommodation) {
+  if (!accommodation || !accommodation.is_active) return null;
+
+  const sectionOverrides = parseMix(accommodation.section_overrides);
+  const hasEffect = accommodation.time_multiplier !== 1 ||
+    accommodation.extra_pauses > 0 ||
+    (sectionOverrides && Object.keys(sectionOverrides).length > 0);
+  if (!hasEffect) return null;
+
+  return {
+    accommodation_id: accommodation.id,
+    time_multiplier: accommodation.time_multiplier,
+    extra_pauses: accommodation.extra_pauses,
+    section_overrides: sectionOverrides || {}
+  };
+}
+
+function parseSnapshot(value) {
+  return parseMix(value);
+}
+
+function formatAccommodation(accommodation) {
+  if (!accommodation) return null;
+  return {
+    id: accommodation.id,
+    student_id: accommodation.student_id,
+    time_multiplier: accommodation.time_multiplier,
+    extra_pauses: accommodation.extra_pauses,
+    section_overrides: parseMix(accommodation.section_overrides) || {},
+    notes: accommodation.notes || null,
+    is_active: !!accommodation.is_active,
+    updated_by: accommodation.updated_by || null,
+    updated_at: accommodation.updated_at ? new Date(accommodation.updated_at).toISOString() : null
+  };
+}
+
+// Section rule with the time limit adjusted for accommodations: a section override wins,
+// otherwise the blueprint limit is multiplied
+function applyAccommodation(rule, snapshot, sectionId) {
+  const accommodations = parseSnapshot(snapshot);
+  if (!accommodations) return rule;
+
+  const override = accommodations.section_overrides && accommodations.section_overrides[sectionId];
+  const timeLimit = override || Math.round(rule.time_limit_seconds * (accommodations.time_multiplier || 1));
+  return { ...rule, time_limit_seconds: timeLimit };
+}
+
+// Rule (question count and accommodated time limit) for a section of an attempt
+async function getAttemptSectionRule(testAttempt, sectionId) {
+  const rule = await getSectionRule(testAttempt ? testAttempt.blueprint_id : null, sectionId);
+  return applyAccommodation(rule, testAttempt ? testAttempt.accommodations : null, sectionId);
+}
+
+// Rule for each listed section, for an attempt or for the attempt a student would start
+async function getAccommodatedSectionRules(blueprintId, snapshot, sectionIds) {
+  const rules = await getSectionRules(blueprintId);
+  const accommodated = {};
+  for (const sectionId of sectionIds) {
+    accommodated[sectionId] = applyAccommodation(rules[sectionId] || DEFAULT_SECTION_RULE, snapshot, sectionId);
+  }
+  return accommodated;
+}
+
+// Pauses allowed per section for the attempt, or null when pauses aren't limited.
+// extra_pauses are added to SECTION_PAUSE_LIMIT; without a limit every student may pause freely,
+// so extra pauses have nothing to add to and are ignored.
+function getPauseAllowance(testAttempt) {
+  if (config.app.sectionPauseLimit == null) return null;
+  const accommodations = parseSnapshot(testAttempt ? testAttempt.accommodations : null);
+  return config.app.sectionPauseLimit + (accommodations ? accommodations.extra_pauses || 0 : 0);
+}
+
+async function getStudentAccommodation(studentId) {
+  return StudentAccommodation.findOne({ where: { student_id: studentId } });
+}
+
+// Snapshot a new attempt should start with
+async function getAccommodationSnapshot(studentId) {
+  return toSnapshot(await getStudentAccommodation(studentId));
+}
+
+// Recompute the stored remaining time of the attempt's current section against its (new) time limit.
+// Time already spent stays spent; the remaining time grows or shrinks with the limit.
+async function refreshRemainingTime(testAttempt) {
+  if (!testAttempt.current_section_id) return;
+
+  const timeLimit = (await getAttemptSectionRule(testAttempt, testAttempt.current_section_id)).time_limit_seconds;
+  const progress = await SectionProgress.findOne({
+    where: { test_attempt_id: testAttempt.id, section_id: testAttempt.current_section_id }
+  });
+  if (progress && progress.status === SectionStatus.COMPLETED) return;
+
+  let timeSpent = progress ? progress.total_time_spent : 0;
+  if (progress && progress.section_start_time && !progress.paused_at) {
+    timeSpent += Math.floor((new Date() - new Date(progress.section_start_time)) / 1000);
+  }
+  testAttempt.remaining_time_seconds = Math.max(0, timeLimit - timeSpent);
+  await testAttempt.save();
+}
+
+// Save a student's accommodations. An attempt already in progress picks them up immediately,
+// including the remaining time of the section being taken.
+async function saveAccommodation(studentId, values, updatedBy) {
+  const existing = await getStudentAccommodation(studentId);
+  const accommodation = existing
+    ? await existing.update({ ...values, updated_by: updatedBy })
+    : await StudentAccommodation.create({ ...values, student_id: studentId, updated_by: updatedBy });
+
+  const activeAttempts = await TestAttempt.findAll({
+    where: { student_id: studentId, status: TestStatus.IN_PROGRESS }
+  });
+  for (const testAttempt of activeAttempts) {
+    testAttempt.accommodations = toSnapshot(accommodation);
+    await testAttempt.save();
+    await refreshRemainingTime(testAttempt);
+  }
+
+  return accommodation;
+}
+
+// { has_accommodations, accommodations } for result and report responses
+function describeAttemptAccommodations(testAttempt) {
+  const accommodations = parseSnapshot(testAttempt ? testAttempt.accommodations : null);
+  return {
+    has_accommodations: !!accommodations,
+    accommodations: accommodations || null
+  };
+}
+
+module.exports = {
+  parseAccommodation,
+  formatAccommodation,
+  applyAccommodation,
+  getAttemptSectionRule,
+  getAccommodatedSectionRules,
+  getPauseAllowance,
+  getStudentAccommodation,
+  getAccommodationSnapshot,
+  saveAccommodation,
+  describeAttemptAccommodations
+};
@@ -0,0 +1,125 @@
+const { AnswerEvent, Question, Section, SectionProgress } = require('../models');
+const { getTimeSpentSeconds } = require('./sectionSubmission');
+
+// Seconds the student had spent in the section when they answered at `answeredAt`. Offline answers
+// arrive in a batch later, so this is worked out from the answer's client time rather than from when
+// the write is processed. Before the section's current run (answered, then paused or submitted) the
+// time since is taken off the banked time, which is exact unless a pause fell in between.
+function getElapsedSecondsAt(progress, answeredAt) {
+  const at = new Date(answeredAt).getTime();
+  const running = progress.section_start_time && !progress.paused_at;
+  if (running && at >= new Date(progress.section_start_time).getTime()) {
+    return getTimeSpentSeconds(progress, new Date(at));
+  }
+
+  const stoppedAt = running ? progress.section_start_time : (progress.paused_at || progress.updated_at);
+  if (!stoppedAt) return progress.total_time_spent;
+  const secondsBefore = Math.max(0, Math.floor((new Date(stoppedAt).getTime() - at) / 1000));
+  return Math.max(0, progress.total_time_spent - secondsBefore);
+}
+
+// Log one answer change with the time the student had spent in the question's section.
+// Re-saving the same answer (client retries) is not a change and isn't logged.
+async function recordAnswerChange({ testAttemptId, questionId, previousAnswer, newAnswer, source, clientSeq = null, clientTime = null }) {
+  if (previousAnswer != null && String(previousAnswer) === String(newAnswer)) {
+    return null;
+  }
+
+  const question = await Question.findByPk(questionId, { attributes: ['id', 'section_id'] });
+  const sectionId = question ? question.section_id : null;
+
+  let sectionElapsedSeconds = null;
+  if (sectionId) {
+    const progress = await SectionProgress.findOne({
+      where: { test_attempt_id: testAttemptId, section_id: sectionId }
+    });
+    if (progress) {
+      sectionElapsedSeconds = clientTime ? getElapsedSecondsAt(progress, clientTime) : getTimeSpentSeconds(progress);
+    }
+  }
+
+  return AnswerEvent.create({
+    test_attempt_id: testAttemptId,
+    question_id: questionId,
+    section_id: sectionId,
+    previous_answer: previousAnswer != null ? String(previousAnswer) : null,
+    new_answer: String(newAnswer),
+    source: source,
+    section_elapsed_seconds: sectionElapsedSeconds,
+    client_seq: clientSeq,
+    client_timestamp: clientTime
+  });
+}
+
+// When the student made the change: the client's time when it sent one, else when it was recorded
+function eventTime(event) {
+  return new Date(event.client_timestamp || event.created_at).getTime();
+}
+
+// Chronological answer changes of an attempt plus a per-question summary
+// (how often each answer changed, first and final choice). Ordered by when the student answered,
+// so an offline batch synced later still lands where it happened.
+async function buildAnswerTimeline(testAttemptId) {
+  const events = (await AnswerEvent.findAll({
+    where: { test_attempt_id: testAttemptId },
+    include: [
+      { model: Question, as: 'question', attributes: ['id', 'question_text'] },
+      { model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }
+    ],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  })).sort((a, b) => eventTime(a) - eventTime(b) || a.id - b.id);
+
+  const questions = {};
+  const timeline = events.map(event => {
+    if (!questions[event.question_id]) {
+      questions[event.question_id] = {
+        question_id: event.question_id,
+        question_text: event.question ? event.question.question_text : null,
+        section_id: event.section_id,
+        section_name: event.section ? event.section.name : null,
+        first_answer: event.new_answer,
+        final_answer: event.new_answer,
+        change_count: 0,
+        first_answered_at: new Date(eventTime(event)).toISOString(),
+        last_changed_at: null
+      };
+    }
+
+    const summary = questions[event.question_id];
+    if (event.previous_answer != null) {
+      summary.change_count += 1;
+      summary.last_changed_at = new Date(eventTime(event)).toISOString();
+    }
+    summary.final_answer = event.new_answer;
+
+    return {
+      id: event.id,
+      question_id: event.question_id,
+      section_id: event.section_id,
+      section_name: event.section ? event.section.name : null,
+      previous_answer: event.previous_answer,
+      new_answer: event.new_answer,
+      source: event.source,
+      section_elapsed_seconds: event.section_elapsed_seconds,
+      client_seq: event.client_seq,
+      client_timestamp: event.client_timestamp ? new Date(event.client_timestamp).toISOString() : null,
+      recorded_at: event.created_at ? new Date(event.created_at).toISOString() : null
+    };
+  });
+
+  const questionSummaries = Object.values(questions);
+  return {
+    test_attempt_id: testAttemptId,
+    total_events: timeline.length,
+    questions_answered: questionSummaries.length,
+    questions_changed: questionSummaries.filter(q => q.change_count > 0).length,
+    total_changes: questionSummaries.reduce((sum, q) => sum + q.change_count, 0),
+    questions: questionSummaries,
+    events: timeline
+  };
+}
+
+module.exports = {
+  recordAnswerChange,
+  buildAnswerTimeline
+};
@@ -0,0 +1,208 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Answer, AnswerEventSource, Question, TestAttemptQuestion, SectionProgress, SectionStatus } = require('../models');
+const { recordAnswerChange } = require('./answerHistory');
+const { toCanonicalKey, toDisplayKey, getOptionOrders } = require('./optionShuffle');
+const { getAttemptRevisionIds } = require('./questionRevisions');
+
+const MAX_BATCH_SIZE = 200;
+
+// How far ahead of the server a client clock may be before its timestamps are distrusted
+const MAX_CLIENT_CLOCK_SKEW_SECONDS = 120;
+
+// Client time used for last-writer-wins. A timestamp further in the future than the allowed skew
+// is clamped to server time: otherwise a fast clock would win every later save of the question.
+function boundClientTime(clientTime, now = new Date()) {
+  return clientTime.getTime() - now.getTime() > MAX_CLIENT_CLOCK_SKEW_SECONDS * 1000 ? now : clientTime;
+}
+
+// Where clause matching a stored answer that the incoming write (clientTime, clientSeq) beats:
+// a later client time wins, and the sequence number breaks ties. Rows saved without client
+// metadata always lose to a client write.
+function staleAnswerWhere(answerId, clientTime, clientSeq) {
+  const sameTimeOlderSeq = { client_updated_at: clientTime };
+  if (clientSeq != null) {
+    sameTimeOlderSeq[Op.or] = [{ client_seq: null }, { client_seq: { [Op.lt]: clientSeq } }];
+  } else {
+    sameTimeOlderSeq.client_seq = null;
+  }
+
+  return {
+    id: answerId,
+    [Op.or]: [
+      { client_updated_at: null },
+      { client_updated_at: { [Op.lt]: clientTime } },
+      sameTimeOlderSeq
+    ]
+  };
+}
+
+// Save one answer, last-writer-wins by client time, and log it in the answer history when it changed.
+// Safe to retry: a concurrent create of the same answer hits the unique index and falls back to
+// the conditional update. Returns 'created', 'updated' or 'stale'
+async function applyAnswer(testAttemptId, questionId, selectedOption, { clientTime, clientSeq = null, source }) {
+  const values = {
+    answer_text: String(selectedOption),
+    client_updated_at: clientTime,
+    client_seq: clientSeq
+  };
+  const history = { testAttemptId, questionId, newAnswer: values.answer_text, source, clientSeq, clientTime };
+
+  let existing = await Answer.findOne({
+    where: { test_attempt_id: testAttemptId, question_id: questionId },
+    attributes: ['id', 'answer_text']
+  });
+
+  if (!existing) {
+    try {
+      // The answer belongs to the revision the student was shown; later edits don't move it
+      const revisionIds = await getAttemptRevisionIds(testAttemptId, [questionId]);
+      await Answer.create({
+        test_attempt_id: testAttemptId,
+        question_id: questionId,
+        question_revision_id: revisionIds[questionId] || null,
+        ...values
+      });
+      await recordAnswerChange({ ...history, previousAnswer: null });
+      return 'created';
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) throw error;
+      existing = await Answer.findOne({
+        where: { test_attempt_id: testAttemptId, question_id: questionId },
+        attributes: ['id', 'answer_text']
+      });
+    }
+  }
+
+  const [updatedCount] = await Answer.update(values, {
+    where: staleAnswerWhere(existing.id, clientTime, clientSeq)
+  });
+  if (updatedCount === 0) {
+    return 'stale';
+  }
+
+  await recordAnswerChange({ ...history, previousAnswer: existing.answer_text });
+  return 'updated';
+}
+
+// Validate a batch body. Returns { entries, error } with entries normalised to
+// { question_id, selected_option, client_seq, client_time }
+function parseAnswerBatch(answers) {
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { entries: null, error: 'answers must be a non-empty array' };
+  }
+  if (answers.length > MAX_BATCH_SIZE) {
+    return { entries: null, error: `At most ${MAX_BATCH_SIZE} answers can be synced per request` };
+  }
+
+  const entries = [];
+  for (const [index, answer] of answers.entries()) {
+    const questionId = parseInt(answer && answer.question_id, 10);
+    if (isNaN(questionId)) {
+      return { entries: null, error: `answers[${index}].question_id is required` };
+    }
+    if (answer.selected_option == null || String(answer.selected_option).trim() === '') {
+      return { entries: null, error: `answers[${index}].selected_option is required` };
+    }
+    if (!Number.isInteger(answer.client_seq) || answer.client_seq < 0) {
+      return { entries: null, error: `answers[${index}].client_seq must be a non-negative integer` };
+    }
+    const clientTime = new Date(answer.client_timestamp);
+    if (!answer.client_timestamp || isNaN(clientTime.getTime())) {
+      return { entries: null, error: `answers[${index}].client_timestamp must be a valid date` };
+    }
+
+    entries.push({
+      question_id: questionId,
+      selected_option: String(answer.selected_option),
+      client_seq: answer.client_seq,
+      client_time: boundClientTime(clientTime)
+    });
+  }
+
+  return { entries, error: null };
+}
+
+// Stored answers hold canonical keys; the client gets back the keys it displayed
+function formatAnswer(answer, optionOrders) {
+  return {
+    question_id: answer.question_id,
+    selected_option: toDisplayKey(answer.answer_text, optionOrders[answer.question_id]),
+    client_seq: answer.client_seq,
+    client_timestamp: answer.client_updated_at ? new Date(answer.client_updated_at).toISOString() : null,
+    updated_at: answer.updated_at ? new Date(answer.updated_at).toISOString() : null
+  };
+}
+
+// Apply a batch of offline answers to an in-progress attempt.
+// Only the newest entry per question is applied; questions that aren't part of the attempt or
+// belong to an already submitted section are rejected. Returns the counts plus the attempt's
+// authoritative answer set, which the client should replace its local copy with.
+async function syncAnswerBatch(testAttempt, entries) {
+  const assigned = await TestAttemptQuestion.findAll({
+    where: { test_attempt_id: testAttempt.id },
+    include: [{ model: Question, as: 'question', attributes: ['id', 'section_id'] }],
+    attributes: ['question_id']
+  });
+  const sectionByQuestion = {};
+  for (const row of assigned) {
+    sectionByQuestion[row.question_id] = row.question ? row.question.section_id : null;
+  }
+
+  const completedSections = new Set((await SectionProgress.findAll({
+    where: { test_attempt_id: testAttempt.id, status: SectionStatus.COMPLETED },
+    attributes: ['section_id']
+  })).map(progress => progress.section_id));
+
+  const optionOrders = await getOptionOrders(testAttempt.id);
+
+  // Newest entry per question within the batch (client time, then sequence number)
+  const newestByQuestion = {};
+  for (const entry of entries) {
+    const current = newestByQuestion[entry.question_id];
+    if (!current ||
+        entry.client_time > current.client_time ||
+        (entry.client_time.getTime() === current.client_time.getTime() && entry.client_seq > current.client_seq)) {
+      newestByQuestion[entry.question_id] = entry;
+    }
+  }
+
+  const result = { applied: [], stale: [], rejected: [] };
+  for (const entry of Object.values(newestByQuestion)) {
+    if (!(entry.question_id in sectionByQuestion)) {
+      result.rejected.push({ question_id: entry.question_id, client_seq: entry.client_seq, reason: 'QUESTION_NOT_IN_ATTEMPT' });
+      continue;
+    }
+    if (completedSections.has(sectionByQuestion[entry.question_id])) {
+      result.rejected.push({ question_id: entry.question_id, client_seq: entry.client_seq, reason: 'SECTION_ALREADY_SUBMITTED' });
+      continue;
+    }
+
+    const canonicalOption = toCanonicalKey(entry.selected_option, optionOrders[entry.question_id]);
+    const outcome = await applyAnswer(testAttempt.id, entry.question_id, canonicalOption, {
+      clientTime: entry.client_time,
+      clientSeq: entry.client_seq,
+      source: AnswerEventSource.SYNC
+    });
+    (outcome === 'stale' ? result.stale : result.applied).push({ question_id: entry.question_id, client_seq: entry.client_seq });
+  }
+
+  const answers = await Answer.findAll({
+    where: { test_attempt_id: testAttempt.id },
+    order: [['question_id', 'ASC']]
+  });
+
+  return {
+    applied: result.applied,
+    stale: result.stale,
+    rejected: result.rejected,
+    answers: answers.map(answer => formatAnswer(answer, optionOrders))
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  boundClientTime,
+  applyAnswer,
+  parseAnswerBatch,
+  syncAnswerBatch
+};
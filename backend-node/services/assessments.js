@@ -0,0 +1,110 @@
+const { sequelize } = require('../database');
+const { Section, Student, Assessment, AssessmentSection } = require('../models');
+
+async function getDefaultAssessment() {
+  return Assessment.findOne({
+    where: { is_default: true, is_active: true }
+  });
+}
+
+// Assessment a new attempt should use: the student's assigned assessment, otherwise the default one
+async function getAssessmentForStudent(user) {
+  const student = await Student.findOne({
+    where: { user_id: user.id },
+    attributes: ['id', 'assessment_id']
+  });
+
+  if (student && student.assessment_id) {
+    const assigned = await Assessment.findOne({
+      where: { id: student.assessment_id, is_active: true }
+    });
+    if (assigned) return assigned;
+  }
+
+  return getDefaultAssessment();
+}
+
+// Active sections of an assessment in the order they are taken.
+// Without an assessment (attempts before assessments existed) every active section is used, by order_index.
+async function getAssessmentSections(assessmentId) {
+  if (!assessmentId) {
+    return Section.findAll({
+      where: { is_active: true },
+      order: [['order_index', 'ASC']]
+    });
+  }
+
+  const rows = await AssessmentSection.findAll({
+    where: { assessment_id: assessmentId },
+    include: [{ model: Section, as: 'section', where: { is_active: true }, required: true }],
+    order: [['position', 'ASC']]
+  });
+  return rows.map(row => row.section);
+}
+
+async function getAttemptSections(testAttempt) {
+  return getAssessmentSections(testAttempt ? testAttempt.assessment_id : null);
+}
+
+// Section taken after `section` in the given ordered list, or null when it is the last one
+function getNextSection(sections, section) {
+  const index = sections.findIndex(s => s.id === section.id);
+  return index >= 0 && index < sections.length - 1 ? sections[index + 1] : null;
+}
+
+// Sections taken before `section` in the given ordered list
+function getPreviousSections(sections, section) {
+  const index = sections.findIndex(s => s.id === section.id);
+  return index > 0 ? sections.slice(0, index) : [];
+}
+
+// Lightweight { id, name } for API responses, or null
+async function getAssessmentSummary(assessmentId) {
+  if (!assessmentId) return null;
+  const assessment = await Assessment.findByPk(assessmentId, { attributes: ['id', 'name'] });
+  return assessment ? { id: assessment.id, name: assessment.name } : null;
+}
+
+// Seed the default assessment (every active section, in order) on first start-up
+async function ensureDefaultAssessment() {
+  const existing = await Assessment.findOne({ where: { is_default: true } });
+  if (existing) return existing;
+
+  const sections = await Section.findAll({
+    where: { is_active: true },
+    order: [['order_index', 'ASC']]
+  });
+
+  const transaction = await sequelize.transaction();
+  try {
+    const assessment = await Assessment.create({
+      name: 'Career Profiling Assessment',
+      description: 'Full career profiling test covering all sections',
+      is_default: true,
+      is_active: true
+    }, { transaction });
+
+    await AssessmentSection.bulkCreate(sections.map((section, index) => ({
+      assessment_id: assessment.id,
+      section_id: section.id,
+      position: index + 1
+    })), { transaction });
+
+    await transaction.commit();
+    return assessment;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  getDefaultAssessment,
+  getAssessmentForStudent,
+  getAssessmentSections,
+  getAttemptSections,
+  getNextSection,
+  getPreviousSections,
+  getAssessmentSummary,
+  ensureDefaultAssessment
+};
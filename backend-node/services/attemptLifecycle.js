@@ -0,0 +1,187 @@
+const { Op, fn, col } = require('sequelize');
+const { TestAttempt, TestStatus, Answer, SectionProgress, SectionStatus } = require('../models');
+const { getAttemptSectionRule } = require('./accommodations');
+const { getTimeSpentSeconds } = require('./sectionSubmission');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let lifecycleTimer = null;
+let lifecycleRunning = false;
+
+function latestDate(...dates) {
+  const times = dates.filter(Boolean).map(d => new Date(d).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// { test_attempt_id: Date } of the newest updated_at per attempt in the given table
+async function latestUpdatePerAttempt(model, attemptIds) {
+  const rows = await model.findAll({
+    where: { test_attempt_id: { [Op.in]: attemptIds } },
+    attributes: ['test_attempt_id', [fn('MAX', col('updated_at')), 'last_updated_at']],
+    group: ['test_attempt_id'],
+    raw: true
+  });
+
+  const latest = {};
+  for (const row of rows) {
+    latest[row.test_attempt_id] = row.last_updated_at;
+  }
+  return latest;
+}
+
+// Last time anything happened on the attempt: the attempt itself, its answers or its section progress
+async function getLastActivityAt(testAttempt) {
+  const answers = await latestUpdatePerAttempt(Answer, [testAttempt.id]);
+  const sections = await latestUpdatePerAttempt(SectionProgress, [testAttempt.id]);
+  return latestDate(testAttempt.started_at, testAttempt.updated_at, answers[testAttempt.id], sections[testAttempt.id]);
+}
+
+// In-progress attempts with no activity since the cutoff, as [{ testAttempt, lastActivityAt }]
+async function findInactiveAttempts(cutoff) {
+  // The attempt row's own timestamps are a cheap first filter; answers and sections are checked next
+  const candidates = await TestAttempt.findAll({
+    where: {
+      status: TestStatus.IN_PROGRESS,
+      started_at: { [Op.lt]: cutoff },
+      [Op.or]: [{ updated_at: null }, { updated_at: { [Op.lt]: cutoff } }]
+    }
+  });
+  if (candidates.length === 0) return [];
+
+  const attemptIds = candidates.map(a => a.id);
+  const answerActivity = await latestUpdatePerAttempt(Answer, attemptIds);
+  const sectionActivity = await latestUpdatePerAttempt(SectionProgress, attemptIds);
+
+  return candidates
+    .map(testAttempt => ({
+      testAttempt,
+      lastActivityAt: latestDate(
+        testAttempt.started_at,
+        testAttempt.updated_at,
+        answerActivity[testAttempt.id],
+        sectionActivity[testAttempt.id]
+      )
+    }))
+    .filter(({ lastActivityAt }) => lastActivityAt < cutoff);
+}
+
+// Mark an attempt ABANDONED. A section still running is paused first so its time
+// is banked (capped at the limit) and it can be resumed if an admin reopens the attempt.
+async function abandonAttempt(testAttempt) {
+  const runningSections = await SectionProgress.findAll({
+    where: { test_attempt_id: testAttempt.id, status: SectionStatus.IN_PROGRESS, paused_at: null }
+  });
+
+  for (const progress of runningSections) {
+    const timeLimit = (await getAttemptSectionRule(testAttempt, progress.section_id)).time_limit_seconds;
+    progress.total_time_spent = Math.min(getTimeSpentSeconds(progress), timeLimit);
+    progress.section_start_time = null;
+    progress.paused_at = new Date();
+    await progress.save();
+
+    if (testAttempt.current_section_id === progress.section_id) {
+      testAttempt.remaining_time_seconds = Math.max(0, timeLimit - progress.total_time_spent);
+    }
+  }
+
+  testAttempt.status = TestStatus.ABANDONED;
+  testAttempt.abandoned_at = new Date();
+  await testAttempt.save();
+  return testAttempt;
+}
+
+// Mark every attempt inactive for longer than inactivityHours as ABANDONED.
+// Returns the number of attempts abandoned
+async function sweepAbandonedAttempts(inactivityHours, now = new Date()) {
+  const cutoff = new Date(now.getTime() - inactivityHours * HOUR_MS);
+  const inactive = await findInactiveAttempts(cutoff);
+
+  let abandonedCount = 0;
+  for (const { testAttempt, lastActivityAt } of inactive) {
+    try {
+      await abandonAttempt(testAttempt);
+      abandonedCount += 1;
+      console.log(`✅ Test attempt ${testAttempt.id} marked ABANDONED (last activity ${lastActivityAt.toISOString()})`);
+    } catch (error) {
+      console.error(`❌ Failed to abandon test attempt ${testAttempt.id}: ${error.message}`);
+    }
+  }
+
+  return abandonedCount;
+}
+
+// Put an abandoned attempt back IN_PROGRESS so the student can continue where they left off.
+// Returns { testAttempt, error, conflict } - conflict is set when another attempt stands in the way
+async function reopenAttempt(testAttempt) {
+  if (testAttempt.status !== TestStatus.ABANDONED) {
+    return { testAttempt: null, error: `Only abandoned attempts can be reopened (current status: ${testAttempt.status})`, conflict: false };
+  }
+  if (testAttempt.is_archived) {
+    return { testAttempt: null, error: 'This attempt was archived by a retake and cannot be reopened', conflict: true };
+  }
+
+  const newerAttempt = await TestAttempt.findOne({
+    where: {
+      student_id: testAttempt.student_id,
+      id: { [Op.ne]: testAttempt.id },
+      [Op.or]: [
+        { status: TestStatus.IN_PROGRESS },
+        { started_at: { [Op.gt]: testAttempt.started_at } }
+      ]
+    }
+  });
+  if (newerAttempt) {
+    return {
+      testAttempt: null,
+      error: `Student already has a later attempt (ID: ${newerAttempt.id}, status: ${newerAttempt.status})`,
+      conflict: true
+    };
+  }
+
+  testAttempt.status = TestStatus.IN_PROGRESS;
+  testAttempt.abandoned_at = null;
+  await testAttempt.save(); // Also bumps updated_at, which restarts the inactivity window
+  return { testAttempt, error: null, conflict: false };
+}
+
+async function runLifecycleSweep(inactivityHours) {
+  if (lifecycleRunning) return;
+  lifecycleRunning = true;
+  try {
+    const abandonedCount = await sweepAbandonedAttempts(inactivityHours);
+    if (abandonedCount > 0) {
+      console.log(`✅ Attempt lifecycle sweep: ${abandonedCount} attempt(s) marked ABANDONED`);
+    }
+  } catch (error) {
+    console.error(`❌ Attempt lifecycle sweep failed: ${error.message}`);
+  } finally {
+    lifecycleRunning = false;
+  }
+}
+
+// Run the sweep now and then every intervalMinutes (0 disables it)
+function startAttemptLifecycleJob(inactivityHours, intervalMinutes) {
+  if (lifecycleTimer || !intervalMinutes || intervalMinutes <= 0 || !inactivityHours || inactivityHours <= 0) return;
+
+  runLifecycleSweep(inactivityHours);
+  lifecycleTimer = setInterval(() => runLifecycleSweep(inactivityHours), intervalMinutes * 60 * 1000);
+  lifecycleTimer.unref();
+  console.log(`✅ Attempt lifecycle job running every ${intervalMinutes} min (abandon after ${inactivityHours}h without activity)`);
+}
+
+function stopAttemptLifecycleJob() {
+  if (lifecycleTimer) {
+    clearInterval(lifecycleTimer);
+    lifecycleTimer = null;
+  }
+}
+
+module.exports = {
+  getLastActivityAt,
+  findInactiveAttempts,
+  abandonAttempt,
+  sweepAbandonedAttempts,
+  reopenAttempt,
+  startAttemptLifecycleJob,
+  stopAttemptLifecycleJob
+};
@@ -1,13 +1,17 @@
-const { Score, InterpretedResult, Section } = require('../models');
+const { Score, InterpretedResult, Section, TestAttempt, Assessment } = require('../models');
 const { generateInterpretation } = require('./geminiService');
+const { LEARNING_STYLE_DIMENSION, getStudyAdvice } = require('./learningStyle');
+const { getActivePolicy, getCachedPolicy, classifyReadiness, riskLevelForReadiness } = require('./readinessPolicy');
 
-function calculateReadinessStatus(percentage) {
-  if (percentage < 40) {
+// Thresholds come from the admin-editable readiness policy (services/readinessPolicy.js)
+function calculateReadinessStatus(percentage, policy = getCachedPolicy()) {
+  const readinessStatus = classifyReadiness(percentage, policy);
+  if (readinessStatus === 'NOT READY') {
     return [
       'NOT READY',
       'The student is currently in an exploration stage. This means it is too early to finalize a career decision.'
     ];
-  } else if (percentage < 60) {
+  } else if (readinessStatus === 'PARTIALLY READY') {
     return [
       'PARTIALLY READY',
       'The student has begun developing career-related strengths but needs further clarity before committing.'
@@ -21,12 +25,13 @@ function calculateReadinessStatus(percentage) {
 }
 
 function calculateRiskLevel(readinessStatus) {
-  if (readinessStatus === 'NOT READY') {
+  const riskLevel = riskLevelForReadiness(readinessStatus);
+  if (riskLevel === 'HIGH') {
     return [
       'HIGH',
       'Making a career decision at this stage may increase the chances of course changes or loss of interest later. This is decision risk, not failure risk - it means the student needs more time to explore before committing.'
     ];
-  } else if (readinessStatus === 'PARTIALLY READY') {
+  } else if (riskLevel === 'MEDIUM') {
     return [
       'MEDIUM',
       'With guidance and preparation, career decisions can become more reliable over time. Early career locking may cause dissatisfaction if interests change. This is decision risk, not failure risk - it means the student should continue exploring before finalizing.'
@@ -39,7 +44,8 @@ function calculateRiskLevel(readinessStatus) {
   }
 }
 
-function determineCareerDirection(sectionScores, sections, overallPercentage = 0.0) {
+// Below the policy's ready threshold the direction stays exploratory (primary + secondary domain)
+function determineCareerDirection(sectionScores, sections, overallPercentage = 0.0, policy = getCachedPolicy()) {
   if (!sectionScores || Object.keys(sectionScores).length === 0) {
     return [
       'Multi-domain Exploration',
@@ -99,8 +105,8 @@ function determineCareerDirection(sectionScores, sections, overallPercentage = 0
     weaknessText = 'Some areas need further development';
   }
 
-  // If overall score < 60%, show primary + secondary exploration (no single-domain dominance)
-  if (overallPercentage < 60) {
+  // If the student isn't ready yet, show primary + secondary exploration (no single-domain dominance)
+  if (overallPercentage < policy.ready_threshold) {
     if (secondMax) {
       const [secondSectionNum, secondScore] = secondMax;
       const secondSectionName = sectionNames[secondSectionNum] || `Section ${secondSectionNum}`;
@@ -135,7 +141,7 @@ function determineCareerDirection(sectionScores, sections, overallPercentage = 0
     }
   }
 
-  // For scores >= 60%, can show single domain if clear dominance
+  // At or above the ready threshold, can show single domain if clear dominance
   if ([1, 2].includes(maxSectionNum) && (!secondMax || [1, 2].includes(secondMax[0]))) {
     return [
       'Technology / Engineering',
@@ -159,7 +165,7 @@ function determineCareerDirection(sectionScores, sections, overallPercentage = 0
   }
 }
 
-function generateActionRoadmap(readinessStatus, percentage) {
+function generateActionRoadmap(readinessStatus, percentage, learningStyle = null) {
   const roadmap = {
     phase1: {
       duration: '0-3 Months',
@@ -181,7 +187,7 @@ function generateActionRoadmap(readinessStatus, percentage) {
     }
   };
 
-  if (readinessStatus === 'NOT READY' || percentage < 40) {
+  if (readinessStatus === 'NOT READY') {
     roadmap.phase1.description = 'This phase is meant for self-discovery and strengthening basic aptitude. No career decision should be taken yet. Strong warning: Making career decisions now may lead to dissatisfaction later.';
     roadmap.phase1.actions = [
       'Focus on aptitude improvement through practice and learning',
@@ -205,7 +211,7 @@ function generateActionRoadmap(readinessStatus, percentage) {
       'Start exam preparation or skill certification if applicable',
       'Finalize career direction with counsellor guidance'
     ];
-  } else if (readinessStatus === 'PARTIALLY READY' || (percentage >= 40 && percentage < 60)) {
+  } else if (readinessStatus === 'PARTIALLY READY') {
     roadmap.phase1.description = 'This phase is meant for self-discovery and strengthening basic aptitude. Guided exploration only - no career decisions yet.';
     roadmap.phase1.actions = [
       'Strengthen areas showing potential',
@@ -253,9 +259,25 @@ function generateActionRoadmap(readinessStatus, percentage) {
     ];
   }
 
+  // Tailor study advice to the student's VARK learning style (e.g. "V" or "VK")
+  const studyAdvice = getStudyAdvice(learningStyle);
+  if (studyAdvice.length > 0) {
+    roadmap.phase1.actions.push(...studyAdvice.map(advice => `Study approach - ${advice}`));
+    roadmap.phase2.actions.push(`Choose courses and practice formats that match your learning style (${studyAdvice.map(advice => advice.split(':')[0]).join(', ')})`);
+  }
+
   return roadmap;
 }
 
+// Stored VARK learning style label (e.g. "V", "VK") from an attempt's Score rows
+function getLearningStyleFromScores(scores) {
+  if (!scores) {
+    return null;
+  }
+  const styleScore = scores.find(s => s && s.dimension === LEARNING_STYLE_DIMENSION);
+  return styleScore ? styleScore.label : null;
+}
+
 function generateCounsellorSummary(percentage, readinessStatus, careerDirection, sectionScores) {
   const sectionNames = {
     1: 'logical',
@@ -426,14 +448,16 @@ function generateCounsellorStyleSummary(percentage, readinessStatus, careerDirec
   }
 }
 
-async function generateGeminiInterpretation(totalQuestions, correctAnswers, percentage, categoryScores) {
-  const readinessStatus = calculateReadinessStatus(percentage)[0];
+async function generateGeminiInterpretation(totalQuestions, correctAnswers, percentage, categoryScores, policy = getCachedPolicy(), assessmentName = null) {
+  const readinessStatus = calculateReadinessStatus(percentage, policy)[0];
   
   const context = {
+    assessment_name: assessmentName,
     total_questions: totalQuestions,
     correct_answers: correctAnswers,
     percentage: percentage,
     readiness_status: readinessStatus,
+    risk_level: calculateRiskLevel(readinessStatus)[0],
     category_scores: categoryScores
   };
 
@@ -441,8 +465,8 @@ async function generateGeminiInterpretation(totalQuestions, correctAnswers, perc
   return { interpretation, error };
 }
 
-async function generateFallbackInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage, sectionScores) {
-  const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+async function generateFallbackInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage, sectionScores, learningStyle = null, policy = getCachedPolicy()) {
+  const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage, policy);
   const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
 
   const sections = {};
@@ -451,8 +475,8 @@ async function generateFallbackInterpretation(testAttemptId, totalQuestions, cor
     sections[section.order_index] = section.name;
   }
 
-  const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage);
-  const roadmap = generateActionRoadmap(readinessStatus, percentage);
+  const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage, policy);
+  const roadmap = generateActionRoadmap(readinessStatus, percentage, learningStyle);
   const summary = generateCounsellorStyleSummary(percentage, readinessStatus, careerDirection, totalQuestions, correctAnswers);
   
   // Generate new fields
@@ -548,11 +572,21 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
       }
     }
 
+    const learningStyle = getLearningStyleFromScores(scores);
+    const readinessPolicy = await getActivePolicy();
+
+    // Name of the assessment taken, so the interpretation is framed for that test form
+    const testAttempt = await TestAttempt.findByPk(testAttemptId, {
+      attributes: ['id', 'assessment_id'],
+      include: [{ model: Assessment, as: 'assessment', attributes: ['id', 'name'] }]
+    });
+    const assessmentName = testAttempt && testAttempt.assessment ? testAttempt.assessment.name : null;
+
     console.log(`🔵 Section scores: ${JSON.stringify(sectionScores)}`);
     console.log(`🔵 Calling Gemini interpretation API...`);
 
     const { interpretation: interpretationData, error } = await generateGeminiInterpretation(
-      totalQuestions, correctAnswers, percentage, categoryScores
+      totalQuestions, correctAnswers, percentage, categoryScores, readinessPolicy, assessmentName
     );
 
     const isAiUsed = interpretationData !== null && error === null;
@@ -573,10 +607,10 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
       console.log('⚠️ Using fallback interpretation (Gemini unavailable)');
     }
     finalInterpretationData = await generateFallbackInterpretation(
-      testAttemptId, totalQuestions, correctAnswers, percentage, sectionScores
+      testAttemptId, totalQuestions, correctAnswers, percentage, sectionScores, learningStyle, readinessPolicy
     );
   } else {
-    const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+    const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage, readinessPolicy);
     const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
 
     const sections = {};
@@ -585,11 +619,14 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
       sections[section.order_index] = section.name;
     }
 
-    const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage);
-    const roadmap = generateActionRoadmap(readinessStatus, percentage);
+    const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage, readinessPolicy);
+    const roadmap = generateActionRoadmap(readinessStatus, percentage, learningStyle);
 
+    // Readiness and risk always come from the policy, not from the model's own judgement
     finalInterpretationData = {
       ...interpretationData,
+      readiness_status: readinessStatus,
+      risk_level: riskLevel,
       readiness_explanation: readinessExplanation,
       risk_explanation: riskExplanation,
       career_direction: careerDirection,
@@ -609,6 +646,7 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
         'strengths',
         'areas_for_improvement',
         'is_ai_generated',
+        'readiness_policy_version',
         'created_at',
         'updated_at'
         // Note: readiness_status, risk_level, etc. are NOT included (don't exist in DB)
@@ -622,7 +660,7 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
     }
 
   // Extract readiness and risk data from final interpretation
-  const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+  const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage, readinessPolicy);
   const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
   
   const sections = {};
@@ -631,8 +669,8 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
     sections[section.order_index] = section.name;
   }
   
-  const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage);
-  const roadmap = generateActionRoadmap(readinessStatus, percentage);
+  const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScores, sections, percentage, readinessPolicy);
+  const roadmap = generateActionRoadmap(readinessStatus, percentage, learningStyle);
   
   // Generate new fields
   const counsellorSummary = generateCounsellorSummary(percentage, readinessStatus, careerDirection, sectionScores);
@@ -651,7 +689,8 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
         interpretation_text: finalInterpretationData.summary || '',
         strengths: JSON.stringify(finalInterpretationData.strengths || []),
         areas_for_improvement: JSON.stringify(finalInterpretationData.weaknesses || []),
-        is_ai_generated: isAiUsed
+        is_ai_generated: isAiUsed,
+        readiness_policy_version: readinessPolicy.version
         // Note: readiness_status, risk_level, career_direction, etc. are NOT stored in DB
         // They are calculated dynamically when reading the interpretation
       });
@@ -663,10 +702,11 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
         interpretation_text: finalInterpretationData.summary || interpretedResult.interpretation_text,
         strengths: JSON.stringify(finalInterpretationData.strengths || []),
         areas_for_improvement: JSON.stringify(finalInterpretationData.weaknesses || []),
-        is_ai_generated: isAiUsed
+        is_ai_generated: isAiUsed,
+        readiness_policy_version: readinessPolicy.version
       }, {
         where: { id: interpretedResult.id },
-        fields: ['interpretation_text', 'strengths', 'areas_for_improvement', 'is_ai_generated']
+        fields: ['interpretation_text', 'strengths', 'areas_for_improvement', 'is_ai_generated', 'readiness_policy_version']
       });
       
       // Refresh the instance to get updated values
@@ -678,6 +718,7 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
           'strengths',
           'areas_for_improvement',
           'is_ai_generated',
+          'readiness_policy_version',
           'created_at',
           'updated_at'
         ]
@@ -701,6 +742,7 @@ module.exports = {
   calculateRiskLevel,
   determineCareerDirection,
   generateActionRoadmap,
+  getLearningStyleFromScores,
   generateCounsellorStyleSummary,
   generateAndSaveInterpretation,
   generateCounsellorSummary,
@@ -42,6 +42,7 @@ REQUIREMENTS FOR LIKERT_SCALE QUESTIONS:
 3. NO correct_answer field (do not include correct_answer)
 4. Use keywords like "enjoy", "like", "prefer", "comfortable", "always", "sometimes" in question text
 5. Questions assess attitudes, preferences, or behaviors
+6. Include "is_reverse_scored": true for negatively worded statements where agreeing indicates LESS of the trait (e.g., "I often postpone revision"); otherwise false
 
 REQUIREMENTS FOR MULTIPLE_CHOICE QUESTIONS:
 1. Question text should be a question (e.g., "Which work environment do you prefer?")
@@ -63,7 +64,13 @@ Return a valid JSON array with this exact structure:
 [
   {
     "question_type": "LIKERT_SCALE",
-    "question_text": "I enjoy solving complex problems"
+    "question_text": "I enjoy solving complex problems",
+    "is_reverse_scored": false
+  },
+  {
+    "question_type": "LIKERT_SCALE",
+    "question_text": "I often postpone revision until the last minute",
+    "is_reverse_scored": true
   },
   {
     "question_type": "MULTIPLE_CHOICE",
@@ -83,7 +90,7 @@ IMPORTANT:
 - Return ONLY valid JSON array, no markdown, no code blocks, no explanations
 - Generate exactly ${count} questions (${likertCount} LIKERT_SCALE, ${mcqCount} MULTIPLE_CHOICE)
 - Each question must be unique and relevant to the section
-- LIKERT_SCALE questions: NO options, NO correct_answer
+- LIKERT_SCALE questions: NO options, NO correct_answer, MUST have is_reverse_scored
 - MULTIPLE_CHOICE questions: MUST have 4 options and correct_answer
 - Ensure questions are professional and appropriate
 
@@ -210,7 +217,8 @@ Return the JSON array now:`;
         // LIKERT_SCALE: no options, no correct_answer
         validatedQuestions.push({
           question_type: 'LIKERT_SCALE',
-          question_text: q.question_text.trim()
+          question_text: q.question_text.trim(),
+          is_reverse_scored: q.is_reverse_scored === true || q.is_reverse_scored === 'true'
         });
       } else if (questionType === 'MULTIPLE_CHOICE') {
         // MULTIPLE_CHOICE: must have 4 options and correct_answer
@@ -12,7 +12,9 @@ async function generateInterpretation(context) {
   const correctAnswers = context.correct_answers || 0;
   const percentage = context.percentage || 0.0;
   const readinessBand = context.readiness_status || 'Medium';
+  const riskBand = context.risk_level || 'MEDIUM';
   const categoryScores = context.category_scores;
+  const assessmentLine = context.assessment_name ? `- Assessment: ${context.assessment_name}\n` : '';
 
   let categoryInfo = '';
   if (categoryScores) {
@@ -25,10 +27,11 @@ async function generateInterpretation(context) {
   const prompt = `You are a career guidance AI. Provide guidance only. No medical or psychological diagnosis.
 
 ASSESSMENT RESULTS:
-- Total Questions: ${totalQuestions}
+${assessmentLine}- Total Questions: ${totalQuestions}
 - Correct Answers: ${correctAnswers}
 - Percentage Score: ${percentage}%
 - Readiness Band: ${readinessBand}
+- Risk Band: ${riskBand}
 ${categoryInfo}
 
 TASK:
@@ -50,7 +53,7 @@ Generate a structured JSON response with the following exact structure:
 
 IMPORTANT:
 - Return ONLY valid JSON, no markdown, no code blocks
-- risk_level should be LOW if percentage >= 70, MEDIUM if 50-69, HIGH if < 50
+- risk_level should match the risk band
 - readiness_status should align with readiness_band
 - Use positive, encouraging language throughout
 - Focus on career development, not diagnosis
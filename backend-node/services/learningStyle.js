@@ -0,0 +1,119 @@
+const { LearningModality } = require('../models');
+
+const VARK_ORDER = [
+  LearningModality.VISUAL,
+  LearningModality.AUDITORY,
+  LearningModality.READ_WRITE,
+  LearningModality.KINESTHETIC
+];
+
+const VARK_NAMES = {
+  V: 'Visual',
+  A: 'Auditory',
+  R: 'Reading/Writing',
+  K: 'Kinesthetic'
+};
+
+const STUDY_ADVICE = {
+  V: 'Use mind maps, diagrams and colour-coded notes while revising',
+  A: 'Revise by explaining topics aloud, group discussion or recorded lectures',
+  R: 'Rewrite key points as lists and summaries and practise written answers',
+  K: 'Learn through practicals, models and real-world examples with short active breaks'
+};
+
+const LEARNING_STYLE_DIMENSION = 'learning_style';
+
+// Modalities scoring within this many points (0-100 scale) of the top one count as preferred
+const MULTIMODAL_MARGIN = 10;
+
+function normalizeLearningModality(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const upper = String(value).trim().toUpperCase();
+  if (VARK_ORDER.includes(upper)) {
+    return upper;
+  }
+  const match = Object.entries(VARK_NAMES).find(([, name]) => name.toUpperCase() === upper);
+  return match ? match[0] : undefined;
+}
+
+// modalityValues: { V: [1-5 values], A: [...], ... }
+// Returns modality scores on a 0-100 scale and a dominant or multimodal classification
+function calculateVarkProfile(modalityValues) {
+  const modalityScores = {};
+  let answeredModalities = 0;
+
+  for (const modality of VARK_ORDER) {
+    const values = modalityValues[modality] || [];
+    if (values.length === 0) {
+      modalityScores[modality] = 0.0;
+      continue;
+    }
+    answeredModalities += 1;
+    const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+    modalityScores[modality] = Math.min(100.0, Math.max(0.0, ((average - 1) / 4) * 100.0));
+  }
+
+  if (answeredModalities === 0) {
+    return null;
+  }
+
+  const topScore = Math.max(...VARK_ORDER.map(m => modalityScores[m]));
+  const preferred = VARK_ORDER.filter(m => modalityScores[m] >= topScore - MULTIMODAL_MARGIN);
+
+  return {
+    modalityScores,
+    learningStyle: preferred.join(''),
+    classification: preferred.length === 1 ? 'DOMINANT' : 'MULTIMODAL'
+  };
+}
+
+// Build the API representation from stored Score rows (vark_X + learning_style)
+function buildLearningStyleProfile(scores) {
+  if (!scores || scores.length === 0) {
+    return null;
+  }
+
+  const styleScore = scores.find(s => s.dimension === LEARNING_STYLE_DIMENSION);
+  if (!styleScore || !styleScore.label) {
+    return null;
+  }
+
+  const preferred = styleScore.label.split('').filter(m => VARK_NAMES[m]);
+
+  return {
+    learning_style: styleScore.label,
+    classification: preferred.length === 1 ? 'DOMINANT' : 'MULTIMODAL',
+    preferred_modalities: preferred.map(m => VARK_NAMES[m]),
+    modalities: VARK_ORDER.map(modality => {
+      const modalityScore = scores.find(s => s.dimension === `vark_${modality}`);
+      return {
+        code: modality,
+        name: VARK_NAMES[modality],
+        score: modalityScore ? Math.round(modalityScore.score_value * 100) / 100 : 0
+      };
+    })
+  };
+}
+
+// Study tips for a stored learning style label such as "V" or "VK"
+function getStudyAdvice(learningStyle) {
+  if (!learningStyle) {
+    return [];
+  }
+  return learningStyle
+    .split('')
+    .filter(m => STUDY_ADVICE[m])
+    .map(m => `${VARK_NAMES[m]} learner: ${STUDY_ADVICE[m]}`);
+}
+
+module.exports = {
+  VARK_ORDER,
+  VARK_NAMES,
+  LEARNING_STYLE_DIMENSION,
+  normalizeLearningModality,
+  calculateVarkProfile,
+  buildLearningStyleProfile,
+  getStudyAdvice
+};
@@ -0,0 +1,274 @@
+const { sequelize } = require('../database');
+const { TestAttempt, TestStatus, Score, Student, NormSet, NormEntry } = require('../models');
+
+// Education groups smaller than this fall back to the all-students table
+const MIN_GROUP_SAMPLE_SIZE = 30;
+
+// Only section averages and the overall percentage are norm-referenced
+function isNormedDimension(dimension) {
+  return dimension === 'overall' || /^section_\d+$/.test(dimension);
+}
+
+function normalizeEducationGroup(education) {
+  if (!education || !String(education).trim()) {
+    return null;
+  }
+  return String(education).trim();
+}
+
+// Score cut points for percentiles 1-99 (linear interpolation between sorted values)
+function buildPercentileTable(sortedValues) {
+  const table = [];
+  const n = sortedValues.length;
+  for (let p = 1; p <= 99; p++) {
+    const position = (p / 100) * (n - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const weight = position - lower;
+    table.push(sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight);
+  }
+  return table;
+}
+
+// Percentile rank (1-99) of a score against a percentile table
+// Ties count half so a score equal to many cut points lands in the middle of them
+function lookupPercentile(table, scoreValue) {
+  if (!Array.isArray(table) || table.length === 0 || scoreValue == null || isNaN(scoreValue)) {
+    return null;
+  }
+  const below = table.filter(cut => cut < scoreValue).length;
+  const atOrBelow = table.filter(cut => cut <= scoreValue).length;
+  const rank = Math.round((below + atOrBelow) / 2);
+  return Math.min(99, Math.max(1, rank));
+}
+
+function summarizeValues(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+  return {
+    sample_size: sorted.length,
+    mean: mean,
+    std_dev: Math.sqrt(variance),
+    percentile_table: buildPercentileTable(sorted)
+  };
+}
+
+// Build percentile tables from completed attempts.
+// Only each student's latest completed attempt is counted so retakes don't skew the norms.
+async function buildNormTables({ splitByEducation = false } = {}) {
+  const attempts = await TestAttempt.findAll({
+    where: { status: TestStatus.COMPLETED },
+    attributes: ['id', 'student_id', 'completed_at'],
+    include: [{ model: Score, as: 'scores', attributes: ['dimension', 'score_value'] }],
+    order: [['completed_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const latestByStudent = {};
+  for (const attempt of attempts) {
+    latestByStudent[attempt.student_id] = attempt;
+  }
+  const sampleAttempts = Object.values(latestByStudent);
+
+  const educationByStudent = {};
+  if (splitByEducation && sampleAttempts.length > 0) {
+    const students = await Student.findAll({
+      where: { user_id: sampleAttempts.map(a => a.student_id) },
+      attributes: ['user_id', 'education']
+    });
+    for (const student of students) {
+      educationByStudent[student.user_id] = normalizeEducationGroup(student.education);
+    }
+  }
+
+  // { dimension: { '': [values for all students], 'B.Tech': [...] } }
+  const valuesByDimension = {};
+  for (const attempt of sampleAttempts) {
+    const educationGroup = educationByStudent[attempt.student_id] || null;
+    for (const score of attempt.scores || []) {
+      if (!isNormedDimension(score.dimension) || score.score_value == null) continue;
+      const value = parseFloat(score.score_value);
+      if (isNaN(value)) continue;
+
+      if (!valuesByDimension[score.dimension]) {
+        valuesByDimension[score.dimension] = { '': [] };
+      }
+      valuesByDimension[score.dimension][''].push(value);
+
+      if (educationGroup) {
+        if (!valuesByDimension[score.dimension][educationGroup]) {
+          valuesByDimension[score.dimension][educationGroup] = [];
+        }
+        valuesByDimension[score.dimension][educationGroup].push(value);
+      }
+    }
+  }
+
+  const entries = [];
+  for (const [dimension, groups] of Object.entries(valuesByDimension)) {
+    for (const [group, values] of Object.entries(groups)) {
+      if (values.length === 0) continue;
+      if (group && values.length < MIN_GROUP_SAMPLE_SIZE) continue;
+      entries.push({
+        dimension: dimension,
+        education_group: group || null,
+        ...summarizeValues(values)
+      });
+    }
+  }
+
+  return { sampleSize: sampleAttempts.length, entries };
+}
+
+// Build tables from the current population and freeze them under a version label
+async function freezeNormSet({ versionLabel, splitByEducation = false, activate = false, createdBy = null }) {
+  const { sampleSize, entries } = await buildNormTables({ splitByEducation });
+  if (sampleSize === 0 || entries.length === 0) {
+    return { normSet: null, error: 'No completed attempts available to build norms from' };
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    if (activate) {
+      await NormSet.update({ is_active: false }, { where: { is_active: true }, transaction });
+    }
+
+    const normSet = await NormSet.create({
+      version_label: versionLabel,
+      split_by_education: !!splitByEducation,
+      sample_size: sampleSize,
+      is_active: !!activate,
+      created_by: createdBy
+    }, { transaction });
+
+    await NormEntry.bulkCreate(entries.map(entry => ({
+      norm_set_id: normSet.id,
+      dimension: entry.dimension,
+      education_group: entry.education_group,
+      sample_size: entry.sample_size,
+      mean: entry.mean,
+      std_dev: entry.std_dev,
+      percentile_table: JSON.stringify(entry.percentile_table)
+    })), { transaction });
+
+    await transaction.commit();
+    return { normSet, error: null };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+async function activateNormSet(normSetId) {
+  const transaction = await sequelize.transaction();
+  try {
+    await NormSet.update({ is_active: false }, { where: { is_active: true }, transaction });
+    await NormSet.update({ is_active: true }, { where: { id: normSetId }, transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+async function getActiveNormSet() {
+  return NormSet.findOne({
+    where: { is_active: true },
+    include: [{ model: NormEntry, as: 'entries' }]
+  });
+}
+
+// Pick the education-specific table when the norm set has one, otherwise the all-students table
+function findNormEntry(entries, dimension, educationGroup) {
+  if (educationGroup) {
+    const groupEntry = entries.find(e => e.dimension === dimension && e.education_group === educationGroup);
+    if (groupEntry) return groupEntry;
+  }
+  return entries.find(e => e.dimension === dimension && !e.education_group) || null;
+}
+
+// Rank an attempt's section/overall scores against the active norm set
+// Returns the number of Score rows that received a percentile
+async function applyPercentiles(testAttemptId) {
+  const normSet = await getActiveNormSet();
+  if (!normSet || !normSet.entries || normSet.entries.length === 0) {
+    return 0;
+  }
+
+  const attempt = await TestAttempt.findByPk(testAttemptId, { attributes: ['id', 'student_id'] });
+  if (!attempt) {
+    return 0;
+  }
+
+  let educationGroup = null;
+  if (normSet.split_by_education) {
+    const student = await Student.findOne({
+      where: { user_id: attempt.student_id },
+      attributes: ['education']
+    });
+    educationGroup = student ? normalizeEducationGroup(student.education) : null;
+  }
+
+  const scores = await Score.findAll({ where: { test_attempt_id: testAttemptId } });
+  let rankedCount = 0;
+  for (const score of scores) {
+    if (!isNormedDimension(score.dimension)) continue;
+    const entry = findNormEntry(normSet.entries, score.dimension, educationGroup);
+    if (!entry) continue;
+
+    let table;
+    try {
+      table = JSON.parse(entry.percentile_table);
+    } catch (e) {
+      console.warn(`⚠️ Invalid percentile table for norm entry ${entry.id}`);
+      continue;
+    }
+
+    score.percentile = lookupPercentile(table, parseFloat(score.score_value));
+    score.norm_set_id = normSet.id;
+    await score.save();
+    rankedCount += 1;
+  }
+
+  return rankedCount;
+}
+
+// Stored percentile for one dimension, or null when the attempt was not ranked
+function getScorePercentile(scores, dimension) {
+  if (!scores) return null;
+  const score = scores.find(s => s && s.dimension === dimension);
+  return score && score.percentile != null ? Math.round(score.percentile) : null;
+}
+
+// Percentile summary for reports, or null when the attempt was not ranked against a norm set
+function buildPercentileReport(scores) {
+  if (!scores) return null;
+  const ranked = scores.filter(s => s && isNormedDimension(s.dimension) && s.percentile != null);
+  if (ranked.length === 0) return null;
+
+  return {
+    norm_set_id: ranked[0].norm_set_id || null,
+    overall: getScorePercentile(ranked, 'overall'),
+    sections: ranked
+      .filter(s => s.dimension.startsWith('section_'))
+      .map(s => ({
+        section_number: parseInt(s.dimension.split('_')[1], 10),
+        percentile: Math.round(s.percentile)
+      }))
+      .sort((a, b) => a.section_number - b.section_number)
+  };
+}
+
+module.exports = {
+  MIN_GROUP_SAMPLE_SIZE,
+  isNormedDimension,
+  buildPercentileTable,
+  lookupPercentile,
+  buildNormTables,
+  freezeNormSet,
+  activateNormSet,
+  getActiveNormSet,
+  applyPercentiles,
+  getScorePercentile,
+  buildPercentileReport
+};
@@ -0,0 +1,100 @@
+const { Op } = require('sequelize');
+const { TestAttemptQuestion } = require('../models');
+
+// Keys shown to the student, in display order. Answers are always stored with canonical keys.
+const DISPLAY_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+function parseOptionOrder(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Random display order for a MULTIPLE_CHOICE question's options, as canonical keys in display order.
+// Other question types (Likert scales) keep their natural order and get null.
+function buildOptionOrder(question, options) {
+  if (!question || question.question_type !== 'MULTIPLE_CHOICE' || !options || options.length < 2) {
+    return null;
+  }
+
+  const order = options.map(option => option.key);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Options as the student sees them: shuffled and relabelled A, B, C... in display order.
+// Anything else on an option (e.g. its figures) moves with it.
+function presentOptions(options, optionOrder) {
+  const order = parseOptionOrder(optionOrder);
+  if (!order) return options;
+
+  const byKey = {};
+  for (const option of options) {
+    byKey[option.key] = option;
+  }
+
+  const displayed = order.filter(key => byKey[key]).map((key, index) => ({
+    ...byKey[key],
+    key: DISPLAY_KEYS[index]
+  }));
+  // Options added to the question after the order was drawn go last
+  for (const option of options) {
+    if (!order.includes(option.key)) {
+      displayed.push({ ...option, key: DISPLAY_KEYS[displayed.length] || option.key });
+    }
+  }
+  return displayed;
+}
+
+// Displayed key the student picked -> canonical key stored and scored. Unknown keys pass through.
+function toCanonicalKey(displayKey, optionOrder) {
+  const order = parseOptionOrder(optionOrder);
+  if (!order || displayKey == null) return displayKey;
+
+  const index = DISPLAY_KEYS.indexOf(String(displayKey).trim().toUpperCase());
+  return index >= 0 && index < order.length ? order[index] : displayKey;
+}
+
+// Canonical stored key -> the key the student saw for it
+function toDisplayKey(canonicalKey, optionOrder) {
+  const order = parseOptionOrder(optionOrder);
+  if (!order || canonicalKey == null) return canonicalKey;
+
+  const index = order.indexOf(String(canonicalKey).trim().toUpperCase());
+  return index >= 0 ? DISPLAY_KEYS[index] : canonicalKey;
+}
+
+// { question_id: option order } for an attempt, optionally limited to some questions
+async function getOptionOrders(testAttemptId, questionIds = null) {
+  const where = { test_attempt_id: testAttemptId };
+  if (questionIds) {
+    where.question_id = { [Op.in]: questionIds };
+  }
+
+  const rows = await TestAttemptQuestion.findAll({
+    where,
+    attributes: ['question_id', 'option_order']
+  });
+
+  const orders = {};
+  for (const row of rows) {
+    orders[row.question_id] = parseOptionOrder(row.option_order);
+  }
+  return orders;
+}
+
+module.exports = {
+  buildOptionOrder,
+  presentOptions,
+  toCanonicalKey,
+  toDisplayKey,
+  getOptionOrders
+};
@@ -0,0 +1,186 @@
+const config = require('../config');
+const { sequelize } = require('../database');
+const { Question, PracticeAttempt, PracticeAttemptQuestion } = require('../models');
+const { getAssessmentForStudent, getAssessmentSections } = require('./assessments');
+const { getAccommodationSnapshot } = require('./accommodations');
+const { buildOptionOrder, toCanonicalKey, toDisplayKey } = require('./optionShuffle');
+const { getOptionKeys } = require('./questionTranslations');
+const { isAnswerCorrect } = require('./scoring');
+
+const PracticeStatus = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED'
+};
+
+function shuffle(items) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Seconds left in a timed practice attempt, or null when it is untimed
+function getPracticeRemainingSeconds(practiceAttempt, now = new Date()) {
+  if (!practiceAttempt.is_timed || !practiceAttempt.time_limit_seconds) return null;
+  const elapsed = Math.floor((now - new Date(practiceAttempt.started_at)) / 1000);
+  return Math.max(0, practiceAttempt.time_limit_seconds - elapsed);
+}
+
+async function completePracticeAttempt(practiceAttempt) {
+  if (practiceAttempt.status !== PracticeStatus.COMPLETED) {
+    practiceAttempt.status = PracticeStatus.COMPLETED;
+    practiceAttempt.completed_at = new Date();
+    await practiceAttempt.save();
+  }
+  return practiceAttempt;
+}
+
+// Start a practice attempt on a few sample questions from each of the student's sections.
+// An unfinished practice attempt is returned instead of starting another.
+// Returns { practiceAttempt, resumed, error }
+async function startPracticeAttempt(user, { timed = false, language }) {
+  const existing = await PracticeAttempt.findOne({
+    where: { student_id: user.id, status: PracticeStatus.IN_PROGRESS },
+    order: [['started_at', 'DESC']]
+  });
+  if (existing) {
+    if (getPracticeRemainingSeconds(existing) !== 0) {
+      return { practiceAttempt: existing, resumed: true, error: null };
+    }
+    await completePracticeAttempt(existing);
+  }
+
+  const assessment = await getAssessmentForStudent(user);
+  const sections = await getAssessmentSections(assessment ? assessment.id : null);
+
+  const picked = [];
+  for (const section of sections) {
+    const samples = await Question.findAll({
+      where: {
+        section_id: section.id,
+        is_sample: true,
+        status: 'approved',
+        is_active: true
+      },
+      attributes: ['id', 'section_id', 'question_type', 'options']
+    });
+    for (const question of shuffle(samples).slice(0, config.app.practiceQuestionsPerSection)) {
+      picked.push(question);
+    }
+  }
+
+  if (picked.length === 0) {
+    return { practiceAttempt: null, resumed: false, error: 'No sample questions are available for practice yet' };
+  }
+
+  // Timed practice gets the same per-question pace everywhere, stretched by the student's time accommodation
+  let timeLimit = null;
+  if (timed) {
+    const accommodations = await getAccommodationSnapshot(user.id);
+    const multiplier = accommodations ? accommodations.time_multiplier || 1 : 1;
+    timeLimit = Math.round(picked.length * config.app.practiceSecondsPerQuestion * multiplier);
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const practiceAttempt = await PracticeAttempt.create({
+      student_id: user.id,
+      status: PracticeStatus.IN_PROGRESS,
+      is_timed: !!timed,
+      time_limit_seconds: timeLimit,
+      language: language,
+      started_at: new Date()
+    }, { transaction });
+
+    await PracticeAttemptQuestion.bulkCreate(picked.map((question, index) => ({
+      practice_attempt_id: practiceAttempt.id,
+      question_id: question.id,
+      section_id: question.section_id,
+      position: index + 1,
+      option_order: buildOptionOrder(question, getOptionKeys(question.options).map(key => ({ key })))
+    })), { transaction });
+
+    await transaction.commit();
+    return { practiceAttempt, resumed: false, error: null };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// Feedback on one practice answer: whether it was right and which option was, in the keys the student saw.
+// Likert items have no right answer, so correct is null for them.
+function buildFeedback(question, row) {
+  const correct = isAnswerCorrect(question, row.selected_option);
+  return {
+    question_id: row.question_id,
+    selected_option: toDisplayKey(row.selected_option, row.option_order),
+    correct: correct,
+    correct_option: correct === null ? null : toDisplayKey(question.correct_answer.trim().toUpperCase(), row.option_order)
+  };
+}
+
+// Record a practice answer and return immediate feedback.
+// Returns { feedback, error, errorCode }
+async function answerPracticeQuestion(practiceAttempt, questionId, displayKey) {
+  if (practiceAttempt.status !== PracticeStatus.IN_PROGRESS) {
+    return { feedback: null, error: 'This practice attempt is already finished', errorCode: 'PRACTICE_COMPLETED' };
+  }
+  if (getPracticeRemainingSeconds(practiceAttempt) === 0) {
+    await completePracticeAttempt(practiceAttempt);
+    return { feedback: null, error: 'Practice time is up', errorCode: 'PRACTICE_TIME_UP' };
+  }
+
+  const row = await PracticeAttemptQuestion.findOne({
+    where: { practice_attempt_id: practiceAttempt.id, question_id: questionId },
+    include: [{ model: Question, as: 'question', attributes: ['id', 'question_type', 'correct_answer'] }]
+  });
+  if (!row) {
+    return { feedback: null, error: `Question ${questionId} is not part of this practice attempt`, errorCode: 'QUESTION_NOT_IN_PRACTICE' };
+  }
+
+  row.selected_option = String(toCanonicalKey(displayKey, row.option_order)).trim().toUpperCase();
+  row.is_correct = isAnswerCorrect(row.question, row.selected_option);
+  row.answered_at = new Date();
+  await row.save();
+
+  return { feedback: buildFeedback(row.question, row), error: null, errorCode: null };
+}
+
+// End a practice attempt and summarise it. Nothing is scored or interpreted.
+async function finishPracticeAttempt(practiceAttempt) {
+  await completePracticeAttempt(practiceAttempt);
+  return summarizePracticeAttempt(practiceAttempt);
+}
+
+async function summarizePracticeAttempt(practiceAttempt) {
+  const rows = await PracticeAttemptQuestion.findAll({
+    where: { practice_attempt_id: practiceAttempt.id },
+    include: [{ model: Question, as: 'question', attributes: ['id', 'question_type', 'correct_answer'] }],
+    order: [['position', 'ASC']]
+  });
+
+  const answered = rows.filter(row => row.selected_option != null);
+  const keyed = answered.filter(row => row.is_correct !== null);
+  return {
+    practice_attempt_id: practiceAttempt.id,
+    status: practiceAttempt.status,
+    is_timed: !!practiceAttempt.is_timed,
+    total_questions: rows.length,
+    answered_questions: answered.length,
+    keyed_questions_answered: keyed.length,
+    correct_answers: keyed.filter(row => row.is_correct).length,
+    feedback: answered.map(row => buildFeedback(row.question, row))
+  };
+}
+
+module.exports = {
+  PracticeStatus,
+  getPracticeRemainingSeconds,
+  startPracticeAttempt,
+  answerPracticeQuestion,
+  finishPracticeAttempt,
+  summarizePracticeAttempt
+};
@@ -0,0 +1,167 @@
+const { ProctoringEvent, ProctoringEventType, Section } = require('../models');
+const { getTimeSpentSeconds } = require('./sectionSubmission');
+
+const MAX_EVENTS_PER_REQUEST = 100;
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+const EVENT_TYPES = Object.values(ProctoringEventType);
+
+// Points taken off the integrity score per event, and the most one kind of event can take off,
+// so a flaky browser reporting hundreds of blurs can't drive the score to zero on its own
+const EVENT_PENALTIES = {
+  tab_switch: { points: 5, max: 40 },
+  window_blur: { points: 2, max: 20 },
+  copy: { points: 3, max: 15 },
+  paste: { points: 8, max: 40 },
+  fullscreen_exit: { points: 4, max: 20 }
+};
+
+// Events that take the student away from the test; only these carry a duration
+const AWAY_EVENT_TYPES = ['tab_switch', 'window_blur', 'fullscreen_exit'];
+
+// Time away (tab switch, blur, fullscreen exit) costs one more point per started minute, up to this many
+const AWAY_MINUTE_PENALTY_MAX = 20;
+
+const HIGH_INTEGRITY_MIN_SCORE = 85;
+const MEDIUM_INTEGRITY_MIN_SCORE = 60;
+
+// Parse a proctoring batch: { events: [{ event_type, duration_seconds, client_timestamp }] },
+// or a single event given directly in the body.
+// Returns { events, error }
+function parseProctoringEvents(body) {
+  const rawEvents = body && Array.isArray(body.events) ? body.events : (body && body.event_type ? [body] : null);
+
+  if (!rawEvents || rawEvents.length === 0) {
+    return { events: null, error: 'events must be a non-empty array of { event_type, duration_seconds, client_timestamp }' };
+  }
+  if (rawEvents.length > MAX_EVENTS_PER_REQUEST) {
+    return { events: null, error: `At most ${MAX_EVENTS_PER_REQUEST} events can be sent at once` };
+  }
+
+  const events = [];
+  for (const [index, entry] of rawEvents.entries()) {
+    if (!entry || !EVENT_TYPES.includes(entry.event_type)) {
+      return { events: null, error: `events[${index}].event_type must be one of: ${EVENT_TYPES.join(', ')}` };
+    }
+
+    let durationSeconds = null;
+    if (entry.duration_seconds != null) {
+      if (!AWAY_EVENT_TYPES.includes(entry.event_type)) {
+        return { events: null, error: `events[${index}].duration_seconds is only accepted for ${AWAY_EVENT_TYPES.join(', ')} events` };
+      }
+      durationSeconds = parseInt(entry.duration_seconds, 10);
+      if (isNaN(durationSeconds) || durationSeconds < 0 || durationSeconds > MAX_DURATION_SECONDS) {
+        return { events: null, error: `events[${index}].duration_seconds must be between 0 and ${MAX_DURATION_SECONDS}` };
+      }
+    }
+
+    let clientTime = null;
+    if (entry.client_timestamp) {
+      clientTime = new Date(entry.client_timestamp);
+      if (isNaN(clientTime.getTime())) {
+        return { events: null, error: `events[${index}].client_timestamp must be a valid date` };
+      }
+    }
+
+    events.push({ eventType: entry.event_type, durationSeconds, clientTime });
+  }
+
+  return { events, error: null };
+}
+
+// Store a batch of events for a running section
+async function recordProctoringEvents(testAttempt, progress, events) {
+  const sectionElapsedSeconds = getTimeSpentSeconds(progress);
+  return ProctoringEvent.bulkCreate(events.map(event => ({
+    test_attempt_id: testAttempt.id,
+    section_progress_id: progress.id,
+    section_id: progress.section_id,
+    event_type: event.eventType,
+    duration_seconds: event.durationSeconds,
+    section_elapsed_seconds: sectionElapsedSeconds,
+    client_timestamp: event.clientTime
+  })));
+}
+
+function emptyCounts() {
+  const counts = {};
+  for (const type of EVENT_TYPES) {
+    counts[type] = 0;
+  }
+  return counts;
+}
+
+// 0-100, starting at 100 and reduced by the penalties above
+function calculateIntegrityScore(counts, awaySeconds) {
+  let penalty = 0;
+  for (const [type, count] of Object.entries(counts)) {
+    const rule = EVENT_PENALTIES[type];
+    if (rule) {
+      penalty += Math.min(count * rule.points, rule.max);
+    }
+  }
+  penalty += Math.min(Math.ceil(awaySeconds / 60), AWAY_MINUTE_PENALTY_MAX);
+  return Math.max(0, 100 - penalty);
+}
+
+function integrityLevel(score) {
+  if (score >= HIGH_INTEGRITY_MIN_SCORE) return 'HIGH';
+  if (score >= MEDIUM_INTEGRITY_MIN_SCORE) return 'MEDIUM';
+  return 'LOW';
+}
+
+// Integrity score of an attempt with event counts overall and per section
+async function buildIntegrityReport(testAttemptId) {
+  const events = await ProctoringEvent.findAll({
+    where: { test_attempt_id: testAttemptId },
+    include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'order_index'] }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const counts = emptyCounts();
+  const sections = {};
+  let awaySeconds = 0;
+
+  for (const event of events) {
+    counts[event.event_type] += 1;
+    // Durations stored before only away events could carry one are ignored for other types
+    const eventAwaySeconds = AWAY_EVENT_TYPES.includes(event.event_type) ? event.duration_seconds || 0 : 0;
+    awaySeconds += eventAwaySeconds;
+
+    if (!sections[event.section_id]) {
+      sections[event.section_id] = {
+        section_id: event.section_id,
+        section_name: event.section ? event.section.name : null,
+        order_index: event.section ? event.section.order_index : null,
+        event_counts: emptyCounts(),
+        away_seconds: 0
+      };
+    }
+    sections[event.section_id].event_counts[event.event_type] += 1;
+    sections[event.section_id].away_seconds += eventAwaySeconds;
+  }
+
+  const integrityScore = calculateIntegrityScore(counts, awaySeconds);
+  return {
+    integrity_score: integrityScore,
+    integrity_level: integrityLevel(integrityScore),
+    total_events: events.length,
+    event_counts: counts,
+    away_seconds: awaySeconds,
+    sections: Object.values(sections)
+      .sort((a, b) => (a.order_index || 0) - (b.order_index || 0))
+      .map(section => ({
+        ...section,
+        integrity_score: calculateIntegrityScore(section.event_counts, section.away_seconds)
+      })),
+    first_event_at: events.length ? new Date(events[0].created_at).toISOString() : null,
+    last_event_at: events.length ? new Date(events[events.length - 1].created_at).toISOString() : null
+  };
+}
+
+module.exports = {
+  MAX_EVENTS_PER_REQUEST,
+  parseProctoringEvents,
+  recordProctoringEvents,
+  buildIntegrityReport
+};
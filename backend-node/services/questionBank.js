@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { Question, Section, QuestionApproval, QuestionRevision, QuestionTranslation, User } = require('../models');
+const { MAX_IMPORT_ROWS, IMPORT_COLUMNS, parseQuestionOptions, validateImportRow } = require('./questionImport');
+const { MIN_SCALE_VALUE, MAX_SCALE_VALUE } = require('./questionValidation');
+const { diffContent, proposeRevision } = require('./questionRevisions');
+const { flagPossibleDuplicates } = require('./questionSimilarity');
+
+// Portable question bank bundle. Sections are matched by name and questions by external_key,
+// so a bundle can move between databases whose auto-increment ids differ.
+const BUNDLE_FORMAT = 'question-bank-bundle';
+const BUNDLE_VERSION = 1;
+
+const QUESTION_STATUSES = ['pending', 'approved', 'rejected', 'inactive'];
+
+// Metadata a bundle import updates. It is written in place on questions that aren't live yet; on a
+// live question it waits in the question revision with any content change until that is approved.
+const BUNDLE_METADATA_FIELDS = ['section_id', 'difficulty_level', 'is_sample', 'category'];
+
+async function findQuestionsForExport({ sectionIds = null, statuses = null }) {
+  const where = {};
+  if (sectionIds) where.section_id = { [Op.in]: sectionIds };
+  if (statuses) where.status = { [Op.in]: statuses };
+
+  return Question.findAll({
+    where,
+    include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'description', 'order_index'], required: false }],
+    order: [['section_id', 'ASC'], ['order_index', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+// Questions created before external keys existed get one the first time they are exported
+async function ensureExternalKeys(questions) {
+  for (const question of questions) {
+    if (question.external_key) continue;
+    const key = crypto.randomUUID();
+    await Question.update(
+      { external_key: key },
+      { where: { id: question.id, external_key: null }, fields: ['external_key'] }
+    );
+    question.external_key = (await Question.findByPk(question.id, { attributes: ['external_key'] })).external_key;
+  }
+}
+
+// Keeps spreadsheets from running cell text as a formula (the file import strips the quote again)
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV in the column layout the file import reads, so an export can be edited and imported elsewhere
+function buildQuestionCsv(questions) {
+  const columns = IMPORT_COLUMNS.filter(column => column !== 'options');
+  const lines = [columns.join(',')];
+
+  for (const question of questions) {
+    const options = {};
+    for (const option of parseQuestionOptions(question.options)) {
+      options[`option_${option.key.toLowerCase()}`] = option.text;
+    }
+    const values = {
+      ...options,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      correct_answer: question.correct_answer,
+      section: question.section ? question.section.name : question.section_id,
+      difficulty_level: question.difficulty_level,
+      riasec_type: question.riasec_type,
+      learning_modality: question.learning_modality,
+      is_reverse_scored: question.is_reverse_scored ? 'yes' : 'no',
+      is_sample: question.is_sample ? 'yes' : 'no',
+      external_key: question.external_key
+    };
+    lines.push(columns.map(column => csvCell(values[column])).join(','));
+  }
+
+  // The byte order mark makes Excel read Gujarati and Hindi text as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// JSON bundle: sections, questions with their options and category (the bank's tag), and each
+// question's approval history. Approvers are identified by email since user ids differ per database.
+async function buildBundle(questions, filters) {
+  const questionIds = questions.map(question => question.id);
+  const approvals = questionIds.length > 0 ? await QuestionApproval.findAll({
+    where: { question_id: { [Op.in]: questionIds } },
+    include: [
+      { model: User, as: 'approver', attributes: ['email'], required: false },
+      { model: QuestionRevision, as: 'revision', attributes: ['revision_number'], required: false },
+      { model: QuestionTranslation, as: 'translation', attributes: ['language'], required: false }
+    ],
+    order: [['approved_at', 'ASC'], ['id', 'ASC']]
+  }) : [];
+
+  const approvalsByQuestion = {};
+  for (const approval of approvals) {
+    (approvalsByQuestion[approval.question_id] = approvalsByQuestion[approval.question_id] || []).push({
+      approval_status: approval.approval_status,
+      admin_comment: approval.admin_comment || null,
+      approved_by: approval.approver ? approval.approver.email : null,
+      approved_at: approval.approved_at ? new Date(approval.approved_at).toISOString() : null,
+      revision_number: approval.revision ? approval.revision.revision_number : null,
+      language: approval.translation ? approval.translation.language : null
+    });
+  }
+
+  const sections = {};
+  for (const question of questions) {
+    if (question.section && !sections[question.section.id]) {
+      sections[question.section.id] = {
+        name: question.section.name,
+        description: question.section.description || null,
+        order_index: question.section.order_index
+      };
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    filters: {
+      section_ids: filters.sectionIds || null,
+      statuses: filters.statuses || null
+    },
+    sections: Object.values(sections).sort((a, b) => a.order_index - b.order_index),
+    questions: questions.map(question => ({
+      external_key: question.external_key,
+      section: question.section ? question.section.name : null,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      options: parseQuestionOptions(question.options),
+      correct_answer: question.correct_answer || null,
+      scale_value: question.scale_value || null,
+      category: question.category || null,
+      difficulty_level: question.difficulty_level || 'Medium',
+      riasec_type: question.riasec_type || null,
+      learning_modality: question.learning_modality || null,
+      is_reverse_scored: !!question.is_reverse_scored,
+      is_sample: !!question.is_sample,
+      status: question.status,
+      source: question.source,
+      approvals: approvalsByQuestion[question.id] || []
+    }))
+  };
+}
+
+// Check a bundle's envelope and its sections list. Returns { questions, sections, error }
+function parseBundle(body) {
+  if (!body || typeof body !== 'object' || body.format !== BUNDLE_FORMAT) {
+    return { questions: null, sections: null, error: `The body must be a ${BUNDLE_FORMAT} exported by GET /admin/questions/export?format=json` };
+  }
+  if (body.version !== BUNDLE_VERSION) {
+    return { questions: null, sections: null, error: `Unsupported bundle version ${body.version}; this server reads version ${BUNDLE_VERSION}` };
+  }
+  if (!Array.isArray(body.questions) || body.questions.length === 0) {
+    return { questions: null, sections: null, error: 'The bundle has no questions' };
+  }
+  if (body.questions.length > MAX_IMPORT_ROWS) {
+    return { questions: null, sections: null, error: `At most ${MAX_IMPORT_ROWS} questions can be imported at once` };
+  }
+  if (body.sections != null && !Array.isArray(body.sections)) {
+    return { questions: null, sections: null, error: 'sections must be an array of { name, description, order_index }' };
+  }
+
+  const sections = [];
+  for (const entry of body.sections || []) {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { questions: null, sections: null, error: 'Each bundle section needs a name of up to 100 characters' };
+    }
+    sections.push({
+      name,
+      description: entry.description ? String(entry.description) : null,
+      order_index: Number.isInteger(entry.order_index) ? entry.order_index : 0
+    });
+  }
+  return { questions: body.questions, sections, error: null };
+}
+
+function sheetValue(value) {
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return value == null ? '' : String(value).trim();
+}
+
+// Validate a bundle question with the file import's rules. Returns { question, errors }
+function validateBundleQuestion(entry, sections) {
+  if (!entry || typeof entry !== 'object') {
+    return { question: null, errors: ['Each question must be an object'] };
+  }
+  if (!entry.external_key) {
+    return { question: null, errors: ['external_key is required to match the question'] };
+  }
+  if (entry.options != null && !Array.isArray(entry.options)) {
+    return { question: null, errors: ['options must be an array of { key, text }'] };
+  }
+
+  const values = {
+    question_text: sheetValue(entry.question_text),
+    question_type: sheetValue(entry.question_type),
+    options: (entry.options || []).map(option => `${sheetValue(option && option.key)}) ${sheetValue(option && option.text)}`).join(', '),
+    correct_answer: sheetValue(entry.correct_answer),
+    section: sheetValue(entry.section),
+    difficulty_level: sheetValue(entry.difficulty_level),
+    riasec_type: sheetValue(entry.riasec_type),
+    learning_modality: sheetValue(entry.learning_modality),
+    is_reverse_scored: sheetValue(entry.is_reverse_scored),
+    is_sample: sheetValue(entry.is_sample),
+    external_key: sheetValue(entry.external_key)
+  };
+  const { question, errors } = validateImportRow(values, sections);
+  if (!question) return { question, errors };
+
+  // The bundle's scale_value is kept when it is in range; without one it is calculated as on create
+  const scaleValue = entry.scale_value == null ? null : parseInt(entry.scale_value, 10);
+  if (scaleValue !== null && (isNaN(scaleValue) || scaleValue < MIN_SCALE_VALUE || scaleValue > MAX_SCALE_VALUE)) {
+    return { question: null, errors: [`scale_value must be between ${MIN_SCALE_VALUE} and ${MAX_SCALE_VALUE}`] };
+  }
+
+  if (question.question_type === 'LIKERT_SCALE' && scaleValue !== null) {
+    question.scale_value = scaleValue;
+  }
+  question.category = entry.category ? String(entry.category).trim().slice(0, 100) : null;
+  return { question, errors };
+}
+
+// Match a bundle against the bank. Sections are matched by name and the bundle's sections that
+// don't exist yet are created. Questions are matched by external_key: new ones are added as pending,
+// existing ones get their changes recorded as a question revision (pending approval if the question
+// is live, metadata included). Approval history in the bundle is for reference and isn't replayed.
+// Nothing is written when any question is invalid or on a dry run.
+// Returns { summary, error, status }
+async function reconcileBundle(bundleQuestions, adminUser, { dryRun, bundleSections = [] }) {
+  const sectionRows = await Section.findAll({ attributes: ['id', 'name'] });
+  const sections = { byId: {}, byName: {} };
+  sectionRows.forEach(section => {
+    sections.byId[section.id] = section;
+    sections.byName[section.name.trim().toLowerCase()] = section;
+  });
+
+  // Bundle sections missing here stand in with a placeholder id until they are created
+  const newSections = [];
+  for (const bundleSection of bundleSections) {
+    const key = bundleSection.name.toLowerCase();
+    if (sections.byName[key]) continue;
+    const placeholder = { id: `new:${key}`, name: bundleSection.name };
+    sections.byName[key] = placeholder;
+    newSections.push({ ...bundleSection, placeholderId: placeholder.id });
+  }
+
+  const entries = [];
+  const errors = [];
+  const seenKeys = new Set();
+  bundleQuestions.forEach((entry, index) => {
+    const { question, errors: entryErrors } = validateBundleQuestion(entry, sections);
+    if (question && seenKeys.has(question.external_key)) {
+      entryErrors.push(`external_key ${question.external_key} appears more than once in the bundle`);
+    }
+    if (question) seenKeys.add(question.external_key);
+
+    if (entryErrors.length > 0) {
+      errors.push({ index, external_key: entry && entry.external_key ? String(entry.external_key) : null, errors: entryErrors });
+    } else {
+      entries.push({ index, question });
+    }
+  });
+
+  const existing = {};
+  if (seenKeys.size > 0) {
+    const rows = await Question.findAll({ where: { external_key: { [Op.in]: Array.from(seenKeys) } } });
+    rows.forEach(row => {
+      existing[row.external_key] = row;
+    });
+  }
+
+  const plan = entries.map(({ index, question }) => {
+    const current = existing[question.external_key];
+    if (!current) return { index, question, action: 'create' };
+
+    const metadata = {};
+    for (const field of BUNDLE_METADATA_FIELDS) {
+      const before = field === 'is_sample' ? !!current[field] : current[field] ?? null;
+      if (before !== question[field]) {
+        metadata[field] = question[field];
+      }
+    }
+    const contentChanges = diffContent(current, question);
+    return {
+      index,
+      question,
+      current,
+      metadata,
+      contentChanged: contentChanges.length > 0,
+      action: contentChanges.length > 0 || Object.keys(metadata).length > 0 ? 'update' : 'unchanged'
+    };
+  });
+
+  const summary = {
+    dry_run: dryRun,
+    sections_to_create: newSections.map(section => section.name),
+    total_questions: bundleQuestions.length,
+    to_create: plan.filter(item => item.action === 'create').length,
+    to_update: plan.filter(item => item.action === 'update').length,
+    unchanged: plan.filter(item => item.action === 'unchanged').length,
+    errors
+  };
+
+  if (dryRun) {
+    return { summary, error: null };
+  }
+  if (errors.length > 0) {
+    return { summary, error: 'The bundle has invalid questions; nothing was imported', status: 400 };
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const createdSectionIds = {};
+    const createdSections = [];
+    for (const section of newSections) {
+      const row = await Section.create({
+        name: section.name,
+        description: section.description,
+        order_index: section.order_index
+      }, { transaction });
+      createdSectionIds[section.placeholderId] = row.id;
+      createdSections.push({ name: row.name, id: row.id });
+    }
+    for (const item of plan) {
+      const sectionId = createdSectionIds[item.question.section_id];
+      if (sectionId === undefined) continue;
+      item.question.section_id = sectionId;
+      if (item.metadata && item.metadata.section_id !== undefined) item.metadata.section_id = sectionId;
+    }
+
+    const nextOrderIndex = {};
+    const created = [];
+    const pendingRevisions = [];
+    const rewordedQuestions = [];
+
+    for (const item of plan) {
+      if (item.action === 'create') {
+        const sectionId = item.question.section_id;
+        if (nextOrderIndex[sectionId] === undefined) {
+          const maxOrder = await Question.max('order_index', { where: { section_id: sectionId }, transaction });
+          nextOrderIndex[sectionId] = maxOrder ? maxOrder + 1 : 1;
+        }
+        const question = await Question.create({
+          ...item.question,
+          status: 'pending',
+          source: 'ADMIN',
+          is_active: 0,
+          order_index: nextOrderIndex[sectionId]++,
+          created_by: adminUser.id
+        }, { transaction });
+        created.push({ external_key: question.external_key, id: question.id });
+        rewordedQuestions.push(question);
+      } else if (item.action === 'update') {
+        const { revision, applied, error, errorCode } = await proposeRevision(item.current, item.question, {
+          userId: adminUser.id,
+          changeNote: 'Question bank bundle import',
+          metadata: item.metadata,
+          transaction
+        });
+        if (error) {
+          await transaction.rollback();
+          summary.errors.push({ index: item.index, external_key: item.question.external_key, errors: [error], error_code: errorCode });
+          return { summary, error: 'A question in the bundle can\'t be updated yet; nothing was imported', status: 409 };
+        }
+        if (revision && !applied) {
+          pendingRevisions.push({ external_key: item.question.external_key, id: item.current.id, revision_number: revision.revision_number });
+        } else if (revision && applied && item.contentChanged) {
+          rewordedQuestions.push(item.current);
+        }
+      }
+    }
+
+    await transaction.commit();
+
+    const duplicates = await flagPossibleDuplicates(rewordedQuestions);
+    return {
+      summary: {
+        ...summary,
+        created_sections: createdSections,
+        created,
+        pending_revisions: pendingRevisions,
+        possible_duplicates: Object.keys(duplicates)
+          .filter(id => duplicates[id].length > 0)
+          .map(id => ({ id: Number(id), matches: duplicates[id] }))
+      },
+      error: null
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  QUESTION_STATUSES,
+  findQuestionsForExport,
+  ensureExternalKeys,
+  buildQuestionCsv,
+  buildBundle,
+  parseBundle,
+  reconcileBundle
+};
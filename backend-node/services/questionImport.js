@@ -0,0 +1,368 @@
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+const { Question } = require('../models');
+const { validateQuestionFields } = require('./questionValidation');
+
+const MAX_IMPORT_ROWS = 1000;
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+const DEFAULT_LIKERT_OPTIONS = 'A) Strongly Disagree, B) Disagree, C) Neutral, D) Agree, E) Strongly Agree';
+const EXTERNAL_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,63}$/;
+
+// Columns a sheet may use. Options are given either one per column (option_a ... option_e)
+// or all in one "options" column as "A) text, B) text, ...".
+const IMPORT_COLUMNS = [
+  'question_text',
+  'question_type',
+  'options',
+  'option_a',
+  'option_b',
+  'option_c',
+  'option_d',
+  'option_e',
+  'correct_answer',
+  'section',
+  'difficulty_level',
+  'riasec_type',
+  'learning_modality',
+  'is_reverse_scored',
+  'is_sample',
+  'external_key'
+];
+
+// "Question Text" / "question-text" -> "question_text"; section_id and section_name both mean section
+function normalizeHeader(value) {
+  const header = String(value == null ? '' : value).trim().toLowerCase().replace(/[\s\-]+/g, '_');
+  return header === 'section_id' || header === 'section_name' ? 'section' : header;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Exports prefix cells starting with = + - @ with a quote so spreadsheets don't run them as formulas
+function unguardCell(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+// Plain text of an ExcelJS cell value (rich text, hyperlinks and formulas included)
+function cellText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      values.push(cellText(row.getCell(column).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, values => values || []);
+}
+
+// Read an uploaded CSV or XLSX file (told apart by the XLSX zip signature).
+// Returns { rows, error } with rows as [{ row_number, values: { column: text } }]; blank lines are skipped.
+async function readImportFile(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { rows: null, error: 'The request body must be a CSV or XLSX file' };
+  }
+
+  let table;
+  const isXlsx = buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  try {
+    table = isXlsx
+      ? await readXlsxRows(buffer)
+      : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { rows: null, error: `Could not read the ${isXlsx ? 'XLSX' : 'CSV'} file: ${error.message}` };
+  }
+
+  if (table.length === 0) {
+    return { rows: null, error: 'The file is empty' };
+  }
+
+  const headers = table[0].map(normalizeHeader);
+  if (!headers.includes('question_text')) {
+    return { rows: null, error: `The first row must be a header row with at least a question_text column. Known columns: ${IMPORT_COLUMNS.join(', ')}` };
+  }
+  const unknown = headers.filter(header => header && !IMPORT_COLUMNS.includes(header));
+  if (unknown.length > 0) {
+    return { rows: null, error: `Unknown column(s): ${unknown.join(', ')}. Known columns: ${IMPORT_COLUMNS.join(', ')}` };
+  }
+
+  const rows = [];
+  for (let index = 1; index < table.length; index++) {
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        values[header] = unguardCell(String(table[index][column] == null ? '' : table[index][column]).trim());
+      }
+    });
+    if (Object.values(values).every(value => value === '')) continue;
+    rows.push({ row_number: index + 1, values });
+  }
+
+  if (rows.length === 0) {
+    return { rows: null, error: 'The file has no question rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { rows: null, error: `At most ${MAX_IMPORT_ROWS} questions can be imported at once` };
+  }
+  return { rows, error: null };
+}
+
+// Spreadsheet booleans: yes/no, true/false, 1/0, blank = false. Returns undefined when unreadable
+function parseSheetBoolean(value) {
+  if (!value) return false;
+  const lower = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(lower)) return true;
+  if (['false', 'no', 'n', '0'].includes(lower)) return false;
+  return undefined;
+}
+
+// [{ key, text }] from "A) text, B) text, ...", or null when a part has no option label
+function splitOptionsString(optionsString) {
+  const options = [];
+  for (const part of String(optionsString).split(/,\s*(?=[A-E][\)\.])/i)) {
+    const match = part.trim().match(/^([A-E])[\)\.]\s*(.+)$/i);
+    if (!match) return null;
+    options.push({ key: match[1].toUpperCase(), text: match[2].trim() });
+  }
+  return options;
+}
+
+// [{ key, text }] of a question's options column, in either the JSON or the "A) text, B) text" format
+function parseQuestionOptions(optionsString) {
+  if (!optionsString) return [];
+  try {
+    const parsed = JSON.parse(optionsString);
+    if (Array.isArray(parsed)) {
+      return parsed
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({
+          key: String(item.key || item.value || item.label || '').toUpperCase(),
+          text: String(item.text || '').trim()
+        }))
+        .filter(option => option.key && option.text);
+    }
+  } catch (e) {
+    // Not JSON, continue with string parsing
+  }
+  return splitOptionsString(optionsString) || [];
+}
+
+// [{ key, text }] from the option_a ... option_e columns, or from the options column
+function readRowOptions(values, errors) {
+  const columnOptions = OPTION_KEYS
+    .map(key => ({ key, text: values[`option_${key.toLowerCase()}`] || '' }));
+
+  if (columnOptions.some(option => option.text)) {
+    if (values.options) {
+      errors.push('Use either the options column or option_a ... option_e, not both');
+      return [];
+    }
+    const lastFilled = columnOptions.map(option => !!option.text).lastIndexOf(true);
+    const options = columnOptions.slice(0, lastFilled + 1);
+    const gap = options.find(option => !option.text);
+    if (gap) {
+      errors.push(`option_${gap.key.toLowerCase()} is empty but a later option is filled in`);
+    }
+    return options.filter(option => option.text);
+  }
+
+  if (!values.options) return [];
+
+  const options = splitOptionsString(values.options);
+  if (!options) {
+    errors.push('options must be written as "A) text, B) text, ..."');
+    return [];
+  }
+  options.forEach((option, index) => {
+    if (option.key !== OPTION_KEYS[index]) {
+      errors.push(`options must be labelled A, B, C... in order (found ${option.key} in position ${index + 1})`);
+    }
+  });
+  return options;
+}
+
+// Validate one row with the same rules as POST /admin/questions (validateQuestionFields) plus the
+// sheet-only columns. sections is { byId: { id: section }, byName: { lower-case name: section } }.
+// Returns { question, errors } where question holds the normalised fields when errors is empty
+function validateImportRow(values, sections) {
+  const errors = [];
+
+  const questionType = (values.question_type || '').toUpperCase().replace(/[\s\-]+/g, '_');
+  const options = readRowOptions(values, errors);
+  for (const option of options) {
+    if (/,\s*[A-E][\)\.]/i.test(option.text)) {
+      errors.push(`Option ${option.key} contains text that looks like another option label`);
+    }
+  }
+
+  const reverseScored = parseSheetBoolean(values.is_reverse_scored);
+  if (reverseScored === undefined) {
+    errors.push('is_reverse_scored must be yes/no, true/false or 1/0');
+  }
+
+  const { question: fields, errors: fieldErrors } = validateQuestionFields({
+    question_text: values.question_text,
+    question_type: questionType,
+    options,
+    correct_answer: values.correct_answer,
+    difficulty_level: values.difficulty_level,
+    riasec_type: values.riasec_type,
+    learning_modality: values.learning_modality,
+    is_reverse_scored: reverseScored
+  });
+  errors.push(...fieldErrors);
+
+  let section = null;
+  if (!values.section) {
+    errors.push('section is required (section id or name)');
+  } else {
+    section = /^\d+$/.test(values.section)
+      ? sections.byId[parseInt(values.section, 10)]
+      : sections.byName[values.section.toLowerCase()];
+    if (!section) {
+      errors.push(`Section '${values.section}' not found`);
+    }
+  }
+
+  const sample = parseSheetBoolean(values.is_sample);
+  if (sample === undefined) {
+    errors.push('is_sample must be yes/no, true/false or 1/0');
+  }
+
+  const externalKey = values.external_key || null;
+  if (externalKey && !EXTERNAL_KEY_PATTERN.test(externalKey)) {
+    errors.push('external_key must be up to 64 letters, digits, dots, dashes, colons or underscores');
+  }
+
+  if (errors.length > 0) {
+    return { question: null, errors };
+  }
+
+  return {
+    question: {
+      ...fields,
+      options: options.length > 0
+        ? options.map(option => `${option.key}) ${option.text}`).join(', ')
+        : (questionType === 'LIKERT_SCALE' ? DEFAULT_LIKERT_OPTIONS : null),
+      section_id: section.id,
+      is_sample: sample,
+      external_key: externalKey
+    },
+    errors
+  };
+}
+
+// Validate every row. Returns { valid: [{ row_number, question }], invalid: [{ row_number, errors }] }
+function validateImportRows(rows, sections) {
+  const valid = [];
+  const invalid = [];
+  const seenKeys = new Set();
+  for (const row of rows) {
+    const { question, errors } = validateImportRow(row.values, sections);
+    if (question && question.external_key) {
+      if (seenKeys.has(question.external_key)) {
+        errors.push(`external_key ${question.external_key} appears more than once in the file`);
+      }
+      seenKeys.add(question.external_key);
+    }
+    if (errors.length > 0) {
+      invalid.push({ row_number: row.row_number, errors });
+    } else {
+      valid.push({ row_number: row.row_number, question });
+    }
+  }
+  return { valid, invalid };
+}
+
+// The file import only adds questions: rows whose external_key is already in the bank are moved to
+// invalid (updating existing questions is what the bundle import is for)
+async function rejectExistingExternalKeys({ valid, invalid }) {
+  const keys = valid.map(row => row.question.external_key).filter(Boolean);
+  if (keys.length === 0) return { valid, invalid };
+
+  const existing = new Set((await Question.findAll({
+    where: { external_key: { [Op.in]: keys } },
+    attributes: ['external_key']
+  })).map(question => question.external_key));
+  if (existing.size === 0) return { valid, invalid };
+
+  const stillValid = [];
+  const nowInvalid = invalid.slice();
+  for (const row of valid) {
+    if (existing.has(row.question.external_key)) {
+      nowInvalid.push({
+        row_number: row.row_number,
+        errors: [`A question with external_key ${row.question.external_key} already exists; use the bundle import to update it`]
+      });
+    } else {
+      stillValid.push(row);
+    }
+  }
+  nowInvalid.sort((a, b) => a.row_number - b.row_number);
+  return { valid: stillValid, invalid: nowInvalid };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  DEFAULT_LIKERT_OPTIONS,
+  readImportFile,
+  parseQuestionOptions,
+  validateImportRow,
+  validateImportRows,
+  rejectExistingExternalKeys
+};
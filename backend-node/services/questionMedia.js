@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { QuestionMedia } = require('../models');
+const { getOptionKeys } = require('./questionTranslations');
+
+// URL prefix the upload directory is served under (see server.js)
+const MEDIA_URL_PREFIX = '/media/questions';
+
+// Raster formats only: SVG can carry scripts and is served from our own origin
+const ALLOWED_CONTENT_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+const MAX_ALT_TEXT_LENGTH = 500;
+const MAX_MEDIA_PER_TARGET = 5;
+
+// Check the file's leading bytes so a mislabelled upload isn't stored under an image type
+function matchesContentType(buffer, contentType) {
+  if (!buffer || buffer.length < 12) return false;
+  switch (contentType) {
+    case 'image/png':
+      return buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    case 'image/jpeg':
+      return buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+    case 'image/gif':
+      return buffer.slice(0, 6).toString('ascii') === 'GIF87a' || buffer.slice(0, 6).toString('ascii') === 'GIF89a';
+    case 'image/webp':
+      return buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP';
+    default:
+      return false;
+  }
+}
+
+function normalizeContentType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+function normalizeAltText(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+// Returns an error message, or null when the alt text is usable
+function validateAltText(altText) {
+  if (!altText) {
+    return 'alt_text is required so the figure can be described to screen reader users';
+  }
+  if (altText.length > MAX_ALT_TEXT_LENGTH) {
+    return `alt_text must be at most ${MAX_ALT_TEXT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Validate an upload for a question (stem, or an option when optionKey is given).
+// Returns { upload, error } where upload is ready for storeMedia
+async function parseMediaUpload(question, { buffer, contentType, optionKey, altText, originalName }) {
+  const type = normalizeContentType(contentType);
+  if (!ALLOWED_CONTENT_TYPES[type]) {
+    return { upload: null, error: `Content-Type must be one of: ${Object.keys(ALLOWED_CONTENT_TYPES).join(', ')}` };
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { upload: null, error: 'The request body must be the image file' };
+  }
+  if (!matchesContentType(buffer, type)) {
+    return { upload: null, error: `The uploaded file is not a valid ${type} image` };
+  }
+
+  const alt = normalizeAltText(altText);
+  const altError = validateAltText(alt);
+  if (altError) {
+    return { upload: null, error: altError };
+  }
+
+  let key = null;
+  if (optionKey) {
+    key = String(optionKey).trim().toUpperCase();
+    const questionKeys = getOptionKeys(question.options);
+    if (!questionKeys.includes(key)) {
+      return { upload: null, error: `Option '${optionKey}' does not exist on the question. Options are: ${questionKeys.join(', ') || '(none)'}` };
+    }
+  }
+
+  const existingCount = await QuestionMedia.count({
+    where: { question_id: question.id, option_key: key }
+  });
+  if (existingCount >= MAX_MEDIA_PER_TARGET) {
+    return { upload: null, error: `At most ${MAX_MEDIA_PER_TARGET} figures can be attached to ${key ? `option ${key}` : 'the question'}` };
+  }
+
+  return {
+    upload: {
+      buffer,
+      contentType: type,
+      optionKey: key,
+      altText: alt,
+      originalName: originalName ? String(originalName).slice(0, 255) : null,
+      position: existingCount
+    },
+    error: null
+  };
+}
+
+// Write the file under a random name and record it
+async function storeMedia(question, upload, uploadedBy) {
+  const fileName = `${crypto.randomBytes(16).toString('hex')}${ALLOWED_CONTENT_TYPES[upload.contentType]}`;
+  await fs.promises.mkdir(config.app.mediaUploadDir, { recursive: true });
+  await fs.promises.writeFile(path.join(config.app.mediaUploadDir, fileName), upload.buffer);
+
+  try {
+    return await QuestionMedia.create({
+      question_id: question.id,
+      option_key: upload.optionKey,
+      file_name: fileName,
+      original_name: upload.originalName,
+      content_type: upload.contentType,
+      size_bytes: upload.buffer.length,
+      alt_text: upload.altText,
+      position: upload.position,
+      uploaded_by: uploadedBy
+    });
+  } catch (error) {
+    await removeFile(fileName);
+    throw error;
+  }
+}
+
+async function removeFile(fileName) {
+  try {
+    await fs.promises.unlink(path.join(config.app.mediaUploadDir, fileName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not remove media file ${fileName}: ${error.message}`);
+    }
+  }
+}
+
+async function deleteMedia(media) {
+  await media.destroy();
+  await removeFile(media.file_name);
+}
+
+// Full record for the admin question editor
+function formatMedia(media) {
+  return {
+    id: media.id,
+    question_id: media.question_id,
+    option_key: media.option_key || null,
+    url: `${MEDIA_URL_PREFIX}/${media.file_name}`,
+    alt_text: media.alt_text,
+    content_type: media.content_type,
+    size_bytes: media.size_bytes,
+    original_name: media.original_name || null,
+    position: media.position,
+    uploaded_by: media.uploaded_by || null,
+    created_at: media.created_at ? new Date(media.created_at).toISOString() : null
+  };
+}
+
+// What a student needs to show a figure
+function toStudentMedia(media) {
+  return {
+    url: `${MEDIA_URL_PREFIX}/${media.file_name}`,
+    alt_text: media.alt_text
+  };
+}
+
+// { question_id: { question: [media], options: { key: [media] } } } in display position order
+async function getQuestionMedia(questionIds) {
+  if (!questionIds || questionIds.length === 0) return {};
+
+  const rows = await QuestionMedia.findAll({
+    where: { question_id: { [Op.in]: questionIds } },
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+
+  const media = {};
+  for (const row of rows) {
+    if (!media[row.question_id]) {
+      media[row.question_id] = { question: [], options: {} };
+    }
+    const target = media[row.question_id];
+    if (row.option_key) {
+      (target.options[row.option_key] = target.options[row.option_key] || []).push(toStudentMedia(row));
+    } else {
+      target.question.push(toStudentMedia(row));
+    }
+  }
+  return media;
+}
+
+// Attach option figures to { key, text } options (before they are shuffled, while keys are canonical)
+function withOptionMedia(options, questionMedia) {
+  if (!questionMedia) return options;
+  return options.map(option => (
+    questionMedia.options[option.key] ? { ...option, media: questionMedia.options[option.key] } : option
+  ));
+}
+
+module.exports = {
+  MEDIA_URL_PREFIX,
+  normalizeAltText,
+  validateAltText,
+  parseMediaUpload,
+  storeMedia,
+  deleteMedia,
+  formatMedia,
+  getQuestionMedia,
+  withOptionMedia
+};
@@ -0,0 +1,389 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const {
+  Question,
+  Section,
+  QuestionApproval,
+  ApprovalStatus,
+  QuestionRevision,
+  QuestionReviewAssignment,
+  ReviewPolicy,
+  User
+} = require('../models');
+const { ensureCurrentRevision, approveRevision } = require('./questionRevisions');
+
+// Used until a policy row exists: one approval from any admin, as before reviews were configurable
+const DEFAULT_REVIEW_POLICY = {
+  approvals_required: 1,
+  allow_self_approval: true
+};
+
+const MAX_APPROVALS_REQUIRED = 5;
+
+function toPolicy(row) {
+  return {
+    approvals_required: row.approvals_required,
+    allow_self_approval: !!row.allow_self_approval,
+    updated_by: row.updated_by || null,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+async function getReviewPolicy() {
+  const row = await ReviewPolicy.findOne({ order: [['id', 'ASC']] });
+  return row ? toPolicy(row) : { ...DEFAULT_REVIEW_POLICY, updated_by: null, updated_at: null };
+}
+
+// Returns an error message, or null when the values are usable
+function validateReviewPolicy(approvalsRequired, allowSelfApproval) {
+  if (!Number.isInteger(approvalsRequired) || approvalsRequired < 1 || approvalsRequired > MAX_APPROVALS_REQUIRED) {
+    return `approvals_required must be an integer between 1 and ${MAX_APPROVALS_REQUIRED}`;
+  }
+  if (typeof allowSelfApproval !== 'boolean') {
+    return 'allow_self_approval must be a boolean';
+  }
+  return null;
+}
+
+// Whether publishing a question needs more than its author's own say-so. When it does, questions can
+// only go live through the approve endpoints, not by being created or edited with status 'approved'.
+function requiresReview(policy) {
+  return policy.approvals_required > 1 || !policy.allow_self_approval;
+}
+
+async function updateReviewPolicy({ approvalsRequired, allowSelfApproval, updatedBy }) {
+  const row = await ReviewPolicy.findOne({ order: [['id', 'ASC']] });
+  const values = { approvals_required: approvalsRequired, allow_self_approval: allowSelfApproval, updated_by: updatedBy };
+  const saved = row ? await row.update(values) : await ReviewPolicy.create(values);
+  return toPolicy(saved);
+}
+
+// { question_id: revision } waiting for approval: the current revision of a question that isn't live
+// yet, or the pending edit of a live one. Questions with nothing to approve are left out.
+// The questions must be loaded with their content fields (revision 1 may have to be created).
+async function getRevisionsUnderReview(questions, { transaction } = {}) {
+  const currentIds = {};
+  const liveIds = [];
+  for (const question of questions) {
+    if (question.status === 'pending' || question.status === 'rejected') {
+      currentIds[question.id] = await ensureCurrentRevision(question, { transaction });
+    } else if (question.status === 'approved') {
+      liveIds.push(question.id);
+    }
+  }
+
+  const revisions = {};
+  const currentRevisions = await QuestionRevision.findAll({
+    where: { id: { [Op.in]: Object.values(currentIds) } },
+    transaction
+  });
+  currentRevisions.forEach(revision => {
+    revisions[revision.question_id] = revision;
+  });
+
+  if (liveIds.length > 0) {
+    const currentRevisionIds = new Set(questions.map(question => question.current_revision_id).filter(Boolean));
+    const pendingEdits = await QuestionRevision.findAll({
+      where: { question_id: { [Op.in]: liveIds }, status: 'pending' },
+      order: [['revision_number', 'ASC']],
+      transaction
+    });
+    // Only one pending edit is allowed at a time; the latest wins if older data has more
+    pendingEdits
+      .filter(revision => !currentRevisionIds.has(revision.id))
+      .forEach(revision => {
+        revisions[revision.question_id] = revision;
+      });
+  }
+  return revisions;
+}
+
+// { revision_id: Set of user ids } whose approvals count towards the policy.
+// A rejection resets the count: only approvals given after a revision's latest rejection count.
+async function getCountedApprovers(revisionIds, { transaction } = {}) {
+  const approvers = {};
+  revisionIds.forEach(id => {
+    approvers[id] = new Set();
+  });
+  if (revisionIds.length === 0) return approvers;
+
+  const reviews = await QuestionApproval.findAll({
+    where: { revision_id: { [Op.in]: revisionIds }, translation_id: null },
+    attributes: ['id', 'revision_id', 'approved_by', 'approval_status', 'approved_at'],
+    order: [['approved_at', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  for (const review of reviews) {
+    if (review.approval_status === ApprovalStatus.REJECTED) {
+      approvers[review.revision_id] = new Set();
+    } else {
+      approvers[review.revision_id].add(review.approved_by);
+    }
+  }
+  return approvers;
+}
+
+// { question_id: Set of reviewer ids } for questions with assigned reviewers
+async function getAssignedReviewers(questionIds, { transaction } = {}) {
+  const assigned = {};
+  if (questionIds.length === 0) return assigned;
+
+  const assignments = await QuestionReviewAssignment.findAll({
+    where: { question_id: { [Op.in]: questionIds } },
+    attributes: ['question_id', 'reviewer_id'],
+    transaction
+  });
+  for (const assignment of assignments) {
+    if (!assigned[assignment.question_id]) assigned[assignment.question_id] = new Set();
+    assigned[assignment.question_id].add(assignment.reviewer_id);
+  }
+  return assigned;
+}
+
+function assignmentError(assignedReviewers, reviewerId) {
+  if (assignedReviewers && assignedReviewers.size > 0 && !assignedReviewers.has(reviewerId)) {
+    return { error: 'This question is assigned to other reviewers', errorCode: 'NOT_ASSIGNED_REVIEWER' };
+  }
+  return null;
+}
+
+// Whether a reviewer may reject a question: with reviewers assigned, only they may.
+// Returns { error, errorCode }
+async function checkCanReview(question, reviewerId) {
+  const assigned = await getAssignedReviewers([question.id]);
+  return assignmentError(assigned[question.id], reviewerId) || { error: null, errorCode: null };
+}
+
+// Record one reviewer's approval of each { question, revision }. A revision is published once it has
+// the approvals the review policy asks for; until then the question stays pending.
+// Returns one result per entry:
+// { question_id, revision_id, revision_number, published, approvals, approvals_required, error, errorCode }
+// Runs in its own transaction unless the caller passes one.
+async function approveRevisions(entries, reviewerId, { comment = null, transaction: outer = null } = {}) {
+  const policy = await getReviewPolicy();
+  const transaction = outer || await sequelize.transaction();
+  try {
+    // Lock the questions first so two reviewers approving at once are counted one after the other:
+    // otherwise each sees N-1 approvals, adds their own and neither publishes
+    const locked = await Question.findAll({
+      where: { id: { [Op.in]: entries.map(entry => entry.question.id) } },
+      attributes: ['id', 'status', 'current_revision_id'],
+      order: [['id', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    // A revision published while this request waited for the lock has nothing left to approve
+    const published = new Set(locked
+      .filter(question => question.status === 'approved')
+      .map(question => question.current_revision_id));
+    const approvers = await getCountedApprovers(entries.map(entry => entry.revision.id), { transaction });
+    const assigned = await getAssignedReviewers(entries.map(entry => entry.question.id), { transaction });
+
+    const results = [];
+    for (const { question, revision } of entries) {
+      const result = {
+        question_id: question.id,
+        revision_id: revision.id,
+        revision_number: revision.revision_number,
+        published: false,
+        approvals: approvers[revision.id].size,
+        approvals_required: policy.approvals_required,
+        error: null,
+        errorCode: null
+      };
+
+      const author = revision.created_by || question.created_by;
+      const refusal = (published.has(revision.id)
+        ? { error: 'This version of the question has already been published', errorCode: 'NOTHING_TO_APPROVE' }
+        : null)
+        || assignmentError(assigned[question.id], reviewerId)
+        || (!policy.allow_self_approval && author === reviewerId
+          ? { error: 'Questions can\'t be approved by their author', errorCode: 'SELF_APPROVAL_NOT_ALLOWED' }
+          : null)
+        || (approvers[revision.id].has(reviewerId)
+          ? { error: 'You have already approved this version of the question', errorCode: 'ALREADY_APPROVED' }
+          : null);
+      if (refusal) {
+        results.push({ ...result, ...refusal });
+        continue;
+      }
+
+      await QuestionApproval.create({
+        question_id: question.id,
+        revision_id: revision.id,
+        approved_by: reviewerId,
+        approval_status: ApprovalStatus.APPROVED,
+        admin_comment: comment
+      }, { transaction });
+      approvers[revision.id].add(reviewerId);
+      result.approvals = approvers[revision.id].size;
+
+      if (result.approvals >= policy.approvals_required) {
+        await approveRevision(question, revision, { transaction });
+        result.published = true;
+      }
+      results.push(result);
+    }
+
+    if (!outer) await transaction.commit();
+    return results;
+  } catch (error) {
+    if (!outer) await transaction.rollback();
+    throw error;
+  }
+}
+
+// approveRevisions for whatever each question has waiting for approval.
+// Questions with nothing to approve get a NOTHING_TO_APPROVE result.
+async function approveQuestions(questions, reviewerId, { comment = null, transaction = null } = {}) {
+  const revisions = await getRevisionsUnderReview(questions, { transaction });
+  const entries = questions
+    .filter(question => revisions[question.id])
+    .map(question => ({ question, revision: revisions[question.id] }));
+  const results = await approveRevisions(entries, reviewerId, { comment, transaction });
+
+  const byQuestion = {};
+  results.forEach(result => {
+    byQuestion[result.question_id] = result;
+  });
+  return questions.map(question => byQuestion[question.id] || {
+    question_id: question.id,
+    revision_id: null,
+    revision_number: null,
+    published: false,
+    approvals: 0,
+    approvals_required: null,
+    error: 'Question has nothing waiting for approval',
+    errorCode: 'NOTHING_TO_APPROVE'
+  });
+}
+
+// Assign admin reviewers to a question. Reviewers already assigned are left as they are.
+// Returns { assignments, error }
+async function assignReviewers(question, reviewerIds, assignedBy) {
+  const reviewers = await User.findAll({
+    where: { id: { [Op.in]: reviewerIds }, role: 'ADMIN' },
+    attributes: ['id']
+  });
+  const found = new Set(reviewers.map(reviewer => reviewer.id));
+  const missing = reviewerIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return { assignments: null, error: `Reviewers must be admin users (not found: ${missing.join(', ')})` };
+  }
+
+  const policy = await getReviewPolicy();
+  if (!policy.allow_self_approval && question.created_by && found.has(question.created_by)) {
+    return { assignments: null, error: 'The author of a question can\'t be assigned to review it' };
+  }
+
+  const existing = await QuestionReviewAssignment.findAll({
+    where: { question_id: question.id },
+    attributes: ['reviewer_id']
+  });
+  const alreadyAssigned = new Set(existing.map(assignment => assignment.reviewer_id));
+  await QuestionReviewAssignment.bulkCreate(
+    reviewerIds
+      .filter(id => !alreadyAssigned.has(id))
+      .map(id => ({ question_id: question.id, reviewer_id: id, assigned_by: assignedBy }))
+  );
+
+  return { assignments: (await getReviewStatus(question)).reviewers, error: null };
+}
+
+async function unassignReviewer(questionId, reviewerId) {
+  return QuestionReviewAssignment.destroy({
+    where: { question_id: questionId, reviewer_id: reviewerId }
+  });
+}
+
+// Review status of a question: what is under review, who has approved it so far and who is assigned
+async function getReviewStatus(question) {
+  const policy = await getReviewPolicy();
+  const revisions = await getRevisionsUnderReview([question]);
+  const revision = revisions[question.id] || null;
+  const approvers = revision ? (await getCountedApprovers([revision.id]))[revision.id] : new Set();
+  const assignments = await QuestionReviewAssignment.findAll({
+    where: { question_id: question.id },
+    include: [{ model: User, as: 'reviewer', attributes: ['id', 'full_name', 'email'] }],
+    order: [['created_at', 'ASC']]
+  });
+
+  return {
+    revision_id: revision ? revision.id : null,
+    revision_number: revision ? revision.revision_number : null,
+    approvals: approvers.size,
+    approvals_required: policy.approvals_required,
+    approved_by: Array.from(approvers),
+    reviewers: assignments.map(assignment => ({
+      reviewer_id: assignment.reviewer_id,
+      full_name: assignment.reviewer ? assignment.reviewer.full_name : null,
+      email: assignment.reviewer ? assignment.reviewer.email : null,
+      assigned_by: assignment.assigned_by || null,
+      assigned_at: assignment.created_at ? new Date(assignment.created_at).toISOString() : null,
+      has_approved: approvers.has(assignment.reviewer_id)
+    }))
+  };
+}
+
+// Questions assigned to a reviewer that are waiting for their approval, oldest assignment first
+async function getReviewerQueue(reviewerId) {
+  const policy = await getReviewPolicy();
+  const assignments = await QuestionReviewAssignment.findAll({
+    where: { reviewer_id: reviewerId },
+    include: [{
+      model: Question,
+      as: 'question',
+      where: { status: { [Op.in]: ['pending', 'approved'] } },
+      include: [{ model: Section, as: 'section', attributes: ['id', 'name', 'order_index'], required: false }]
+    }],
+    order: [['created_at', 'ASC']]
+  });
+
+  const questions = assignments.map(assignment => assignment.question);
+  const revisions = await getRevisionsUnderReview(questions);
+  const approvers = await getCountedApprovers(Object.values(revisions).map(revision => revision.id));
+
+  const queue = [];
+  for (const assignment of assignments) {
+    const question = assignment.question;
+    const revision = revisions[question.id];
+    if (!revision || approvers[revision.id].has(reviewerId)) continue;
+
+    queue.push({
+      question_id: question.id,
+      question_text: revision.question_text,
+      question_type: revision.question_type,
+      status: question.status,
+      source: question.source || 'manual',
+      section: question.section ? {
+        id: question.section.id,
+        name: question.section.name,
+        order_index: question.section.order_index
+      } : null,
+      is_possible_duplicate: !!question.is_possible_duplicate,
+      revision_id: revision.id,
+      revision_number: revision.revision_number,
+      is_edit: question.status === 'approved',
+      approvals: approvers[revision.id].size,
+      approvals_required: policy.approvals_required,
+      can_approve: policy.allow_self_approval || (revision.created_by || question.created_by) !== reviewerId,
+      assigned_at: assignment.created_at ? new Date(assignment.created_at).toISOString() : null
+    });
+  }
+  return queue;
+}
+
+module.exports = {
+  getReviewPolicy,
+  validateReviewPolicy,
+  requiresReview,
+  updateReviewPolicy,
+  getRevisionsUnderReview,
+  checkCanReview,
+  approveRevisions,
+  approveQuestions,
+  assignReviewers,
+  unassignReviewer,
+  getReviewStatus,
+  getReviewerQueue
+};
@@ -0,0 +1,363 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { Question, QuestionRevision, QuestionApproval, ApprovalStatus, TestAttemptQuestion } = require('../models');
+const { markTranslationsForReview } = require('./questionTranslations');
+
+// Fields that change what a question means or how it is scored. Everything else on a question
+// (section, difficulty, sample flag, ordering, status) is metadata and is edited in place, except
+// where a revision carries it as metadata_changes (see proposeRevision).
+const CONTENT_FIELDS = [
+  'question_text',
+  'question_type',
+  'options',
+  'correct_answer',
+  'scale_value',
+  'riasec_type',
+  'learning_modality',
+  'is_reverse_scored'
+];
+
+function normalizeContentValue(field, value) {
+  if (field === 'is_reverse_scored') return !!value;
+  return value === undefined || value === '' ? null : value;
+}
+
+// The content fields of a question, revision or change set
+function pickContent(source) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    content[field] = normalizeContentValue(field, source[field]);
+  }
+  return content;
+}
+
+// [{ field, from, to }] for every content field that differs
+function diffContent(from, to) {
+  const changes = [];
+  for (const field of CONTENT_FIELDS) {
+    const before = normalizeContentValue(field, from[field]);
+    const after = normalizeContentValue(field, to[field]);
+    if (before !== after) {
+      changes.push({ field, from: before, to: after });
+    }
+  }
+  return changes;
+}
+
+function textChanged(from, to) {
+  return from.question_text !== to.question_text || (from.options || null) !== (to.options || null);
+}
+
+async function nextRevisionNumber(questionId, transaction) {
+  const latest = await QuestionRevision.max('revision_number', {
+    where: { question_id: questionId },
+    transaction
+  });
+  return (latest || 0) + 1;
+}
+
+// Questions written before revisions existed get revision 1 from their current content the
+// first time they are edited or drawn into an attempt. Returns the current revision id.
+// The question row is locked first so two requests reaching it at once don't both create revision 1.
+// Runs in its own transaction unless the caller passes one.
+async function ensureCurrentRevision(question, { transaction: outer = null } = {}) {
+  if (question.current_revision_id) {
+    return question.current_revision_id;
+  }
+
+  const transaction = outer || await sequelize.transaction();
+  try {
+    const locked = await Question.findByPk(question.id, {
+      attributes: ['id', 'current_revision_id'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (locked && locked.current_revision_id) {
+      if (!outer) await transaction.commit();
+      question.current_revision_id = locked.current_revision_id;
+      return locked.current_revision_id;
+    }
+
+    const revision = await QuestionRevision.create({
+      ...pickContent(question),
+      question_id: question.id,
+      revision_number: await nextRevisionNumber(question.id, transaction),
+      status: question.status === 'pending' || question.status === 'rejected' ? question.status : 'approved',
+      change_note: 'Original version',
+      created_by: question.created_by || null
+    }, { transaction });
+
+    await Question.update(
+      { current_revision_id: revision.id },
+      { where: { id: question.id }, fields: ['current_revision_id'], transaction }
+    );
+    if (!outer) await transaction.commit();
+    question.current_revision_id = revision.id;
+    return revision.id;
+  } catch (error) {
+    if (!outer) await transaction.rollback();
+    throw error;
+  }
+}
+
+// { question_id: current revision id } for questions about to be shown in an attempt.
+// The questions must be loaded with their content fields.
+async function ensureCurrentRevisions(questions) {
+  const revisionIds = {};
+  for (const question of questions) {
+    revisionIds[question.id] = await ensureCurrentRevision(question);
+  }
+  return revisionIds;
+}
+
+async function applyRevisionToQuestion(question, revision, values, transaction) {
+  await question.update({
+    ...pickContent(revision),
+    ...(revision.metadata_changes || {}),
+    ...values,
+    current_revision_id: revision.id
+  }, { transaction });
+}
+
+// Record a content edit as a new revision.
+// An approved question keeps serving its current revision: the edit waits as a pending revision
+// until it is approved. A question that isn't live yet is simply updated to the new revision.
+// metadata ({ field: value }) is published with the revision, so a live question's section or sample
+// flag can't change before the edit is approved; on a question that isn't live it is applied at once.
+// Returns { revision, applied, error, errorCode }; revision is null when no revision was needed.
+// Runs in its own transaction unless the caller passes one.
+async function proposeRevision(question, changes, { userId, changeNote = null, approved = false, metadata = null, transaction: outer = null }) {
+  const transaction = outer || await sequelize.transaction();
+  try {
+    const currentRevisionId = await ensureCurrentRevision(question, { transaction });
+    const current = pickContent(question);
+    const content = pickContent({ ...current, ...changes });
+    const metadataChanges = metadata && Object.keys(metadata).length > 0 ? metadata : null;
+    const live = question.status === 'approved';
+
+    if (diffContent(current, content).length === 0 && !(live && metadataChanges)) {
+      if (metadataChanges) {
+        await question.update(metadataChanges, { transaction });
+      }
+      if (!outer) await transaction.commit();
+      return { revision: null, applied: !!metadataChanges, error: null, errorCode: null };
+    }
+
+    if (live) {
+      const pending = await QuestionRevision.findOne({
+        where: { question_id: question.id, status: 'pending', id: { [Op.ne]: currentRevisionId } },
+        attributes: ['id', 'revision_number'],
+        transaction
+      });
+      if (pending) {
+        if (!outer) await transaction.rollback();
+        return {
+          revision: null,
+          applied: false,
+          error: `Revision ${pending.revision_number} is still waiting for approval. Approve or reject it before editing again.`,
+          errorCode: 'REVISION_PENDING'
+        };
+      }
+    }
+
+    const revision = await QuestionRevision.create({
+      ...content,
+      question_id: question.id,
+      revision_number: await nextRevisionNumber(question.id, transaction),
+      status: !live && approved ? 'approved' : 'pending',
+      change_note: changeNote,
+      metadata_changes: metadataChanges,
+      based_on_revision_id: currentRevisionId,
+      created_by: userId
+    }, { transaction });
+
+    if (!live) {
+      await applyRevisionToQuestion(question, revision, {}, transaction);
+      if (textChanged(current, content)) {
+        await markTranslationsForReview(question.id, { transaction });
+      }
+    }
+
+    if (!outer) await transaction.commit();
+    return { revision, applied: !live, error: null, errorCode: null };
+  } catch (error) {
+    if (!outer) await transaction.rollback();
+    throw error;
+  }
+}
+
+// Publish an approved revision: it becomes the question's current content and the question goes live.
+// Translations of the old wording are sent back for review. The reviews that approved it are
+// recorded by the caller (see services/questionReview.js).
+async function approveRevision(question, revision, { transaction }) {
+  const previous = pickContent(question);
+  await revision.update({ status: 'approved' }, { transaction });
+  await applyRevisionToQuestion(question, revision, { status: 'approved', is_active: true }, transaction);
+  if (textChanged(previous, revision)) {
+    await markTranslationsForReview(question.id, { transaction });
+  }
+  return revision;
+}
+
+// Reject a revision. Rejecting a pending edit of a live question leaves the question as it is;
+// rejecting the current revision of a question that isn't live yet rejects the question too.
+async function rejectRevision(question, revision, reviewerId, comment) {
+  const transaction = await sequelize.transaction();
+  try {
+    await revision.update({ status: 'rejected' }, { transaction });
+    if (revision.id === question.current_revision_id && question.status !== 'approved') {
+      await question.update({ status: 'rejected', is_active: false }, { transaction });
+    }
+    await QuestionApproval.create({
+      question_id: question.id,
+      revision_id: revision.id,
+      approved_by: reviewerId,
+      approval_status: ApprovalStatus.REJECTED,
+      admin_comment: comment
+    }, { transaction });
+    await transaction.commit();
+    return revision;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// Keep the current revision's status in step with a decision on the question itself
+// (POST /approve, /reject and bulk approval)
+async function syncCurrentRevisionStatus(questionIds, status, { transaction } = {}) {
+  const questions = await Question.findAll({
+    where: { id: { [Op.in]: questionIds }, current_revision_id: { [Op.ne]: null } },
+    attributes: ['current_revision_id'],
+    transaction
+  });
+  if (questions.length === 0) return 0;
+
+  const [count] = await QuestionRevision.update(
+    { status },
+    { where: { id: { [Op.in]: questions.map(q => q.current_revision_id) }, status: 'pending' }, transaction }
+  );
+  return count;
+}
+
+// Roll back to an earlier approved revision. The old content is copied into a new revision so the
+// history stays append-only, and it goes live straight away since it was approved before.
+// Refused while an edit of the question is waiting for approval.
+// Returns { revision, error, errorCode }
+async function rollbackToRevision(question, target, userId, comment = null) {
+  if (target.status !== 'approved') {
+    return { revision: null, error: 'Only a previously approved revision can be rolled back to' };
+  }
+  if (target.id === question.current_revision_id) {
+    return { revision: null, error: `Revision ${target.revision_number} is already the current revision` };
+  }
+
+  const previous = pickContent(question);
+  const transaction = await sequelize.transaction();
+  let revision;
+  try {
+    // A pending edit was based on the content being replaced; approving it after the rollback would
+    // quietly undo the rollback, so it has to be approved or rejected first
+    await Question.findByPk(question.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    const pending = await QuestionRevision.findOne({
+      where: { question_id: question.id, status: 'pending', id: { [Op.ne]: question.current_revision_id } },
+      attributes: ['id', 'revision_number'],
+      transaction
+    });
+    if (pending) {
+      await transaction.rollback();
+      return {
+        revision: null,
+        error: `Revision ${pending.revision_number} is still waiting for approval. Approve or reject it before rolling back.`,
+        errorCode: 'REVISION_PENDING'
+      };
+    }
+
+    revision = await QuestionRevision.create({
+      ...pickContent(target),
+      question_id: question.id,
+      revision_number: await nextRevisionNumber(question.id, transaction),
+      status: 'approved',
+      change_note: `Rolled back to revision ${target.revision_number}`,
+      based_on_revision_id: target.id,
+      created_by: userId
+    }, { transaction });
+
+    await applyRevisionToQuestion(question, revision, {}, transaction);
+    await QuestionApproval.create({
+      question_id: question.id,
+      revision_id: revision.id,
+      approved_by: userId,
+      approval_status: ApprovalStatus.APPROVED,
+      admin_comment: comment || `Rolled back to revision ${target.revision_number}`
+    }, { transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  if (textChanged(previous, revision)) {
+    await markTranslationsForReview(question.id);
+  }
+  return { revision, error: null };
+}
+
+// { question_id: revision } shown in an attempt, for questions assigned after revisions existed
+async function getAttemptRevisions(testAttemptId, questionIds = null) {
+  const where = { test_attempt_id: testAttemptId, question_revision_id: { [Op.ne]: null } };
+  if (questionIds) {
+    where.question_id = { [Op.in]: questionIds };
+  }
+
+  const rows = await TestAttemptQuestion.findAll({
+    where,
+    attributes: ['question_id', 'question_revision_id'],
+    include: [{ model: QuestionRevision, as: 'revision' }]
+  });
+
+  const revisions = {};
+  for (const row of rows) {
+    if (row.revision) {
+      revisions[row.question_id] = row.revision;
+    }
+  }
+  return revisions;
+}
+
+// { question_id: revision id } recorded for an attempt's questions, so answers can point at the same revision
+async function getAttemptRevisionIds(testAttemptId, questionIds) {
+  const rows = await TestAttemptQuestion.findAll({
+    where: { test_attempt_id: testAttemptId, question_id: { [Op.in]: questionIds } },
+    attributes: ['question_id', 'question_revision_id']
+  });
+
+  const revisionIds = {};
+  for (const row of rows) {
+    revisionIds[row.question_id] = row.question_revision_id || null;
+  }
+  return revisionIds;
+}
+
+// The question as it read in a given revision (or as it is now, without one)
+function withRevision(question, revision) {
+  if (!question || !revision) return question;
+  const plain = typeof question.get === 'function' ? question.get({ plain: true }) : question;
+  return { ...plain, ...pickContent(revision) };
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  pickContent,
+  diffContent,
+  ensureCurrentRevision,
+  ensureCurrentRevisions,
+  proposeRevision,
+  approveRevision,
+  rejectRevision,
+  syncCurrentRevisionStatus,
+  rollbackToRevision,
+  getAttemptRevisions,
+  getAttemptRevisionIds,
+  withRevision
+};
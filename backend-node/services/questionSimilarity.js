@@ -0,0 +1,146 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Question } = require('../models');
+
+// Near-duplicate detection for question wording. Text is normalised (case, punctuation, filler
+// words, simple plural/tense endings) and compared as a set of tokens, so "I enjoy solving complex
+// problems." and "I really enjoy solving complex problems" count as the same statement.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'myself', 'we', 'our', 'you', 'your', 'it', 'its',
+  'to', 'of', 'and', 'or', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as', 'about',
+  'is', 'am', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'that', 'this', 'these',
+  'those', 'than', 'really', 'very', 'quite', 'just'
+]);
+
+// Most matches a question is flagged with
+const MAX_MATCHES = 5;
+
+function normalizeQuestionText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Strip common English endings so "solve", "solves", "solved" and "solving" compare equal
+function stem(word) {
+  if (word.length <= 4) return word;
+  const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length > 3 ? stemmed.replace(/e$/, '') : word;
+}
+
+function tokenize(text) {
+  const words = normalizeQuestionText(text).split(' ').filter(Boolean);
+  const meaningful = words.filter(word => !STOPWORDS.has(word));
+  // A statement made only of stopwords is still compared on what it has
+  return new Set((meaningful.length > 0 ? meaningful : words).map(stem));
+}
+
+// Dice coefficient of two token sets, 0 (nothing shared) to 1 (same tokens)
+function tokenSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+// Approved and pending questions a new wording is checked against. Rejected and retired
+// questions are left out: repeating them isn't a duplicate in the live bank.
+async function loadDuplicateCandidates({ transaction } = {}) {
+  const questions = await Question.findAll({
+    where: { status: { [Op.in]: ['approved', 'pending'] } },
+    attributes: ['id', 'question_text'],
+    transaction
+  });
+  return questions.map(question => ({
+    id: question.id,
+    tokens: tokenize(question.question_text)
+  }));
+}
+
+// [{ question_id, similarity }] for candidates at or above the threshold, most similar first
+function matchCandidates(text, candidates, { excludeIds = [], threshold = config.app.duplicateSimilarityThreshold } = {}) {
+  const tokens = tokenize(text);
+  const excluded = new Set(excludeIds.map(Number));
+  const matches = [];
+  for (const candidate of candidates) {
+    if (excluded.has(candidate.id)) continue;
+    const similarity = tokenSimilarity(tokens, candidate.tokens);
+    if (similarity >= threshold) {
+      matches.push({ question_id: candidate.id, similarity: Math.round(similarity * 100) / 100 });
+    }
+  }
+  return matches
+    .sort((a, b) => b.similarity - a.similarity || a.question_id - b.question_id)
+    .slice(0, MAX_MATCHES);
+}
+
+async function findSimilarQuestions(text, { excludeIds = [], transaction } = {}) {
+  const candidates = await loadDuplicateCandidates({ transaction });
+  return matchCandidates(text, candidates, { excludeIds });
+}
+
+// Check saved questions against the bank and store the result on each of them.
+// Questions in the same batch are checked against each other too, since they are already saved.
+// Returns { question_id: matches }
+async function flagPossibleDuplicates(questions, { transaction } = {}) {
+  const results = {};
+  if (questions.length === 0) return results;
+
+  const candidates = await loadDuplicateCandidates({ transaction });
+  for (const question of questions) {
+    const matches = matchCandidates(question.question_text, candidates, { excludeIds: [question.id] });
+    await Question.update(
+      {
+        is_possible_duplicate: matches.length > 0,
+        duplicate_matches: matches.length > 0 ? matches : null
+      },
+      { where: { id: question.id }, fields: ['is_possible_duplicate', 'duplicate_matches'], transaction }
+    );
+    results[question.id] = matches;
+  }
+  return results;
+}
+
+// Matches as returned to admins, with a link to each matching question.
+// Pass the matching questions to include their wording and status.
+function formatDuplicateMatches(matches, questionsById = {}) {
+  return (matches || []).map(match => {
+    const question = questionsById[match.question_id];
+    return {
+      question_id: match.question_id,
+      similarity: match.similarity,
+      question_text: question ? question.question_text : undefined,
+      status: question ? question.status : undefined,
+      url: `/admin/questions/${match.question_id}`
+    };
+  });
+}
+
+// formatDuplicateMatches with the matching questions looked up
+async function describeDuplicateMatches(matches) {
+  if (!matches || matches.length === 0) return [];
+  const questions = await Question.findAll({
+    where: { id: { [Op.in]: matches.map(match => match.question_id) } },
+    attributes: ['id', 'question_text', 'status']
+  });
+  const questionsById = {};
+  questions.forEach(question => {
+    questionsById[question.id] = question;
+  });
+  return formatDuplicateMatches(matches, questionsById);
+}
+
+module.exports = {
+  normalizeQuestionText,
+  findSimilarQuestions,
+  flagPossibleDuplicates,
+  formatDuplicateMatches,
+  describeDuplicateMatches
+};
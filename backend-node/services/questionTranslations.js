@@ -0,0 +1,251 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { QuestionTranslation, QuestionLanguage, QuestionApproval, ApprovalStatus } = require('../models');
+
+const DEFAULT_LANGUAGE = QuestionLanguage.ENGLISH;
+const LANGUAGES = Object.values(QuestionLanguage);
+const TRANSLATION_LANGUAGES = LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE);
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  gu: 'Gujarati',
+  hi: 'Hindi'
+};
+
+// Language code from a code or a name ("gu", "Gujarati").
+// Returns null for an empty value and undefined for an unknown language.
+function normalizeLanguage(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const lower = String(value).trim().toLowerCase();
+  if (LANGUAGES.includes(lower)) {
+    return lower;
+  }
+  const match = Object.entries(LANGUAGE_NAMES).find(([, name]) => name.toLowerCase() === lower);
+  return match ? match[0] : undefined;
+}
+
+// Option keys (A, B, C...) of a question's options column, in either the JSON or the "A) text, B) text" format
+function getOptionKeys(optionsString) {
+  if (!optionsString) return [];
+
+  try {
+    const parsed = JSON.parse(optionsString);
+    if (Array.isArray(parsed)) {
+      return parsed
+        .map(item => {
+          if (item && typeof item === 'object') {
+            return (item.key || item.value || item.label || '').toString().toUpperCase();
+          }
+          const match = String(item).match(/^([A-E])[\)\.]/i);
+          return match ? match[1].toUpperCase() : '';
+        })
+        .filter(key => key);
+    }
+  } catch (e) {
+    // Not JSON, continue with string parsing
+  }
+
+  const keys = [];
+  for (const part of String(optionsString).split(/,\s*(?=[A-E][\)\.])/)) {
+    const match = part.trim().match(/^([A-E])[\)\.]/i);
+    if (match) {
+      keys.push(match[1].toUpperCase());
+    }
+  }
+  return keys;
+}
+
+function parseTranslatedOptions(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Parse and validate a translation body against the question it translates.
+// options may be [{ key, text }] or { key: text }, and must cover exactly the question's option keys.
+// Returns { values, error }
+function parseTranslation(question, body) {
+  const { question_text, options } = body || {};
+
+  if (!question_text || !String(question_text).trim()) {
+    return { values: null, error: 'question_text is required' };
+  }
+
+  const questionKeys = getOptionKeys(question.options);
+  let entries = [];
+  if (Array.isArray(options)) {
+    entries = options.map(option => [option && option.key, option && option.text]);
+  } else if (options && typeof options === 'object') {
+    entries = Object.entries(options);
+  } else if (options != null) {
+    return { values: null, error: 'options must be an array of { key, text } or an object of { key: text }' };
+  }
+
+  if (questionKeys.length > 0 && entries.length === 0) {
+    return { values: null, error: `options are required: translate options ${questionKeys.join(', ')}` };
+  }
+
+  const translatedOptions = [];
+  for (const [rawKey, text] of entries) {
+    const key = String(rawKey || '').trim().toUpperCase();
+    if (!questionKeys.includes(key)) {
+      return { values: null, error: `Option '${rawKey}' does not exist on the question. Options are: ${questionKeys.join(', ') || '(none)'}` };
+    }
+    if (translatedOptions.some(option => option.key === key)) {
+      return { values: null, error: `Option ${key} is listed more than once` };
+    }
+    if (!text || !String(text).trim()) {
+      return { values: null, error: `Option ${key} needs a translated text` };
+    }
+    translatedOptions.push({ key, text: String(text).trim() });
+  }
+
+  const missing = questionKeys.filter(key => !translatedOptions.some(option => option.key === key));
+  if (missing.length > 0) {
+    return { values: null, error: `Missing translations for option(s): ${missing.join(', ')}` };
+  }
+
+  translatedOptions.sort((a, b) => questionKeys.indexOf(a.key) - questionKeys.indexOf(b.key));
+  return {
+    values: {
+      question_text: String(question_text).trim(),
+      options: translatedOptions.length > 0 ? JSON.stringify(translatedOptions) : null
+    },
+    error: null
+  };
+}
+
+function formatTranslation(translation) {
+  return {
+    id: translation.id,
+    question_id: translation.question_id,
+    language: translation.language,
+    language_name: LANGUAGE_NAMES[translation.language] || translation.language,
+    question_text: translation.question_text,
+    options: parseTranslatedOptions(translation.options),
+    status: translation.status,
+    created_by: translation.created_by || null,
+    updated_by: translation.updated_by || null,
+    created_at: translation.created_at ? new Date(translation.created_at).toISOString() : null,
+    updated_at: translation.updated_at ? new Date(translation.updated_at).toISOString() : null
+  };
+}
+
+// Create or replace a translation. Any change goes back to pending until it is approved again.
+async function saveTranslation(question, language, values, userId) {
+  const existing = await QuestionTranslation.findOne({
+    where: { question_id: question.id, language }
+  });
+
+  if (existing) {
+    return existing.update({ ...values, status: 'pending', updated_by: userId });
+  }
+  return QuestionTranslation.create({
+    ...values,
+    question_id: question.id,
+    language,
+    status: 'pending',
+    created_by: userId,
+    updated_by: userId
+  });
+}
+
+// Approve or reject a translation, recording the decision in the question's approval history
+async function reviewTranslation(translation, approvalStatus, reviewerId, comment = null) {
+  const transaction = await sequelize.transaction();
+  try {
+    await translation.update({
+      status: approvalStatus === ApprovalStatus.APPROVED ? 'approved' : 'rejected'
+    }, { transaction });
+
+    await QuestionApproval.create({
+      question_id: translation.question_id,
+      translation_id: translation.id,
+      approved_by: reviewerId,
+      approval_status: approvalStatus,
+      admin_comment: comment
+    }, { transaction });
+
+    await transaction.commit();
+    return translation;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// When the English text or options change, approved translations no longer match and need another review.
+// Returns how many translations were sent back to pending
+async function markTranslationsForReview(questionId, { transaction } = {}) {
+  const [count] = await QuestionTranslation.update(
+    { status: 'pending' },
+    { where: { question_id: questionId, status: 'approved' }, transaction }
+  );
+  return count;
+}
+
+// { question_id: approved translation } for the given questions; empty for English
+async function getApprovedTranslations(questionIds, language) {
+  if (!language || language === DEFAULT_LANGUAGE || !questionIds || questionIds.length === 0) {
+    return {};
+  }
+
+  const rows = await QuestionTranslation.findAll({
+    where: {
+      question_id: { [Op.in]: questionIds },
+      language,
+      status: 'approved'
+    }
+  });
+
+  const translations = {};
+  for (const row of rows) {
+    translations[row.question_id] = row;
+  }
+  return translations;
+}
+
+// Question text and { key, text } options in the translation's language, keeping the question's keys.
+// Without a translation (or for options it doesn't cover) the English text is used.
+function localizeQuestion(questionText, options, translation) {
+  if (!translation) {
+    return { questionText, options, language: DEFAULT_LANGUAGE };
+  }
+
+  const translatedText = {};
+  for (const option of parseTranslatedOptions(translation.options)) {
+    translatedText[String(option.key).toUpperCase()] = option.text;
+  }
+
+  return {
+    questionText: translation.question_text,
+    options: options.map(option => ({
+      key: option.key,
+      text: translatedText[option.key] || option.text
+    })),
+    language: translation.language
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  TRANSLATION_LANGUAGES,
+  LANGUAGE_NAMES,
+  normalizeLanguage,
+  getOptionKeys,
+  parseTranslation,
+  formatTranslation,
+  saveTranslation,
+  reviewTranslation,
+  markTranslationsForReview,
+  getApprovedTranslations,
+  localizeQuestion
+};
@@ -0,0 +1,124 @@
+const { normalizeRiasecType } = require('./riasec');
+const { normalizeLearningModality } = require('./learningStyle');
+
+// Rules every new question has to meet, whether it is created in the admin form or imported from
+// a sheet or bundle. Callers parse their own input format (section lookup, booleans, option layout)
+// and pass the values here.
+
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'LIKERT_SCALE'];
+const DIFFICULTY_LEVELS = ['Easy', 'Medium', 'Hard'];
+const MIN_SCALE_VALUE = 2;
+const MAX_SCALE_VALUE = 5;
+
+// Auto-calculate scale_value from question text keywords, always MIN_SCALE_VALUE to MAX_SCALE_VALUE
+function calculateAutoScaleValue(questionText) {
+  if (!questionText || typeof questionText !== 'string') {
+    return MIN_SCALE_VALUE;
+  }
+
+  const text = questionText.toLowerCase();
+  if (text.includes('always') || text.includes('strongly')) {
+    return 5;
+  }
+  if (text.includes('enjoy') || text.includes('love') || text.includes('interested')) {
+    return 4;
+  }
+  if (text.includes('like') || text.includes('comfortable') || text.includes('prefer')) {
+    return 3;
+  }
+  return MIN_SCALE_VALUE;
+}
+
+// Canonical difficulty for any casing of Easy/Medium/Hard, 'Medium' when empty, undefined when invalid
+function normalizeDifficulty(value) {
+  if (value === undefined || value === null || value === '') return 'Medium';
+  return DIFFICULTY_LEVELS.find(level => level.toLowerCase() === String(value).trim().toLowerCase());
+}
+
+// Validate a new question. options is [{ key, text }] as parsed by the caller.
+// Returns { question, errors } where question holds the normalised fields when errors is empty:
+// { question_text, question_type, correct_answer, difficulty_level, riasec_type, learning_modality,
+//   is_reverse_scored, scale_value }
+function validateQuestionFields({
+  question_text,
+  question_type,
+  options = [],
+  correct_answer,
+  difficulty_level,
+  riasec_type,
+  learning_modality,
+  is_reverse_scored = false
+}) {
+  const errors = [];
+
+  const questionText = typeof question_text === 'string' ? question_text.trim() : '';
+  if (!questionText) {
+    errors.push('question_text is required');
+  }
+
+  if (!QUESTION_TYPES.includes(question_type)) {
+    errors.push('question_type must be MULTIPLE_CHOICE or LIKERT_SCALE');
+  }
+
+  let correctAnswer = null;
+  if (question_type === 'MULTIPLE_CHOICE') {
+    if (options.length < 2) {
+      errors.push('options are required for MULTIPLE_CHOICE questions (at least A and B)');
+    }
+    correctAnswer = correct_answer ? String(correct_answer).trim().toUpperCase() : '';
+    if (!correctAnswer) {
+      errors.push('correct_answer is required for MULTIPLE_CHOICE questions');
+    } else if (options.length >= 2 && !options.some(option => option.key === correctAnswer)) {
+      errors.push(`correct_answer must be one of the option keys: ${options.map(option => option.key).join(', ')}`);
+    }
+  } else if (question_type === 'LIKERT_SCALE' && correct_answer) {
+    errors.push('correct_answer must be empty for LIKERT_SCALE questions');
+  }
+
+  const difficulty = normalizeDifficulty(difficulty_level);
+  if (!difficulty) {
+    errors.push(`difficulty_level must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  const riasecType = normalizeRiasecType(riasec_type);
+  if (riasecType === undefined) {
+    errors.push('riasec_type must be one of R, I, A, S, E, C');
+  }
+
+  const learningModality = normalizeLearningModality(learning_modality);
+  if (learningModality === undefined) {
+    errors.push('learning_modality must be one of V, A, R, K');
+  }
+
+  if (is_reverse_scored && question_type !== 'LIKERT_SCALE') {
+    errors.push('is_reverse_scored is only supported for LIKERT_SCALE questions');
+  }
+
+  if (errors.length > 0) {
+    return { question: null, errors };
+  }
+
+  return {
+    question: {
+      question_text: questionText,
+      question_type,
+      correct_answer: correctAnswer || null,
+      difficulty_level: difficulty,
+      riasec_type: riasecType,
+      learning_modality: learningModality,
+      is_reverse_scored: !!is_reverse_scored,
+      scale_value: question_type === 'LIKERT_SCALE' ? calculateAutoScaleValue(questionText) : null
+    },
+    errors
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DIFFICULTY_LEVELS,
+  MIN_SCALE_VALUE,
+  MAX_SCALE_VALUE,
+  calculateAutoScaleValue,
+  normalizeDifficulty,
+  validateQuestionFields
+};
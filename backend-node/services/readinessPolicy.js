@@ -0,0 +1,159 @@
+const { ReadinessPolicy, InterpretedResult } = require('../models');
+
+// Used until a policy row exists (matches the thresholds the student report always used)
+const DEFAULT_POLICY = {
+  version: 1,
+  ready_threshold: 60,
+  partially_ready_threshold: 40
+};
+
+// Active policy is cached briefly so list/analytics routes don't hit the table per student
+const CACHE_TTL_MS = 60 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+function toPolicy(row) {
+  return {
+    version: row.version,
+    ready_threshold: row.ready_threshold,
+    partially_ready_threshold: row.partially_ready_threshold
+  };
+}
+
+async function getActivePolicy({ refresh = false } = {}) {
+  if (!refresh && cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  const row = await ReadinessPolicy.findOne({
+    where: { is_active: true },
+    order: [['version', 'DESC']]
+  });
+
+  cachedPolicy = row ? toPolicy(row) : { ...DEFAULT_POLICY };
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+// Policy versions are never edited once saved, so each one is loaded only once
+const versionCache = {};
+
+// Policy an interpretation was written under, so an old result keeps the thresholds it was judged by.
+// Falls back to the active policy when no version was recorded or that version no longer exists.
+async function getPolicyVersion(version) {
+  if (!version) {
+    return getActivePolicy();
+  }
+  if (!versionCache[version]) {
+    const row = await ReadinessPolicy.findOne({ where: { version } });
+    if (!row) return getActivePolicy();
+    versionCache[version] = toPolicy(row);
+  }
+  return versionCache[version];
+}
+
+// Policy an attempt's readiness is judged by in every view (student report, admin and counsellor
+// lists, analytics): the version stored with its interpretation, or the active policy until the
+// interpretation has been written
+async function getAttemptPolicy(testAttemptId) {
+  const interpretedResult = await InterpretedResult.findOne({
+    where: { test_attempt_id: testAttemptId },
+    attributes: ['readiness_policy_version']
+  });
+  return getPolicyVersion(interpretedResult ? interpretedResult.readiness_policy_version : null);
+}
+
+// Last loaded policy, for synchronous callers
+function getCachedPolicy() {
+  return cachedPolicy || DEFAULT_POLICY;
+}
+
+// Returns 'READY', 'PARTIALLY READY' or 'NOT READY' for an overall percentage
+function classifyReadiness(percentage, policy = getCachedPolicy()) {
+  if (percentage >= policy.ready_threshold) {
+    return 'READY';
+  }
+  if (percentage >= policy.partially_ready_threshold) {
+    return 'PARTIALLY READY';
+  }
+  return 'NOT READY';
+}
+
+// Decision risk follows readiness: the less ready, the riskier an early career decision
+function riskLevelForReadiness(readinessStatus) {
+  if (readinessStatus === 'NOT READY') {
+    return 'HIGH';
+  }
+  if (readinessStatus === 'PARTIALLY READY') {
+    return 'MEDIUM';
+  }
+  return 'LOW';
+}
+
+// Returns an error message, or null when the thresholds are usable
+function validateThresholds(readyThreshold, partiallyReadyThreshold) {
+  if (typeof readyThreshold !== 'number' || isNaN(readyThreshold) ||
+      typeof partiallyReadyThreshold !== 'number' || isNaN(partiallyReadyThreshold)) {
+    return 'ready_threshold and partially_ready_threshold must be numbers';
+  }
+  if (readyThreshold < 0 || readyThreshold > 100 || partiallyReadyThreshold < 0 || partiallyReadyThreshold > 100) {
+    return 'Thresholds must be between 0 and 100';
+  }
+  if (partiallyReadyThreshold >= readyThreshold) {
+    return 'partially_ready_threshold must be lower than ready_threshold';
+  }
+  return null;
+}
+
+// Save new thresholds as the next policy version and make it the active one
+async function createPolicyVersion({ readyThreshold, partiallyReadyThreshold, notes = null, createdBy = null }) {
+  const transaction = await ReadinessPolicy.sequelize.transaction();
+  try {
+    const latestVersion = await ReadinessPolicy.max('version', { transaction });
+    await ReadinessPolicy.update({ is_active: false }, { where: { is_active: true }, transaction });
+
+    const policy = await ReadinessPolicy.create({
+      version: (latestVersion || 0) + 1,
+      ready_threshold: readyThreshold,
+      partially_ready_threshold: partiallyReadyThreshold,
+      is_active: true,
+      notes: notes,
+      created_by: createdBy
+    }, { transaction });
+
+    await transaction.commit();
+    await getActivePolicy({ refresh: true });
+    return policy;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// Seed version 1 with the default thresholds on first start-up
+async function ensureDefaultPolicy() {
+  const count = await ReadinessPolicy.count();
+  if (count === 0) {
+    await ReadinessPolicy.create({
+      version: DEFAULT_POLICY.version,
+      ready_threshold: DEFAULT_POLICY.ready_threshold,
+      partially_ready_threshold: DEFAULT_POLICY.partially_ready_threshold,
+      is_active: true,
+      notes: 'Default policy'
+    });
+  }
+  return getActivePolicy({ refresh: true });
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getActivePolicy,
+  getPolicyVersion,
+  getAttemptPolicy,
+  getCachedPolicy,
+  classifyReadiness,
+  riskLevelForReadiness,
+  validateThresholds,
+  createPolicyVersion,
+  ensureDefaultPolicy
+};
@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const {
+  TestAttempt,
+  TestStatus,
+  User,
+  Answer,
+  Question,
+  Score,
+  InterpretedResult,
+  TestAttemptQuestion,
+  RescoreJob,
+  RescoreJobStatus,
+  RescoreAuditEntry
+} = require('../models');
+const { computeScoreRows, storeScores, countCorrectAnswers } = require('./scoring');
+const { generateAndSaveInterpretation } = require('./geminiInterpreter');
+const { getActivePolicy, classifyReadiness } = require('./readinessPolicy');
+
+// Score differences smaller than this are treated as floating point noise
+const SCORE_EPSILON = 0.01;
+
+// Completed attempts matching the admin's filters.
+// filters: { from, to, center, sectionId } - sectionId matches attempts with any answer in that section
+async function findAttemptsForRescoring({ from = null, to = null, center = null, sectionId = null } = {}) {
+  const where = { status: TestStatus.COMPLETED };
+
+  if (from || to) {
+    where.completed_at = {};
+    if (from) where.completed_at[Op.gte] = from;
+    if (to) where.completed_at[Op.lte] = to;
+  }
+
+  if (sectionId) {
+    const answered = await Answer.findAll({
+      attributes: ['test_attempt_id'],
+      include: [{ model: Question, as: 'question', attributes: [], where: { section_id: sectionId }, required: true }],
+      raw: true
+    });
+    where.id = { [Op.in]: [...new Set(answered.map(a => a.test_attempt_id))] };
+  }
+
+  const include = [];
+  if (center) {
+    include.push({ model: User, as: 'student', attributes: [], where: { center }, required: true });
+  }
+
+  return TestAttempt.findAll({
+    where,
+    include,
+    attributes: ['id', 'student_id', 'completed_at'],
+    order: [['id', 'ASC']]
+  });
+}
+
+function snapshotScores(scores) {
+  return scores
+    .map(s => ({
+      dimension: s.dimension,
+      score_value: s.score_value != null ? parseFloat(s.score_value) : null,
+      label: s.label || null,
+      percentile: s.percentile != null ? s.percentile : null
+    }))
+    .sort((a, b) => a.dimension.localeCompare(b.dimension));
+}
+
+// Per-dimension changes between two score snapshots (added, removed or changed value/label)
+function diffScores(previousScores, newScores) {
+  const changes = [];
+  const dimensions = new Set([...previousScores, ...newScores].map(s => s.dimension));
+
+  for (const dimension of [...dimensions].sort()) {
+    const before = previousScores.find(s => s.dimension === dimension) || null;
+    const after = newScores.find(s => s.dimension === dimension) || null;
+    const beforeValue = before ? before.score_value : null;
+    const afterValue = after ? after.score_value : null;
+
+    const valueChanged = (beforeValue == null) !== (afterValue == null) ||
+      (beforeValue != null && Math.abs(beforeValue - afterValue) >= SCORE_EPSILON);
+    const labelChanged = (before ? before.label : null) !== (after ? after.label : null);
+
+    if (valueChanged || labelChanged) {
+      changes.push({
+        dimension: dimension,
+        previous: beforeValue != null ? Math.round(beforeValue * 100) / 100 : null,
+        new: afterValue != null ? Math.round(afterValue * 100) / 100 : null,
+        delta: beforeValue != null && afterValue != null ? Math.round((afterValue - beforeValue) * 100) / 100 : null,
+        previous_label: before ? before.label : null,
+        new_label: after ? after.label : null
+      });
+    }
+  }
+
+  return changes;
+}
+
+function readinessFromScores(scores, policy) {
+  const overall = scores.find(s => s.dimension === 'overall');
+  return overall && overall.score_value != null ? classifyReadiness(overall.score_value, policy) : null;
+}
+
+// Dry run: recompute scores for the filtered attempts and report what would change
+async function previewRescoring(filters) {
+  const policy = await getActivePolicy();
+  const attempts = await findAttemptsForRescoring(filters);
+
+  const changedAttempts = [];
+  const readinessChanges = {};
+
+  for (const attempt of attempts) {
+    const previousScores = snapshotScores(await Score.findAll({ where: { test_attempt_id: attempt.id } }));
+    const { rows } = await computeScoreRows(attempt.id);
+    const newScores = snapshotScores(rows);
+
+    const scoreChanges = diffScores(previousScores, newScores);
+    const previousReadiness = readinessFromScores(previousScores, policy);
+    const newReadiness = readinessFromScores(newScores, policy);
+
+    if (previousReadiness !== newReadiness) {
+      const key = `${previousReadiness || 'NONE'} -> ${newReadiness || 'NONE'}`;
+      readinessChanges[key] = (readinessChanges[key] || 0) + 1;
+    }
+
+    // Percentiles are re-ranked on commit, so they are not part of the diff
+    if (scoreChanges.length > 0 || previousReadiness !== newReadiness) {
+      changedAttempts.push({
+        test_attempt_id: attempt.id,
+        student_id: attempt.student_id,
+        score_changes: scoreChanges,
+        previous_readiness: previousReadiness,
+        new_readiness: newReadiness
+      });
+    }
+  }
+
+  return {
+    readiness_policy_version: policy.version,
+    total_attempts: attempts.length,
+    changed_attempts: changedAttempts.length,
+    readiness_changes: readinessChanges,
+    attempts: changedAttempts
+  };
+}
+
+async function rescoreAttempt(job, attemptId, policy) {
+  const previousScores = snapshotScores(await Score.findAll({ where: { test_attempt_id: attemptId } }));
+  const previousInterpretation = await InterpretedResult.findOne({
+    where: { test_attempt_id: attemptId },
+    attributes: ['id', 'interpretation_text', 'strengths', 'areas_for_improvement', 'is_ai_generated', 'readiness_policy_version', 'updated_at']
+  });
+
+  await storeScores(attemptId);
+  const newScores = snapshotScores(await Score.findAll({ where: { test_attempt_id: attemptId } }));
+
+  const scoreChanges = diffScores(previousScores, newScores);
+  const previousReadiness = readinessFromScores(previousScores, policy);
+  const newReadiness = readinessFromScores(newScores, policy);
+  const hasChanges = scoreChanges.length > 0 || previousReadiness !== newReadiness;
+
+  // Only regenerate interpretations whose inputs moved (or that never existed) to avoid needless AI calls
+  const overall = newScores.find(s => s.dimension === 'overall');
+  if (job.reinterpret && overall && (hasChanges || !previousInterpretation)) {
+    const totalQuestions = await TestAttemptQuestion.count({ where: { test_attempt_id: attemptId } }) ||
+      await Answer.count({ where: { test_attempt_id: attemptId } });
+    const { correct: correctAnswers } = await countCorrectAnswers(attemptId);
+    await generateAndSaveInterpretation(attemptId, totalQuestions, correctAnswers, overall.score_value);
+  }
+
+  await RescoreAuditEntry.create({
+    rescore_job_id: job.id,
+    test_attempt_id: attemptId,
+    previous_scores: JSON.stringify(previousScores),
+    new_scores: JSON.stringify(newScores),
+    previous_interpretation: previousInterpretation ? JSON.stringify(previousInterpretation.toJSON()) : null,
+    previous_readiness: previousReadiness,
+    new_readiness: newReadiness,
+    has_changes: hasChanges
+  });
+
+  return hasChanges;
+}
+
+async function processRescoreJob(job, attemptIds) {
+  const policy = await getActivePolicy();
+
+  for (const attemptId of attemptIds) {
+    try {
+      const changed = await rescoreAttempt(job, attemptId, policy);
+      if (changed) job.changed_attempts += 1;
+    } catch (error) {
+      console.error(`❌ Rescoring failed for attempt ${attemptId}: ${error.message}`);
+      job.failed_attempts += 1;
+      await RescoreAuditEntry.create({
+        rescore_job_id: job.id,
+        test_attempt_id: attemptId,
+        has_changes: false,
+        error_message: error.message
+      });
+    }
+    job.processed_attempts += 1;
+    await job.save();
+  }
+
+  job.status = RescoreJobStatus.COMPLETED;
+  job.completed_at = new Date();
+  await job.save();
+  console.log(`✅ Rescore job ${job.id} completed: ${job.changed_attempts}/${job.total_attempts} attempts changed, ${job.failed_attempts} failed`);
+}
+
+// Create a rescoring job and process it in the background.
+// Returns { job, error } - error is set when another job is still running.
+async function startRescoringJob(filters, { reinterpret = true, createdBy = null } = {}) {
+  const runningJob = await RescoreJob.findOne({ where: { status: RescoreJobStatus.RUNNING } });
+  if (runningJob) {
+    return { job: null, error: `Rescore job ${runningJob.id} is still running` };
+  }
+
+  const attempts = await findAttemptsForRescoring(filters);
+  const job = await RescoreJob.create({
+    status: RescoreJobStatus.RUNNING,
+    filters: JSON.stringify(filters),
+    reinterpret: reinterpret,
+    total_attempts: attempts.length,
+    created_by: createdBy
+  });
+
+  console.log(`🔵 Rescore job ${job.id} started for ${attempts.length} attempts`);
+  processRescoreJob(job, attempts.map(a => a.id)).catch(async (error) => {
+    console.error(`❌ Rescore job ${job.id} failed: ${error.message}`);
+    job.status = RescoreJobStatus.FAILED;
+    job.error_message = error.message;
+    job.completed_at = new Date();
+    await job.save().catch(() => {});
+  });
+
+  return { job, error: null };
+}
+
+module.exports = {
+  findAttemptsForRescoring,
+  diffScores,
+  previewRescoring,
+  startRescoringJob
+};
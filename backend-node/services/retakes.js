@@ -0,0 +1,180 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { TestAttempt, TestStatus, RetakePolicy, RetakeGrant } = require('../models');
+
+// Used until a policy row exists: one attempt per student, as before retakes were configurable
+const DEFAULT_RETAKE_POLICY = {
+  max_attempts: 1,
+  cooldown_days: 0
+};
+
+const MAX_ATTEMPTS_LIMIT = 20;
+const MAX_COOLDOWN_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toPolicy(row) {
+  return {
+    max_attempts: row.max_attempts,
+    cooldown_days: row.cooldown_days,
+    updated_by: row.updated_by || null,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+async function getRetakePolicy() {
+  const row = await RetakePolicy.findOne({ order: [['id', 'ASC']] });
+  return row ? toPolicy(row) : { ...DEFAULT_RETAKE_POLICY, updated_by: null, updated_at: null };
+}
+
+// Returns an error message, or null when the values are usable
+function validateRetakePolicy(maxAttempts, cooldownDays) {
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    return `max_attempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`;
+  }
+  if (!Number.isInteger(cooldownDays) || cooldownDays < 0 || cooldownDays > MAX_COOLDOWN_DAYS) {
+    return `cooldown_days must be an integer between 0 and ${MAX_COOLDOWN_DAYS}`;
+  }
+  return null;
+}
+
+async function updateRetakePolicy({ maxAttempts, cooldownDays, updatedBy }) {
+  const row = await RetakePolicy.findOne({ order: [['id', 'ASC']] });
+  const values = { max_attempts: maxAttempts, cooldown_days: cooldownDays, updated_by: updatedBy };
+  const saved = row ? await row.update(values) : await RetakePolicy.create(values);
+  return toPolicy(saved);
+}
+
+// Oldest retake grant the student hasn't used yet, or null
+async function getUnusedGrant(studentId) {
+  return RetakeGrant.findOne({
+    where: { student_id: studentId, used_attempt_id: null },
+    order: [['created_at', 'ASC']]
+  });
+}
+
+// Whether the student may start a new attempt now.
+// An unused admin grant always allows it; otherwise the completed attempts count against
+// max_attempts and the cooldown runs from the latest completion.
+// Returns { allowed, error_code, reason, attempts_used, max_attempts, cooldown_days, next_eligible_at, grant }
+async function checkRetakeEligibility(studentId) {
+  const policy = await getRetakePolicy();
+  const completedAttempts = await TestAttempt.findAll({
+    where: { student_id: studentId, status: TestStatus.COMPLETED },
+    attributes: ['id', 'completed_at'],
+    order: [['completed_at', 'DESC']]
+  });
+  const grant = await getUnusedGrant(studentId);
+
+  const result = {
+    allowed: true,
+    error_code: null,
+    reason: null,
+    attempts_used: completedAttempts.length,
+    max_attempts: policy.max_attempts,
+    cooldown_days: policy.cooldown_days,
+    next_eligible_at: null,
+    grant: grant
+  };
+
+  if (grant || completedAttempts.length === 0) {
+    return result;
+  }
+
+  if (completedAttempts.length >= policy.max_attempts) {
+    result.allowed = false;
+    result.error_code = 'ATTEMPT_LIMIT_REACHED';
+    result.reason = policy.max_attempts === 1
+      ? 'You have already completed the test. Each student can attempt the test only once.'
+      : `You have already completed the test ${completedAttempts.length} times, the maximum allowed.`;
+    return result;
+  }
+
+  const lastCompletedAt = completedAttempts[0].completed_at;
+  if (policy.cooldown_days > 0 && lastCompletedAt) {
+    const nextEligibleAt = new Date(new Date(lastCompletedAt).getTime() + policy.cooldown_days * DAY_MS);
+    if (nextEligibleAt > new Date()) {
+      result.allowed = false;
+      result.error_code = 'RETAKE_COOLDOWN';
+      result.reason = `You can retake the test after ${nextEligibleAt.toISOString()}.`;
+      result.next_eligible_at = nextEligibleAt.toISOString();
+    }
+  }
+
+  return result;
+}
+
+// Called once a new attempt exists: earlier completed attempts become history and
+// the grant that allowed the attempt (if any) is used up
+async function recordAttemptStarted(studentId, testAttempt, grant = null) {
+  const transaction = await sequelize.transaction();
+  try {
+    await TestAttempt.update(
+      { is_archived: true, archived_at: new Date() },
+      {
+        where: {
+          student_id: studentId,
+          status: TestStatus.COMPLETED,
+          is_archived: false,
+          id: { [Op.ne]: testAttempt.id }
+        },
+        transaction
+      }
+    );
+
+    if (grant) {
+      await grant.update({ used_attempt_id: testAttempt.id, used_at: new Date() }, { transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// Archive the student's current attempts (an in-progress one is abandoned) and grant one new attempt.
+// Answers, scores, interpretations and counsellor notes of archived attempts are kept.
+// Returns { grant, archivedCount, error }
+async function grantRetake(studentId, { grantedBy, reason = null }) {
+  const existingGrant = await getUnusedGrant(studentId);
+  if (existingGrant) {
+    return { grant: null, archivedCount: 0, error: 'Student already has an unused retake' };
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const now = new Date();
+    const [abandonedCount] = await TestAttempt.update(
+      { status: TestStatus.ABANDONED, is_archived: true, archived_at: now },
+      { where: { student_id: studentId, status: TestStatus.IN_PROGRESS }, transaction }
+    );
+    const [completedCount] = await TestAttempt.update(
+      { is_archived: true, archived_at: now },
+      { where: { student_id: studentId, status: TestStatus.COMPLETED, is_archived: false }, transaction }
+    );
+
+    const archivedCount = abandonedCount + completedCount;
+    const grant = await RetakeGrant.create({
+      student_id: studentId,
+      granted_by: grantedBy,
+      reason: reason,
+      archived_attempt_count: archivedCount
+    }, { transaction });
+
+    await transaction.commit();
+    return { grant, archivedCount, error: null };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_RETAKE_POLICY,
+  getRetakePolicy,
+  validateRetakePolicy,
+  updateRetakePolicy,
+  checkRetakeEligibility,
+  recordAttemptStarted,
+  grantRetake
+};
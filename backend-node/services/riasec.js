@@ -0,0 +1,99 @@
+const { RiasecType } = require('../models');
+
+// Fixed Holland order - also used to break ties when building the code
+const RIASEC_ORDER = [
+  RiasecType.REALISTIC,
+  RiasecType.INVESTIGATIVE,
+  RiasecType.ARTISTIC,
+  RiasecType.SOCIAL,
+  RiasecType.ENTERPRISING,
+  RiasecType.CONVENTIONAL
+];
+
+const RIASEC_NAMES = {
+  R: 'Realistic',
+  I: 'Investigative',
+  A: 'Artistic',
+  S: 'Social',
+  E: 'Enterprising',
+  C: 'Conventional'
+};
+
+const HOLLAND_CODE_DIMENSION = 'holland_code';
+
+function normalizeRiasecType(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const upper = String(value).trim().toUpperCase();
+  if (RIASEC_ORDER.includes(upper)) {
+    return upper;
+  }
+  // Accept full names too (e.g. "Investigative")
+  const match = Object.entries(RIASEC_NAMES).find(([, name]) => name.toUpperCase() === upper);
+  return match ? match[0] : undefined;
+}
+
+// typeValues: { R: [1-5 values], I: [...], ... }
+// Returns type scores on a 0-100 scale plus the three-letter Holland code
+function calculateRiasecProfile(typeValues) {
+  const typeScores = {};
+  let answeredTypes = 0;
+
+  for (const type of RIASEC_ORDER) {
+    const values = typeValues[type] || [];
+    if (values.length === 0) {
+      typeScores[type] = 0.0;
+      continue;
+    }
+    answeredTypes += 1;
+    const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+    typeScores[type] = Math.min(100.0, Math.max(0.0, ((average - 1) / 4) * 100.0));
+  }
+
+  if (answeredTypes === 0) {
+    return null;
+  }
+
+  const hollandCode = [...RIASEC_ORDER]
+    .sort((a, b) => (typeScores[b] - typeScores[a]) || (RIASEC_ORDER.indexOf(a) - RIASEC_ORDER.indexOf(b)))
+    .slice(0, 3)
+    .join('');
+
+  return { typeScores, hollandCode };
+}
+
+// Build the API representation from stored Score rows (riasec_X + holland_code)
+function buildRiasecProfile(scores) {
+  if (!scores || scores.length === 0) {
+    return null;
+  }
+
+  const hollandScore = scores.find(s => s.dimension === HOLLAND_CODE_DIMENSION);
+  if (!hollandScore) {
+    return null;
+  }
+
+  const types = RIASEC_ORDER.map(type => {
+    const typeScore = scores.find(s => s.dimension === `riasec_${type}`);
+    return {
+      code: type,
+      name: RIASEC_NAMES[type],
+      score: typeScore ? Math.round(typeScore.score_value * 100) / 100 : 0
+    };
+  });
+
+  return {
+    holland_code: hollandScore.label,
+    types: types
+  };
+}
+
+module.exports = {
+  RIASEC_ORDER,
+  RIASEC_NAMES,
+  HOLLAND_CODE_DIMENSION,
+  normalizeRiasecType,
+  calculateRiasecProfile,
+  buildRiasecProfile
+};
@@ -1,25 +1,50 @@
-const { Answer, Score, TestAttempt, Question, Section } = require('../models');
+const { Answer, Score, TestAttempt, Question, QuestionRevision, Section } = require('../models');
+const { RIASEC_ORDER, HOLLAND_CODE_DIMENSION, calculateRiasecProfile } = require('./riasec');
+const { VARK_ORDER, LEARNING_STYLE_DIMENSION, calculateVarkProfile } = require('./learningStyle');
+const { applyPercentiles } = require('./norms');
+const { withRevision } = require('./questionRevisions');
 
-async function calculateRawScores(testAttemptId) {
+// Returns true/false for keyed MULTIPLE_CHOICE questions, null when the question has no answer key
+function isAnswerCorrect(question, answerText) {
+  if (!question || question.question_type !== 'MULTIPLE_CHOICE' || !question.correct_answer) {
+    return null;
+  }
+  const selected = String(answerText || '').trim().toUpperCase();
+  return selected === question.correct_answer.trim().toUpperCase();
+}
+
+// Compute an attempt's Score rows from its answers without writing anything.
+// Returns { rows, scoresToStore }: rows are ready for Score.bulkCreate.
+async function computeScoreRows(testAttemptId) {
   const testAttempt = await TestAttempt.findByPk(testAttemptId);
   if (!testAttempt) {
     throw new Error('Test attempt not found');
   }
 
+  // Score each answer against the question revision the student was shown
   const answers = await Answer.findAll({
     where: { test_attempt_id: testAttemptId },
-    include: [{ model: Question, as: 'question' }]
+    include: [
+      { model: Question, as: 'question' },
+      { model: QuestionRevision, as: 'revision', required: false }
+    ]
   });
 
   if (!answers || answers.length === 0) {
-    return [];
+    return { rows: [], scoresToStore: [] };
   }
 
   // Group answers by category/dimension
   const dimensionScores = {};
+  // Right/wrong tally for keyed MCQs, per dimension
+  const accuracyStats = {};
+  // Answer values grouped by RIASEC type for the Holland code profile
+  const riasecValues = {};
+  // Answer values grouped by VARK modality for the learning style
+  const modalityValues = {};
 
   for (const answer of answers) {
-    const question = answer.question;
+    const question = withRevision(answer.question, answer.revision);
     if (!question) continue;
 
     let dimension;
@@ -59,7 +84,21 @@ async function calculateRawScores(testAttemptId) {
         console.log(`⚠️ Invalid Likert answer '${answer.answer_text}' for question ${question.id}, defaulting to 3 (C)`);
         value = 3.0;
       }
+    } else if (question.question_type === 'MULTIPLE_CHOICE' && question.correct_answer) {
+      // Keyed MCQ: correct maps to the top of the 1-5 scale, incorrect to the bottom,
+      // so the overall percentage below reflects percent-correct for cognitive items
+      const isCorrect = isAnswerCorrect(question, answer.answer_text);
+      value = isCorrect ? 5.0 : 1.0;
+
+      if (!accuracyStats[dimension]) {
+        accuracyStats[dimension] = { correct: 0, total: 0 };
+      }
+      accuracyStats[dimension].total += 1;
+      if (isCorrect) {
+        accuracyStats[dimension].correct += 1;
+      }
     } else if (question.question_type === 'MULTIPLE_CHOICE') {
+      // Unkeyed MCQ (preference item): fall back to Likert-style letter mapping
       if (likertMap[answerTextUpper] !== undefined) {
         value = parseFloat(likertMap[answerTextUpper]);
       } else {
@@ -74,39 +113,87 @@ async function calculateRawScores(testAttemptId) {
       value = 0.0;
     }
 
+    // Reverse-keyed statements ("I often postpone revision"): agreement lowers the score
+    const isKeyedMcq = question.question_type === 'MULTIPLE_CHOICE' && question.correct_answer;
+    if (question.is_reverse_scored && !isKeyedMcq && value >= 1 && value <= 5) {
+      value = 6.0 - value;
+    }
+
     dimensionScores[dimension].total += value;
     dimensionScores[dimension].count += 1;
     dimensionScores[dimension].values.push(value);
+
+    if (question.riasec_type) {
+      if (!riasecValues[question.riasec_type]) {
+        riasecValues[question.riasec_type] = [];
+      }
+      riasecValues[question.riasec_type].push(value);
+    }
+
+    if (question.learning_modality) {
+      if (!modalityValues[question.learning_modality]) {
+        modalityValues[question.learning_modality] = [];
+      }
+      modalityValues[question.learning_modality].push(value);
+    }
   }
 
   // Calculate scores for each dimension
+  const rows = [];
   const scoresToStore = [];
   let totalAllScores = 0.0;
   let totalAllCount = 0;
 
-  // Delete existing scores first
-  await Score.destroy({ where: { test_attempt_id: testAttemptId } });
+  const addRow = (dimension, scoreValue, extra = {}, label = null) => {
+    rows.push({
+      test_attempt_id: testAttemptId,
+      dimension: dimension,
+      score_value: scoreValue,
+      label: label,
+      percentile: null
+    });
+    scoresToStore.push({
+      dimension: dimension,
+      score_value: scoreValue,
+      ...(label ? { label } : {}),
+      ...extra
+    });
+  };
 
   for (const [dimension, data] of Object.entries(dimensionScores)) {
     if (data.count > 0) {
-      const rawScore = data.total / data.count;
+      addRow(dimension, data.total / data.count, { count: data.count });
+      totalAllScores += data.total;
+      totalAllCount += data.count;
+    }
+  }
 
-      await Score.create({
-        test_attempt_id: testAttemptId,
-        dimension: dimension,
-        score_value: rawScore,
-        percentile: null
-      });
+  // Store percent-correct per dimension for keyed MCQs
+  // Dimension is prefixed with accuracy_ so it is not picked up as a section_N score
+  for (const [dimension, stats] of Object.entries(accuracyStats)) {
+    const percentCorrect = (stats.correct / stats.total) * 100.0;
+    addRow(`accuracy_${dimension}`, percentCorrect, { count: stats.total, correct: stats.correct });
+  }
 
-      scoresToStore.push({
-        dimension: dimension,
-        score_value: rawScore,
-        count: data.count
-      });
+  // Store RIASEC type scores (0-100) and the three-letter Holland code
+  const riasecProfile = calculateRiasecProfile(riasecValues);
+  if (riasecProfile) {
+    for (const type of RIASEC_ORDER) {
+      addRow(`riasec_${type}`, riasecProfile.typeScores[type], { count: (riasecValues[type] || []).length });
+    }
+    const topTypeScore = riasecProfile.typeScores[riasecProfile.hollandCode[0]];
+    addRow(HOLLAND_CODE_DIMENSION, topTypeScore, {}, riasecProfile.hollandCode);
+  }
 
-      totalAllScores += data.total;
-      totalAllCount += data.count;
+  // Store VARK modality scores (0-100) and the dominant/multimodal learning style
+  const varkProfile = calculateVarkProfile(modalityValues);
+  if (varkProfile) {
+    for (const modality of VARK_ORDER) {
+      addRow(`vark_${modality}`, varkProfile.modalityScores[modality], { count: (modalityValues[modality] || []).length });
     }
+    // learningStyle lists preferred modalities in V/A/R/K order, so take the best score among them
+    const topModalityScore = Math.max(...varkProfile.learningStyle.split('').map(modality => varkProfile.modalityScores[modality]));
+    addRow(LEARNING_STYLE_DIMENSION, topModalityScore, {}, varkProfile.learningStyle);
   }
 
   // Calculate overall score (convert 1-5 average to 0-100 percentage)
@@ -115,39 +202,58 @@ async function calculateRawScores(testAttemptId) {
     const averageScore = totalAllScores / totalAllCount;
     let overallScore = ((averageScore - 1) / 4) * 100.0; // Convert 1-5 scale to 0-100%
     overallScore = Math.min(100.0, Math.max(0.0, overallScore)); // Clamp to valid range
+    addRow('overall', overallScore, { count: totalAllCount });
+  }
 
-    const existingOverall = await Score.findOne({
-      where: {
-        test_attempt_id: testAttemptId,
-        dimension: 'overall'
-      }
-    });
-
-    if (existingOverall) {
-      existingOverall.score_value = overallScore;
-      await existingOverall.save();
-    } else {
-      await Score.create({
-        test_attempt_id: testAttemptId,
-        dimension: 'overall',
-        score_value: overallScore,
-        percentile: null
-      });
-    }
+  return { rows, scoresToStore };
+}
 
-    scoresToStore.push({
-      dimension: 'overall',
-      score_value: overallScore,
-      count: totalAllCount
-    });
+async function calculateRawScores(testAttemptId) {
+  const { rows, scoresToStore } = await computeScoreRows(testAttemptId);
+  if (rows.length === 0) {
+    return [];
   }
 
+  // Replace existing scores
+  await Score.destroy({ where: { test_attempt_id: testAttemptId } });
+  await Score.bulkCreate(rows);
+
   return scoresToStore;
 }
 
+// Count correctly answered keyed MCQs for an attempt (used for correct_answers in results)
+async function countCorrectAnswers(testAttemptId) {
+  const answers = await Answer.findAll({
+    where: { test_attempt_id: testAttemptId },
+    include: [
+      { model: Question, as: 'question' },
+      { model: QuestionRevision, as: 'revision', required: false }
+    ]
+  });
+
+  let correct = 0;
+  let total = 0;
+  for (const answer of answers) {
+    const isCorrect = isAnswerCorrect(withRevision(answer.question, answer.revision), answer.answer_text);
+    if (isCorrect === null) continue;
+    total += 1;
+    if (isCorrect) correct += 1;
+  }
+
+  return { correct, total };
+}
+
 async function storeScores(testAttemptId) {
   try {
     await calculateRawScores(testAttemptId);
+
+    // Percentiles are a reporting extra - never fail scoring because norms are unavailable
+    try {
+      await applyPercentiles(testAttemptId);
+    } catch (normError) {
+      console.warn(`⚠️ Could not apply norm percentiles for attempt ${testAttemptId}: ${normError.message}`);
+    }
+
     return true;
   } catch (error) {
     throw error;
@@ -155,7 +261,10 @@ async function storeScores(testAttemptId) {
 }
 
 module.exports = {
+  isAnswerCorrect,
+  computeScoreRows,
   calculateRawScores,
+  countCorrectAnswers,
   storeScores
 };
 
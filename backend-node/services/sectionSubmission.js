@@ -0,0 +1,98 @@
+const { sequelize } = require('../database');
+const { TestAttempt, TestStatus, SectionProgress, SectionStatus } = require('../models');
+const { getAttemptSectionRule } = require('./accommodations');
+const { getAttemptSections, getNextSection } = require('./assessments');
+const { storeScores } = require('./scoring');
+
+// Seconds the section has been running, including time banked before any pause
+function getTimeSpentSeconds(progress, now = new Date()) {
+  if (progress.section_start_time && !progress.paused_at) {
+    return progress.total_time_spent + Math.floor((now - new Date(progress.section_start_time)) / 1000);
+  }
+  return progress.total_time_spent;
+}
+
+// Stop the section's timer, cap the time spent at the limit and mark the section COMPLETED
+async function completeSectionProgress(progress, timeLimitSeconds, { now = new Date(), transaction } = {}) {
+  progress.total_time_spent = Math.min(getTimeSpentSeconds(progress, now), timeLimitSeconds);
+  progress.section_start_time = null;
+  progress.status = SectionStatus.COMPLETED;
+  progress.paused_at = null;
+  await progress.save({ transaction });
+  return progress;
+}
+
+// Point the attempt at the section after `section`, or mark the attempt COMPLETED when it was the last one.
+// Returns the next section, or null when the attempt was completed
+async function advanceAttempt(testAttempt, section, { transaction } = {}) {
+  const allSections = await getAttemptSections(testAttempt);
+  const nextSection = getNextSection(allSections, section);
+
+  if (nextSection) {
+    const nextSectionRule = await getAttemptSectionRule(testAttempt, nextSection.id);
+    testAttempt.current_section_id = nextSection.id;
+    testAttempt.current_question_index = 0;
+    testAttempt.remaining_time_seconds = nextSectionRule.time_limit_seconds;
+  } else {
+    testAttempt.status = TestStatus.COMPLETED;
+    testAttempt.completed_at = new Date();
+    testAttempt.current_section_id = null;
+  }
+  await testAttempt.save({ transaction });
+
+  return nextSection;
+}
+
+// Auto-submit a section whose time ran out: the answers already saved with /save-answer are the
+// submission and unanswered questions stay unanswered. When it was the attempt's last section the
+// attempt is completed and scored (the interpretation is generated when the result is first opened).
+// The progress and attempt rows are re-read under a lock first, so a section the student submitted,
+// paused or that another request already expired since `progress` was loaded is left alone.
+// Returns { expired, nextSection, attemptCompleted }
+async function expireSection(testAttempt, section, progress, timeLimitSeconds) {
+  const transaction = await sequelize.transaction();
+  let nextSection;
+  try {
+    const lockedProgress = await SectionProgress.findByPk(progress.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const lockedAttempt = await TestAttempt.findByPk(testAttempt.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const now = new Date();
+
+    if (!lockedProgress || !lockedAttempt ||
+        lockedProgress.status !== SectionStatus.IN_PROGRESS ||
+        !lockedProgress.section_start_time ||
+        lockedProgress.paused_at ||
+        lockedAttempt.status !== TestStatus.IN_PROGRESS ||
+        getTimeSpentSeconds(lockedProgress, now) < timeLimitSeconds) {
+      await transaction.rollback();
+      return { expired: false, nextSection: null, attemptCompleted: false };
+    }
+
+    await completeSectionProgress(lockedProgress, timeLimitSeconds, { now, transaction });
+    nextSection = await advanceAttempt(lockedAttempt, section, { transaction });
+    await transaction.commit();
+
+    // Callers keep using the instances they passed in
+    progress.set(lockedProgress.get());
+    testAttempt.set(lockedAttempt.get());
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  if (!nextSection) {
+    try {
+      await storeScores(testAttempt.id);
+    } catch (error) {
+      console.error(`❌ Error calculating scores for expired attempt ${testAttempt.id}: ${error.message}`);
+    }
+  }
+
+  return { expired: true, nextSection, attemptCompleted: !nextSection };
+}
+
+module.exports = {
+  getTimeSpentSeconds,
+  completeSectionProgress,
+  advanceAttempt,
+  expireSection
+};
@@ -0,0 +1,93 @@
+const { TestAttempt, TestStatus, Section, SectionProgress, SectionStatus } = require('../models');
+const { getSectionRules, DEFAULT_SECTION_RULE } = require('./testBlueprint');
+const { getTimeSpentSeconds, expireSection } = require('./sectionSubmission');
+const { applyAccommodation } = require('./accommodations');
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+// Auto-submit every running section whose time limit has passed.
+// Sections only expire on their own when the client polls the timer; this covers closed browsers.
+// Returns { expiredSections, completedAttempts }
+async function sweepExpiredSections(now = new Date()) {
+  const runningSections = await SectionProgress.findAll({
+    where: {
+      status: SectionStatus.IN_PROGRESS,
+      paused_at: null
+    },
+    include: [
+      { model: TestAttempt, as: 'testAttempt', where: { status: TestStatus.IN_PROGRESS }, required: true },
+      { model: Section, as: 'section', required: true }
+    ]
+  });
+
+  const rulesByBlueprint = {};
+  let expiredSections = 0;
+  let completedAttempts = 0;
+
+  for (const progress of runningSections) {
+    if (!progress.section_start_time) continue;
+
+    const testAttempt = progress.testAttempt;
+    const blueprintKey = testAttempt.blueprint_id || 0;
+    if (!rulesByBlueprint[blueprintKey]) {
+      rulesByBlueprint[blueprintKey] = await getSectionRules(testAttempt.blueprint_id);
+    }
+    const blueprintRule = rulesByBlueprint[blueprintKey][progress.section_id] || DEFAULT_SECTION_RULE;
+    const timeLimit = applyAccommodation(blueprintRule, testAttempt.accommodations, progress.section_id).time_limit_seconds;
+
+    if (getTimeSpentSeconds(progress, now) < timeLimit) continue;
+
+    try {
+      const { expired, nextSection, attemptCompleted } = await expireSection(testAttempt, progress.section, progress, timeLimit);
+      // Submitted, paused or expired by a timer poll since the sweep loaded it
+      if (!expired) continue;
+      expiredSections += 1;
+      if (attemptCompleted) completedAttempts += 1;
+      console.log(`✅ Section ${progress.section.order_index} (${progress.section.name}) of attempt ${testAttempt.id} expired and was auto-submitted${nextSection ? `, moved to section ${nextSection.order_index}` : ', attempt completed'}`);
+    } catch (error) {
+      console.error(`❌ Failed to auto-submit section ${progress.section_id} of attempt ${testAttempt.id}: ${error.message}`);
+    }
+  }
+
+  return { expiredSections, completedAttempts };
+}
+
+async function runSweep() {
+  // Skip a tick rather than overlap with a slow previous sweep
+  if (sweepRunning) return;
+  sweepRunning = true;
+  try {
+    const { expiredSections, completedAttempts } = await sweepExpiredSections();
+    if (expiredSections > 0) {
+      console.log(`✅ Section timer sweep: ${expiredSections} expired section(s) auto-submitted, ${completedAttempts} attempt(s) completed`);
+    }
+  } catch (error) {
+    console.error(`❌ Section timer sweep failed: ${error.message}`);
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+// Run the sweep now and then every intervalSeconds (0 disables it)
+function startSectionTimerSweeper(intervalSeconds) {
+  if (sweepTimer || !intervalSeconds || intervalSeconds <= 0) return;
+
+  runSweep();
+  sweepTimer = setInterval(runSweep, intervalSeconds * 1000);
+  sweepTimer.unref();
+  console.log(`✅ Section timer sweeper running every ${intervalSeconds}s`);
+}
+
+function stopSectionTimerSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  sweepExpiredSections,
+  startSectionTimerSweeper,
+  stopSectionTimerSweeper
+};
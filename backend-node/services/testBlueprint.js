@@ -0,0 +1,223 @@
+const { sequelize } = require('../database');
+const { Question, QuestionType, Section, TestBlueprint, TestBlueprintSection } = require('../models');
+
+// Rule for sections a blueprint doesn't list (and for attempts started before blueprints existed)
+const DEFAULT_SECTION_RULE = {
+  question_count: 7,
+  time_limit_seconds: 420,
+  difficulty_mix: null,
+  type_mix: null
+};
+
+const DIFFICULTY_LEVELS = Question.rawAttributes.difficulty_level.values;
+const QUESTION_TYPES = Object.values(QuestionType);
+
+const MAX_QUESTIONS_PER_SECTION = 100;
+const MIN_TIME_LIMIT_SECONDS = 60;
+const MAX_TIME_LIMIT_SECONDS = 3 * 60 * 60;
+
+function parseMix(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function toSectionRule(row) {
+  return {
+    question_count: row.question_count,
+    time_limit_seconds: row.time_limit_seconds,
+    difficulty_mix: parseMix(row.difficulty_mix),
+    type_mix: parseMix(row.type_mix)
+  };
+}
+
+// Returns an error message, or null when the mix is usable.
+// A mix maps each allowed key to a question count; the counts must add up to the section's question_count.
+function validateMix(mix, allowedKeys, questionCount, fieldName) {
+  if (mix == null) return null;
+  if (typeof mix !== 'object' || Array.isArray(mix)) {
+    return `${fieldName} must be an object of counts, e.g. {"${allowedKeys[0]}": ${questionCount}}`;
+  }
+
+  let total = 0;
+  for (const [key, count] of Object.entries(mix)) {
+    if (!allowedKeys.includes(key)) {
+      return `Invalid ${fieldName} key '${key}'. Must be one of: ${allowedKeys.join(', ')}`;
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      return `${fieldName}.${key} must be a non-negative integer`;
+    }
+    total += count;
+  }
+
+  if (total !== questionCount) {
+    return `${fieldName} counts add up to ${total}, but question_count is ${questionCount}`;
+  }
+  return null;
+}
+
+// Returns an error message, or null when the section rule is usable
+function validateSectionRule(rule) {
+  const { question_count, time_limit_seconds } = rule;
+
+  if (!Number.isInteger(question_count) || question_count < 1 || question_count > MAX_QUESTIONS_PER_SECTION) {
+    return `question_count must be an integer between 1 and ${MAX_QUESTIONS_PER_SECTION}`;
+  }
+  if (!Number.isInteger(time_limit_seconds) || time_limit_seconds < MIN_TIME_LIMIT_SECONDS || time_limit_seconds > MAX_TIME_LIMIT_SECONDS) {
+    return `time_limit_seconds must be an integer between ${MIN_TIME_LIMIT_SECONDS} and ${MAX_TIME_LIMIT_SECONDS}`;
+  }
+
+  return validateMix(rule.difficulty_mix, DIFFICULTY_LEVELS, question_count, 'difficulty_mix') ||
+    validateMix(rule.type_mix, QUESTION_TYPES, question_count, 'type_mix');
+}
+
+// Blueprint a new attempt should use: the assessment's own blueprint, then the active blueprint
+// for the student's center, otherwise the default one
+async function getBlueprintForStudent(user, assessment = null) {
+  if (assessment && assessment.blueprint_id) {
+    const assessmentBlueprint = await TestBlueprint.findOne({
+      where: { id: assessment.blueprint_id, is_active: true }
+    });
+    if (assessmentBlueprint) return assessmentBlueprint;
+  }
+
+  if (user && user.center) {
+    const centerBlueprint = await TestBlueprint.findOne({
+      where: { center: user.center, is_active: true },
+      order: [['updated_at', 'DESC']]
+    });
+    if (centerBlueprint) return centerBlueprint;
+  }
+
+  return TestBlueprint.findOne({
+    where: { is_default: true, is_active: true }
+  });
+}
+
+// { section_id: rule } for every section the blueprint lists
+async function getSectionRules(blueprintId) {
+  if (!blueprintId) return {};
+
+  const rows = await TestBlueprintSection.findAll({ where: { blueprint_id: blueprintId } });
+  const rules = {};
+  for (const row of rows) {
+    rules[row.section_id] = toSectionRule(row);
+  }
+  return rules;
+}
+
+async function getSectionRule(blueprintId, sectionId) {
+  if (!blueprintId) return DEFAULT_SECTION_RULE;
+
+  const row = await TestBlueprintSection.findOne({
+    where: { blueprint_id: blueprintId, section_id: sectionId }
+  });
+  return row ? toSectionRule(row) : DEFAULT_SECTION_RULE;
+}
+
+// Walk the (already shuffled) candidates and take each one whose difficulty and type still have room in the mix
+function pickByMix(candidates, rule) {
+  const difficultyLeft = rule.difficulty_mix ? { ...rule.difficulty_mix } : null;
+  const typeLeft = rule.type_mix ? { ...rule.type_mix } : null;
+  const picked = [];
+
+  for (const question of candidates) {
+    if (picked.length >= rule.question_count) break;
+
+    const difficulty = question.difficulty_level || 'Medium';
+    if (difficultyLeft && !(difficultyLeft[difficulty] > 0)) continue;
+    if (typeLeft && !(typeLeft[question.question_type] > 0)) continue;
+
+    picked.push(question.id);
+    if (difficultyLeft) difficultyLeft[difficulty] -= 1;
+    if (typeLeft) typeLeft[question.question_type] -= 1;
+  }
+
+  return picked;
+}
+
+// Randomly select a section's questions according to its blueprint rule.
+// Questions from the student's previous attempt are avoided while enough others exist,
+// and the mix is relaxed (with a warning) when the bank can't satisfy it.
+async function selectSectionQuestions(sectionId, rule, previousQuestionIds = []) {
+  const candidates = await Question.findAll({
+    where: {
+      section_id: sectionId,
+      status: 'approved',
+      is_active: true,
+      is_sample: false // sample questions are for practice mode only
+    },
+    attributes: ['id', 'difficulty_level', 'question_type'],
+    order: [[sequelize.literal('RANDOM()'), 'ASC']], // SQL RANDOM selection
+    raw: true
+  });
+
+  const previousIds = new Set(previousQuestionIds);
+  const unseen = candidates.filter(q => !previousIds.has(q.id));
+  const pool = unseen.length >= rule.question_count ? unseen : candidates;
+
+  const selected = pickByMix(pool, rule);
+  if (selected.length < rule.question_count) {
+    if (rule.difficulty_mix || rule.type_mix) {
+      console.warn(`⚠️ Section ${sectionId}: question bank can't satisfy the blueprint mix, filling ${rule.question_count - selected.length} question(s) without it`);
+    }
+    for (const question of pool) {
+      if (selected.length >= rule.question_count) break;
+      if (!selected.includes(question.id)) {
+        selected.push(question.id);
+      }
+    }
+  }
+
+  return selected;
+}
+
+// Seed the default blueprint (7 questions, 7 minutes per active section) on first start-up
+async function ensureDefaultBlueprint() {
+  const existing = await TestBlueprint.findOne({ where: { is_default: true } });
+  if (existing) return existing;
+
+  const sections = await Section.findAll({
+    where: { is_active: true },
+    order: [['order_index', 'ASC']]
+  });
+
+  const transaction = await sequelize.transaction();
+  try {
+    const blueprint = await TestBlueprint.create({
+      name: 'Standard',
+      description: 'Default blueprint: 7 questions and 7 minutes per section',
+      center: null,
+      is_default: true,
+      is_active: true
+    }, { transaction });
+
+    await TestBlueprintSection.bulkCreate(sections.map(section => ({
+      blueprint_id: blueprint.id,
+      section_id: section.id,
+      question_count: DEFAULT_SECTION_RULE.question_count,
+      time_limit_seconds: DEFAULT_SECTION_RULE.time_limit_seconds
+    })), { transaction });
+
+    await transaction.commit();
+    return blueprint;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_SECTION_RULE,
+  parseMix,
+  validateSectionRule,
+  getBlueprintForStudent,
+  getSectionRules,
+  getSectionRule,
+  selectSectionQuestions,
+  ensureDefaultBlueprint
+};